@@ -0,0 +1,42 @@
+-- AlterTable
+ALTER TABLE "public"."slots" ADD COLUMN     "templateId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."availability_templates" (
+    "id" TEXT NOT NULL,
+    "clinicId" TEXT NOT NULL,
+    "doctorId" TEXT NOT NULL,
+    "name" TEXT,
+    "days" INTEGER[],
+    "startTime" TEXT NOT NULL,
+    "endTime" TEXT NOT NULL,
+    "duration" INTEGER NOT NULL DEFAULT 30,
+    "lunchStart" TEXT,
+    "lunchEnd" TEXT,
+    "paymentMode" "public"."SlotPaymentMode" NOT NULL DEFAULT 'ONLINE',
+    "price" DECIMAL(65,30) NOT NULL DEFAULT 0,
+    "kind" TEXT NOT NULL DEFAULT 'APPOINTMENT',
+    "horizonDays" INTEGER NOT NULL DEFAULT 28,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "lastGeneratedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "deletedAt" TIMESTAMP(3),
+
+    CONSTRAINT "availability_templates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "availability_templates_clinicId_doctorId_idx" ON "public"."availability_templates"("clinicId", "doctorId");
+
+-- CreateIndex
+CREATE INDEX "slots_templateId_idx" ON "public"."slots"("templateId");
+
+-- AddForeignKey
+ALTER TABLE "public"."slots" ADD CONSTRAINT "slots_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "public"."availability_templates"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."availability_templates" ADD CONSTRAINT "availability_templates_clinicId_fkey" FOREIGN KEY ("clinicId") REFERENCES "public"."clinics"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."availability_templates" ADD CONSTRAINT "availability_templates_doctorId_fkey" FOREIGN KEY ("doctorId") REFERENCES "public"."doctors"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "public"."slots" ADD COLUMN     "holidayId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."clinic_holidays" (
+    "id" TEXT NOT NULL,
+    "clinicId" TEXT NOT NULL,
+    "doctorId" TEXT,
+    "startDate" TIMESTAMP(3) NOT NULL,
+    "endDate" TIMESTAMP(3) NOT NULL,
+    "reason" TEXT,
+    "createdBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "deletedAt" TIMESTAMP(3),
+
+    CONSTRAINT "clinic_holidays_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "clinic_holidays_clinicId_startDate_endDate_idx" ON "public"."clinic_holidays"("clinicId", "startDate", "endDate");
+
+-- CreateIndex
+CREATE INDEX "slots_holidayId_idx" ON "public"."slots"("holidayId");
+
+-- AddForeignKey
+ALTER TABLE "public"."slots" ADD CONSTRAINT "slots_holidayId_fkey" FOREIGN KEY ("holidayId") REFERENCES "public"."clinic_holidays"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."clinic_holidays" ADD CONSTRAINT "clinic_holidays_clinicId_fkey" FOREIGN KEY ("clinicId") REFERENCES "public"."clinics"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."clinic_holidays" ADD CONSTRAINT "clinic_holidays_doctorId_fkey" FOREIGN KEY ("doctorId") REFERENCES "public"."doctors"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,39 @@
+-- CreateEnum
+CREATE TYPE "public"."WaitlistStatus" AS ENUM ('WAITING', 'OFFERED', 'BOOKED', 'EXPIRED', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "public"."waitlist_entries" (
+    "id" TEXT NOT NULL,
+    "clinicId" TEXT NOT NULL,
+    "doctorId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "fromDate" TIMESTAMP(3) NOT NULL,
+    "toDate" TIMESTAMP(3) NOT NULL,
+    "status" "public"."WaitlistStatus" NOT NULL DEFAULT 'WAITING',
+    "offeredSlotId" TEXT,
+    "offeredAt" TIMESTAMP(3),
+    "offerExpiresAt" TIMESTAMP(3),
+    "bookedAppointmentId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "waitlist_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "waitlist_entries_doctorId_status_createdAt_idx" ON "public"."waitlist_entries"("doctorId", "status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "waitlist_entries_status_offerExpiresAt_idx" ON "public"."waitlist_entries"("status", "offerExpiresAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."waitlist_entries" ADD CONSTRAINT "waitlist_entries_clinicId_fkey" FOREIGN KEY ("clinicId") REFERENCES "public"."clinics"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."waitlist_entries" ADD CONSTRAINT "waitlist_entries_doctorId_fkey" FOREIGN KEY ("doctorId") REFERENCES "public"."doctors"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."waitlist_entries" ADD CONSTRAINT "waitlist_entries_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."user"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."waitlist_entries" ADD CONSTRAINT "waitlist_entries_offeredSlotId_fkey" FOREIGN KEY ("offeredSlotId") REFERENCES "public"."slots"("id") ON DELETE SET NULL ON UPDATE CASCADE;
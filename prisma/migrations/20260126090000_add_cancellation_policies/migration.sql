@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "public"."cancellation_requests" ADD COLUMN     "cancellationFee" DECIMAL(65,30),
+ADD COLUMN     "policyId" TEXT,
+ADD COLUMN     "refundAmount" DECIMAL(65,30),
+ADD COLUMN     "refundPercent" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."cancellation_policies" (
+    "id" TEXT NOT NULL,
+    "clinicId" TEXT NOT NULL,
+    "doctorId" TEXT,
+    "paymentMode" "public"."SlotPaymentMode",
+    "name" TEXT,
+    "minNoticeHours" INTEGER NOT NULL DEFAULT 24,
+    "refundTiers" JSONB NOT NULL,
+    "cancellationFee" DECIMAL(65,30) NOT NULL DEFAULT 0,
+    "refundRescheduled" BOOLEAN NOT NULL DEFAULT false,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "deletedAt" TIMESTAMP(3),
+
+    CONSTRAINT "cancellation_policies_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "cancellation_policies_clinicId_doctorId_idx" ON "public"."cancellation_policies"("clinicId", "doctorId");
+
+-- AddForeignKey
+ALTER TABLE "public"."cancellation_policies" ADD CONSTRAINT "cancellation_policies_clinicId_fkey" FOREIGN KEY ("clinicId") REFERENCES "public"."clinics"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."cancellation_policies" ADD CONSTRAINT "cancellation_policies_doctorId_fkey" FOREIGN KEY ("doctorId") REFERENCES "public"."doctors"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,44 @@
+-- CreateEnum
+CREATE TYPE "public"."RefundStatus" AS ENUM ('PENDING', 'PROCESSED', 'FAILED');
+
+-- AlterEnum
+ALTER TYPE "public"."PaymentStatus" ADD VALUE 'PARTIALLY_REFUNDED';
+
+-- CreateTable
+CREATE TABLE "public"."refunds" (
+    "id" TEXT NOT NULL,
+    "paymentId" TEXT NOT NULL,
+    "appointmentId" TEXT NOT NULL,
+    "clinicId" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "amount" DECIMAL(65,30) NOT NULL,
+    "status" "public"."RefundStatus" NOT NULL DEFAULT 'PENDING',
+    "source" TEXT NOT NULL,
+    "reason" TEXT,
+    "gatewayRefundId" TEXT,
+    "failureReason" TEXT,
+    "initiatedById" TEXT,
+    "processedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "refunds_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "refunds_gatewayRefundId_key" ON "public"."refunds"("gatewayRefundId");
+
+-- CreateIndex
+CREATE INDEX "refunds_paymentId_idx" ON "public"."refunds"("paymentId");
+
+-- CreateIndex
+CREATE INDEX "refunds_clinicId_createdAt_idx" ON "public"."refunds"("clinicId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."refunds" ADD CONSTRAINT "refunds_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "public"."payments"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."refunds" ADD CONSTRAINT "refunds_appointmentId_fkey" FOREIGN KEY ("appointmentId") REFERENCES "public"."appointments"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."refunds" ADD CONSTRAINT "refunds_clinicId_fkey" FOREIGN KEY ("clinicId") REFERENCES "public"."clinics"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
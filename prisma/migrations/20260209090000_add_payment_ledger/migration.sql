@@ -0,0 +1,80 @@
+-- CreateEnum
+CREATE TYPE "public"."LedgerEntryType" AS ENUM ('CHARGE', 'RESCHEDULE_DIFFERENCE', 'REFUND', 'CASH_COLLECTED');
+
+-- CreateEnum
+CREATE TYPE "public"."LedgerDirection" AS ENUM ('CREDIT', 'DEBIT');
+
+-- CreateTable
+CREATE TABLE "public"."payment_transactions" (
+    "id" TEXT NOT NULL,
+    "clinicId" TEXT NOT NULL,
+    "appointmentId" TEXT NOT NULL,
+    "doctorId" TEXT NOT NULL,
+    "paymentId" TEXT,
+    "refundId" TEXT,
+    "type" "public"."LedgerEntryType" NOT NULL,
+    "direction" "public"."LedgerDirection" NOT NULL,
+    "amount" DECIMAL(65,30) NOT NULL,
+    "provider" TEXT NOT NULL,
+    "gatewayRef" TEXT,
+    "balanceAfter" DECIMAL(65,30) NOT NULL,
+    "note" TEXT,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "payment_transactions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payment_transactions_refundId_key" ON "public"."payment_transactions"("refundId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payment_transactions_gatewayRef_key" ON "public"."payment_transactions"("gatewayRef");
+
+-- CreateIndex
+CREATE INDEX "payment_transactions_clinicId_createdAt_idx" ON "public"."payment_transactions"("clinicId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "payment_transactions_appointmentId_createdAt_idx" ON "public"."payment_transactions"("appointmentId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."payment_transactions" ADD CONSTRAINT "payment_transactions_clinicId_fkey" FOREIGN KEY ("clinicId") REFERENCES "public"."clinics"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."payment_transactions" ADD CONSTRAINT "payment_transactions_appointmentId_fkey" FOREIGN KEY ("appointmentId") REFERENCES "public"."appointments"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."payment_transactions" ADD CONSTRAINT "payment_transactions_doctorId_fkey" FOREIGN KEY ("doctorId") REFERENCES "public"."doctors"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."payment_transactions" ADD CONSTRAINT "payment_transactions_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "public"."payments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."payment_transactions" ADD CONSTRAINT "payment_transactions_refundId_fkey" FOREIGN KEY ("refundId") REFERENCES "public"."refunds"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: existing charges
+INSERT INTO "public"."payment_transactions" ("id", "clinicId", "appointmentId", "doctorId", "paymentId", "type", "direction", "amount", "provider", "gatewayRef", "balanceAfter", "note", "createdAt")
+SELECT gen_random_uuid()::text, p."clinicId", p."appointmentId", p."doctorId", p."id", 'CHARGE', 'CREDIT', p."amount",
+       COALESCE(g."name", 'UNKNOWN'), p."gatewayRefId", p."amount", 'Backfilled from payments', p."createdAt"
+FROM "public"."payments" p
+LEFT JOIN "public"."payment_gateways" g ON g."id" = p."gatewayId"
+WHERE p."status" IN ('PAID', 'REFUNDED', 'PARTIALLY_REFUNDED');
+
+-- Backfill: processed refunds
+INSERT INTO "public"."payment_transactions" ("id", "clinicId", "appointmentId", "doctorId", "paymentId", "refundId", "type", "direction", "amount", "provider", "gatewayRef", "balanceAfter", "note", "createdAt")
+SELECT gen_random_uuid()::text, r."clinicId", r."appointmentId", p."doctorId", r."paymentId", r."id", 'REFUND', 'DEBIT', r."amount",
+       r."provider", r."gatewayRefundId",
+       p."amount" - SUM(r."amount") OVER (PARTITION BY r."paymentId" ORDER BY r."createdAt"),
+       'Backfilled from refunds', COALESCE(r."processedAt", r."createdAt")
+FROM "public"."refunds" r
+JOIN "public"."payments" p ON p."id" = r."paymentId"
+WHERE r."status" = 'PROCESSED';
+
+-- Backfill: refunds made before the refunds table existed
+INSERT INTO "public"."payment_transactions" ("id", "clinicId", "appointmentId", "doctorId", "paymentId", "type", "direction", "amount", "provider", "balanceAfter", "note", "createdAt")
+SELECT gen_random_uuid()::text, p."clinicId", p."appointmentId", p."doctorId", p."id", 'REFUND', 'DEBIT', p."amount",
+       COALESCE(g."name", 'UNKNOWN'), 0, 'Backfilled legacy refund', p."createdAt"
+FROM "public"."payments" p
+LEFT JOIN "public"."payment_gateways" g ON g."id" = p."gatewayId"
+WHERE p."status" = 'REFUNDED'
+  AND NOT EXISTS (SELECT 1 FROM "public"."refunds" r WHERE r."paymentId" = p."id");
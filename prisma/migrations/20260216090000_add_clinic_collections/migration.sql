@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "public"."payment_transactions" ADD COLUMN     "collectedBy" TEXT,
+ADD COLUMN     "receiptNumber" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payment_transactions_clinicId_receiptNumber_key" ON "public"."payment_transactions"("clinicId", "receiptNumber");
@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE "public"."clinics" ADD COLUMN     "invoiceSeq" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "public"."invoices" (
+    "id" TEXT NOT NULL,
+    "clinicId" TEXT NOT NULL,
+    "appointmentId" TEXT NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "invoiceNumber" TEXT NOT NULL,
+    "subtotal" DECIMAL(65,30) NOT NULL,
+    "taxAmount" DECIMAL(65,30) NOT NULL DEFAULT 0,
+    "total" DECIMAL(65,30) NOT NULL,
+    "taxBreakdown" JSONB,
+    "issuedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "invoices_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invoices_appointmentId_key" ON "public"."invoices"("appointmentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invoices_clinicId_invoiceNumber_key" ON "public"."invoices"("clinicId", "invoiceNumber");
+
+-- AddForeignKey
+ALTER TABLE "public"."invoices" ADD CONSTRAINT "invoices_clinicId_fkey" FOREIGN KEY ("clinicId") REFERENCES "public"."clinics"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."invoices" ADD CONSTRAINT "invoices_appointmentId_fkey" FOREIGN KEY ("appointmentId") REFERENCES "public"."appointments"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,41 @@
+-- AlterTable
+ALTER TABLE "public"."clinics" ADD COLUMN     "gstStateCode" TEXT,
+ADD COLUMN     "gstin" TEXT;
+
+-- AlterTable
+ALTER TABLE "public"."appointments" ADD COLUMN     "taxAmount" DECIMAL(65,30),
+ADD COLUMN     "taxBreakdown" JSONB,
+ADD COLUMN     "taxableAmount" DECIMAL(65,30);
+
+-- AlterTable
+ALTER TABLE "public"."subscriptions" ADD COLUMN     "taxAmount" DECIMAL(65,30),
+ADD COLUMN     "taxBreakdown" JSONB;
+
+-- AlterTable
+ALTER TABLE "public"."registration_payments" ADD COLUMN     "gstin" TEXT,
+ADD COLUMN     "taxAmount" DECIMAL(65,30),
+ADD COLUMN     "taxBreakdown" JSONB,
+ADD COLUMN     "taxableAmount" DECIMAL(65,30);
+
+-- CreateTable
+CREATE TABLE "public"."tax_rates" (
+    "id" TEXT NOT NULL,
+    "clinicId" TEXT,
+    "service" TEXT NOT NULL,
+    "name" TEXT NOT NULL DEFAULT 'GST',
+    "rate" DECIMAL(65,30) NOT NULL DEFAULT 0,
+    "sacCode" TEXT,
+    "priceIncludesTax" BOOLEAN NOT NULL DEFAULT false,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "deletedAt" TIMESTAMP(3),
+
+    CONSTRAINT "tax_rates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "tax_rates_clinicId_service_idx" ON "public"."tax_rates"("clinicId", "service");
+
+-- AddForeignKey
+ALTER TABLE "public"."tax_rates" ADD CONSTRAINT "tax_rates_clinicId_fkey" FOREIGN KEY ("clinicId") REFERENCES "public"."clinics"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,44 @@
+-- AlterEnum
+ALTER TYPE "public"."SubscriptionStatus" ADD VALUE 'PAST_DUE';
+
+-- AlterTable
+ALTER TABLE "public"."subscriptions" ADD COLUMN     "autoRenew" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "gatewayProvider" TEXT,
+ADD COLUMN     "pastDueSince" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "public"."subscription_payments" (
+    "id" TEXT NOT NULL,
+    "subscriptionId" TEXT NOT NULL,
+    "clinicId" TEXT NOT NULL,
+    "planId" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "amount" DECIMAL(65,30) NOT NULL,
+    "taxableAmount" DECIMAL(65,30),
+    "taxAmount" DECIMAL(65,30),
+    "taxBreakdown" JSONB,
+    "gstin" TEXT,
+    "gatewayPaymentId" TEXT,
+    "gatewayInvoiceId" TEXT,
+    "periodEnd" TIMESTAMP(3),
+    "failureReason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "subscription_payments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "subscriptions_gatewaySubscriptionId_key" ON "public"."subscriptions"("gatewaySubscriptionId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "subscription_payments_gatewayPaymentId_key" ON "public"."subscription_payments"("gatewayPaymentId");
+
+-- CreateIndex
+CREATE INDEX "subscription_payments_clinicId_createdAt_idx" ON "public"."subscription_payments"("clinicId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."subscription_payments" ADD CONSTRAINT "subscription_payments_subscriptionId_fkey" FOREIGN KEY ("subscriptionId") REFERENCES "public"."subscriptions"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."subscription_payments" ADD CONSTRAINT "subscription_payments_clinicId_fkey" FOREIGN KEY ("clinicId") REFERENCES "public"."clinics"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
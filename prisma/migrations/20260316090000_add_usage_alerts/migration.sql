@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "public"."usage_alerts" (
+    "id" TEXT NOT NULL,
+    "clinicId" TEXT NOT NULL,
+    "metric" TEXT NOT NULL,
+    "threshold" INTEGER NOT NULL,
+    "periodStart" TIMESTAMP(3) NOT NULL,
+    "used" INTEGER NOT NULL,
+    "limit" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "usage_alerts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "usage_alerts_clinicId_metric_threshold_periodStart_key" ON "public"."usage_alerts"("clinicId", "metric", "threshold", "periodStart");
+
+-- AddForeignKey
+ALTER TABLE "public"."usage_alerts" ADD CONSTRAINT "usage_alerts_clinicId_fkey" FOREIGN KEY ("clinicId") REFERENCES "public"."clinics"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
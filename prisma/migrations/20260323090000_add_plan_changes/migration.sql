@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "public"."subscriptions" ADD COLUMN     "deactivateDoctorIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "pendingPlanId" TEXT,
+ADD COLUMN     "prorationCredit" DECIMAL(65,30),
+ADD COLUMN     "scheduledChangeAt" TIMESTAMP(3),
+ADD COLUMN     "scheduledPlanId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "subscriptions_scheduledChangeAt_idx" ON "public"."subscriptions"("scheduledChangeAt");
@@ -0,0 +1,38 @@
+-- CreateTable
+CREATE TABLE "public"."plan_entitlements" (
+    "id" TEXT NOT NULL,
+    "planId" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "value" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "plan_entitlements_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."clinic_entitlements" (
+    "id" TEXT NOT NULL,
+    "clinicId" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "value" JSONB NOT NULL,
+    "note" TEXT,
+    "expiresAt" TIMESTAMP(3),
+    "grantedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "clinic_entitlements_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "plan_entitlements_planId_key_key" ON "public"."plan_entitlements"("planId", "key");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "clinic_entitlements_clinicId_key_key" ON "public"."clinic_entitlements"("clinicId", "key");
+
+-- AddForeignKey
+ALTER TABLE "public"."plan_entitlements" ADD CONSTRAINT "plan_entitlements_planId_fkey" FOREIGN KEY ("planId") REFERENCES "public"."plans"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."clinic_entitlements" ADD CONSTRAINT "clinic_entitlements_clinicId_fkey" FOREIGN KEY ("clinicId") REFERENCES "public"."clinics"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
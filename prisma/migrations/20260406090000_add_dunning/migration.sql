@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "public"."clinics" ADD COLUMN     "suspendedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "public"."subscriptions" ADD COLUMN     "dunningLinkId" TEXT,
+ADD COLUMN     "dunningLinkUrl" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "subscriptions_dunningLinkId_key" ON "public"."subscriptions"("dunningLinkId");
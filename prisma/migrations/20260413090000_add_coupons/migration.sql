@@ -0,0 +1,67 @@
+-- CreateTable
+CREATE TABLE "public"."coupons" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "scope" TEXT NOT NULL,
+    "clinicId" TEXT,
+    "description" TEXT,
+    "discountType" TEXT NOT NULL,
+    "discountValue" DECIMAL(65,30) NOT NULL,
+    "maxDiscount" DECIMAL(65,30),
+    "minAmount" DECIMAL(65,30),
+    "doctorIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "planIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "appointmentFrom" TIMESTAMP(3),
+    "appointmentTo" TIMESTAMP(3),
+    "validFrom" TIMESTAMP(3),
+    "validUntil" TIMESTAMP(3),
+    "maxRedemptions" INTEGER,
+    "perUserLimit" INTEGER DEFAULT 1,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "deletedAt" TIMESTAMP(3),
+
+    CONSTRAINT "coupons_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."coupon_redemptions" (
+    "id" TEXT NOT NULL,
+    "couponId" TEXT NOT NULL,
+    "clinicId" TEXT NOT NULL,
+    "userId" TEXT,
+    "appointmentId" TEXT,
+    "subscriptionId" TEXT,
+    "orderRef" TEXT,
+    "amountBefore" DECIMAL(65,30) NOT NULL,
+    "discountAmount" DECIMAL(65,30) NOT NULL DEFAULT 0,
+    "trialDaysAdded" INTEGER,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "coupon_redemptions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "coupons_code_idx" ON "public"."coupons"("code");
+
+-- CreateIndex
+CREATE INDEX "coupons_clinicId_idx" ON "public"."coupons"("clinicId");
+
+-- CreateIndex
+CREATE INDEX "coupon_redemptions_couponId_status_idx" ON "public"."coupon_redemptions"("couponId", "status");
+
+-- CreateIndex
+CREATE INDEX "coupon_redemptions_orderRef_idx" ON "public"."coupon_redemptions"("orderRef");
+
+-- AddForeignKey
+ALTER TABLE "public"."coupons" ADD CONSTRAINT "coupons_clinicId_fkey" FOREIGN KEY ("clinicId") REFERENCES "public"."clinics"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."coupon_redemptions" ADD CONSTRAINT "coupon_redemptions_couponId_fkey" FOREIGN KEY ("couponId") REFERENCES "public"."coupons"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."coupon_redemptions" ADD CONSTRAINT "coupon_redemptions_appointmentId_fkey" FOREIGN KEY ("appointmentId") REFERENCES "public"."appointments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,85 @@
+-- DropForeignKey
+ALTER TABLE "public"."payments" DROP CONSTRAINT "payments_gatewayId_fkey";
+
+-- AlterTable
+ALTER TABLE "public"."appointments" ADD COLUMN     "collectedVia" TEXT NOT NULL DEFAULT 'CLINIC';
+
+-- AlterTable
+ALTER TABLE "public"."payments" ALTER COLUMN "gatewayId" DROP NOT NULL;
+
+-- AlterTable
+ALTER TABLE "public"."plans" ADD COLUMN     "commissionType" TEXT,
+ADD COLUMN     "commissionValue" DECIMAL(65,30);
+
+-- CreateTable
+CREATE TABLE "public"."settlement_entries" (
+    "id" TEXT NOT NULL,
+    "clinicId" TEXT NOT NULL,
+    "appointmentId" TEXT NOT NULL,
+    "transactionId" TEXT NOT NULL,
+    "type" "public"."LedgerEntryType" NOT NULL,
+    "gross" DECIMAL(65,30) NOT NULL,
+    "commission" DECIMAL(65,30) NOT NULL DEFAULT 0,
+    "net" DECIMAL(65,30) NOT NULL,
+    "commissionType" TEXT,
+    "commissionValue" DECIMAL(65,30),
+    "batchId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "settlement_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."settlement_batches" (
+    "id" TEXT NOT NULL,
+    "clinicId" TEXT NOT NULL,
+    "periodStart" TIMESTAMP(3) NOT NULL,
+    "periodEnd" TIMESTAMP(3) NOT NULL,
+    "grossAmount" DECIMAL(65,30) NOT NULL DEFAULT 0,
+    "commissionAmount" DECIMAL(65,30) NOT NULL DEFAULT 0,
+    "refundAmount" DECIMAL(65,30) NOT NULL DEFAULT 0,
+    "netPayable" DECIMAL(65,30) NOT NULL DEFAULT 0,
+    "entryCount" INTEGER NOT NULL DEFAULT 0,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "paidAt" TIMESTAMP(3),
+    "payoutReference" TEXT,
+    "bankName" TEXT,
+    "accountNumber" TEXT,
+    "ifscCode" TEXT,
+    "generatedById" TEXT,
+    "paidById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "settlement_batches_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "settlement_entries_transactionId_key" ON "public"."settlement_entries"("transactionId");
+
+-- CreateIndex
+CREATE INDEX "settlement_entries_clinicId_createdAt_idx" ON "public"."settlement_entries"("clinicId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "settlement_entries_batchId_idx" ON "public"."settlement_entries"("batchId");
+
+-- CreateIndex
+CREATE INDEX "settlement_batches_status_idx" ON "public"."settlement_batches"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "settlement_batches_clinicId_periodStart_periodEnd_key" ON "public"."settlement_batches"("clinicId", "periodStart", "periodEnd");
+
+-- AddForeignKey
+ALTER TABLE "public"."payments" ADD CONSTRAINT "payments_gatewayId_fkey" FOREIGN KEY ("gatewayId") REFERENCES "public"."payment_gateways"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."settlement_entries" ADD CONSTRAINT "settlement_entries_clinicId_fkey" FOREIGN KEY ("clinicId") REFERENCES "public"."clinics"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."settlement_entries" ADD CONSTRAINT "settlement_entries_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "public"."payment_transactions"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."settlement_entries" ADD CONSTRAINT "settlement_entries_batchId_fkey" FOREIGN KEY ("batchId") REFERENCES "public"."settlement_batches"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."settlement_batches" ADD CONSTRAINT "settlement_batches_clinicId_fkey" FOREIGN KEY ("clinicId") REFERENCES "public"."clinics"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "public"."webhook_events" (
+    "id" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "eventId" TEXT NOT NULL,
+    "eventType" TEXT,
+    "reference" TEXT,
+    "payload" JSONB NOT NULL,
+    "signature" TEXT,
+    "signatureValid" BOOLEAN NOT NULL DEFAULT false,
+    "status" TEXT NOT NULL DEFAULT 'RECEIVED',
+    "result" JSONB,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastError" TEXT,
+    "lastAttemptAt" TIMESTAMP(3),
+    "nextRetryAt" TIMESTAMP(3),
+    "processedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "webhook_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "webhook_events_status_nextRetryAt_idx" ON "public"."webhook_events"("status", "nextRetryAt");
+
+-- CreateIndex
+CREATE INDEX "webhook_events_reference_idx" ON "public"."webhook_events"("reference");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "webhook_events_provider_eventId_key" ON "public"."webhook_events"("provider", "eventId");
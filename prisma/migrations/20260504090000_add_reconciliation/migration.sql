@@ -0,0 +1,53 @@
+-- CreateTable
+CREATE TABLE "public"."reconciliation_runs" (
+    "id" TEXT NOT NULL,
+    "periodStart" TIMESTAMP(3) NOT NULL,
+    "periodEnd" TIMESTAMP(3) NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'RUNNING',
+    "summary" JSONB,
+    "error" TEXT,
+    "triggeredById" TEXT,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+
+    CONSTRAINT "reconciliation_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."reconciliation_items" (
+    "id" TEXT NOT NULL,
+    "runId" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "collectedVia" TEXT,
+    "clinicId" TEXT,
+    "appointmentId" TEXT,
+    "gatewayPaymentId" TEXT NOT NULL,
+    "gatewayOrderId" TEXT,
+    "type" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "gatewayStatus" TEXT,
+    "gatewayAmount" DECIMAL(65,30),
+    "recordedAmount" DECIMAL(65,30),
+    "note" TEXT,
+    "resolvedAt" TIMESTAMP(3),
+    "resolvedById" TEXT,
+    "resolutionNote" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "reconciliation_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "reconciliation_runs_startedAt_idx" ON "public"."reconciliation_runs"("startedAt");
+
+-- CreateIndex
+CREATE INDEX "reconciliation_items_clinicId_action_idx" ON "public"."reconciliation_items"("clinicId", "action");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "reconciliation_items_provider_gatewayPaymentId_type_key" ON "public"."reconciliation_items"("provider", "gatewayPaymentId", "type");
+
+-- AddForeignKey
+ALTER TABLE "public"."reconciliation_items" ADD CONSTRAINT "reconciliation_items_runId_fkey" FOREIGN KEY ("runId") REFERENCES "public"."reconciliation_runs"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."reconciliation_items" ADD CONSTRAINT "reconciliation_items_clinicId_fkey" FOREIGN KEY ("clinicId") REFERENCES "public"."clinics"("id") ON DELETE SET NULL ON UPDATE CASCADE;
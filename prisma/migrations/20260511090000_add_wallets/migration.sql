@@ -0,0 +1,64 @@
+-- AlterTable
+ALTER TABLE "public"."appointments" ADD COLUMN     "walletAmount" DECIMAL(65,30);
+
+-- CreateTable
+CREATE TABLE "public"."wallets" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "clinicId" TEXT NOT NULL,
+    "balance" DECIMAL(65,30) NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "wallets_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."wallet_transactions" (
+    "id" TEXT NOT NULL,
+    "walletId" TEXT NOT NULL,
+    "clinicId" TEXT NOT NULL,
+    "appointmentId" TEXT,
+    "refundId" TEXT,
+    "direction" "public"."LedgerDirection" NOT NULL,
+    "amount" DECIMAL(65,30) NOT NULL,
+    "balanceAfter" DECIMAL(65,30),
+    "reason" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'POSTED',
+    "note" TEXT,
+    "createdById" TEXT,
+    "postedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "wallet_transactions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "wallets_userId_clinicId_key" ON "public"."wallets"("userId", "clinicId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "wallet_transactions_refundId_key" ON "public"."wallet_transactions"("refundId");
+
+-- CreateIndex
+CREATE INDEX "wallet_transactions_walletId_createdAt_idx" ON "public"."wallet_transactions"("walletId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "wallet_transactions_appointmentId_idx" ON "public"."wallet_transactions"("appointmentId");
+
+-- AddForeignKey
+ALTER TABLE "public"."wallets" ADD CONSTRAINT "wallets_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."user"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."wallets" ADD CONSTRAINT "wallets_clinicId_fkey" FOREIGN KEY ("clinicId") REFERENCES "public"."clinics"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."wallet_transactions" ADD CONSTRAINT "wallet_transactions_walletId_fkey" FOREIGN KEY ("walletId") REFERENCES "public"."wallets"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."wallet_transactions" ADD CONSTRAINT "wallet_transactions_clinicId_fkey" FOREIGN KEY ("clinicId") REFERENCES "public"."clinics"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."wallet_transactions" ADD CONSTRAINT "wallet_transactions_appointmentId_fkey" FOREIGN KEY ("appointmentId") REFERENCES "public"."appointments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."wallet_transactions" ADD CONSTRAINT "wallet_transactions_refundId_fkey" FOREIGN KEY ("refundId") REFERENCES "public"."refunds"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,44 @@
+-- AlterTable
+ALTER TABLE "public"."clinics" ADD COLUMN     "notificationChannels" TEXT[] DEFAULT ARRAY['EMAIL']::TEXT[];
+
+-- AlterTable
+ALTER TABLE "public"."user" ADD COLUMN     "notificationChannels" TEXT[] DEFAULT ARRAY['EMAIL', 'SMS', 'WHATSAPP']::TEXT[];
+
+-- CreateTable
+CREATE TABLE "public"."notification_deliveries" (
+    "id" TEXT NOT NULL,
+    "clinicId" TEXT,
+    "userId" TEXT,
+    "appointmentId" TEXT,
+    "event" TEXT NOT NULL,
+    "channel" TEXT NOT NULL,
+    "transport" TEXT NOT NULL,
+    "recipient" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "providerRef" TEXT,
+    "error" TEXT,
+    "sentAt" TIMESTAMP(3),
+    "deliveredAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "notification_deliveries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "notification_deliveries_clinicId_createdAt_idx" ON "public"."notification_deliveries"("clinicId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "notification_deliveries_appointmentId_idx" ON "public"."notification_deliveries"("appointmentId");
+
+-- CreateIndex
+CREATE INDEX "notification_deliveries_providerRef_idx" ON "public"."notification_deliveries"("providerRef");
+
+-- AddForeignKey
+ALTER TABLE "public"."notification_deliveries" ADD CONSTRAINT "notification_deliveries_clinicId_fkey" FOREIGN KEY ("clinicId") REFERENCES "public"."clinics"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."notification_deliveries" ADD CONSTRAINT "notification_deliveries_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."user"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."notification_deliveries" ADD CONSTRAINT "notification_deliveries_appointmentId_fkey" FOREIGN KEY ("appointmentId") REFERENCES "public"."appointments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,47 @@
+-- CreateTable
+CREATE TABLE "public"."reminder_rules" (
+    "id" TEXT NOT NULL,
+    "clinicId" TEXT NOT NULL,
+    "name" TEXT,
+    "offsetMinutes" INTEGER NOT NULL,
+    "subject" TEXT,
+    "body" TEXT,
+    "includePending" BOOLEAN NOT NULL DEFAULT false,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "deletedAt" TIMESTAMP(3),
+
+    CONSTRAINT "reminder_rules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."reminder_sends" (
+    "id" TEXT NOT NULL,
+    "ruleKey" TEXT NOT NULL,
+    "ruleId" TEXT,
+    "appointmentId" TEXT NOT NULL,
+    "startsAt" TIMESTAMP(3) NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'SENT',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "reminder_sends_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "reminder_rules_clinicId_idx" ON "public"."reminder_rules"("clinicId");
+
+-- CreateIndex
+CREATE INDEX "reminder_sends_appointmentId_idx" ON "public"."reminder_sends"("appointmentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "reminder_sends_ruleKey_appointmentId_startsAt_key" ON "public"."reminder_sends"("ruleKey", "appointmentId", "startsAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."reminder_rules" ADD CONSTRAINT "reminder_rules_clinicId_fkey" FOREIGN KEY ("clinicId") REFERENCES "public"."clinics"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."reminder_sends" ADD CONSTRAINT "reminder_sends_ruleId_fkey" FOREIGN KEY ("ruleId") REFERENCES "public"."reminder_rules"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."reminder_sends" ADD CONSTRAINT "reminder_sends_appointmentId_fkey" FOREIGN KEY ("appointmentId") REFERENCES "public"."appointments"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "public"."jobs" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "payload" JSONB NOT NULL DEFAULT '{}',
+    "status" TEXT NOT NULL DEFAULT 'QUEUED',
+    "uniqueKey" TEXT,
+    "runAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "maxAttempts" INTEGER NOT NULL DEFAULT 5,
+    "lockedBy" TEXT,
+    "lockedAt" TIMESTAMP(3),
+    "result" JSONB,
+    "lastError" TEXT,
+    "startedAt" TIMESTAMP(3),
+    "finishedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "jobs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "jobs_uniqueKey_key" ON "public"."jobs"("uniqueKey");
+
+-- CreateIndex
+CREATE INDEX "jobs_status_runAt_idx" ON "public"."jobs"("status", "runAt");
+
+-- CreateIndex
+CREATE INDEX "jobs_name_createdAt_idx" ON "public"."jobs"("name", "createdAt");
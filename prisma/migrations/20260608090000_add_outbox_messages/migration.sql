@@ -0,0 +1,33 @@
+-- CreateTable
+CREATE TABLE "public"."outbox_messages" (
+    "id" TEXT NOT NULL,
+    "clinicId" TEXT,
+    "appointmentId" TEXT,
+    "type" TEXT NOT NULL,
+    "payload" JSONB NOT NULL DEFAULT '{}',
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "nextAttemptAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastError" TEXT,
+    "result" JSONB,
+    "sentAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "outbox_messages_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "outbox_messages_status_nextAttemptAt_idx" ON "public"."outbox_messages"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE INDEX "outbox_messages_clinicId_status_idx" ON "public"."outbox_messages"("clinicId", "status");
+
+-- CreateIndex
+CREATE INDEX "outbox_messages_appointmentId_idx" ON "public"."outbox_messages"("appointmentId");
+
+-- AddForeignKey
+ALTER TABLE "public"."outbox_messages" ADD CONSTRAINT "outbox_messages_clinicId_fkey" FOREIGN KEY ("clinicId") REFERENCES "public"."clinics"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."outbox_messages" ADD CONSTRAINT "outbox_messages_appointmentId_fkey" FOREIGN KEY ("appointmentId") REFERENCES "public"."appointments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
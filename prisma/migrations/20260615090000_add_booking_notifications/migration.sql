@@ -0,0 +1,5 @@
+-- AlterEnum
+ALTER TYPE "public"."NotificationType" ADD VALUE 'BOOKING';
+
+-- CreateIndex
+CREATE INDEX "Notification_clinicId_createdAt_idx" ON "public"."Notification"("clinicId", "createdAt");
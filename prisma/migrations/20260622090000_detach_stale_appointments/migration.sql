@@ -0,0 +1,18 @@
+-- DropIndex
+DROP INDEX "public"."appointments_slotId_key";
+
+-- AlterTable
+ALTER TABLE "public"."appointments" ADD COLUMN     "activeSlotId" TEXT,
+ADD COLUMN     "detachedAt" TIMESTAMP(3);
+
+-- Every existing appointment still holds its slot
+UPDATE "public"."appointments" SET "activeSlotId" = "slotId";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "appointments_activeSlotId_key" ON "public"."appointments"("activeSlotId");
+
+-- CreateIndex
+CREATE INDEX "appointments_slotId_idx" ON "public"."appointments"("slotId");
+
+-- AddForeignKey
+ALTER TABLE "public"."appointments" ADD CONSTRAINT "appointments_activeSlotId_fkey" FOREIGN KEY ("activeSlotId") REFERENCES "public"."slots"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "public"."subscriptions" ADD COLUMN     "pendingGatewayProvider" TEXT,
+ADD COLUMN     "pendingGatewaySubscriptionId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "subscriptions_pendingGatewaySubscriptionId_key" ON "public"."subscriptions"("pendingGatewaySubscriptionId");
@@ -0,0 +1,25 @@
+-- DropIndex
+DROP INDEX "public"."invoices_appointmentId_key";
+
+-- AlterTable
+ALTER TABLE "public"."invoices" ADD COLUMN     "activeAppointmentId" TEXT,
+ADD COLUMN     "cancelledAt" TIMESTAMP(3),
+ADD COLUMN     "replacesId" TEXT;
+
+-- Every existing invoice is the one in force for its appointment
+UPDATE "public"."invoices" SET "activeAppointmentId" = "appointmentId";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invoices_activeAppointmentId_key" ON "public"."invoices"("activeAppointmentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invoices_replacesId_key" ON "public"."invoices"("replacesId");
+
+-- CreateIndex
+CREATE INDEX "invoices_appointmentId_idx" ON "public"."invoices"("appointmentId");
+
+-- AddForeignKey
+ALTER TABLE "public"."invoices" ADD CONSTRAINT "invoices_activeAppointmentId_fkey" FOREIGN KEY ("activeAppointmentId") REFERENCES "public"."appointments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."invoices" ADD CONSTRAINT "invoices_replacesId_fkey" FOREIGN KEY ("replacesId") REFERENCES "public"."invoices"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -29,13 +29,14 @@ import ExcelJS from "exceljs";
 import PDFDocument from "pdfkit";
 import { createGoogleCalendarEvent } from '../utils/googleCalendar.js'; 
 // adminAppointmentController.js - LINE 1 (add)
-import { autoSyncAppointmentToGCal,deleteAppointmentFromGCal,  updateAppointmentOnGCal, } from '../utils/googleCalendar.js';  // 🔥 MISSING
+import { findHolidayForSlot } from '../utils/holidays.js';
+import { enqueueJob } from '../services/jobQueue.js';
+import { addToOutbox, dispatchOutbox } from '../services/outboxService.js';
+import { getCancellationOutcome, applyQuotedRefund } from '../services/cancellationPolicyService.js';
+import { refundAppointment } from '../services/refundService.js';
+import { creditToWalletFromAppointment } from '../services/walletService.js';
+import { getConsultationTax, toTaxFields } from '../services/taxService.js';
 
-
-import { sendBookingEmails,sendAppointmentStatusEmail, 
-  sendCancellationEmail 
-    } from '../utils/email.js';
-    import Razorpay from "razorpay";
 // ----------------------------------------------------------------
 // GET APPOINTMENTS (List)
 // ----------------------------------------------------------------
@@ -378,25 +379,24 @@ export const updateAppointmentStatus = async (req, res) => {
         });
       }
 
+      // GCal: CONFIRMED create/update ✅, COMPLETED update ✅, NO_SHOW / CANCELLED / REJECTED remove ✅
+      const gcalType = status === "CONFIRMED" ? "GCAL_SYNC" : status === "COMPLETED" ? "GCAL_UPDATE" : "GCAL_DELETE";
+      await addToOutbox(gcalType, { clinicId, appointmentId: id }, tx);
+
+      // 🔥 SEND EMAIL FOR CONFIRMED/REJECTED/CANCELLED
+      if (["CONFIRMED", "REJECTED", "CANCELLED"].includes(status)) {
+        await addToOutbox("STATUS_EMAIL", {
+          clinicId,
+          appointmentId: id,
+          status,
+          reason: reason || null,
+          adminName: req.user?.name || null,
+        }, tx);
+      }
+
       return appt;
     });
-try {
-  if (status === "CONFIRMED") {
-    await autoSyncAppointmentToGCal(id);  // create/update ✅
-  } else if (status === "COMPLETED") {
-    await updateAppointmentOnGCal(id);    // ✅ COMPLETED + transparent ✅
-  } else if (status === "NO_SHOW") {
-    await deleteAppointmentFromGCal(id);  // remove ✅
-  } else if (status === "CANCELLED" || status === "REJECTED") {
-    await deleteAppointmentFromGCal(id);  // DELETE better than update [web:203]
-  }
-} catch (e) {
-  console.error("❌ GCal admin-status sync failed:", e.message);
-}
-    // 🔥 SEND EMAIL FOR CONFIRMED/REJECTED/CANCELLED
-    if (["CONFIRMED", "REJECTED", "CANCELLED"].includes(status)) {
-      await sendAppointmentStatusEmail(existing, status, reason, req.user);
-    }
+    dispatchOutbox();
 
     await logAudit({
       userId: userId || req.user.userId,
@@ -446,7 +446,9 @@ export const rescheduleAppointmentByAdmin = async (req, res) => {
   try {
     const { clinicId, userId } = req.user;
     const { id } = req.params;
-    const { newDate, newTime, note } = req.body;
+    // refundAtClinic: hand back a price difference in cash instead of to the card
+    // refundTo: WALLET credits it to the patient's clinic wallet (cash-paid bookings too)
+    const { newDate, newTime, note, refundAtClinic, refundTo } = req.body;
 
     console.log('🔍 Admin Reschedule Request:', { id, newDate, newTime });
 
@@ -506,6 +508,10 @@ if (!newSlot) {
   });
 }
 
+if (await findHolidayForSlot(newSlot)) {
+  return res.status(409).json({ error: 'Clinic is closed or the doctor is on leave on this date.' });
+}
+
 console.log('✅ Found existing slot:', newSlot.id, 'Price:', newSlot.price);
     // 4. Collision Check
     const anyApptOnSlot = await prisma.appointment.findFirst({
@@ -558,7 +564,8 @@ if (paymentHolds) {
 
    // 🔥 5. FINANCIAL LOGIC
 const oldPaidAmount = appt.paymentStatus === "PAID" ? Number(appt.amount || 0) : 0;
-const newPrice = Number(newSlot.price || 0);
+const newTax = await getConsultationTax(newSlot);
+const newPrice = newTax.total;
 
 let financialStatus = 'NO_CHANGE';
 let diffAmount = 0;
@@ -607,10 +614,12 @@ console.log(`💰 Financial Update: ${financialStatus} | Total: ${newPrice} | Di
         where: { id: appt.id },
         data: {
           slotId: newSlot.id,
+          activeSlotId: newSlot.id,
           status: 'CONFIRMED',           // ✅ Admin = INSTANT CONFIRM
           paymentStatus: appt.paymentStatus, // ✅ Keep original status
           financialStatus,
           amount: newPrice,
+          ...toTaxFields(newTax),
           diffAmount,
           adminNote,
           updatedAt: new Date(),
@@ -647,20 +656,72 @@ console.log(`💰 Financial Update: ${financialStatus} | Total: ${newPrice} | Di
         },
       });
 
+      // Patient notice + calendar move (outbox, sent after commit)
+      await addToOutbox('STATUS_EMAIL', {
+        clinicId: appt.clinicId,
+        appointmentId: appt.id,
+        status: 'RESCHEDULED',
+        reason: note || null,
+        adminName: req.user?.name || null,
+        previousSlot: { date: oldSlot.date, time: oldSlot.time },
+      }, tx);
+      await addToOutbox('GCAL_SYNC', { clinicId: appt.clinicId, appointmentId: appt.id, replace: true }, tx);
+
       return updatedAppt;
     });
+    dispatchOutbox();
 
     console.log('✅ Reschedule COMPLETE');
+    enqueueJob('waitlist.offer-slot', { slotId: oldSlot.id }).catch(console.error); // ⏳ old slot is free again
+
+    // 💸 Cheaper slot + prepaid → send the difference back to the card / wallet
+    let finalAppt = updated;
+    let financialAction = adminNote;
+    const toWallet = refundTo === 'WALLET';
+    const isPrepaid = !!appt.payment?.gatewayRefId || Number(appt.walletAmount || 0) > 0;
+    if (financialStatus === 'REFUND_AT_CLINIC' && !refundAtClinic && (isPrepaid || toWallet)) {
+      try {
+        let refundRef;
+        if (isPrepaid) {
+          const { refund, walletTransaction } = await refundAppointment({
+            appointmentId: appt.id,
+            amount: diffAmount,
+            reason: 'Rescheduled to a cheaper slot',
+            source: 'RESCHEDULE_DOWNGRADE',
+            initiatedById: userId,
+            destination: toWallet ? 'WALLET' : 'ORIGINAL',
+          });
+          refundRef = refund?.gatewayRefundId || refund?.id || walletTransaction?.id;
+        } else {
+          // Paid at the clinic – the difference becomes wallet credit
+          const credit = await prisma.$transaction((tx) => creditToWalletFromAppointment({
+            appointment: appt,
+            amount: diffAmount,
+            reason: 'RESCHEDULE_DOWNGRADE',
+            note: 'Rescheduled to a cheaper slot',
+            createdById: userId,
+          }, tx));
+          refundRef = credit.id;
+        }
+        financialAction = toWallet
+          ? `Price decreased. ₹${diffAmount} credited to the patient's wallet (${refundRef}).`
+          : `Price decreased. Refunded ₹${diffAmount} online (${refundRef}).`;
+        finalAppt = await prisma.appointment.update({
+          where: { id: appt.id },
+          data: { financialStatus: toWallet ? 'CREDITED_TO_WALLET' : 'REFUNDED_ONLINE', adminNote: financialAction },
+          include: { slot: true, doctor: true, user: true, clinic: true, payment: true },
+        });
+      } catch (refundErr) {
+        console.error('Reschedule refund failed, left as refund at clinic:', refundErr.message);
+      }
+    }
+
     res.json({
       success: true,
-      message: `Rescheduled successfully! ${adminNote}`,
-      appointment: updated,
-      financialAction: adminNote,
+      message: `Rescheduled successfully! ${financialAction}`,
+      appointment: finalAppt,
+      financialAction,
     });
-    if (updated.googleCalendarEventId) {
-  await deleteAppointmentFromGCal(updated.id).catch(console.error); // Clear old
-}
-await autoSyncAppointmentToGCal(updated.id).catch(console.error);   
   } catch (error) {
     console.error('❌ Admin Reschedule FAILED:', error);
     if (error.statusCode) {
@@ -894,7 +955,9 @@ export const cancelAppointment = async (req, res) => {
   try {
     const { clinicId, userId } = req.user;
     const { id } = req.params;
-    const { reason } = req.body || {};
+    // onBehalfOfPatient: patient phoned in – apply their refund tiers, not a clinic-side full refund
+    // refundTo: WALLET credits the patient's clinic wallet instead of the card
+    const { reason, onBehalfOfPatient, refundTo } = req.body || {};
 
     const existing = await prisma.appointment.findFirst({
       where: { id, clinicId, deletedAt: null },
@@ -912,32 +975,31 @@ export const cancelAppointment = async (req, res) => {
       return res.status(400).json({ error: "Cannot cancel completed/no-show appointment" });
     }
 
-    const isRescheduled =
-      (existing.rescheduleCount || 0) > 0 || (existing.adminNote || "").includes("RESCHEDULED");
-
-    const POLICY_MESSAGE =
-      "Online refund is not applicable for rescheduled appointments. Please contact clinic.";
+    const outcome = await getCancellationOutcome(existing, {
+      initiatedBy: onBehalfOfPatient ? "USER" : "CLINIC",
+    });
+    const isRescheduled = outcome.isRescheduled;
+    const noRefundByPolicy = outcome.paidAmount > 0 && outcome.refundAmount <= 0;
+    const POLICY_MESSAGE = outcome.message;
 
     let refundSuccess = false;
     let refundId = null;
+    let refundedPaymentStatus = null;
 
-    // Refund only if paid & not rescheduled
-    if (existing.paymentStatus === "PAID" && !isRescheduled) {
+    // Refund whatever the clinic policy allows (gateway, then any wallet money spent on it)
+    if (outcome.refundAmount > 0 && (existing.payment?.gatewayRefId || Number(existing.walletAmount || 0) > 0)) {
       try {
-        const gatewayObj = await getPaymentInstance(clinicId, "RAZORPAY");
-        const paymentId = existing.paymentId || existing.payment?.gatewayRefId;
-
-        if (paymentId) {
-          const amountInPaise = Math.round(Number(existing.amount || 0) * 100);
-          const refund = await gatewayObj.instance.payments.refund(paymentId, {
-            amount: amountInPaise,
-            notes: { reason: "Admin Cancel", appointmentId: id },
-          });
-
-          refundSuccess = true;
-          refundId = refund?.id || null;
-          console.log("💰 Refund success:", refundId || paymentId);
-        }
+        const { refund, walletTransaction, paymentStatus } = await refundAppointment({
+          appointmentId: id,
+          amount: outcome.refundAmount,
+          reason: "Admin Cancel",
+          source: "CANCELLATION",
+          initiatedById: userId,
+          destination: refundTo === "WALLET" ? "WALLET" : "ORIGINAL",
+        });
+        refundSuccess = true;
+        refundId = refund?.gatewayRefundId || refund?.id || walletTransaction?.id;
+        refundedPaymentStatus = paymentStatus;
       } catch (refundErr) {
         console.error("Refund failed, but continuing:", refundErr.message);
       }
@@ -952,13 +1014,13 @@ export const cancelAppointment = async (req, res) => {
         where: { id },
         data: {
           status: "CANCELLED",
-          paymentStatus: refundSuccess ? "REFUNDED" : existing.paymentStatus,
+          paymentStatus: refundSuccess ? refundedPaymentStatus : existing.paymentStatus,
           cancelReason: finalReason,
           cancelledBy: "ADMIN",
-          adminNote: isRescheduled
+          adminNote: noRefundByPolicy
             ? `${existing.adminNote || ""} | POLICY: No Online Refund`.trim()
             : refundId
-              ? `Refund: ${refundId}`
+              ? `Refund: ${refundId} (₹${outcome.refundAmount})`
               : existing.adminNote,
         },
       }),
@@ -991,18 +1053,19 @@ export const cancelAppointment = async (req, res) => {
             },
           })
         : prisma.$queryRaw`SELECT 1`,
-          deleteAppointmentFromGCal(id) 
+
+      addToOutbox("GCAL_DELETE", { clinicId, appointmentId: id }),
+      addToOutbox("CANCELLATION_EMAIL", {
+        clinicId,
+        appointmentId: id,
+        reason: finalReason,
+        patientRequested: hasPendingRequest,
+        adminName: req.user?.name || null,
+      }),
     ]);
 
-    await sendCancellationEmail(
-      {
-        ...existing,
-        policyNote: isRescheduled ? POLICY_MESSAGE : null,
-      },
-      finalReason,
-      hasPendingRequest,
-      req.user
-    );
+    dispatchOutbox();
+    enqueueJob('waitlist.offer-slot', { slotId: existing.slotId }).catch(console.error); // ⏳ next on waitlist
 
     await logAudit({
       userId,
@@ -1010,13 +1073,20 @@ export const cancelAppointment = async (req, res) => {
       action: "CANCEL_APPOINTMENT",
       entity: "Appointment",
       entityId: id,
-      details: { isRescheduled, refundTriggered: refundSuccess, refundId },
+      details: {
+        isRescheduled,
+        refundTriggered: refundSuccess,
+        refundId,
+        refundAmount: outcome.refundAmount,
+        policyId: outcome.policyId,
+      },
       req,
     });
 
     return res.json({
-      message: isRescheduled ? POLICY_MESSAGE : "Appointment cancelled successfully",
+      message: noRefundByPolicy ? POLICY_MESSAGE : "Appointment cancelled successfully",
       appointment: updatedAppt,
+      policy: outcome,
     });
   } catch (error) {
     console.error("💥 Global Cancel Error:", error);
@@ -1057,6 +1127,7 @@ export const getAppointmentDetails = async (req, res) => {
         slot:   { select: { id: true, date: true, time: true, paymentMode: true, price: true } },
         clinic: true,
         logs:   { orderBy: { createdAt: "desc" } },
+        transactions: { orderBy: { createdAt: "asc" } },
       },
     });
  console.log("ADMIN APPOINTMENT DETAILS RAW:", {
@@ -1130,6 +1201,8 @@ export const getAppointmentDetails = async (req, res) => {
       timeFormatted: appointment.slot?.time ?? null,
 
       history,
+      transactions: appointment.transactions,
+      netCollected: Number(appointment.transactions.at(-1)?.balanceAfter ?? 0),
     });
   } catch (error) {
     console.error("Get Details Error:", error);
@@ -1178,6 +1251,18 @@ export const deleteAppointment = async (req, res) => {
   }
 };
 
+// ---------------- Helper: net collected + methods from the ledger ----------------
+const summariseCollections = (transactions = []) => {
+  let collected = 0;
+  const methods = new Set();
+  for (const t of transactions) {
+    const amount = Number(t.amount || 0);
+    collected += t.direction === "DEBIT" ? -amount : amount;
+    if (t.direction === "CREDIT") methods.add(t.provider);
+  }
+  return { collected, methods: [...methods].join(", ") };
+};
+
 // ----------------------------------------------------------------
 // EXPORT APPOINTMENTS TO PDF (respects filters)
 // ----------------------------------------------------------------
@@ -1215,6 +1300,7 @@ export const exportAppointmentsPdf = async (req, res) => {
         user: { select: { name: true, phone: true, email: true } },
         doctor: { select: { name: true, speciality: true } },
         slot: { select: { date: true, time: true } },
+        transactions: { select: { direction: true, amount: true, provider: true } },
       },
     });
 
@@ -1245,7 +1331,12 @@ export const exportAppointmentsPdf = async (req, res) => {
         .fillColor('#555555')
         .text(`Doctor: ${app.doctor?.name || 'Unknown'} (${app.doctor?.speciality || ''})`);
 
-      doc.text(`Schedule: ${dateStr} ${timeStr} | Status: ${app.status}`).moveDown(0.6);
+      const { collected, methods } = summariseCollections(app.transactions);
+
+      doc.text(`Schedule: ${dateStr} ${timeStr} | Status: ${app.status}`);
+      doc
+        .text(`Payment: ${app.paymentStatus} | Collected: Rs. ${collected.toFixed(2)}${methods ? ` (${methods})` : ''}`)
+        .moveDown(0.6);
       doc.fillColor('black');
 
       if (doc.y > 750) doc.addPage();
@@ -1295,6 +1386,7 @@ export const exportAppointmentsExcel = async (req, res) => {
         user: { select: { name: true, phone: true, email: true } },
         doctor: { select: { name: true, speciality: true } },
         slot: { select: { date: true, time: true } },
+        transactions: { select: { direction: true, amount: true, provider: true } },
       },
     });
 
@@ -1310,6 +1402,10 @@ export const exportAppointmentsExcel = async (req, res) => {
       { header: 'Date', key: 'dateFormatted', width: 14 },
       { header: 'Time', key: 'timeFormatted', width: 10 },
       { header: 'Status', key: 'status', width: 14 },
+      { header: 'Amount', key: 'amount', width: 10 },
+      { header: 'Payment Status', key: 'paymentStatus', width: 18 },
+      { header: 'Collected', key: 'collected', width: 12 },
+      { header: 'Method', key: 'methods', width: 16 },
     ];
 
     appointments.forEach((app) => {
@@ -1322,6 +1418,9 @@ export const exportAppointmentsExcel = async (req, res) => {
         dateFormatted: app.slot?.date ? new Date(app.slot.date).toLocaleDateString() : 'N/A',
         timeFormatted: app.slot?.time || 'N/A',
         status: app.status,
+        amount: Number(app.amount ?? 0),
+        paymentStatus: app.paymentStatus,
+        ...summariseCollections(app.transactions),
       });
     });
 
@@ -1357,7 +1456,7 @@ export const exportAppointmentsExcel = async (req, res) => {
 export const processCancellationRequest = async (req, res) => {
   try {
     const adminId = req.user?.id || req.user?.userId || req.user?._id;
-    const { requestId, action, adminNote } = req.body;
+    const { requestId, action, adminNote, refundTo } = req.body;
 
     console.log("🔄 Processing:", { requestId, action, adminNote });
 
@@ -1429,48 +1528,44 @@ export const processCancellationRequest = async (req, res) => {
     }
 
     // 3) APPROVE + refund policy
-    const isRescheduled =
-      (appointment.rescheduleCount || 0) > 0 ||
-      (appointment.adminNote || "").includes("RESCHEDULED");
+    // Honour the quote the patient saw; older requests are evaluated as of when they were raised
+    const outcome = applyQuotedRefund(
+      await getCancellationOutcome(appointment, { at: request.createdAt }),
+      request
+    );
 
+    const isRescheduled = outcome.isRescheduled;
+    const noRefundByPolicy = outcome.refundAmount <= 0;
+
+    // Paid from the wallet counts as prepaid too
     const isPaidOnline =
-      appointment.paymentStatus === "PAID" && !!appointment.payment?.gatewayRefId;
+      appointment.paymentStatus === "PAID" &&
+      (!!appointment.payment?.gatewayRefId || Number(appointment.walletAmount || 0) > 0);
 
     let refundId = null;
     let refundSuccess = false;
 
-    // Refund only if paid online and NOT rescheduled
-    if (isPaidOnline && appointment.paymentStatus !== "REFUNDED" && !isRescheduled) {
-      const gateway = appointment.clinic?.gateways?.[0]; // expects Razorpay keys stored here
-
-      if (gateway?.apiKey && gateway?.secret) {
-        try {
-          const razorpay = new Razorpay({
-            key_id: gateway.apiKey,
-            key_secret: gateway.secret,
-          });
+    let refundedPaymentStatus = null;
 
-          const razorpayPaymentId = appointment.payment.gatewayRefId;
-
-          const refund = await razorpay.payments.refund(razorpayPaymentId, {
-            amount: Math.round(Number(appointment.amount || 0) * 100),
-            notes: { reason: "Admin Approved Cancellation", appointmentId: appointment.id },
-          });
-
-          refundId = refund.id;
-          refundSuccess = true;
-          console.log("💰 Refund success:", refundId);
-        } catch (refundErr) {
-          console.log(
-            "⚠️ Refund failed (continuing):",
-            refundErr?.error?.description || refundErr.message
-          );
-        }
-      } else {
-        console.log("⚠️ No gateway keys found - skipping refund");
+    // Refund only if paid online and the policy leaves something to refund
+    if (isPaidOnline && !noRefundByPolicy) {
+      try {
+        const { refund, walletTransaction, paymentStatus } = await refundAppointment({
+          appointmentId: appointment.id,
+          amount: outcome.refundAmount,
+          reason: "Admin Approved Cancellation",
+          source: "CANCELLATION",
+          initiatedById: adminId,
+          destination: refundTo === "WALLET" ? "WALLET" : "ORIGINAL",
+        });
+        refundId = refund?.gatewayRefundId || refund?.id || walletTransaction?.id;
+        refundSuccess = true;
+        refundedPaymentStatus = paymentStatus;
+      } catch (refundErr) {
+        console.log("⚠️ Refund failed (continuing):", refundErr.message);
       }
     } else {
-      console.log("⏭️ Refund skipped:", isRescheduled ? "RESCHEDULED_POLICY" : "NOT_PAID_ONLINE");
+      console.log("⏭️ Refund skipped:", isPaidOnline ? outcome.reason : "NOT_PAID_ONLINE");
     }
 
     // 4) Transaction: request + appointment + slot
@@ -1482,8 +1577,8 @@ export const processCancellationRequest = async (req, res) => {
           status: "APPROVED",
           processedAt: new Date(),
           processedById: adminId,
-          reason: isRescheduled
-            ? "Policy: Rescheduled (No Online Refund)"
+          reason: isPaidOnline && noRefundByPolicy
+            ? `Policy: ${outcome.message}`
             : refundId
               ? `Refund: ${refundId}`
               : adminNote || "Approved",
@@ -1495,12 +1590,12 @@ export const processCancellationRequest = async (req, res) => {
         where: { id: appointment.id },
         data: {
           status: "CANCELLED",
-          paymentStatus: refundSuccess ? "REFUNDED" : appointment.paymentStatus,
+          paymentStatus: refundSuccess ? refundedPaymentStatus : appointment.paymentStatus,
           cancelReason: request.reason || adminNote || "Admin approved",
-          adminNote: isRescheduled
-            ? `${appointment.adminNote || ""} | [POLICY] Rescheduled - No Refund`.trim()
+          adminNote: isPaidOnline && noRefundByPolicy
+            ? `${appointment.adminNote || ""} | [POLICY] No Refund (${outcome.reason})`.trim()
             : refundId
-              ? `Refund: ${refundId}`
+              ? `Refund: ${refundId} (₹${outcome.refundAmount})`
               : appointment.adminNote,
         },
       });
@@ -1533,24 +1628,33 @@ export const processCancellationRequest = async (req, res) => {
       // await tx.notification.create({ ... })
     });
 
+    enqueueJob('waitlist.offer-slot', { slotId: appointment.slotId }).catch(console.error); // ⏳ next on waitlist
+
     await logAudit({
       userId: adminId,
       clinicId: appointment.clinicId,
       action: "APPROVE_CANCELLATION_REQUEST",
       entity: "Appointment",
       entityId: appointment.id,
-      details: { requestId, refundId, refundSuccess, isRescheduled },
+      details: { requestId, refundId, refundSuccess, isRescheduled, refundAmount: outcome.refundAmount },
       req,
     });
 
     return res.json({
       success: true,
-      message: isRescheduled
-        ? "Cancelled (Policy: No Online Refund for Rescheduled)"
+      message: isPaidOnline && noRefundByPolicy
+        ? `Cancelled (Policy: ${outcome.message})`
         : refundId
-          ? `Cancelled + Refunded (${refundId})`
+          ? `Cancelled + Refunded ₹${outcome.refundAmount} (${refundId})`
           : "Cancelled successfully",
-      data: { appointmentId: appointment.id, refundId, slotId: appointment.slotId, isRescheduled },
+      data: {
+        appointmentId: appointment.id,
+        refundId,
+        slotId: appointment.slotId,
+        isRescheduled,
+        refundAmount: outcome.refundAmount,
+        refundPercent: outcome.refundPercent,
+      },
     });
   } catch (error) {
     console.error("💥 ProcessCancellationRequest Error:", {
@@ -1579,11 +1683,7 @@ export const googleCalendarSync = async (req, res) => {
       return res.status(404).json({ error: 'Appointment not found' });
     }
     
-    // 2. Check Pro plan feature
-    const hasCalendarSync = appointment.clinic.subscription?.plan?.enableGoogleCalendarSync;
-    if (!hasCalendarSync) {
-      return res.status(403).json({ error: 'Google Calendar Sync requires Pro plan' });
-    }
+    // 2. Pro plan feature: requireEntitlement('googleCalendarSync') on the route
     
     // 3. Clinic Google Calendar settings (from clinic table)
     const clinic = await prisma.clinic.findUnique({
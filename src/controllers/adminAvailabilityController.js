@@ -0,0 +1,320 @@
+import prisma from '../prisma.js';
+import { logAudit } from '../utils/audit.js';
+import {
+  timeToMinutes,
+  materialiseTemplate,
+  regenerateTemplateSlots,
+  clearUntouchedTemplateSlots,
+} from '../services/slotGenerationService.js';
+import { clinicHasEntitlement } from '../services/entitlementService.js';
+
+// ---------------- Helper: current plan for clinic ----------------
+async function getClinicPlan(clinicId) {
+  const clinic = await prisma.clinic.findUnique({
+    where: { id: clinicId },
+    include: {
+      subscription: {
+        include: { plan: true },
+      },
+    },
+  });
+  return clinic?.subscription?.plan || null;
+}
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_HORIZON_DAYS = 90;
+
+// ---------------- Helper: validate template fields ----------------
+// Returns an error string, or null when the (merged) template is valid.
+function validateTemplate(t) {
+  if (!Array.isArray(t.days) || t.days.length === 0) return 'days must be a non-empty array (0 = Sunday ... 6 = Saturday)';
+  if (t.days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) return 'days must contain values between 0 and 6';
+  if (!TIME_RE.test(t.startTime || '') || !TIME_RE.test(t.endTime || '')) return 'startTime and endTime must be HH:MM';
+  if (timeToMinutes(t.startTime) >= timeToMinutes(t.endTime)) return 'startTime must be before endTime';
+  if (!Number.isInteger(t.duration) || t.duration <= 0) return 'duration must be a positive number of minutes';
+  if ((t.lunchStart && !t.lunchEnd) || (!t.lunchStart && t.lunchEnd)) return 'lunchStart and lunchEnd must be set together';
+  if (t.lunchStart && (!TIME_RE.test(t.lunchStart) || !TIME_RE.test(t.lunchEnd))) return 'lunchStart and lunchEnd must be HH:MM';
+  if (!['ONLINE', 'OFFLINE', 'FREE'].includes(t.paymentMode)) return 'paymentMode must be ONLINE, OFFLINE or FREE';
+  if (!Number.isInteger(t.horizonDays) || t.horizonDays < 1 || t.horizonDays > MAX_HORIZON_DAYS) {
+    return `horizonDays must be between 1 and ${MAX_HORIZON_DAYS}`;
+  }
+  return null;
+}
+
+// ----------------------------------------------------------------
+// CREATE AVAILABILITY TEMPLATE
+// ----------------------------------------------------------------
+export const createAvailabilityTemplate = async (req, res) => {
+  try {
+    const { clinicId, userId } = req.user;
+    if (!clinicId) {
+      return res.status(400).json({ error: 'Clinic ID missing in token' });
+    }
+
+    const {
+      doctorId, name, days, startTime, endTime, duration = 30,
+      lunchStart, lunchEnd, paymentMode = 'ONLINE', price = 0,
+      kind = 'APPOINTMENT', horizonDays = 28, isActive = true,
+    } = req.body;
+
+    if (!doctorId) {
+      return res.status(400).json({ error: 'doctorId is required' });
+    }
+
+    const data = {
+      clinicId,
+      doctorId,
+      name: name || null,
+      days: Array.isArray(days) ? days.map(Number) : days,
+      startTime,
+      endTime,
+      duration: Number(duration),
+      lunchStart: lunchStart || null,
+      lunchEnd: lunchEnd || null,
+      paymentMode,
+      price: paymentMode === 'FREE' ? 0 : Number(price || 0),
+      kind,
+      horizonDays: Number(horizonDays),
+      isActive: Boolean(isActive),
+    };
+
+    const validationError = validateTemplate(data);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const plan = await getClinicPlan(clinicId);
+    if (!plan) {
+      return res.status(400).json({ error: 'No active subscription plan for this clinic.' });
+    }
+    if (paymentMode !== 'FREE' && !(await clinicHasEntitlement(clinicId, 'onlinePayments'))) {
+      return res.status(403).json({
+        error: 'Paid/online slots are disabled on your current plan. Use FREE mode instead.',
+      });
+    }
+
+    const doctor = await prisma.doctor.findFirst({
+      where: { id: doctorId, clinicId, deletedAt: null },
+      select: { id: true, name: true },
+    });
+    if (!doctor) {
+      return res.status(404).json({ error: 'Doctor not found in this clinic' });
+    }
+
+    const template = await prisma.availabilityTemplate.create({ data });
+
+    const generated = template.isActive
+      ? await materialiseTemplate(template)
+      : { created: 0, skipped: 0 };
+
+    await logAudit({
+      userId: userId || req.user.userId,
+      clinicId,
+      action: 'CREATE_AVAILABILITY_TEMPLATE',
+      entity: 'AvailabilityTemplate',
+      entityId: template.id,
+      details: {
+        doctorName: doctor.name,
+        days: template.days,
+        startTime: template.startTime,
+        endTime: template.endTime,
+        paymentMode: template.paymentMode,
+        ...generated,
+      },
+      req,
+    });
+
+    return res.status(201).json({ template, generated });
+  } catch (error) {
+    console.error('Create Availability Template Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// LIST AVAILABILITY TEMPLATES
+// ----------------------------------------------------------------
+export const getAvailabilityTemplates = async (req, res) => {
+  try {
+    const { clinicId } = req.user;
+    const { doctorId } = req.query;
+
+    const templates = await prisma.availabilityTemplate.findMany({
+      where: {
+        clinicId,
+        deletedAt: null,
+        ...(doctorId ? { doctorId } : {}),
+      },
+      orderBy: [{ doctorId: 'asc' }, { createdAt: 'asc' }],
+      include: {
+        doctor: { select: { id: true, name: true } },
+      },
+    });
+
+    return res.json({ data: templates });
+  } catch (error) {
+    console.error('Get Availability Templates Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// UPDATE AVAILABILITY TEMPLATE
+// Future slots nobody has touched are dropped and regenerated from the
+// new pattern; booked / held / blocked slots are never modified.
+// ----------------------------------------------------------------
+export const updateAvailabilityTemplate = async (req, res) => {
+  try {
+    const { clinicId, userId } = req.user;
+    const { id } = req.params;
+
+    const existing = await prisma.availabilityTemplate.findFirst({
+      where: { id, clinicId, deletedAt: null },
+    });
+    if (!existing) {
+      return res.status(404).json({ error: 'Availability template not found' });
+    }
+
+    const {
+      name, days, startTime, endTime, duration, lunchStart, lunchEnd,
+      paymentMode, price, kind, horizonDays, isActive,
+    } = req.body;
+
+    const nextMode = paymentMode ?? existing.paymentMode;
+    const data = {
+      name: name !== undefined ? name || null : existing.name,
+      days: Array.isArray(days) ? days.map(Number) : days ?? existing.days,
+      startTime: startTime ?? existing.startTime,
+      endTime: endTime ?? existing.endTime,
+      duration: duration !== undefined ? Number(duration) : existing.duration,
+      lunchStart: lunchStart !== undefined ? lunchStart || null : existing.lunchStart,
+      lunchEnd: lunchEnd !== undefined ? lunchEnd || null : existing.lunchEnd,
+      paymentMode: nextMode,
+      price: nextMode === 'FREE' ? 0 : price !== undefined ? Number(price) : existing.price,
+      kind: kind ?? existing.kind,
+      horizonDays: horizonDays !== undefined ? Number(horizonDays) : existing.horizonDays,
+      isActive: isActive !== undefined ? Boolean(isActive) : existing.isActive,
+    };
+
+    const validationError = validateTemplate(data);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (nextMode !== 'FREE') {
+      if (!(await clinicHasEntitlement(clinicId, 'onlinePayments'))) {
+        return res.status(403).json({
+          error: 'Paid/online slots are disabled on your current plan. Use FREE mode instead.',
+        });
+      }
+    }
+
+    const template = await prisma.availabilityTemplate.update({
+      where: { id },
+      data,
+    });
+
+    let generated;
+    if (template.isActive) {
+      generated = await regenerateTemplateSlots(template);
+    } else {
+      generated = { removed: await clearUntouchedTemplateSlots(template.id), created: 0, skipped: 0 };
+    }
+
+    await logAudit({
+      userId: userId || req.user.userId,
+      clinicId,
+      action: 'UPDATE_AVAILABILITY_TEMPLATE',
+      entity: 'AvailabilityTemplate',
+      entityId: id,
+      details: {
+        before: {
+          days: existing.days,
+          startTime: existing.startTime,
+          endTime: existing.endTime,
+          duration: existing.duration,
+          paymentMode: existing.paymentMode,
+        },
+        after: {
+          days: template.days,
+          startTime: template.startTime,
+          endTime: template.endTime,
+          duration: template.duration,
+          paymentMode: template.paymentMode,
+        },
+        ...generated,
+      },
+      req,
+    });
+
+    return res.json({ template, generated });
+  } catch (error) {
+    console.error('Update Availability Template Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// DELETE AVAILABILITY TEMPLATE (soft)
+// ----------------------------------------------------------------
+export const deleteAvailabilityTemplate = async (req, res) => {
+  try {
+    const { clinicId, userId } = req.user;
+    const { id } = req.params;
+
+    const existing = await prisma.availabilityTemplate.findFirst({
+      where: { id, clinicId, deletedAt: null },
+    });
+    if (!existing) {
+      return res.status(404).json({ error: 'Availability template not found' });
+    }
+
+    const removed = await clearUntouchedTemplateSlots(id);
+
+    await prisma.availabilityTemplate.update({
+      where: { id },
+      data: { deletedAt: new Date(), isActive: false },
+    });
+
+    await logAudit({
+      userId: userId || req.user.userId,
+      clinicId,
+      action: 'DELETE_AVAILABILITY_TEMPLATE',
+      entity: 'AvailabilityTemplate',
+      entityId: id,
+      details: { removedSlots: removed },
+      req,
+    });
+
+    return res.json({ message: 'Availability template deleted', removedSlots: removed });
+  } catch (error) {
+    console.error('Delete Availability Template Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// GENERATE NOW (same as the nightly job, for one template)
+// ----------------------------------------------------------------
+export const generateAvailabilityTemplateSlots = async (req, res) => {
+  try {
+    const { clinicId } = req.user;
+    const { id } = req.params;
+
+    const template = await prisma.availabilityTemplate.findFirst({
+      where: { id, clinicId, deletedAt: null },
+    });
+    if (!template) {
+      return res.status(404).json({ error: 'Availability template not found' });
+    }
+    if (!template.isActive) {
+      return res.status(400).json({ error: 'Template is paused. Activate it first.' });
+    }
+
+    const generated = await materialiseTemplate(template);
+    return res.json({ message: `Created: ${generated.created}, Skipped: ${generated.skipped}`, ...generated });
+  } catch (error) {
+    console.error('Generate Template Slots Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
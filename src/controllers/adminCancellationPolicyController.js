@@ -0,0 +1,225 @@
+import prisma from '../prisma.js';
+import { logAudit } from '../utils/audit.js';
+import {
+  DEFAULT_POLICY,
+  normaliseRefundTiers,
+  getCancellationOutcome,
+} from '../services/cancellationPolicyService.js';
+
+const PAYMENT_MODES = ['ONLINE', 'OFFLINE', 'FREE'];
+
+// ---------------- Helper: validate + build policy data ----------------
+async function buildPolicyData(clinicId, body, existing = null) {
+  const merged = { ...(existing || {}), ...body };
+  const data = {};
+
+  if (merged.doctorId) {
+    const doctor = await prisma.doctor.findFirst({
+      where: { id: merged.doctorId, clinicId, deletedAt: null },
+      select: { id: true },
+    });
+    if (!doctor) throw { statusCode: 404, message: 'Doctor not found in this clinic' };
+  }
+  data.doctorId = merged.doctorId || null;
+
+  if (merged.paymentMode && !PAYMENT_MODES.includes(merged.paymentMode)) {
+    throw { statusCode: 400, message: `paymentMode must be one of ${PAYMENT_MODES.join(', ')}` };
+  }
+  data.paymentMode = merged.paymentMode || null;
+
+  const minNoticeHours = Number(merged.minNoticeHours ?? DEFAULT_POLICY.minNoticeHours);
+  if (!Number.isInteger(minNoticeHours) || minNoticeHours < 0) {
+    throw { statusCode: 400, message: 'minNoticeHours must be a whole number >= 0' };
+  }
+  data.minNoticeHours = minNoticeHours;
+
+  const fee = Number(merged.cancellationFee ?? 0);
+  if (!Number.isFinite(fee) || fee < 0) {
+    throw { statusCode: 400, message: 'cancellationFee must be >= 0' };
+  }
+  data.cancellationFee = fee;
+
+  data.refundTiers = normaliseRefundTiers(merged.refundTiers ?? DEFAULT_POLICY.refundTiers);
+  data.refundRescheduled = Boolean(merged.refundRescheduled);
+  data.isActive = merged.isActive === undefined ? true : Boolean(merged.isActive);
+  data.name = merged.name || null;
+
+  return data;
+}
+
+// Only one active policy per scope, otherwise resolution is ambiguous
+async function assertScopeFree(clinicId, data, excludeId = null) {
+  if (!data.isActive) return;
+  const clash = await prisma.cancellationPolicy.findFirst({
+    where: {
+      clinicId,
+      doctorId: data.doctorId,
+      paymentMode: data.paymentMode,
+      isActive: true,
+      deletedAt: null,
+      ...(excludeId ? { id: { not: excludeId } } : {}),
+    },
+    select: { id: true, name: true },
+  });
+  if (clash) {
+    throw { statusCode: 409, message: 'An active policy already exists for this doctor / payment mode' };
+  }
+}
+
+// ----------------------------------------------------------------
+// GET /api/admin/cancellation-policies
+// ----------------------------------------------------------------
+export const getCancellationPolicies = async (req, res) => {
+  try {
+    const { clinicId } = req.user;
+
+    const policies = await prisma.cancellationPolicy.findMany({
+      where: { clinicId, deletedAt: null },
+      orderBy: [{ doctorId: 'asc' }, { paymentMode: 'asc' }, { createdAt: 'desc' }],
+      include: { doctor: { select: { id: true, name: true } } },
+    });
+
+    return res.json({ data: policies, defaultPolicy: DEFAULT_POLICY });
+  } catch (error) {
+    console.error('Get Cancellation Policies Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// POST /api/admin/cancellation-policies
+// ----------------------------------------------------------------
+export const createCancellationPolicy = async (req, res) => {
+  try {
+    const { clinicId, userId } = req.user;
+
+    const data = await buildPolicyData(clinicId, req.body || {});
+    await assertScopeFree(clinicId, data);
+
+    const policy = await prisma.cancellationPolicy.create({
+      data: { ...data, clinicId },
+    });
+
+    await logAudit({
+      userId,
+      clinicId,
+      action: 'CREATE_CANCELLATION_POLICY',
+      entity: 'CancellationPolicy',
+      entityId: policy.id,
+      details: data,
+      req,
+    });
+
+    return res.status(201).json(policy);
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Create Cancellation Policy Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// PUT /api/admin/cancellation-policies/:id
+// ----------------------------------------------------------------
+export const updateCancellationPolicy = async (req, res) => {
+  try {
+    const { clinicId, userId } = req.user;
+    const { id } = req.params;
+
+    const existing = await prisma.cancellationPolicy.findFirst({
+      where: { id, clinicId, deletedAt: null },
+    });
+    if (!existing) {
+      return res.status(404).json({ error: 'Cancellation policy not found' });
+    }
+
+    const data = await buildPolicyData(clinicId, req.body || {}, existing);
+    await assertScopeFree(clinicId, data, id);
+
+    const policy = await prisma.cancellationPolicy.update({
+      where: { id },
+      data,
+    });
+
+    await logAudit({
+      userId,
+      clinicId,
+      action: 'UPDATE_CANCELLATION_POLICY',
+      entity: 'CancellationPolicy',
+      entityId: id,
+      details: data,
+      req,
+    });
+
+    return res.json(policy);
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Update Cancellation Policy Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// DELETE /api/admin/cancellation-policies/:id (soft delete)
+// ----------------------------------------------------------------
+export const deleteCancellationPolicy = async (req, res) => {
+  try {
+    const { clinicId, userId } = req.user;
+    const { id } = req.params;
+
+    const existing = await prisma.cancellationPolicy.findFirst({
+      where: { id, clinicId, deletedAt: null },
+    });
+    if (!existing) {
+      return res.status(404).json({ error: 'Cancellation policy not found' });
+    }
+
+    await prisma.cancellationPolicy.update({
+      where: { id },
+      data: { deletedAt: new Date(), isActive: false },
+    });
+
+    await logAudit({
+      userId,
+      clinicId,
+      action: 'DELETE_CANCELLATION_POLICY',
+      entity: 'CancellationPolicy',
+      entityId: id,
+      details: { name: existing.name },
+      req,
+    });
+
+    return res.json({ message: 'Cancellation policy deleted' });
+  } catch (error) {
+    console.error('Delete Cancellation Policy Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// GET /api/admin/appointments/:id/cancel-preview
+// ?onBehalfOfPatient=true → patient tiers instead of clinic-side full refund
+// ----------------------------------------------------------------
+export const getAdminCancellationPreview = async (req, res) => {
+  try {
+    const { clinicId } = req.user;
+    const { id } = req.params;
+
+    const appointment = await prisma.appointment.findFirst({
+      where: { id, clinicId, deletedAt: null },
+      include: { slot: true },
+    });
+    if (!appointment) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+
+    const outcome = await getCancellationOutcome(appointment, {
+      initiatedBy: req.query.onBehalfOfPatient === 'true' ? 'USER' : 'CLINIC',
+    });
+
+    return res.json({ appointmentId: id, ...outcome });
+  } catch (error) {
+    console.error('Admin Cancellation Preview Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
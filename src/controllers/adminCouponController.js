@@ -0,0 +1,169 @@
+import prisma from '../prisma.js';
+import { logAudit } from '../utils/audit.js';
+import {
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  getCouponReport,
+  quoteCoupon,
+  toCouponSummary,
+} from '../services/couponService.js';
+import { getPlanTax, toTaxFields } from '../services/taxService.js';
+
+// ---------------- Helper: doctorIds must belong to this clinic ----------------
+const assertClinicDoctors = async (clinicId, doctorIds) => {
+  if (!Array.isArray(doctorIds) || !doctorIds.length) return;
+  const count = await prisma.doctor.count({ where: { id: { in: doctorIds }, clinicId, deletedAt: null } });
+  if (count !== new Set(doctorIds).size) {
+    throw { statusCode: 400, message: 'doctorIds contains doctors outside this clinic' };
+  }
+};
+
+// ----------------------------------------------------------------
+// GET /api/admin/coupons
+// ----------------------------------------------------------------
+export const getCoupons = async (req, res) => {
+  try {
+    const coupons = await prisma.coupon.findMany({
+      where: { clinicId: req.user.clinicId, scope: 'APPOINTMENT', deletedAt: null },
+      orderBy: { createdAt: 'desc' },
+    });
+    return res.json(coupons);
+  } catch (error) {
+    console.error('Get Coupons Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// POST /api/admin/coupons
+// body: { code, discountType: PERCENT|FLAT, discountValue, maxDiscount?, minAmount?,
+//         doctorIds?, appointmentFrom?, appointmentTo?, validFrom?, validUntil?,
+//         maxRedemptions?, perUserLimit? }
+// ----------------------------------------------------------------
+export const createClinicCoupon = async (req, res) => {
+  try {
+    const { clinicId, userId } = req.user;
+    await assertClinicDoctors(clinicId, req.body.doctorIds);
+
+    const coupon = await createCoupon({ scope: 'APPOINTMENT', clinicId, createdById: userId, body: req.body });
+
+    await logAudit({
+      userId,
+      clinicId,
+      action: 'COUPON_CREATED',
+      entity: 'Coupon',
+      entityId: coupon.id,
+      details: { code: coupon.code, discountType: coupon.discountType, discountValue: Number(coupon.discountValue) },
+      req,
+    });
+
+    return res.status(201).json(coupon);
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Create Coupon Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// PUT /api/admin/coupons/:id
+// ----------------------------------------------------------------
+export const updateClinicCoupon = async (req, res) => {
+  try {
+    const { clinicId, userId } = req.user;
+    await assertClinicDoctors(clinicId, req.body.doctorIds);
+
+    const coupon = await updateCoupon({ id: req.params.id, scope: 'APPOINTMENT', clinicId, body: req.body });
+
+    await logAudit({
+      userId,
+      clinicId,
+      action: 'COUPON_UPDATED',
+      entity: 'Coupon',
+      entityId: coupon.id,
+      details: req.body,
+      req,
+    });
+
+    return res.json(coupon);
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Update Coupon Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// DELETE /api/admin/coupons/:id
+// ----------------------------------------------------------------
+export const deleteClinicCoupon = async (req, res) => {
+  try {
+    const { clinicId, userId } = req.user;
+    const coupon = await deleteCoupon({ id: req.params.id, scope: 'APPOINTMENT', clinicId });
+
+    await logAudit({
+      userId,
+      clinicId,
+      action: 'COUPON_DELETED',
+      entity: 'Coupon',
+      entityId: coupon.id,
+      details: { code: coupon.code },
+      req,
+    });
+
+    return res.json({ success: true });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Delete Coupon Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// GET /api/admin/coupons/report
+// Uses and discount given per coupon
+// ----------------------------------------------------------------
+export const getClinicCouponReport = async (req, res) => {
+  try {
+    const report = await getCouponReport({ clinicId: req.user.clinicId, scope: 'APPOINTMENT' });
+    return res.json(report);
+  } catch (error) {
+    console.error('Coupon Report Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// POST /api/admin/subscription/coupon-preview  { planId, couponCode }
+// Platform promo code on a plan purchase – before any proration credit
+// ----------------------------------------------------------------
+export const previewPlanCoupon = async (req, res) => {
+  try {
+    const { planId, couponCode } = req.body;
+    if (!planId || !couponCode) return res.status(400).json({ error: 'planId and couponCode are required' });
+
+    const plan = await prisma.plan.findFirst({ where: { id: planId, isActive: true, deletedAt: null } });
+    if (!plan) return res.status(404).json({ error: 'Invalid or inactive plan' });
+
+    const coupon = await quoteCoupon({
+      code: couponCode,
+      scope: 'PLAN',
+      clinicId: req.user.clinicId,
+      planId,
+      amount: Number(plan.priceMonthly),
+    });
+
+    const clinic = await prisma.clinic.findUnique({
+      where: { id: req.user.clinicId },
+      select: { gstin: true, gstStateCode: true },
+    });
+    const planTax = await getPlanTax({ plan: { ...plan, priceMonthly: coupon.netAmount }, clinic });
+
+    return res.json({ valid: true, coupon: toCouponSummary(coupon), tax: toTaxFields(planTax), total: planTax.total });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ valid: false, error: error.message });
+    console.error('Preview Plan Coupon Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
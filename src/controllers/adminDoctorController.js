@@ -3,6 +3,7 @@ import bcrypt from 'bcryptjs';
 import { v4 as uuidv4 } from 'uuid';
 // ✅ Import Logger
 import { logAudit } from '../utils/audit.js'; 
+import { assertDoctorQuota, checkUsageThresholds } from '../services/usageService.js';
 
 // ----------------------------------------------------------------
 // CREATE DOCTOR
@@ -43,15 +44,8 @@ export const createDoctor = async (req, res) => {
         .json({ error: 'No active subscription plan for this clinic.' });
     }
 
-    const doctorCount = await prisma.doctor.count({
-      where: { clinicId, deletedAt: null },
-    });
-
-    if (doctorCount >= plan.maxDoctors) {
-      return res.status(403).json({
-        error: `Doctor limit reached for your current plan (max ${plan.maxDoctors}).`,
-      });
-    }
+    // Subscription override (maxDoctors) wins over the plan default
+    await assertDoctorQuota(clinicId);
 
     const { name, email, phone, specialityId, experience, password } = req.body;
 
@@ -135,8 +129,11 @@ export const createDoctor = async (req, res) => {
       req,
     });
 
+    checkUsageThresholds(clinicId);
+
     return res.status(201).json({ doctor, user });
   } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
     console.error('Create Doctor Error:', error);
     return res.status(500).json({ error: error.message });
   }
@@ -285,6 +282,9 @@ export const toggleDoctorActive = async (req, res) => {
       return res.status(404).json({ error: 'Doctor not found in this clinic' });
     }
 
+    // Re-activating counts against the plan's doctor limit
+    if (!existing.isActive) await assertDoctorQuota(clinicId);
+
     const updated = await prisma.doctor.update({
       where: { id },
       data: { isActive: !existing.isActive }
@@ -305,8 +305,11 @@ export const toggleDoctorActive = async (req, res) => {
       req
     });
 
+    checkUsageThresholds(clinicId);
+
     return res.json({ message: 'Doctor status updated', doctor: updated });
   } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
     console.error('Toggle Doctor Active Error:', error);
     return res.status(500).json({ error: error.message });
   }
@@ -350,6 +353,8 @@ export const deleteDoctor = async (req, res) => {
         details: { name: existing.name },
         req
       });
+
+      checkUsageThresholds(clinicId);
   
       return res.json({ message: 'Doctor deleted successfully (soft)' });
     } catch (error) {
@@ -0,0 +1,19 @@
+import { getClinicEntitlements } from '../services/entitlementService.js';
+
+// ----------------------------------------------------------------
+// GET /api/admin/entitlements
+// What the clinic's plan (plus any super-admin override) unlocks
+// ----------------------------------------------------------------
+export const getEntitlements = async (req, res) => {
+  try {
+    const { plan, subscription, features } = await getClinicEntitlements(req.user.clinicId);
+    return res.json({
+      plan,
+      status: subscription?.status || 'NO_SUBSCRIPTION',
+      features,
+    });
+  } catch (error) {
+    console.error('Get Entitlements Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,345 @@
+import prisma from '../prisma.js';
+import { logAudit } from '../utils/audit.js';
+import { addToOutbox, dispatchOutbox } from '../services/outboxService.js';
+import { istDayStart, istDayEnd, holidaySlotWhere } from '../utils/holidays.js';
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Appointments still occupying a slot (a live payment hold counts too)
+const activeAppointmentWhere = (now) => ({
+  deletedAt: null,
+  OR: [
+    { status: { in: ['PENDING', 'CONFIRMED', 'CANCEL_REQUESTED'] } },
+    { status: 'PENDING_PAYMENT', paymentExpiry: { gt: now } },
+  ],
+});
+
+// ---------------- Helper: affected bookings for a holiday ----------------
+async function getAffectedAppointments(holiday) {
+  return prisma.appointment.findMany({
+    where: {
+      ...activeAppointmentWhere(new Date()),
+      slot: holidaySlotWhere(holiday),
+    },
+    include: {
+      user: { select: { id: true, name: true, email: true, phone: true } },
+      slot: {
+        include: {
+          doctor: { select: { id: true, name: true } },
+          clinic: { select: { id: true, name: true } },
+        },
+      },
+    },
+    orderBy: [{ slot: { date: 'asc' } }, { slot: { time: 'asc' } }],
+  });
+}
+
+const toAffectedDto = (a) => ({
+  appointmentId: a.id,
+  status: a.status,
+  paymentStatus: a.paymentStatus,
+  amount: a.amount,
+  patient: a.user,
+  doctor: a.slot.doctor,
+  slotId: a.slotId,
+  date: a.slot.date,
+  time: a.slot.time,
+  // Paid bookings go through the normal admin cancel so the refund runs
+  action: a.paymentStatus === 'PAID' && Number(a.amount || 0) > 0 ? 'RESCHEDULE_OR_CANCEL_WITH_REFUND' : 'RESCHEDULE_OR_CANCEL',
+});
+
+// ---------------- Helper: block free slots covered by a holiday ----------------
+async function blockFreeSlots(holiday, userId) {
+  const now = new Date();
+  const { count } = await prisma.slot.updateMany({
+    where: {
+      ...holidaySlotWhere(holiday),
+      isBlocked: false,
+      OR: [
+        { appointments: { is: null } },
+        { appointments: { is: { status: { in: ['CANCELLED', 'NO_SHOW'] } } } },
+        { appointments: { is: { status: 'PENDING_PAYMENT', paymentExpiry: { lte: now } } } },
+      ],
+    },
+    data: {
+      isBlocked: true,
+      blockedReason: holiday.reason ? `Holiday: ${holiday.reason}` : 'Holiday / leave',
+      blockedBy: userId,
+      blockedAt: now,
+      holidayId: holiday.id,
+    },
+  });
+  return count;
+}
+
+// ----------------------------------------------------------------
+// CREATE HOLIDAY / LEAVE
+// ----------------------------------------------------------------
+export const createHoliday = async (req, res) => {
+  try {
+    const { clinicId, userId } = req.user;
+    if (!clinicId) {
+      return res.status(400).json({ error: 'Clinic ID missing in token' });
+    }
+
+    const { doctorId, startDate, endDate, reason } = req.body;
+    const lastDate = endDate || startDate;
+
+    if (!DATE_RE.test(startDate || '') || !DATE_RE.test(lastDate || '')) {
+      return res.status(400).json({ error: 'startDate and endDate must be YYYY-MM-DD' });
+    }
+    if (lastDate < startDate) {
+      return res.status(400).json({ error: 'endDate must be on or after startDate' });
+    }
+
+    let doctor = null;
+    if (doctorId) {
+      doctor = await prisma.doctor.findFirst({
+        where: { id: doctorId, clinicId, deletedAt: null },
+        select: { id: true, name: true },
+      });
+      if (!doctor) {
+        return res.status(404).json({ error: 'Doctor not found in this clinic' });
+      }
+    }
+
+    const holiday = await prisma.clinicHoliday.create({
+      data: {
+        clinicId,
+        doctorId: doctorId || null,
+        startDate: istDayStart(startDate),
+        endDate: istDayEnd(lastDate),
+        reason: reason || null,
+        createdBy: userId,
+      },
+    });
+
+    const blockedSlots = await blockFreeSlots(holiday, userId);
+    const affected = await getAffectedAppointments(holiday);
+
+    await logAudit({
+      userId: userId || req.user.userId,
+      clinicId,
+      action: doctorId ? 'CREATE_DOCTOR_LEAVE' : 'CREATE_CLINIC_HOLIDAY',
+      entity: 'ClinicHoliday',
+      entityId: holiday.id,
+      details: {
+        doctorName: doctor?.name || null,
+        startDate,
+        endDate: lastDate,
+        reason,
+        blockedSlots,
+        affectedAppointments: affected.length,
+      },
+      req,
+    });
+
+    return res.status(201).json({
+      holiday,
+      blockedSlots,
+      affectedAppointments: affected.map(toAffectedDto),
+      message: affected.length
+        ? `${blockedSlots} slots blocked. ${affected.length} booked appointment(s) must be rescheduled or cancelled.`
+        : `${blockedSlots} slots blocked.`,
+    });
+  } catch (error) {
+    console.error('Create Holiday Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// LIST HOLIDAYS / LEAVE
+// ----------------------------------------------------------------
+export const getHolidays = async (req, res) => {
+  try {
+    const { clinicId } = req.user;
+    const { doctorId, from, to } = req.query;
+
+    const where = { clinicId, deletedAt: null };
+    if (doctorId) where.OR = [{ doctorId: null }, { doctorId }];
+    if (from && DATE_RE.test(from)) where.endDate = { gte: istDayStart(from) };
+    if (to && DATE_RE.test(to)) where.startDate = { lte: istDayEnd(to) };
+
+    const holidays = await prisma.clinicHoliday.findMany({
+      where,
+      orderBy: { startDate: 'asc' },
+      include: { doctor: { select: { id: true, name: true } } },
+    });
+
+    return res.json({ data: holidays });
+  } catch (error) {
+    console.error('Get Holidays Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// BOOKED APPOINTMENTS THAT FALL ON A HOLIDAY
+// ----------------------------------------------------------------
+export const getHolidayAffectedAppointments = async (req, res) => {
+  try {
+    const { clinicId } = req.user;
+    const { id } = req.params;
+
+    const holiday = await prisma.clinicHoliday.findFirst({
+      where: { id, clinicId, deletedAt: null },
+    });
+    if (!holiday) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+
+    const affected = await getAffectedAppointments(holiday);
+    return res.json({ holiday, data: affected.map(toAffectedDto) });
+  } catch (error) {
+    console.error('Get Holiday Appointments Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// BULK CANCEL UNPAID APPOINTMENTS ON A HOLIDAY
+// Paid bookings are skipped and returned so the admin can cancel them
+// one by one through the regular cancel flow (which handles refunds).
+// ----------------------------------------------------------------
+export const cancelHolidayAppointments = async (req, res) => {
+  try {
+    const { clinicId, userId } = req.user;
+    const { id } = req.params;
+    const { appointmentIds, reason } = req.body || {};
+
+    const holiday = await prisma.clinicHoliday.findFirst({
+      where: { id, clinicId, deletedAt: null },
+    });
+    if (!holiday) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+
+    let affected = await getAffectedAppointments(holiday);
+    if (Array.isArray(appointmentIds) && appointmentIds.length > 0) {
+      affected = affected.filter((a) => appointmentIds.includes(a.id));
+    }
+
+    const finalReason = reason || holiday.reason || 'Clinic closed / doctor on leave';
+    const cancelled = [];
+    const requiresRefund = [];
+
+    for (const appt of affected) {
+      if (appt.paymentStatus === 'PAID' && Number(appt.amount || 0) > 0) {
+        requiresRefund.push(toAffectedDto(appt));
+        continue;
+      }
+
+      await prisma.$transaction([
+        prisma.appointment.update({
+          where: { id: appt.id },
+          data: {
+            status: 'CANCELLED',
+            paymentStatus: appt.paymentStatus === 'PENDING' ? 'CANCELLED' : appt.paymentStatus,
+            cancelReason: finalReason,
+            cancelledBy: 'ADMIN',
+          },
+        }),
+        // Slot stays closed for the holiday instead of going back on sale
+        prisma.slot.update({
+          where: { id: appt.slotId },
+          data: {
+            status: 'PENDING_PAYMENT',
+            isBlocked: true,
+            blockedReason: holiday.reason ? `Holiday: ${holiday.reason}` : 'Holiday / leave',
+            blockedBy: userId,
+            blockedAt: new Date(),
+            holidayId: holiday.id,
+          },
+        }),
+        prisma.cancellationRequest.updateMany({
+          where: { appointmentId: appt.id, status: 'PENDING' },
+          data: { status: 'APPROVED', processedAt: new Date(), processedById: userId, reason: finalReason },
+        }),
+        addToOutbox('GCAL_DELETE', { clinicId, appointmentId: appt.id }),
+        addToOutbox('CANCELLATION_EMAIL', {
+          clinicId,
+          appointmentId: appt.id,
+          reason: finalReason,
+          adminName: req.user?.name || null,
+        }),
+      ]);
+
+      cancelled.push(appt.id);
+    }
+
+    if (cancelled.length) dispatchOutbox();
+
+    await logAudit({
+      userId: userId || req.user.userId,
+      clinicId,
+      action: 'HOLIDAY_BULK_CANCEL',
+      entity: 'ClinicHoliday',
+      entityId: holiday.id,
+      details: {
+        reason: finalReason,
+        cancelled,
+        requiresRefund: requiresRefund.map((a) => a.appointmentId),
+      },
+      req,
+    });
+
+    return res.json({
+      message: `Cancelled: ${cancelled.length}, Needs refund: ${requiresRefund.length}`,
+      cancelled,
+      requiresRefund,
+    });
+  } catch (error) {
+    console.error('Holiday Bulk Cancel Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// DELETE HOLIDAY (soft) – re-opens the slots it blocked
+// ----------------------------------------------------------------
+export const deleteHoliday = async (req, res) => {
+  try {
+    const { clinicId, userId } = req.user;
+    const { id } = req.params;
+
+    const holiday = await prisma.clinicHoliday.findFirst({
+      where: { id, clinicId, deletedAt: null },
+    });
+    if (!holiday) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+
+    const [, unblocked] = await prisma.$transaction([
+      prisma.clinicHoliday.update({
+        where: { id },
+        data: { deletedAt: new Date() },
+      }),
+      prisma.slot.updateMany({
+        where: { holidayId: id },
+        data: {
+          isBlocked: false,
+          blockedReason: null,
+          blockedBy: null,
+          blockedAt: null,
+          holidayId: null,
+        },
+      }),
+    ]);
+
+    await logAudit({
+      userId: userId || req.user.userId,
+      clinicId,
+      action: 'DELETE_CLINIC_HOLIDAY',
+      entity: 'ClinicHoliday',
+      entityId: id,
+      details: { unblockedSlots: unblocked.count },
+      req,
+    });
+
+    return res.json({ message: 'Holiday removed', unblockedSlots: unblocked.count });
+  } catch (error) {
+    console.error('Delete Holiday Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
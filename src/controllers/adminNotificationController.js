@@ -1,6 +1,7 @@
 import prisma from "../prisma.js";
+import { openNotificationStream } from "../services/notificationStream.js";
 
-const ALLOWED_TYPES = new Set(["CANCELLATION", "RESCHEDULE", "CANCEL_REQUEST"]);
+const ALLOWED_TYPES = new Set(["CANCELLATION", "RESCHEDULE", "CANCEL_REQUEST", "BOOKING"]);
 
 const parseType = (raw) => {
   if (!raw) return null;
@@ -52,6 +53,30 @@ export const getNotifications = async (req, res) => {
   }
 };
 
+// GET /admin/notifications/stream  (Server-Sent Events)
+// Live feed of new bookings, cancellations, cancel requests and
+// reschedules. Auth: Bearer header, or ?token= for EventSource.
+// Reconnects replay what was missed from the Last-Event-ID header
+// (or ?lastEventId= when reconnecting by hand with a new token).
+export const streamNotifications = async (req, res) => {
+  try {
+    const { clinicId } = req.user;
+    if (!clinicId) return res.status(400).json({ error: "No clinic linked to this account" });
+
+    await openNotificationStream({
+      clinicId,
+      lastEventId: req.get("Last-Event-ID") || req.query.lastEventId || null,
+      tokenExpiresAt: req.user.exp ? req.user.exp * 1000 : null,
+      req,
+      res,
+    });
+  } catch (error) {
+    console.error("Notification Stream Error:", error);
+    if (res.headersSent) return res.end();
+    return res.status(500).json({ error: error.message });
+  }
+};
+
 // GET /admin/notifications/unread-count?type=CANCELLATION
 export const getUnreadCount = async (req, res) => {
   try {
@@ -74,7 +99,7 @@ export const getUnreadCount = async (req, res) => {
 };
 
 // PATCH /admin/notifications/mark-all-read
-// body: { type?: "CANCELLATION" | "RESCHEDULE" | "CANCEL_REQUEST" }
+// body: { type?: "CANCELLATION" | "RESCHEDULE" | "CANCEL_REQUEST" | "BOOKING" }
 export const markAllRead = async (req, res) => {
   try {
     const { clinicId } = req.user;
@@ -127,7 +152,7 @@ export const markReadByIds = async (req, res) => {
 };
 
 // PATCH /admin/notifications/mark-read-by-entity
-// body: { entityId: string, type?: "CANCELLATION" | "RESCHEDULE" | "CANCEL_REQUEST" }
+// body: { entityId: string, type?: "CANCELLATION" | "RESCHEDULE" | "CANCEL_REQUEST" | "BOOKING" }
 export const markReadByEntity = async (req, res) => {
   try {
     const { clinicId } = req.user;
@@ -0,0 +1,102 @@
+import prisma from '../prisma.js';
+import { logAudit } from '../utils/audit.js';
+import { normaliseChannels } from '../services/notificationService.js';
+import { getNotificationChannelNames } from '../services/notificationChannels/index.js';
+
+// ----------------------------------------------------------------
+// GET /api/admin/notification-settings
+// Channels patient messages go out on (patients can narrow them)
+// ----------------------------------------------------------------
+export const getNotificationSettings = async (req, res) => {
+  try {
+    const { clinicId } = req.user;
+    const clinic = await prisma.clinic.findUnique({
+      where: { id: clinicId },
+      select: { notificationChannels: true },
+    });
+
+    return res.json({
+      channels: clinic?.notificationChannels || [],
+      available: getNotificationChannelNames(),
+    });
+  } catch (error) {
+    console.error('Get Notification Settings Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// PUT /api/admin/notification-settings
+// body: { channels: ["EMAIL", "SMS", "WHATSAPP"] }
+// ----------------------------------------------------------------
+export const updateNotificationSettings = async (req, res) => {
+  try {
+    const { clinicId, userId } = req.user;
+    const channels = normaliseChannels(req.body?.channels);
+    if (!channels.length) {
+      return res.status(400).json({ error: 'At least one channel is required' });
+    }
+
+    const clinic = await prisma.clinic.update({
+      where: { id: clinicId },
+      data: { notificationChannels: channels },
+      select: { notificationChannels: true },
+    });
+
+    await logAudit({
+      userId,
+      clinicId,
+      action: 'UPDATE_NOTIFICATION_SETTINGS',
+      entity: 'Clinic',
+      entityId: clinicId,
+      details: { channels },
+      req,
+    });
+
+    return res.json({ channels: clinic.notificationChannels });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Update Notification Settings Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// GET /api/admin/notification-deliveries?channel=&status=&event=&appointmentId=&page=&limit=
+// What was sent to patients, on which channel, and whether it arrived
+// ----------------------------------------------------------------
+export const getNotificationDeliveries = async (req, res) => {
+  try {
+    const { clinicId } = req.user;
+    const { channel, status, event, appointmentId, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const take = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const where = {
+      clinicId,
+      ...(channel ? { channel: String(channel).toUpperCase() } : {}),
+      ...(status ? { status: String(status).toUpperCase() } : {}),
+      ...(event ? { event: String(event).toUpperCase() } : {}),
+      ...(appointmentId ? { appointmentId: String(appointmentId) } : {}),
+    };
+
+    const [total, data] = await Promise.all([
+      prisma.notificationDelivery.count({ where }),
+      prisma.notificationDelivery.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (pageNum - 1) * take,
+        take,
+        include: { user: { select: { id: true, name: true } } },
+      }),
+    ]);
+
+    return res.json({
+      data,
+      pagination: { total, page: pageNum, limit: take, totalPages: Math.ceil(total / take) },
+    });
+  } catch (error) {
+    console.error('Get Notification Deliveries Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,85 @@
+import prisma from '../prisma.js';
+import { logAudit } from '../utils/audit.js';
+import { retryOutboxMessage, stuckOutboxWhere } from '../services/outboxService.js';
+
+// ----------------------------------------------------------------
+// GET /api/admin/outbox?status=&type=&appointmentId=&stuck=true&page=&limit=
+// Appointment emails and calendar syncs waiting to go out, with the
+// ones stuck (failed, dead, or waiting too long) counted separately
+// ----------------------------------------------------------------
+export const getOutboxMessages = async (req, res) => {
+  try {
+    const { clinicId } = req.user;
+    const { status, type, appointmentId, stuck, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const take = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const where = {
+      clinicId,
+      ...(status ? { status: String(status).toUpperCase() } : {}),
+      ...(type ? { type: String(type).toUpperCase() } : {}),
+      ...(appointmentId ? { appointmentId: String(appointmentId) } : {}),
+      ...(stuck === 'true' ? stuckOutboxWhere() : {}),
+    };
+
+    const [total, data, byStatus, stuckCount] = await Promise.all([
+      prisma.outboxMessage.count({ where }),
+      prisma.outboxMessage.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (pageNum - 1) * take,
+        take,
+        include: {
+          appointment: {
+            select: { id: true, status: true, user: { select: { id: true, name: true } } },
+          },
+        },
+      }),
+      prisma.outboxMessage.groupBy({ by: ['status'], where: { clinicId }, _count: { _all: true } }),
+      prisma.outboxMessage.count({ where: { clinicId, ...stuckOutboxWhere() } }),
+    ]);
+
+    return res.json({
+      data,
+      counts: {
+        ...Object.fromEntries(byStatus.map((s) => [s.status, s._count._all])),
+        STUCK: stuckCount,
+      },
+      pagination: { total, page: pageNum, limit: take, totalPages: Math.ceil(total / take) },
+    });
+  } catch (error) {
+    console.error('Get Outbox Messages Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// POST /api/admin/outbox/:id/retry
+// Sends a FAILED / DEAD message again with a fresh set of attempts
+// ----------------------------------------------------------------
+export const retryClinicOutboxMessage = async (req, res) => {
+  try {
+    const { clinicId, userId } = req.user;
+
+    const { message, requeued } = await retryOutboxMessage(req.params.id, { clinicId });
+    if (!requeued) {
+      return res.status(409).json({ error: `Message is ${message.status.toLowerCase()} – only failed or dead messages can be retried` });
+    }
+
+    await logAudit({
+      userId,
+      clinicId,
+      action: 'OUTBOX_RETRIED',
+      entity: 'OutboxMessage',
+      entityId: message.id,
+      details: { type: message.type, appointmentId: message.appointmentId },
+      req,
+    });
+
+    return res.json(message);
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Retry Outbox Message Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -1,18 +1,5 @@
 import prisma from '../prisma.js';
 
-// helper to get current plan for a clinic
-async function getClinicPlan(clinicId) {
-  const clinic = await prisma.clinic.findUnique({
-    where: { id: clinicId },
-    include: {
-      subscription: {
-        include: { plan: true },
-      },
-    },
-  });
-  return clinic?.subscription?.plan || null; // Plan has enableAuditLogs, etc. [web:1186]
-}
-
 // ----------------------------------------------------------------
 // GET /api/admin/patients/:userId/history
 // ----------------------------------------------------------------
@@ -27,13 +14,7 @@ export const getPatientHistory = async (req, res) => {
       return res.status(400).json({ error: 'Clinic ID missing in token' });
     }
 
-    // 3. Plan Validation: Ensure plan supports this feature (Audit Logs / History)
-    const plan = await getClinicPlan(clinicId);
-    if (!plan || !plan.enableAuditLogs) {
-      return res.status(403).json({
-        error: 'Patient history is a premium feature. Please upgrade your plan.',
-      });
-    }
+    // 3. Plan Validation: requireEntitlement('auditLogs') on the route
 
     // 4. Clinic Active Check
     const clinicCheck = await prisma.clinic.findUnique({
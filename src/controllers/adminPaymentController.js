@@ -1,14 +1,37 @@
 import prisma from '../prisma.js';
+import PDFDocument from 'pdfkit';
+import { logAudit } from '../utils/audit.js';
+import { recordTransaction, getAppointmentBalance } from '../services/ledgerService.js';
+import { round2 } from '../utils/money.js';
+
+// Front-desk collection methods (stored as the ledger provider)
+const CLINIC_PAYMENT_METHODS = ['CASH', 'UPI', 'CARD'];
+
+// ---------------- Helper: CREDIT/DEBIT totals for a ledger filter ----------------
+async function getLedgerTotals(where) {
+  const grouped = await prisma.paymentTransaction.groupBy({
+    by: ['direction'],
+    _sum: { amount: true },
+    where,
+  });
+  const sumFor = (direction) =>
+    Number(grouped.find((g) => g.direction === direction)?._sum.amount || 0);
+
+  const totalCollected = sumFor('CREDIT');
+  const totalRefunded = sumFor('DEBIT');
+  return { totalCollected, totalRefunded, netCollected: totalCollected - totalRefunded };
+}
 
 // ----------------------------------------------------------------
 // GET /api/admin/payments - FULL REVENUE HISTORY WITH PAGINATION
-// Tracks: Online, Offline Cash, Reschedules, Refunds, Failed
+// One row per ledger transaction: charges, reschedule top-ups,
+// refunds and cash collected at the clinic
 // ----------------------------------------------------------------
 export const getPayments = async (req, res) => {
   try {
     const { clinicId } = req.user;
     const { 
-      start, end, doctorId, status, paymentMode, type, 
+      start, end, doctorId, status, paymentMode, type, direction,
       page = 1, limit = 20  // Default 20 payments per page
     } = req.query;
 
@@ -31,15 +54,18 @@ export const getPayments = async (req, res) => {
     // Doctor filter
     if (doctorId) where.doctorId = doctorId;
 
-    // Status filter (PAID, FAILED, REFUNDED, PENDING)
-    if (status) where.status = status;
+    // Status filter on the originating payment (PAID, REFUNDED, PARTIALLY_REFUNDED)
+    if (status) where.payment = { is: { status } };
 
-    // 🔥 Payment Mode filter (ONLINE, CASH, RAZORPAY)
+    // 🔥 Payment Mode filter (RAZORPAY, STRIPE, CASH)
     if (paymentMode) where.provider = paymentMode;
 
-    // 🔥 Payment Type filter (APPOINTMENT, RESCHEDULE)
+    // 🔥 Transaction Type filter (CHARGE, RESCHEDULE_DIFFERENCE, REFUND, CASH_COLLECTED)
     if (type) where.type = type;
 
+    // Money in (CREDIT) / out (DEBIT)
+    if (direction) where.direction = direction;
+
     // Date range
     if (start || end) {
       const startDate = start ? new Date(start) : new Date('1970-01-01');
@@ -57,11 +83,14 @@ export const getPayments = async (req, res) => {
     const take = Number(limit);
 
     // Get paginated payments + total count (optimized with Promise.all)
-    const [payments, totalCount] = await Promise.all([
-      prisma.payment.findMany({
+    const [payments, totalCount, totals] = await Promise.all([
+      prisma.paymentTransaction.findMany({
         where,
         orderBy: { createdAt: 'desc' },
         include: {
+          payment: {
+            select: { id: true, status: true, gatewayRefId: true }
+          },
           doctor: {
             select: { 
               id: true, 
@@ -83,7 +112,8 @@ export const getPayments = async (req, res) => {
         skip,
         take
       }),
-      prisma.payment.count({ where })
+      prisma.paymentTransaction.count({ where }),
+      getLedgerTotals(where)
     ]);
 
     // 🆕 PERFECT PAGINATION RESPONSE
@@ -101,6 +131,7 @@ export const getPayments = async (req, res) => {
 
     return res.json({
       data: payments,
+      totals,
       pagination
     });
 
@@ -112,7 +143,7 @@ export const getPayments = async (req, res) => {
 
 // ----------------------------------------------------------------
 // GET /api/admin/payments/summary - TRUE NET REVENUE WITH PAGINATION
-// Total Paid - Total Refunded = ACTUAL clinic revenue
+// Ledger credits - ledger debits = ACTUAL clinic revenue
 // ----------------------------------------------------------------
 export const getPaymentsSummary = async (req, res) => {
   try {
@@ -136,64 +167,59 @@ export const getPaymentsSummary = async (req, res) => {
     const endDate = end ? new Date(end) : new Date('2999-12-31');
     endDate.setHours(23, 59, 59, 999);
 
-    // 1. Total calculations (optimized with Promise.all)
-    const [totalPaidResult, totalRefundedResult, totalDoctorCountResult] = await Promise.all([
-      prisma.payment.aggregate({
+    const ledgerWhere = {
+      clinicId,
+      createdAt: { gte: startDate, lte: endDate }
+    };
+
+    // 1. Totals straight from the ledger: money in minus money out
+    const [totals, perDoctorDirection, perProvider] = await Promise.all([
+      getLedgerTotals(ledgerWhere),
+      prisma.paymentTransaction.groupBy({
+        by: ['doctorId', 'direction'],
         _sum: { amount: true },
-        where: {
-          clinicId,
-          status: 'PAID',
-          createdAt: { gte: startDate, lte: endDate }
-        }
+        where: ledgerWhere
       }),
-      prisma.payment.aggregate({
+      prisma.paymentTransaction.groupBy({
+        by: ['provider', 'direction'],
         _sum: { amount: true },
-        where: {
-          clinicId,
-          status: 'REFUNDED',
-          createdAt: { gte: startDate, lte: endDate }
-        }
-      }),
-      // ✅ FIXED: Get total unique doctor count
-      prisma.payment.groupBy({
-        by: ['doctorId'],
-        _count: { doctorId: true },
-        where: {
-          clinicId,
-          status: 'PAID',
-          createdAt: { gte: startDate, lte: endDate }
-        }
+        where: ledgerWhere
       })
     ]);
 
-    const totalPaid = totalPaidResult._sum.amount || 0;
-    const totalRefunded = totalRefundedResult._sum.amount || 0;
-    const netRevenue = totalPaid - totalRefunded;
-    const totalDoctors = totalDoctorCountResult.length;
+    const totalPaid = totals.totalCollected;
+    const totalRefunded = totals.totalRefunded;
+    const netRevenue = totals.netCollected;
+
+    // Net per doctor (few doctors per clinic, so fold in memory)
+    const netByDoctor = {};
+    for (const row of perDoctorDirection) {
+      const amount = Number(row._sum.amount || 0);
+      netByDoctor[row.doctorId] = (netByDoctor[row.doctorId] || 0) + (row.direction === 'DEBIT' ? -amount : amount);
+    }
+
+    const byProvider = {};
+    for (const row of perProvider) {
+      const entry = byProvider[row.provider] || { collected: 0, refunded: 0, net: 0 };
+      const amount = Number(row._sum.amount || 0);
+      if (row.direction === 'DEBIT') entry.refunded += amount;
+      else entry.collected += amount;
+      entry.net = entry.collected - entry.refunded;
+      byProvider[row.provider] = entry;
+    }
+
+    const totalDoctors = Object.keys(netByDoctor).length;
 
     // 🔥 2. Revenue per doctor WITH PROPER PAGINATION
     const skip = (Number(page) - 1) * Number(limit);
     const take = Number(limit);
 
-    const perDoctor = await prisma.payment.groupBy({
-      by: ['doctorId'],
-      _sum: { amount: true },
-      where: {
-        clinicId,
-        status: 'PAID',
-        createdAt: { gte: startDate, lte: endDate }
-      },
-      take,
-      skip,
-      orderBy: { 
-        _sum: { 
-          amount: 'desc' 
-        } 
-      }
-    });
+    const perDoctor = Object.entries(netByDoctor)
+      .sort((a, b) => b[1] - a[1])
+      .slice(skip, skip + take);
 
     // Get doctor details for current page only (N+1 fix)
-    const doctorIds = perDoctor.map(p => p.doctorId);
+    const doctorIds = perDoctor.map(([doctorId]) => doctorId);
     const doctors = await prisma.doctor.findMany({
       where: { 
         id: { 
@@ -209,14 +235,14 @@ export const getPaymentsSummary = async (req, res) => {
     });
 
     // Map revenue data with doctor info
-    const revenuePerDoctor = perDoctor.map(p => {
-      const doc = doctors.find(d => d.id === p.doctorId);
+    const revenuePerDoctor = perDoctor.map(([doctorId, amount]) => {
+      const doc = doctors.find(d => d.id === doctorId);
       return {
-        doctorId: p.doctorId,
+        doctorId,
         doctorName: doc ? doc.name : 'Unknown/Deleted',
         speciality: doc?.speciality?.name || null,
         isDeleted: !!(doc && doc.deletedAt),
-        amount: p._sum.amount || 0
+        amount
       };
     });
 
@@ -237,6 +263,7 @@ export const getPaymentsSummary = async (req, res) => {
       totalPaid,
       totalRefunded,
       netRevenue,
+      byProvider,
       revenuePerDoctor,
       pagination
     });
@@ -246,3 +273,174 @@ export const getPaymentsSummary = async (req, res) => {
     return res.status(500).json({ error: error.message });
   }
 };
+
+// ----------------------------------------------------------------
+// POST /api/admin/appointments/:id/collect-payment
+// Front desk marks an appointment paid at the clinic.
+// body: { method: CASH|UPI|CARD, amount?, receiptNumber?, collectedBy?, note?, allowOverpayment? }
+// amount defaults to what is still due; more than that needs allowOverpayment.
+// ----------------------------------------------------------------
+export const collectClinicPayment = async (req, res) => {
+  try {
+    const { clinicId, userId } = req.user;
+    const { id } = req.params;
+    const { method, amount, receiptNumber, collectedBy, note, allowOverpayment = false } = req.body || {};
+
+    if (!CLINIC_PAYMENT_METHODS.includes(method)) {
+      return res.status(400).json({ error: `method must be one of ${CLINIC_PAYMENT_METHODS.join(', ')}` });
+    }
+
+    const appointment = await prisma.appointment.findFirst({
+      where: { id, clinicId, deletedAt: null },
+      include: { slot: { select: { price: true } } },
+    });
+    if (!appointment) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+    if (['CANCELLED', 'REJECTED'].includes(appointment.status)) {
+      return res.status(400).json({ error: `Cannot collect payment for a ${appointment.status.toLowerCase()} appointment` });
+    }
+
+    const due = Number(appointment.amount ?? appointment.slot?.price ?? 0);
+    const collector = collectedBy || (await prisma.user.findUnique({ where: { id: userId }, select: { name: true } }))?.name || null;
+    const receiptNo = receiptNumber?.trim() || `RC-${Date.now().toString(36).toUpperCase()}`;
+
+    const { transaction, updated, value } = await prisma.$transaction(async (tx) => {
+      // A double-submitted form waits here and then sees the first receipt
+      await tx.$queryRaw`SELECT id FROM "public"."appointments" WHERE id = ${id} FOR UPDATE`;
+      const outstanding = Math.max(0, round2(due - (await getAppointmentBalance(id, tx))));
+      const value = amount === undefined || amount === null || amount === '' ? outstanding : Number(amount);
+
+      if (!Number.isFinite(value) || value <= 0) {
+        throw { statusCode: 400, message: outstanding === 0 ? 'Nothing is due on this appointment' : 'Amount must be greater than 0' };
+      }
+      if (value > outstanding && allowOverpayment !== true) {
+        throw {
+          statusCode: 400,
+          message: outstanding === 0
+            ? 'Nothing is due on this appointment'
+            : `Only ₹${outstanding} is due – pass allowOverpayment to collect more`,
+        };
+      }
+
+      const transaction = await recordTransaction({
+        appointmentId: id,
+        type: 'CASH_COLLECTED',
+        amount: value,
+        provider: method,
+        note: note || null,
+        createdById: userId,
+        receiptNumber: receiptNo,
+        collectedBy: collector,
+      }, tx);
+
+      const remaining = Math.max(0, due - Number(transaction.balanceAfter));
+      const updated = await tx.appointment.update({
+        where: { id },
+        data: remaining === 0
+          ? { paymentStatus: 'PAID', financialStatus: null, diffAmount: 0 }
+          : { diffAmount: remaining },
+      });
+
+      return { transaction, updated, value };
+    });
+
+    await logAudit({
+      userId,
+      clinicId,
+      action: 'COLLECT_CLINIC_PAYMENT',
+      entity: 'Appointment',
+      entityId: id,
+      details: { method, amount: value, receiptNumber: receiptNo, collectedBy: collector },
+      req,
+    });
+
+    return res.status(201).json({
+      message: `₹${value} collected (${method})`,
+      transaction,
+      paymentStatus: updated.paymentStatus,
+      outstanding: Number(updated.diffAmount ?? 0),
+      receiptUrl: `/api/admin/payments/${transaction.id}/receipt`,
+    });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'Receipt number already used' });
+    }
+    console.error('Collect Clinic Payment Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// GET /api/admin/payments/:transactionId/receipt - receipt PDF
+// ----------------------------------------------------------------
+export const getPaymentReceipt = async (req, res) => {
+  try {
+    const { clinicId } = req.user;
+    const { transactionId } = req.params;
+
+    const txn = await prisma.paymentTransaction.findFirst({
+      where: { id: transactionId, clinicId, direction: 'CREDIT' },
+      include: {
+        clinic: { select: { name: true, address: true, city: true, pincode: true, phone: true } },
+        doctor: { select: { name: true } },
+        appointment: {
+          select: {
+            id: true,
+            amount: true,
+            user: { select: { name: true, phone: true, email: true } },
+            slot: { select: { date: true, time: true } },
+          },
+        },
+      },
+    });
+    if (!txn) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const receiptNo = txn.receiptNumber || txn.gatewayRef || txn.id.slice(-8).toUpperCase();
+    const doc = new PDFDocument({ margin: 50, size: 'A5' });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="receipt_${receiptNo}.pdf"`);
+    doc.pipe(res);
+
+    const { clinic, appointment } = txn;
+    doc.fontSize(16).text(clinic.name, { align: 'center' });
+    doc.fontSize(9).fillColor('#555555')
+      .text(`${clinic.address}, ${clinic.city} - ${clinic.pincode}`, { align: 'center' })
+      .text(`Phone: ${clinic.phone}`, { align: 'center' });
+    doc.fillColor('black').moveDown(1);
+
+    doc.fontSize(13).text('PAYMENT RECEIPT', { align: 'center' }).moveDown(0.8);
+
+    const line = (label, value) => doc.fontSize(10).text(`${label}: ${value ?? 'N/A'}`);
+    line('Receipt No', receiptNo);
+    line('Date', new Date(txn.createdAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }));
+    doc.moveDown(0.5);
+    line('Patient', appointment.user?.name);
+    line('Phone', appointment.user?.phone);
+    line('Doctor', txn.doctor?.name);
+    line(
+      'Appointment',
+      appointment.slot
+        ? `${new Date(appointment.slot.date).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })} ${appointment.slot.time}`
+        : null
+    );
+    doc.moveDown(0.5);
+    line('Payment Method', txn.provider);
+    line('Amount Received', `Rs. ${Number(txn.amount).toFixed(2)}`);
+    line('Balance Paid To Date', `Rs. ${Number(txn.balanceAfter).toFixed(2)}`);
+    if (txn.collectedBy) line('Collected By', txn.collectedBy);
+    if (txn.note) line('Note', txn.note);
+
+    doc.moveDown(1.5);
+    doc.fontSize(8).fillColor('#777777').text('This is a computer generated receipt.', { align: 'center' });
+
+    doc.end();
+  } catch (error) {
+    console.error('Payment Receipt Error:', error);
+    res.status(500).json({ error: 'Failed to generate receipt' });
+  }
+};
@@ -1,4 +1,5 @@
 import prisma from '../prisma.js';
+import { isPaymentProvider, getPaymentProviderNames } from '../services/paymentProviders/index.js';
 import bcrypt from 'bcryptjs';
 import { logAudit } from '../utils/audit.js';
 
@@ -305,10 +306,10 @@ export const updateGatewayConfig = async (req, res) => {
     const { gatewayName, publishableKey, secretKey, isActive } = req.body;
 
     const name = (gatewayName || 'STRIPE').toUpperCase();
-    if (!['STRIPE', 'RAZORPAY'].includes(name)) {
+    if (!isPaymentProvider(name)) {
       return res
         .status(400)
-        .json({ error: 'Invalid gateway name. Use STRIPE or RAZORPAY.' });
+        .json({ error: `Invalid gateway name. Use ${getPaymentProviderNames().join(', ')}.` });
     }
 
     if (!publishableKey) {
@@ -377,7 +378,7 @@ export const getGatewayConfig = async (req, res) => {
 
     const gatewayName = (req.query.gateway || 'STRIPE').toUpperCase();
 
-    if (!['STRIPE', 'RAZORPAY'].includes(gatewayName)) {
+    if (!isPaymentProvider(gatewayName)) {
       return res.json({ apiKey: '', isActive: false });
     }
 
@@ -0,0 +1,43 @@
+import { logAudit } from '../utils/audit.js';
+import { getReconciliationItems, resolveReconciliationItem } from '../services/reconciliationService.js';
+
+// ----------------------------------------------------------------
+// GET /api/admin/reconciliation
+// ?action=AUTO_FIXED|NEEDS_REVIEW&type=&resolved=true|false&page=&limit=
+// Gateway payments that did not match this clinic's bookings
+// ----------------------------------------------------------------
+export const getClinicReconciliationItems = async (req, res) => {
+  try {
+    const { runId, ...query } = req.query;
+    return res.json(await getReconciliationItems({ ...query, clinicId: req.user.clinicId }));
+  } catch (error) {
+    console.error('Clinic Reconciliation Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// PATCH /api/admin/reconciliation/:id/resolve  { note }
+// ----------------------------------------------------------------
+export const resolveClinicReconciliationItem = async (req, res) => {
+  try {
+    const { clinicId, userId } = req.user;
+    const item = await resolveReconciliationItem({ id: req.params.id, clinicId, resolvedById: userId, note: req.body.note });
+
+    await logAudit({
+      userId,
+      clinicId,
+      action: 'RECONCILIATION_ITEM_RESOLVED',
+      entity: 'ReconciliationItem',
+      entityId: item.id,
+      details: { type: item.type, gatewayPaymentId: item.gatewayPaymentId, note: item.resolutionNote },
+      req,
+    });
+
+    return res.json(item);
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Resolve Clinic Reconciliation Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
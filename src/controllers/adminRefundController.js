@@ -0,0 +1,88 @@
+import prisma from '../prisma.js';
+import { logAudit } from '../utils/audit.js';
+import { refundPayment, getRefundableAmount } from '../services/refundService.js';
+
+// ----------------------------------------------------------------
+// GET /api/admin/appointments/:id/refunds
+// ----------------------------------------------------------------
+export const getAppointmentRefunds = async (req, res) => {
+  try {
+    const { clinicId } = req.user;
+    const { id } = req.params;
+
+    const appointment = await prisma.appointment.findFirst({
+      where: { id, clinicId, deletedAt: null },
+      select: { id: true, payment: true },
+    });
+    if (!appointment) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+
+    const refunds = await prisma.refund.findMany({
+      where: { appointmentId: id },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    return res.json({
+      payment: appointment.payment,
+      refundable: appointment.payment ? await getRefundableAmount(appointment.payment) : 0,
+      data: refunds,
+    });
+  } catch (error) {
+    console.error('Get Refunds Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// POST /api/admin/appointments/:id/refund
+// body: { amount?, reason?, destination? } – amount omitted = everything still refundable;
+// destination WALLET credits the patient's clinic wallet instead of the card
+// ----------------------------------------------------------------
+export const createManualRefund = async (req, res) => {
+  try {
+    const { clinicId, userId } = req.user;
+    const { id } = req.params;
+    const { amount, reason, destination = 'ORIGINAL' } = req.body || {};
+    if (!['ORIGINAL', 'WALLET'].includes(destination)) {
+      return res.status(400).json({ error: 'destination must be ORIGINAL or WALLET' });
+    }
+
+    const appointment = await prisma.appointment.findFirst({
+      where: { id, clinicId, deletedAt: null },
+      select: { id: true },
+    });
+    if (!appointment) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+
+    const { refund, paymentStatus } = await refundPayment({
+      appointmentId: id,
+      amount,
+      reason: reason || 'Manual refund by clinic',
+      source: 'MANUAL',
+      initiatedById: userId,
+      destination,
+    });
+
+    await logAudit({
+      userId,
+      clinicId,
+      action: 'MANUAL_REFUND',
+      entity: 'Appointment',
+      entityId: id,
+      details: { refundId: refund.id, amount: refund.amount, provider: refund.provider, status: refund.status },
+      req,
+    });
+
+    return res.status(201).json({
+      message: refund.status === 'PROCESSED' ? 'Refund processed' : 'Refund initiated',
+      refund,
+      paymentStatus,
+    });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Manual Refund Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,215 @@
+import prisma from '../prisma.js';
+import { logAudit } from '../utils/audit.js';
+import {
+  DEFAULT_RULES,
+  DEFAULT_SUBJECT,
+  DEFAULT_BODY,
+  TEMPLATE_FIELDS,
+  assertTemplate,
+  normaliseOffsetMinutes,
+  renderTemplate,
+} from '../services/reminderRuleService.js';
+
+// Shown by the preview endpoint
+const SAMPLE_VALUES = {
+  patientName: 'Asha Rao',
+  doctorName: 'Meera Iyer',
+  clinicName: 'Sunrise Clinic',
+  clinicAddress: '12 MG Road, Bengaluru, 560001',
+  clinicPhone: '9876543210',
+  mapLink: 'https://www.google.com/maps/search/?api=1&query=12%20MG%20Road%2C%20Bengaluru',
+  date: 'Mon, 01 Jun 2026',
+  time: '10:30 am',
+};
+
+// ---------------- Helper: validate + build rule data ----------------
+function buildRuleData(body, existing = null) {
+  const merged = { ...(existing || {}), ...body };
+
+  assertTemplate(merged.subject, 'subject');
+  assertTemplate(merged.body, 'body');
+
+  return {
+    name: merged.name || null,
+    offsetMinutes: normaliseOffsetMinutes(merged.offsetMinutes),
+    subject: merged.subject || null,
+    body: merged.body || null,
+    includePending: Boolean(merged.includePending),
+    isActive: merged.isActive === undefined ? true : Boolean(merged.isActive),
+  };
+}
+
+// Two active rules at the same offset would send the same reminder twice
+async function assertOffsetFree(clinicId, data, excludeId = null) {
+  if (!data.isActive) return;
+  const clash = await prisma.reminderRule.findFirst({
+    where: {
+      clinicId,
+      offsetMinutes: data.offsetMinutes,
+      isActive: true,
+      deletedAt: null,
+      ...(excludeId ? { id: { not: excludeId } } : {}),
+    },
+    select: { id: true },
+  });
+  if (clash) {
+    throw { statusCode: 409, message: 'An active reminder already exists for this time before the appointment' };
+  }
+}
+
+// ----------------------------------------------------------------
+// GET /api/admin/reminder-rules
+// ----------------------------------------------------------------
+export const getReminderRules = async (req, res) => {
+  try {
+    const { clinicId } = req.user;
+
+    const rules = await prisma.reminderRule.findMany({
+      where: { clinicId, deletedAt: null },
+      orderBy: { offsetMinutes: 'desc' },
+    });
+
+    return res.json({
+      data: rules,
+      // Sent while the clinic has no active rule of its own
+      defaultRules: DEFAULT_RULES,
+      usingDefaults: !rules.some((r) => r.isActive),
+      placeholders: TEMPLATE_FIELDS,
+    });
+  } catch (error) {
+    console.error('Get Reminder Rules Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// POST /api/admin/reminder-rules
+// body: { name?, offsetMinutes, subject?, body?, includePending?, isActive? }
+// ----------------------------------------------------------------
+export const createReminderRule = async (req, res) => {
+  try {
+    const { clinicId, userId } = req.user;
+
+    const data = buildRuleData(req.body || {});
+    await assertOffsetFree(clinicId, data);
+
+    const rule = await prisma.reminderRule.create({
+      data: { ...data, clinicId },
+    });
+
+    await logAudit({
+      userId,
+      clinicId,
+      action: 'CREATE_REMINDER_RULE',
+      entity: 'ReminderRule',
+      entityId: rule.id,
+      details: data,
+      req,
+    });
+
+    return res.status(201).json(rule);
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Create Reminder Rule Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// PUT /api/admin/reminder-rules/:id
+// ----------------------------------------------------------------
+export const updateReminderRule = async (req, res) => {
+  try {
+    const { clinicId, userId } = req.user;
+    const { id } = req.params;
+
+    const existing = await prisma.reminderRule.findFirst({
+      where: { id, clinicId, deletedAt: null },
+    });
+    if (!existing) {
+      return res.status(404).json({ error: 'Reminder rule not found' });
+    }
+
+    const data = buildRuleData(req.body || {}, existing);
+    await assertOffsetFree(clinicId, data, id);
+
+    const rule = await prisma.reminderRule.update({
+      where: { id },
+      data,
+    });
+
+    await logAudit({
+      userId,
+      clinicId,
+      action: 'UPDATE_REMINDER_RULE',
+      entity: 'ReminderRule',
+      entityId: id,
+      details: data,
+      req,
+    });
+
+    return res.json(rule);
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Update Reminder Rule Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// DELETE /api/admin/reminder-rules/:id (soft delete)
+// ----------------------------------------------------------------
+export const deleteReminderRule = async (req, res) => {
+  try {
+    const { clinicId, userId } = req.user;
+    const { id } = req.params;
+
+    const existing = await prisma.reminderRule.findFirst({
+      where: { id, clinicId, deletedAt: null },
+    });
+    if (!existing) {
+      return res.status(404).json({ error: 'Reminder rule not found' });
+    }
+
+    await prisma.reminderRule.update({
+      where: { id },
+      data: { deletedAt: new Date(), isActive: false },
+    });
+
+    await logAudit({
+      userId,
+      clinicId,
+      action: 'DELETE_REMINDER_RULE',
+      entity: 'ReminderRule',
+      entityId: id,
+      details: { name: existing.name, offsetMinutes: existing.offsetMinutes },
+      req,
+    });
+
+    return res.json({ message: 'Reminder rule deleted' });
+  } catch (error) {
+    console.error('Delete Reminder Rule Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// POST /api/admin/reminder-rules/preview
+// body: { subject?, body? } – rendered with sample appointment details
+// ----------------------------------------------------------------
+export const previewReminderRule = async (req, res) => {
+  try {
+    const { subject, body } = req.body || {};
+    assertTemplate(subject, 'subject');
+    assertTemplate(body, 'body');
+
+    return res.json({
+      subject: renderTemplate(subject || DEFAULT_SUBJECT, SAMPLE_VALUES),
+      body: renderTemplate(body || DEFAULT_BODY, SAMPLE_VALUES),
+    });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Preview Reminder Rule Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -1,16 +1,5 @@
 import prisma from '../prisma.js';
 
-// helper unchanged
-async function getClinicPlan(clinicId) {
-  const clinic = await prisma.clinic.findUnique({
-    where: { id: clinicId },
-    include: {
-      subscription: { include: { plan: true } },
-    },
-  });
-  return clinic?.subscription?.plan || null;
-}
-
 export const getClinicReviews = async (req, res) => {
   try {
     const { clinicId } = req.user;
@@ -18,13 +7,6 @@ export const getClinicReviews = async (req, res) => {
       return res.status(400).json({ error: 'Clinic ID not found' });
     }
 
-    const plan = await getClinicPlan(clinicId);
-    if (!plan || !plan.enableAuditLogs) {
-      return res.status(403).json({
-        error: 'Reviews module is not available on your current plan.',
-      });
-    }
-
     const { page = 1, limit = 10 } = req.query;
     const pageNumber = Number(page) || 1;
     const pageSize = Number(limit) || 10;
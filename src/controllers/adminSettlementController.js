@@ -0,0 +1,70 @@
+import prisma from '../prisma.js';
+import {
+  getSettlementPeriod,
+  getSettlementLedger,
+  getSettlementBatch,
+  renderSettlementStatementPdf,
+} from '../services/settlementService.js';
+
+// ----------------------------------------------------------------
+// GET /api/admin/settlements/ledger?month=YYYY-MM|from=&to=
+// Online bookings collected by the platform: commission and net payable
+// ----------------------------------------------------------------
+export const getClinicSettlementLedger = async (req, res) => {
+  try {
+    const { clinicId } = req.user;
+    const { from, to, label } = getSettlementPeriod(req.query);
+
+    const [[summary], entries] = await Promise.all([
+      getSettlementLedger({ from, to, clinicId }),
+      prisma.settlementEntry.findMany({
+        where: { clinicId, createdAt: { gte: from, lt: to } },
+        orderBy: { createdAt: 'asc' },
+        include: {
+          transaction: { select: { provider: true, gatewayRef: true } },
+          batch: { select: { id: true, status: true } },
+        },
+      }),
+    ]);
+
+    return res.json({ period: label, from, to, summary: summary || null, data: entries });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Clinic Settlement Ledger Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// GET /api/admin/settlements
+// ----------------------------------------------------------------
+export const getClinicSettlements = async (req, res) => {
+  try {
+    const batches = await prisma.settlementBatch.findMany({
+      where: { clinicId: req.user.clinicId },
+      orderBy: { periodStart: 'desc' },
+    });
+    return res.json(batches);
+  } catch (error) {
+    console.error('Get Clinic Settlements Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// GET /api/admin/settlements/:id/statement  (PDF)
+// ----------------------------------------------------------------
+export const downloadClinicSettlementStatement = async (req, res) => {
+  try {
+    const batch = await getSettlementBatch(req.params.id, req.user.clinicId);
+    const pdf = await renderSettlementStatementPdf(batch);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="settlement_${batch.id}.pdf"`);
+    return res.send(pdf);
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Clinic Settlement Statement Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -1,5 +1,8 @@
 import prisma from '../prisma.js';
 import { logAudit } from '../utils/audit.js';
+import { buildSlotDrafts, insertSlotDrafts } from '../services/slotGenerationService.js';
+import { enqueueJob } from '../services/jobQueue.js';
+import { clinicHasEntitlement } from '../services/entitlementService.js';
 
 // ---------------- Helper: current plan for clinic ----------------
 async function getClinicPlan(clinicId) {
@@ -78,7 +81,7 @@ export const createSlot = async (req, res) => {
     const mode = paymentMode || 'ONLINE';
     const isPaidMode = mode === 'ONLINE' || mode === 'OFFLINE';
 
-    if (isPaidMode && !plan.allowOnlinePayments) {
+    if (isPaidMode && !(await clinicHasEntitlement(clinicId, 'onlinePayments'))) {
       return res.status(403).json({
         error:
           'Paid/online slots are disabled on your current plan. Use FREE mode instead.',
@@ -247,7 +250,7 @@ export const updateSlot = async (req, res) => {
     const nextMode = paymentMode ?? existing.paymentMode;
     const isPaidMode = nextMode === 'ONLINE' || nextMode === 'OFFLINE';
 
-    if (isPaidMode && !plan.allowOnlinePayments) {
+    if (isPaidMode && !(await clinicHasEntitlement(clinicId, 'onlinePayments'))) {
       return res.status(403).json({
         error:
           'Paid/online slots are disabled on your current plan. Use FREE mode instead.',
@@ -444,7 +447,7 @@ export const deleteSlot = async (req, res) => {
 export const createBulkSlots = async (req, res) => {
   try {
     const { clinicId, userId } = req.user;
-    const { doctorId, startDate, endDate, startTime, endTime, duration, days, paymentMode, kind, lunchStart, lunchEnd } = req.body;
+    const { doctorId, startDate, endDate, startTime, endTime, duration, days, paymentMode, price, kind, lunchStart, lunchEnd } = req.body;
 
     // ... Validation (Same as before) ...
     if (!doctorId || !startDate || !endDate || !startTime || !endTime || !duration) return res.status(400).json({ error: "Missing fields" });
@@ -453,133 +456,47 @@ export const createBulkSlots = async (req, res) => {
     const doctor = await prisma.doctor.findUnique({ where: { id: doctorId }, select: { clinicId: true, name: true } });
     if (!doctor || doctor.clinicId !== clinicId) return res.status(403).json({ error: "Invalid doctor" });
 
-    // HELPER: Convert "HH:MM" or "HH:MM:SS" to minutes
-    const timeToMinutes = (timeStr) => {
-        if (!timeStr) return 0;
-        const [h, m] = String(timeStr).split(':').map(Number);
-        return h * 60 + m;
-    };
-
-    const startMins = timeToMinutes(startTime);
-    const endMins = timeToMinutes(endTime);
-    const lunchStartMins = lunchStart ? timeToMinutes(lunchStart) : -1;
-    const lunchEndMins = lunchEnd ? timeToMinutes(lunchEnd) : -1;
-    const durationMins = parseInt(duration, 10);
-    const selectedDays = days.map(d => parseInt(d, 10));
-    
     // 1. Generate Slots
-    const slotsToCreate = [];
-    let currentDate = new Date(startDate);
-    currentDate.setHours(0,0,0,0); 
-    const finalDateObj = new Date(endDate);
-    finalDateObj.setHours(0,0,0,0);
-
-    while (currentDate <= finalDateObj) {
-      if (selectedDays.includes(currentDate.getDay())) {
-        for (let time = startMins; time < endMins; time += durationMins) {
-            const slotStart = time;
-            const slotEnd = time + durationMins;
-            if (slotEnd > endMins) continue; 
-            if (lunchStartMins !== -1 && lunchEndMins !== -1) {
-                if (slotStart < lunchEndMins && slotEnd > lunchStartMins) continue;
-            }
-
-            const h = Math.floor(time / 60).toString().padStart(2, '0');
-            const m = (time % 60).toString().padStart(2, '0');
-            
-            slotsToCreate.push({
-                doctorId,
-                clinicId: doctor.clinicId,
-                date: new Date(currentDate), 
-                time: `${h}:${m}`,
-                duration: durationMins,
-                paymentMode: paymentMode || "ONLINE", 
-                price: paymentMode === "FREE" ? 0 : 500,
-                type: kind === "BREAK" ? "BREAK" : "PAID",
-                kind: kind || "APPOINTMENT"
-            });
-        }
-      }
-      currentDate.setDate(currentDate.getDate() + 1);
-    }
+    const slotsToCreate = buildSlotDrafts({
+      clinicId: doctor.clinicId,
+      doctorId,
+      startDate,
+      endDate,
+      startTime,
+      endTime,
+      duration,
+      days,
+      lunchStart,
+      lunchEnd,
+      paymentMode,
+      price: price ?? 500,
+      kind,
+    });
 
     if (slotsToCreate.length === 0) return res.status(400).json({ error: "No slots generated." });
 
-    // 2. FETCH EXISTING SLOTS
-    const existingSlots = await prisma.slot.findMany({
-      where: {
-        clinicId,
-        doctorId,
-        deletedAt: null,
-        date: {
-          gte: new Date(startDate), 
-          lte: new Date(endDate)
-        }
-      },
-      select: { date: true, time: true, duration: true }
+    // 2. Overlap check against existing slots + insert
+    const { created: successCount, skipped: duplicateCount, holidaySkipped } = await insertSlotDrafts({
+      clinicId,
+      doctorId,
+      drafts: slotsToCreate,
     });
 
-    const validSlots = [];
-    let duplicateCount = 0;
-
-    // 3. OVERLAP CHECK
-    for (const newSlot of slotsToCreate) {
-      // Use simple ISO string YYYY-MM-DD (first 10 chars) for reliable comparison
-      // But we must correct for timezone offset if using toISOString on local dates.
-      // Safest is to constructing a string manually from the Date object:
-      const d = newSlot.date;
-      const newDateStr = `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
-      
-      const newStartMin = timeToMinutes(newSlot.time);
-      const newEndMin = newStartMin + newSlot.duration;
-
-      const hasConflict = existingSlots.some(existing => {
-        // Construct existing date string same way
-        const ed = new Date(existing.date);
-        const existingDateStr = `${ed.getFullYear()}-${String(ed.getMonth()+1).padStart(2,'0')}-${String(ed.getDate()).padStart(2,'0')}`;
-        
-        if (existingDateStr !== newDateStr) {
-            return false; 
-        }
-
-        // Fix Time Format (handle potential "09:00:00")
-        const exStartMin = timeToMinutes(existing.time);
-        const exEndMin = exStartMin + existing.duration;
-
-        // Check intersection
-        return (newStartMin < exEndMin && newEndMin > exStartMin);
-      });
-
-      if (hasConflict) {
-        duplicateCount++;
-      } else {
-        validSlots.push(newSlot);
-      }
-    }
-
-    // 4. Insert
-    let successCount = 0;
-    for (const slot of validSlots) {
-       try {
-         await prisma.slot.create({ data: slot });
-         successCount++;
-       } catch(e) { if(e.code === 'P2002') duplicateCount++; }
-    }
-
     await logAudit({
         userId: userId || req.user.userId,
         clinicId,
         action: "BULK_CREATE_SLOTS",
         entity: "Slot",
         entityId: "BULK",
-        details: { count: successCount, skipped: duplicateCount },
+        details: { count: successCount, skipped: duplicateCount, holidaySkipped },
         req
     });
 
     return res.json({
-      message: `Created: ${successCount}, Skipped: ${duplicateCount}`,
+      message: `Created: ${successCount}, Skipped: ${duplicateCount}${holidaySkipped ? `, Holiday/leave: ${holidaySkipped}` : ''}`,
       count: successCount,
-      skipped: duplicateCount
+      skipped: duplicateCount,
+      holidaySkipped
     });
 
   } catch (error) {
@@ -1238,6 +1155,7 @@ export const unblockSlot = async (req, res) => {
         blockedReason: null,
         blockedBy: null,
         blockedAt: null,
+        holidayId: null,
       },
       include: {
         doctor: { select: { name: true } },
@@ -1261,6 +1179,8 @@ export const unblockSlot = async (req, res) => {
       req,
     });
 
+    enqueueJob('waitlist.offer-slot', { slotId: slot.id }).catch(console.error); // ⏳ next on waitlist
+
     res.json({
       success: true,
       message: `Slot unblocked for ${slot.doctor.name} - ${slot.time}`,
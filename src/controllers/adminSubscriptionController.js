@@ -1,13 +1,36 @@
 // controllers/adminSubscriptionController.js - 100% FIXED ✅ TrialDays + Audit + Razorpay
 import prisma from '../prisma.js';
-import Razorpay from 'razorpay';
+import { getPaymentProvider } from '../services/paymentProviders/index.js';
 import { logAudit } from '../utils/audit.js';
+import { getPlanTax, toTaxFields } from '../services/taxService.js';
+import {
+  createGatewaySubscription,
+  cancelAutoRenew,
+  changeGatewayPlan,
+  cancelGatewayPlanChange,
+} from '../services/subscriptionBillingService.js';
+import {
+  buildPlanActivation,
+  classifyPlanChange,
+  getCurrentCycle,
+  getProrationCredit,
+  resolveDoctorDeactivations,
+  deactivateDoctors,
+} from '../services/planChangeService.js';
+import {
+  quoteCoupon,
+  computeCouponDiscount,
+  toCouponSummary,
+  recordCouponRedemption,
+} from '../services/couponService.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
 
 export const upgradeClinicPlan = async (req, res) => {
   try {
     const userId = req.user.userId;
     const clinicId = req.user?.clinicId;
-    const { planId } = req.body;
+    const { planId, autoRenew, provider = 'RAZORPAY', deactivateDoctorIds, couponCode } = req.body;
 
     console.log('🔍 REQ.USER DEBUG:', {
       user: req.user,
@@ -38,9 +61,207 @@ export const upgradeClinicPlan = async (req, res) => {
     // 2. Fetch Current Subscription
     const currentSub = await prisma.subscription.findUnique({
       where: { clinicId },
+      include: { plan: true },
     });
 
-    // 3. ✅ FIXED: Razorpay Config (Sequential queries)
+    // 2b. What kind of change is this? (NEW / SAME / UPGRADE / DOWNGRADE)
+    const change = classifyPlanChange(currentSub, targetPlan);
+    if (change === 'SAME') {
+      return res.status(400).json({ error: 'You are already on this plan' });
+    }
+
+    // 2a. 🏷️ Platform promo code (first-month discount or longer trial)
+    let coupon = null;
+    if (couponCode) {
+      if (change === 'DOWNGRADE' || autoRenew) {
+        return res.status(400).json({ error: 'Promo codes apply to one-time plan purchases and upgrades only' });
+      }
+      coupon = await quoteCoupon({
+        code: couponCode,
+        scope: 'PLAN',
+        clinicId,
+        planId,
+        amount: Number(targetPlan.priceMonthly),
+      });
+    }
+
+    // Too many active doctors for the target plan → admin must pick who goes
+    const doctorIds = await resolveDoctorDeactivations({ clinicId, plan: targetPlan, deactivateDoctorIds });
+
+    // 2c. DOWNGRADE: keep the paid-for plan until the cycle ends
+    if (change === 'DOWNGRADE') {
+      const { end } = getCurrentCycle(currentSub);
+
+      if (currentSub.autoRenew && currentSub.gatewaySubscriptionId) {
+        if (Number(targetPlan.priceMonthly) > 0) {
+          await changeGatewayPlan({ sub: currentSub, plan: targetPlan, when: 'cycle_end' });
+        } else {
+          await cancelAutoRenew(clinicId); // free plan – nothing left to bill
+        }
+      }
+
+      const subscription = await prisma.subscription.update({
+        where: { clinicId },
+        data: {
+          scheduledPlanId: planId,
+          scheduledChangeAt: end,
+          deactivateDoctorIds: doctorIds,
+          pendingPlanId: null,
+          prorationCredit: null,
+          razorpayOrderId: null,
+        },
+        include: { plan: true },
+      });
+
+      await logAudit({
+        userId,
+        clinicId,
+        action: 'SCHEDULE_PLAN_DOWNGRADE',
+        entity: 'Subscription',
+        entityId: subscription.id,
+        details: {
+          oldPlanId: currentSub.planId,
+          newPlanId: planId,
+          newPlanName: targetPlan.name,
+          effectiveAt: end,
+          deactivateDoctorIds: doctorIds,
+        },
+        req,
+      });
+
+      return res.json({
+        success: true,
+        requiresPayment: false,
+        scheduled: true,
+        effectiveAt: end,
+        message: `${targetPlan.name} starts on ${end.toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })}`,
+        subscription,
+      });
+    }
+
+    // 2d. UPGRADE on an auto-renewing subscription: the gateway prorates
+    if (change === 'UPGRADE' && currentSub.autoRenew && currentSub.gatewaySubscriptionId) {
+      await changeGatewayPlan({ sub: currentSub, plan: targetPlan, when: 'now' });
+
+      const subscription = await prisma.$transaction(async (tx) => {
+        await deactivateDoctors(clinicId, doctorIds, tx);
+        return tx.subscription.update({
+          where: { clinicId },
+          data: {
+            planId,
+            priceAtPurchase: targetPlan.priceMonthly,
+            maxDoctors: targetPlan.maxDoctors,
+            maxBookingsPerPeriod: targetPlan.maxBookingsPerMonth,
+            scheduledPlanId: null,
+            scheduledChangeAt: null,
+            deactivateDoctorIds: [],
+          },
+          include: { plan: true },
+        });
+      });
+
+      await logAudit({
+        userId,
+        clinicId,
+        action: 'UPDATE_SUBSCRIPTION_PLAN',
+        entity: 'Subscription',
+        entityId: subscription.id,
+        details: { oldPlanId: currentSub.planId, newPlanId: planId, newPlanName: targetPlan.name, type: 'GATEWAY_PRORATED_UPGRADE' },
+        req,
+      });
+
+      return res.json({
+        success: true,
+        requiresPayment: false,
+        message: `Upgraded to ${targetPlan.name}. The prorated difference is charged to your saved payment method.`,
+        subscription,
+      });
+    }
+
+    // 3. ✅ FIXED: Free upgrade? (Handles trialDays!)
+    const isFreeUpgrade = targetPlan.isTrial || 
+                         Number(targetPlan.priceMonthly) === 0 || 
+                         (targetPlan.trialDays > 0 && change === 'NEW');  // ✅ 5-day with 1-day free!
+
+    if (coupon && coupon.trialDays && !(isFreeUpgrade && targetPlan.trialDays > 0)) {
+      return res.status(400).json({ error: 'This code extends free trials – choose a plan that starts with a trial' });
+    }
+
+    if (isFreeUpgrade) {
+      if (coupon && !coupon.trialDays) {
+        return res.status(400).json({ error: 'This code gives a discount on paid plans – nothing is charged for this plan now' });
+      }
+
+      const subscription = await performPlanUpgrade({
+        clinicId, planId, targetPlan, currentSub, doctorIds, userId, req, coupon
+      });
+      
+      return res.json({ 
+        success: true, 
+        requiresPayment: false,  // ✅ Frontend skips Razorpay
+        message: `Started ${subscription.trialDays || targetPlan.durationDays || 30} day trial`,
+        coupon: toCouponSummary(coupon),
+        subscription 
+      });
+    }
+
+    // 4. 🔁 AUTO-RENEW: gateway-managed subscription (charged every cycle)
+    if (autoRenew) {
+      const clinic = await prisma.clinic.findUnique({
+        where: { id: clinicId },
+        select: { gstin: true, gstStateCode: true },
+      });
+      const planTax = await getPlanTax({ plan: targetPlan, clinic });
+      const gatewaySub = await createGatewaySubscription({
+        clinicId,
+        plan: targetPlan,
+        provider: String(provider).toUpperCase(),
+        email: req.user?.email,
+      });
+
+      // The running plan (and its auto-renewal) stays until the new
+      // subscription's first charge – recordSubscriptionCharge switches it in
+      const tax = { taxAmount: planTax.taxAmount, taxBreakdown: toTaxFields(planTax).taxBreakdown };
+      const subscription = await prisma.subscription.upsert({
+        where: { clinicId },
+        update: {
+          pendingPlanId: planId,
+          prorationCredit: null,
+          pendingGatewayProvider: gatewaySub.provider,
+          pendingGatewaySubscriptionId: gatewaySub.gatewaySubscriptionId,
+          ...tax,
+        },
+        create: {
+          clinicId,
+          status: 'TRIAL',
+          planId,
+          gatewayProvider: gatewaySub.provider,
+          gatewaySubscriptionId: gatewaySub.gatewaySubscriptionId,
+          autoRenew: true,
+          ...tax,
+        },
+      });
+
+      await logAudit({
+        userId,
+        clinicId,
+        action: 'START_AUTO_RENEW',
+        entity: 'Subscription',
+        entityId: subscription.id,
+        details: { oldPlanId: currentSub?.planId, newPlanId: planId, provider: gatewaySub.provider },
+        req,
+      });
+
+      return res.json({
+        success: true,
+        requiresPayment: true,
+        autoRenew: true,
+        payment: { provider: gatewaySub.provider, ...gatewaySub.payment, tax: toTaxFields(planTax) },
+        plan: targetPlan
+      });
+    }
+
+    // 5. ✅ FIXED: Razorpay Config (Sequential queries)
     let razorpayConfig = await prisma.paymentGateway.findFirst({
       where: {
         clinicId,
@@ -62,128 +283,142 @@ export const upgradeClinicPlan = async (req, res) => {
       return res.status(400).json({ error: 'Razorpay configuration not found' });
     }
 
-    // 4. ✅ FIXED: Free upgrade? (Handles trialDays!)
-    const isFreeUpgrade = targetPlan.isTrial || 
-                         targetPlan.priceMonthly === 0 || 
-                         targetPlan.trialDays > 0;  // ✅ 5-day with 1-day free!
+    // 6. PAID: Create Razorpay Order
+    const razorpay = getPaymentProvider(razorpayConfig, 'RAZORPAY');
 
-    if (isFreeUpgrade) {
+    // 💸 Mid-cycle upgrade: unused part of the current plan comes off the price
+    const proration = change === 'UPGRADE' ? getProrationCredit(currentSub) : { credit: 0, fraction: 0, cycle: null };
+    const afterCredit = Math.max(Number(targetPlan.priceMonthly) - proration.credit, 0);
+
+    // Promo discount comes off what is left to pay this cycle
+    if (coupon) {
+      const discount = computeCouponDiscount(coupon.coupon, afterCredit);
+      coupon = { ...coupon, amountBefore: afterCredit, discount, netAmount: Math.max(afterCredit - discount, 0) };
+    }
+    const netPrice = coupon ? coupon.netAmount : afterCredit;
+
+    if (netPrice === 0) {
       const subscription = await performPlanUpgrade({
-        clinicId, planId, targetPlan, currentSub, userId, req
-      });
-      
-      return res.json({ 
-        success: true, 
-        requiresPayment: false,  // ✅ Frontend skips Razorpay
-        message: `Started ${targetPlan.trialDays || targetPlan.durationDays || 30} day trial`,
-        subscription 
+        clinicId, planId, targetPlan, currentSub, doctorIds, userId, req, coupon
       });
+      return res.json({ success: true, requiresPayment: false, proration, coupon: toCouponSummary(coupon), subscription });
     }
 
-    // 5. PAID: Create Razorpay Order
-    const razorpay = new Razorpay({
-      key_id: razorpayConfig.apiKey || razorpayConfig.config?.apiKey,
-      key_secret: razorpayConfig.secret || razorpayConfig.config?.secret,
+    // 🧾 Plan price + platform GST
+    const clinic = await prisma.clinic.findUnique({
+      where: { id: clinicId },
+      select: { gstin: true, gstStateCode: true },
     });
-
-    const amount = Math.round(targetPlan.priceMonthly * 100);
+    const planTax = await getPlanTax({ plan: { ...targetPlan, priceMonthly: netPrice }, clinic });
     const receipt = `upg_${clinicId.slice(-8)}_${Date.now().toString(36).slice(-4)}`;
     console.log('Receipt:', receipt, 'Length:', receipt.length); // Verify ≤40
     
-    const razorpayOrder = await razorpay.orders.create({
-      amount,
-      currency: 'INR',
+    const razorpayOrder = await razorpay.createOrder({
+      amount: planTax.total,
       receipt,
       notes: { clinicId, planId, userId, type: 'PLAN_UPGRADE' }
     });
 
     // Mark subscription pending
-    await prisma.subscription.upsert({
+    // UPGRADE keeps the running plan until payment; pendingPlanId is switched in on verify
+    const pending = change === 'UPGRADE'
+      ? { pendingPlanId: planId, prorationCredit: proration.credit }
+      : { status: 'TRIAL', planId, pendingPlanId: null, prorationCredit: null };
+
+    const pendingSub = await prisma.subscription.upsert({
       where: { clinicId },
       update: {
-        status: 'TRIAL',  // ✅ Better than TRIAL for paid
-        razorpayOrderId: razorpayOrder.id,
-        planId
+        ...pending,
+        // The latest checkout wins over an unfinished auto-renew one
+        pendingGatewaySubscriptionId: null,
+        pendingGatewayProvider: null,
+        razorpayOrderId: razorpayOrder.orderId,
+        deactivateDoctorIds: doctorIds,
+        taxAmount: planTax.taxAmount,
+        taxBreakdown: toTaxFields(planTax).taxBreakdown,
       },
       create: {
         clinicId,
         planId,
         status: 'TRIAL',
-        razorpayOrderId: razorpayOrder.id,
+        razorpayOrderId: razorpayOrder.orderId,
+        deactivateDoctorIds: doctorIds,
+        taxAmount: planTax.taxAmount,
+        taxBreakdown: toTaxFields(planTax).taxBreakdown,
       }
     });
 
+    // Held until verifyClinicPlanPayment confirms the order
+    if (coupon) {
+      await recordCouponRedemption({
+        quote: coupon,
+        clinicId,
+        userId,
+        subscriptionId: pendingSub.id,
+        orderRef: razorpayOrder.orderId,
+      });
+    }
+
     return res.json({
       success: true,
       requiresPayment: true,
       payment: {
-        razorpayOrderId: razorpayOrder.id,
+        razorpayOrderId: razorpayOrder.orderId,
         amount: razorpayOrder.amount,
         currency: razorpayOrder.currency,
-        key: razorpayConfig.apiKey || razorpayConfig.config?.apiKey,
+        key: razorpayOrder.key,
+        tax: toTaxFields(planTax),
+        proration: {
+          credit: proration.credit,
+          unusedFraction: proration.fraction,
+          planPrice: Number(targetPlan.priceMonthly),
+          netPrice,
+        },
+        coupon: toCouponSummary(coupon),
       },
       plan: targetPlan
     });
 
   } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message, ...(err.details || {}) });
     console.error('Upgrade Clinic Plan Error:', err);
     res.status(500).json({ error: err.message });
   }
 };
 
 // ✅ FIXED Helper - All edge cases handled
-const performPlanUpgrade = async ({ clinicId, planId, targetPlan, currentSub, userId, req }) => {
-  const now = new Date();
-  let startDate = now, nextBillingDate = null, endDate = null;
-
-  // ✅ FIXED: TrialDays + DurationDays logic
-  if (targetPlan.durationDays) {
-    // Fixed duration plan (trial or paid)
-    endDate = new Date(now);
-    endDate.setDate(endDate.getDate() + targetPlan.durationDays);
-  } else if (targetPlan.trialDays && (!currentSub || currentSub.status === 'EXPIRED')) {
-    // Monthly with trial period (first time or expired)
-    startDate = now;
-    endDate = new Date(now);
-    endDate.setDate(endDate.getDate() + targetPlan.trialDays);
-  } else {
-    // Normal monthly recurring
-    nextBillingDate = new Date(now);
-    nextBillingDate.setMonth(nextBillingDate.getMonth() + 1);
-    nextBillingDate.setDate(Math.min(nextBillingDate.getDate(), now.getDate())); // Same day
+const performPlanUpgrade = async ({ clinicId, planId, targetPlan, currentSub, doctorIds = [], userId, req, coupon = null }) => {
+  // ✅ FIXED: TrialDays + DurationDays logic (see buildPlanActivation)
+  const activation = buildPlanActivation(targetPlan, currentSub);
+
+  // 🏷️ Trial-extension code: push the trial end out
+  if (coupon?.trialDays) {
+    if (!activation.endDate || targetPlan.durationDays) { // fixed-duration plans have no trial
+      throw { statusCode: 400, message: 'There is no free trial to extend for your clinic on this plan' };
+    }
+    activation.endDate = new Date(activation.endDate.getTime() + coupon.trialDays * MS_PER_DAY);
+    activation.trialDays = (activation.trialDays || 0) + coupon.trialDays;
   }
 
-  const subscription = await prisma.subscription.upsert({
-    where: { clinicId },
-    update: {
-      plan: { connect: { id: planId } },
-      status: 'ACTIVE',
-      priceAtPurchase: targetPlan.priceMonthly,
-      maxDoctors: targetPlan.maxDoctors,
-      maxBookingsPerPeriod: targetPlan.maxBookingsPerMonth,
-      isTrial: targetPlan.isTrial,
-      durationDays: targetPlan.durationDays,
-      trialDays: targetPlan.trialDays,
-      startDate,
-      nextBillingDate,
-      endDate,
-      razorpayOrderId: null,
-    },
-    create: {
-      clinicId,
-      planId,
-      status: 'ACTIVE',
-      priceAtPurchase: targetPlan.priceMonthly,
-      maxDoctors: targetPlan.maxDoctors,
-      maxBookingsPerPeriod: targetPlan.maxBookingsPerMonth,
-      isTrial: targetPlan.isTrial,
-      durationDays: targetPlan.durationDays,
-      trialDays: targetPlan.trialDays,
-      startDate,
-      nextBillingDate,
-      endDate,
-    },
-    include: { plan: true },
+  const subscription = await prisma.$transaction(async (tx) => {
+    await deactivateDoctors(clinicId, doctorIds, tx);
+    const sub = await tx.subscription.upsert({
+      where: { clinicId },
+      update: activation,
+      create: { clinicId, ...activation },
+      include: { plan: true },
+    });
+
+    if (coupon) {
+      await recordCouponRedemption({
+        quote: coupon,
+        clinicId,
+        userId,
+        subscriptionId: sub.id,
+        status: 'REDEEMED', // nothing to pay
+      }, tx);
+    }
+    return sub;
   });
 
   // ✅ PERFECT Audit (userId passed correctly)
@@ -198,11 +433,88 @@ await logAudit({
     newPlanId: planId,
     newPlanName: targetPlan.name,
     type: targetPlan.isTrial || targetPlan.trialDays > 0 ? 'TRIAL_UPGRADE' : 'PAID_UPGRADE',
-    trialDays: targetPlan.trialDays,
-    durationDays: targetPlan.durationDays
+    trialDays: subscription.trialDays,
+    durationDays: targetPlan.durationDays,
+    deactivateDoctorIds: doctorIds,
+    couponCode: coupon?.coupon.code,
   },
   req,
 });
 
   return subscription;
 };
+
+// ----------------------------------------------------------------
+// DELETE /api/admin/subscription/scheduled-change
+// Stay on the current plan instead of the scheduled downgrade
+// ----------------------------------------------------------------
+export const cancelScheduledPlanChange = async (req, res) => {
+  try {
+    const { clinicId, userId } = req.user;
+    const sub = await prisma.subscription.findUnique({
+      where: { clinicId },
+      include: { plan: true },
+    });
+
+    if (!sub?.scheduledPlanId) {
+      return res.status(400).json({ error: 'No plan change is scheduled' });
+    }
+
+    if (sub.autoRenew && sub.gatewaySubscriptionId) {
+      await cancelGatewayPlanChange(sub);
+    }
+
+    const subscription = await prisma.subscription.update({
+      where: { id: sub.id },
+      data: { scheduledPlanId: null, scheduledChangeAt: null, deactivateDoctorIds: [] },
+      include: { plan: true },
+    });
+
+    await logAudit({
+      userId,
+      clinicId,
+      action: 'CANCEL_PLAN_DOWNGRADE',
+      entity: 'Subscription',
+      entityId: sub.id,
+      details: { keptPlanId: sub.planId, cancelledPlanId: sub.scheduledPlanId, effectiveAt: sub.scheduledChangeAt },
+      req,
+    });
+
+    return res.json({ success: true, message: `You will stay on ${sub.plan.name}.`, subscription });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Cancel Scheduled Plan Change Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// POST /api/admin/subscription/cancel-auto-renew
+// Stops future charges; the plan stays active until nextBillingDate.
+// ----------------------------------------------------------------
+export const cancelClinicAutoRenew = async (req, res) => {
+  try {
+    const { clinicId, userId } = req.user;
+    const subscription = await cancelAutoRenew(clinicId);
+
+    await logAudit({
+      userId,
+      clinicId,
+      action: 'CANCEL_AUTO_RENEW',
+      entity: 'Subscription',
+      entityId: subscription.id,
+      details: { provider: subscription.gatewayProvider, activeUntil: subscription.nextBillingDate },
+      req,
+    });
+
+    return res.json({
+      success: true,
+      message: 'Auto-renew cancelled. Your plan stays active until the end of the current period.',
+      subscription,
+    });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Cancel Auto Renew Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
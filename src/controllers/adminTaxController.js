@@ -0,0 +1,217 @@
+import prisma from '../prisma.js';
+import ExcelJS from 'exceljs';
+import { logAudit } from '../utils/audit.js';
+import {
+  DEFAULT_SERVICE,
+  normaliseGstin,
+  getStateCode,
+  getGstMonthRange,
+  apportionTax,
+  upsertTaxRate,
+} from '../services/taxService.js';
+import { round2 } from '../utils/money.js';
+
+// ---------------- Helper: validate one rate from the request ----------------
+function buildRateData(input) {
+  const service = String(input?.service || DEFAULT_SERVICE).trim().toUpperCase();
+  const rate = Number(input?.rate ?? 0);
+  if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+    throw { statusCode: 400, message: `Rate for ${service} must be between 0 and 100` };
+  }
+  return {
+    service,
+    rate,
+    name: input?.name || 'GST',
+    sacCode: input?.sacCode || null,
+    priceIncludesTax: Boolean(input?.priceIncludesTax),
+    isActive: input?.isActive === undefined ? true : Boolean(input.isActive),
+  };
+}
+
+// ----------------------------------------------------------------
+// GET /api/admin/tax-settings
+// ----------------------------------------------------------------
+export const getTaxSettings = async (req, res) => {
+  try {
+    const { clinicId } = req.user;
+
+    const [clinic, rates] = await Promise.all([
+      prisma.clinic.findUnique({
+        where: { id: clinicId },
+        select: { gstin: true, gstStateCode: true },
+      }),
+      prisma.taxRate.findMany({
+        where: { clinicId, deletedAt: null },
+        orderBy: { service: 'asc' },
+      }),
+    ]);
+
+    return res.json({ ...clinic, rates });
+  } catch (error) {
+    console.error('Get Tax Settings Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// PUT /api/admin/tax-settings
+// body: { gstin?, rates?: [{ service, rate, sacCode?, priceIncludesTax?, isActive? }] }
+// service is a slot kind (e.g. APPOINTMENT) or DEFAULT for everything else
+// ----------------------------------------------------------------
+export const updateTaxSettings = async (req, res) => {
+  try {
+    const { clinicId, userId } = req.user;
+    const { gstin, rates } = req.body || {};
+
+    const clinicData = {};
+    if (gstin !== undefined) {
+      clinicData.gstin = normaliseGstin(gstin);
+      if (clinicData.gstin) clinicData.gstStateCode = getStateCode({ gstin: clinicData.gstin });
+    }
+
+    if (rates !== undefined && !Array.isArray(rates)) {
+      return res.status(400).json({ error: 'rates must be an array' });
+    }
+    const rateData = (rates || []).map(buildRateData);
+    if (new Set(rateData.map((r) => r.service)).size !== rateData.length) {
+      return res.status(400).json({ error: 'Each service can only appear once' });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const clinic = Object.keys(clinicData).length
+        ? await tx.clinic.update({ where: { id: clinicId }, data: clinicData, select: { gstin: true, gstStateCode: true } })
+        : await tx.clinic.findUnique({ where: { id: clinicId }, select: { gstin: true, gstStateCode: true } });
+
+      for (const data of rateData) {
+        await upsertTaxRate({ clinicId, ...data }, tx);
+      }
+
+      const saved = await tx.taxRate.findMany({
+        where: { clinicId, deletedAt: null },
+        orderBy: { service: 'asc' },
+      });
+      return { ...clinic, rates: saved };
+    });
+
+    await logAudit({
+      userId,
+      clinicId,
+      action: 'UPDATE_TAX_SETTINGS',
+      entity: 'Clinic',
+      entityId: clinicId,
+      details: { gstin: result.gstin, rates: rateData },
+      req,
+    });
+
+    return res.json(result);
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Update Tax Settings Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// GET /api/admin/gst/summary?month=YYYY-MM&format=json|xlsx
+// Cash basis: money received (and refunded) in the month, with the tax
+// share taken from the breakdown stored on each appointment.
+// ----------------------------------------------------------------
+export const getGstSummary = async (req, res) => {
+  try {
+    const { clinicId } = req.user;
+    const { month, from, to } = getGstMonthRange(req.query.month);
+
+    const [clinic, transactions] = await Promise.all([
+      prisma.clinic.findUnique({ where: { id: clinicId }, select: { name: true, gstin: true } }),
+      prisma.paymentTransaction.findMany({
+        where: { clinicId, createdAt: { gte: from, lt: to } },
+        orderBy: { createdAt: 'asc' },
+        include: {
+          appointment: {
+            select: {
+              id: true,
+              amount: true,
+              taxAmount: true,
+              taxBreakdown: true,
+              invoice: { select: { invoiceNumber: true } },
+              user: { select: { name: true } },
+            },
+          },
+        },
+      }),
+    ]);
+
+    const rows = transactions.map((t) => {
+      const appt = t.appointment;
+      const split = apportionTax({
+        amount: t.amount,
+        total: appt?.amount,
+        taxAmount: appt?.taxAmount,
+        taxBreakdown: appt?.taxBreakdown,
+        sign: t.direction === 'DEBIT' ? -1 : 1,
+      });
+      return {
+        date: t.createdAt,
+        type: t.type,
+        direction: t.direction,
+        invoiceNumber: appt?.invoice?.invoiceNumber || null,
+        patient: appt?.user?.name || null,
+        rate: Number(appt?.taxBreakdown?.rate || 0),
+        sacCode: appt?.taxBreakdown?.sacCode || null,
+        ...split,
+      };
+    });
+
+    // Rate-wise totals (what goes into GSTR-1 / 3B)
+    const byRate = {};
+    const totals = { taxableValue: 0, cgst: 0, sgst: 0, igst: 0, total: 0 };
+    rows.forEach((r) => {
+      const key = `${r.rate}|${r.sacCode || ''}`;
+      byRate[key] ||= { rate: r.rate, sacCode: r.sacCode, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, total: 0, count: 0 };
+      const bucket = byRate[key];
+      ['taxableValue', 'cgst', 'sgst', 'igst', 'total'].forEach((k) => {
+        bucket[k] = round2(bucket[k] + r[k]);
+        totals[k] = round2(totals[k] + r[k]);
+      });
+      bucket.count += 1;
+    });
+
+    const summary = { month, clinic: clinic?.name, gstin: clinic?.gstin || null, totals, byRate: Object.values(byRate) };
+
+    if (req.query.format !== 'xlsx') {
+      return res.json({ ...summary, data: rows });
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(`GST ${month}`);
+    sheet.columns = [
+      { header: 'Date', key: 'date', width: 14 },
+      { header: 'Invoice No', key: 'invoiceNumber', width: 18 },
+      { header: 'Patient', key: 'patient', width: 22 },
+      { header: 'Type', key: 'type', width: 22 },
+      { header: 'SAC', key: 'sacCode', width: 10 },
+      { header: 'Rate %', key: 'rate', width: 8 },
+      { header: 'Taxable Value', key: 'taxableValue', width: 14 },
+      { header: 'CGST', key: 'cgst', width: 10 },
+      { header: 'SGST', key: 'sgst', width: 10 },
+      { header: 'IGST', key: 'igst', width: 10 },
+      { header: 'Total', key: 'total', width: 12 },
+    ];
+    rows.forEach((r) => {
+      sheet.addRow({ ...r, date: new Date(r.date).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' }) });
+    });
+    sheet.addRow({});
+    sheet.addRow({ type: 'TOTAL', ...totals }).font = { bold: true };
+    sheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    sheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF0B3B5E' } };
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="gst_${month}.xlsx"`);
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('GST Summary Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,16 @@
+import { getClinicUsage } from '../services/usageService.js';
+
+// ----------------------------------------------------------------
+// GET /api/admin/usage
+// Doctors and bookings consumed in the current billing period vs plan limits
+// ----------------------------------------------------------------
+export const getUsage = async (req, res) => {
+  try {
+    const { clinicId } = req.user;
+    const usage = await getClinicUsage(clinicId);
+    return res.json(usage);
+  } catch (error) {
+    console.error('Get Usage Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
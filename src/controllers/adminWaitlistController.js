@@ -0,0 +1,51 @@
+import prisma from '../prisma.js';
+
+// ----------------------------------------------------------------
+// GET /api/admin/waitlist - who is waiting for which doctor
+// ----------------------------------------------------------------
+export const getClinicWaitlist = async (req, res) => {
+  try {
+    const { clinicId } = req.user;
+    const { doctorId, status, page = 1, limit = 20 } = req.query;
+
+    if (!clinicId) {
+      return res.status(400).json({ error: 'Clinic ID missing in token' });
+    }
+
+    const where = { clinicId };
+    if (doctorId) where.doctorId = doctorId;
+    where.status = status ? status : { in: ['WAITING', 'OFFERED'] };
+
+    const pageNum = Number(page) || 1;
+    const take = Number(limit) || 20;
+    const skip = (pageNum - 1) * take;
+
+    const [total, entries] = await Promise.all([
+      prisma.waitlistEntry.count({ where }),
+      prisma.waitlistEntry.findMany({
+        where,
+        orderBy: { createdAt: 'asc' },
+        skip,
+        take,
+        include: {
+          user: { select: { id: true, name: true, email: true, phone: true } },
+          doctor: { select: { id: true, name: true } },
+          offeredSlot: { select: { id: true, date: true, time: true } },
+        },
+      }),
+    ]);
+
+    return res.json({
+      data: entries,
+      pagination: {
+        total,
+        page: pageNum,
+        limit: take,
+        totalPages: Math.max(1, Math.ceil(total / take)),
+      },
+    });
+  } catch (error) {
+    console.error('Get Clinic Waitlist Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
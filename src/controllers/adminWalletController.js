@@ -0,0 +1,87 @@
+import prisma from '../prisma.js';
+import { getWalletStatement, getWalletShortfalls } from '../services/walletService.js';
+
+// ----------------------------------------------------------------
+// GET /api/admin/wallets?page=&limit=&search=
+// Patients holding credit at this clinic
+// ----------------------------------------------------------------
+export const getClinicWallets = async (req, res) => {
+  try {
+    const { clinicId } = req.user;
+    const { page = 1, limit = 20, search } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const take = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const where = {
+      clinicId,
+      ...(search
+        ? {
+            user: {
+              OR: [
+                { name: { contains: String(search), mode: 'insensitive' } },
+                { email: { contains: String(search), mode: 'insensitive' } },
+                { phone: { contains: String(search) } },
+              ],
+            },
+          }
+        : {}),
+    };
+
+    const [total, wallets, totals] = await Promise.all([
+      prisma.wallet.count({ where }),
+      prisma.wallet.findMany({
+        where,
+        include: { user: { select: { id: true, name: true, email: true, phone: true } } },
+        orderBy: { updatedAt: 'desc' },
+        skip: (pageNum - 1) * take,
+        take,
+      }),
+      prisma.wallet.aggregate({ where: { clinicId }, _sum: { balance: true } }),
+    ]);
+
+    return res.json({
+      // Credit the clinic owes its patients overall
+      outstanding: Number(totals._sum.balance || 0),
+      data: wallets.map((w) => ({ id: w.id, user: w.user, balance: Number(w.balance), updatedAt: w.updatedAt })),
+      pagination: { total, page: pageNum, limit: take, totalPages: Math.ceil(total / take) },
+    });
+  } catch (error) {
+    console.error('Get Clinic Wallets Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// GET /api/admin/wallets/shortfalls?page=&limit=
+// Paid bookings whose wallet share the patient had already spent –
+// to be collected or written off by the clinic
+// ----------------------------------------------------------------
+export const getClinicWalletShortfalls = async (req, res) => {
+  try {
+    const { clinicId } = req.user;
+    const { page = 1, limit = 20 } = req.query;
+
+    const shortfalls = await getWalletShortfalls({ clinicId, page, limit });
+    return res.json(shortfalls);
+  } catch (error) {
+    console.error('Get Wallet Shortfalls Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// GET /api/admin/wallets/:userId?page=&limit=
+// One patient's statement at this clinic
+// ----------------------------------------------------------------
+export const getPatientWalletStatement = async (req, res) => {
+  try {
+    const { clinicId } = req.user;
+    const { page = 1, limit = 20 } = req.query;
+
+    const statement = await getWalletStatement({ userId: req.params.userId, clinicId, page, limit });
+    return res.json(statement);
+  } catch (error) {
+    console.error('Get Patient Wallet Statement Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -1,11 +1,34 @@
 import prisma from '../prisma.js';
-import Razorpay from 'razorpay';
-import Stripe from 'stripe';
-import crypto from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
-import { sendBookingEmails } from '../utils/email.js'
+import { addToOutbox, dispatchOutbox } from '../services/outboxService.js';
+import { createBookingNotification } from '../utils/clinicNotifications.js';
 import { logAudit } from '../utils/audit.js';
+import { findHolidayForSlot } from '../utils/holidays.js';
+import { isWaitlistHold, claimWaitlistOffer, markWaitlistBooked } from '../services/waitlistService.js';
+import { recordGatewayCharge } from '../services/ledgerService.js';
+import { getConsultationTax, toTaxFields } from '../services/taxService.js';
+import { assertBookingQuota, checkUsageThresholds } from '../services/usageService.js';
+import { clinicHasEntitlement } from '../services/entitlementService.js';
+import { getCollectionGateway } from '../services/settlementService.js';
+import { getPaymentProvider } from '../services/paymentProviders/index.js';
+import {
+  lockWallet,
+  getAvailableBalance,
+  holdWalletDebit,
+  confirmWalletDebit,
+  spendWallet,
+  voidWalletDebits,
+} from '../services/walletService.js';
+import {
+  quoteCoupon,
+  toCouponSummary,
+  recordCouponRedemption,
+  confirmCouponRedemption,
+  voidCouponRedemptions,
+} from '../services/couponService.js';
 import { google } from 'googleapis';
+import { round2 } from '../utils/money.js';
+
 // ----------------------------------------------------------------
 // Helper: load plan for a clinic
 // ----------------------------------------------------------------
@@ -23,46 +46,24 @@ async function getClinicPlan(clinicId) {
 
 // ----------------------------------------------------------------
 // HELPER: Get Gateway Instance
+// Clinic's own gateway, or the platform gateway (collectedVia PLATFORM)
+// for clinics that are settled to their bank account.
 // ----------------------------------------------------------------
-const getPaymentInstance = async (clinicId, provider = 'RAZORPAY') => {
-  const gateway = await prisma.paymentGateway.findFirst({
-    where: {
-      clinicId,
-      isActive: true,
-      name: provider,
-    },
-  });
+const getPaymentInstance = async (clinicId, provider = 'RAZORPAY', via = null) => {
+  const { gateway, collectedVia } = await getCollectionGateway(clinicId, provider, via);
 
-  if (!gateway || !gateway.apiKey || !gateway.secret) {
+  if (!gateway) {
     throw new Error(`${provider} payments are not configured for this clinic.`);
   }
 
-  const secretKey = gateway.secret;
-
-  if (provider === 'STRIPE') {
-    return {
-      instance: new Stripe(secretKey),
-      publicKey: gateway.apiKey,
-      gatewayId: gateway.id,
-      provider: 'STRIPE',
-    };
-  }
-
-  // Razorpay
   return {
-    instance: new Razorpay({
-      key_id: gateway.apiKey,
-      key_secret: secretKey,
-    }),
-    key_id: gateway.apiKey,
+    client: getPaymentProvider(gateway),
     gatewayId: gateway.id,
-    provider: 'RAZORPAY',
+    provider,
+    collectedVia,
   };
 };
 
-
-  // Razorpay
-
 // ----------------------------------------------------------------
 // CREATE BOOKING (Online/Offline/Free) - 100% RACE CONDITION PROOF
 // ----------------------------------------------------------------
@@ -286,7 +287,7 @@ const getPaymentInstance = async (clinicId, provider = 'RAZORPAY') => {
 // ✅ FULLY FIXED createBooking - Handles ALL FK + Race Conditions!
 export const createBooking = async (req, res) => {
   try {
-    const { slotId, paymentMethod = 'ONLINE', provider = 'RAZORPAY' } = req.body;
+    const { slotId, paymentMethod = 'ONLINE', provider = 'RAZORPAY', couponCode, useWallet = true } = req.body;
     const authUserId = req.user?.userId;
 
     console.log('🔑 Auth header:', req.headers.authorization);
@@ -306,12 +307,23 @@ export const createBooking = async (req, res) => {
 
     if (!slotData) return res.status(404).json({ error: 'Slot not found' });
 
+    // ⛔ Suspended for non-payment (bookings continue during the grace period)
+    if (slotData.clinic?.suspendedAt) {
+      return res.status(403).json({ error: 'This clinic is not accepting online bookings right now.' });
+    }
+
+    // 🏖️ Clinic holiday / doctor leave
+    if (await findHolidayForSlot(slotData)) {
+      return res.status(409).json({ error: 'Clinic is closed or the doctor is on leave on this date.' });
+    }
+
     // 2. RECENT HOLD CHECK
     const recentHold = await prisma.appointment.findFirst({
       where: {
-        slotId,
+        activeSlotId: slotId,
         deletedAt: null,
         status: 'PENDING_PAYMENT',
+        paymentStatus: { not: 'FAILED' }, // already expired by cleanup
         createdAt: { gte: new Date(now.getTime() - SAFETY_MS) }
       },
     });
@@ -332,26 +344,47 @@ export const createBooking = async (req, res) => {
       return res.status(400).json({ error: 'Clinic has no active subscription plan.' });
     }
 
-    if (paymentMethod === 'ONLINE' && !plan.allowOnlinePayments) {
+    if (paymentMethod === 'ONLINE' && !(await clinicHasEntitlement(slotData.clinicId, 'onlinePayments'))) {
       return res.status(403).json({
         error: 'Online payments disabled. Use FREE or OFFLINE slots.',
         availableModes: ['FREE', 'OFFLINE'],
       });
     }
 
+    // 📊 Monthly booking cap (subscription override > plan)
+    await assertBookingQuota(slotData.clinicId);
+
+    // 🏷️ Clinic coupon – comes off the consultation fee before GST
+    const coupon = couponCode
+      ? await quoteCoupon({
+          code: couponCode,
+          scope: 'APPOINTMENT',
+          clinicId: slotData.clinicId,
+          userId: authUserId,
+          doctorId: slotData.doctorId,
+          appointmentDate: slotData.date,
+          amount: slotData.paymentMode === 'FREE' ? 0 : Number(slotData.price),
+        })
+      : null;
+
+    // 🧾 GST – `amount` below is always the tax-inclusive total
+    const tax = await getConsultationTax(coupon ? { ...slotData, price: coupon.netAmount } : slotData);
+
     // 🔥 4. ATOMIC TRANSACTION - FULLY FIXED CLEANUP!
     const result = await prisma.$transaction(async (tx) => {
-      // 🔥 COMPLETE STALE CLEANUP (ALL CHILDREN FIRST!)
+      // 🔥 STALE CLEANUP: free the slot by detaching the old appointment.
+      // Never deleted – payments, ledger rows, refunds and invoices point at it.
       const staleAppts = await tx.appointment.findMany({
         where: {
-          slotId,
+          activeSlotId: slotId,
           OR: [
             { status: 'CANCELLED' },
             { status: 'PENDING' },
             { 
               status: 'PENDING_PAYMENT',
               createdAt: { lt: new Date(now.getTime() - SAFETY_MS) }
-            }
+            },
+            { status: 'PENDING_PAYMENT', paymentStatus: 'FAILED' }
           ]
         },
         select: { id: true }
@@ -360,48 +393,53 @@ export const createBooking = async (req, res) => {
       const staleIds = staleAppts.map(a => a.id);
       
       if (staleIds.length > 0) {
-        console.log(`🧹 Cleaning ${staleIds.length} stale appointments + children`);
-        
-        // CRITICAL ORDER: Children → Parent (No FK Violations!)
-        await tx.cancellationRequest.deleteMany({  // 🔥 ADDED
-          where: { appointmentId: { in: staleIds } }
-        });
-        await tx.payment.deleteMany({
-          where: { appointmentId: { in: staleIds } }
+        console.log(`🧹 Detaching ${staleIds.length} stale appointments from slot ${slotId}`);
+
+        await voidCouponRedemptions({ appointmentIds: staleIds }, tx);
+        await voidWalletDebits({ appointmentIds: staleIds }, tx);
+
+        // Unfinished ones end as cancelled, so they never look live again
+        await tx.appointment.updateMany({
+          where: { id: { in: staleIds }, status: { in: ['PENDING', 'PENDING_PAYMENT'] } },
+          data: { status: 'CANCELLED', cancelReason: 'Slot rebooked after the booking lapsed' }
         });
-        await tx.appointmentLog.deleteMany({  // 🔥 ADDED
-          where: { appointmentId: { in: staleIds } }
+        await tx.appointment.updateMany({
+          where: { id: { in: staleIds }, paymentStatus: 'PENDING' },
+          data: { paymentStatus: 'FAILED' }
         });
-        
-        // NOW safe to delete appointments
-        await tx.appointment.deleteMany({
-          where: { id: { in: staleIds } }
+        await tx.appointment.updateMany({
+          where: { id: { in: staleIds } },
+          data: { activeSlotId: null, detachedAt: now }
         });
-        
-        console.log(`✅ Cleaned ${staleIds.length} appts + payments/requests/logs`);
       }
       const freshSlot = await tx.slot.findUnique({
     where: { id: slotId },
-    select: { isBlocked: true, status: true }
+    select: { isBlocked: true, status: true, blockedReason: true, blockedBy: true }
   });
 
   if (!freshSlot) throw new Error('SLOT_NOT_FOUND');
-  
+
+  // ⏳ Reserved for a waitlisted patient → only they can take it
+  let waitlistEntry = null;
+  if (isWaitlistHold(freshSlot)) {
+    waitlistEntry = await claimWaitlistOffer(tx, { slotId, userId: authUserId });
+    if (!waitlistEntry) throw new Error('WAITLIST_RESERVED');
+  }
   // Check if Admin blocked it while user was on the page
-  if (freshSlot.isBlocked) {
+  else if (freshSlot.isBlocked) {
     throw new Error('ADMIN_BLOCKED');
   }
   // ============================================================
 
       // SAFETY CHECKS (Inside transaction!)
       const confirmed = await tx.appointment.findFirst({
-        where: { slotId, status: 'CONFIRMED', deletedAt: null }
+        where: { activeSlotId: slotId, status: 'CONFIRMED', deletedAt: null }
       });
       if (confirmed) throw new Error('ALREADY_CONFIRMED');
 
       const otherHold = await tx.appointment.findFirst({
         where: {
-          slotId,
+          activeSlotId: slotId,
           userId: { not: authUserId },
           status: 'PENDING_PAYMENT',
           deletedAt: null
@@ -409,47 +447,138 @@ export const createBooking = async (req, res) => {
       });
       if (otherHold) throw new Error('SLOT_BLOCKED');
 
-      // FREE/OFFLINE → INSTANT PENDING
-      if (slotData.paymentMode === 'FREE' || paymentMethod === 'OFFLINE' || slotData.paymentMode === 'OFFLINE') {
+      // 👛 Clinic credit (refunds / reschedule differences) is spent first.
+      // Locked until commit, so a parallel booking waits and sees this hold.
+      const nothingToPay = slotData.paymentMode === 'FREE' || tax.total === 0;
+      if (useWallet && !nothingToPay) await lockWallet({ userId: authUserId, clinicId: slotData.clinicId }, tx);
+      const walletBalance = useWallet && !nothingToPay
+        ? await getAvailableBalance(authUserId, slotData.clinicId, tx)
+        : 0;
+      const walletApplied = Math.min(walletBalance, tax.total);
+
+      // Wallet covers everything → confirmed straight away, no gateway involved
+      if (walletApplied > 0 && walletApplied === tax.total) {
         const appointment = await tx.appointment.create({
           data: {
             userId: authUserId,
             slotId,
+            activeSlotId: slotId,
+            clinicId: slotData.clinicId,
+            doctorId: slotData.doctorId,
+            status: 'CONFIRMED',
+            paymentStatus: 'PAID',
+            financialStatus: 'PAID',
+            amount: tax.total,
+            walletAmount: walletApplied,
+            ...toTaxFields(tax),
+            slug: `wallet_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            section: 'GENERAL',
+            adminNote: 'Paid from wallet',
+          },
+        });
+        await tx.slot.update({
+          where: { id: slotId },
+          data: { status: 'CONFIRMED', isBlocked: false },
+        });
+        await spendWallet({
+          userId: authUserId,
+          clinicId: slotData.clinicId,
+          appointmentId: appointment.id,
+          amount: walletApplied,
+        }, tx);
+        if (waitlistEntry) await markWaitlistBooked(tx, { entryId: waitlistEntry.id, appointmentId: appointment.id });
+        if (coupon) {
+          await recordCouponRedemption({
+            quote: coupon,
+            clinicId: slotData.clinicId,
+            userId: authUserId,
+            appointmentId: appointment.id,
+            status: 'REDEEMED',
+          }, tx);
+        }
+        await addToOutbox('BOOKING_EMAILS', { clinicId: slotData.clinicId, appointmentId: appointment.id }, tx);
+        await createBookingNotification(appointment.id, tx);
+        return { appointment, walletApplied, isOnline: false, createNew: true };
+      }
+
+      // FREE/OFFLINE (or fully discounted) → INSTANT PENDING
+      if (nothingToPay || paymentMethod === 'OFFLINE' || slotData.paymentMode === 'OFFLINE') {
+        const appointment = await tx.appointment.create({
+          data: {
+            userId: authUserId,
+            slotId,
+            activeSlotId: slotId,
             clinicId: slotData.clinicId,
             doctorId: slotData.doctorId,
             status: 'PENDING',
-            paymentStatus: slotData.paymentMode === 'FREE' ? 'PAID' : 'PENDING',
-            amount: slotData.paymentMode === 'FREE' ? 0 : Number(slotData.price),
+            paymentStatus: nothingToPay ? 'PAID' : 'PENDING',
+            amount: tax.total,
+            ...toTaxFields(tax),
             slug: `${slotData.paymentMode?.toLowerCase() || 'offline'}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
             section: 'GENERAL',
           },
         });
-        return { appointment, isOnline: false, createNew: true };
+        if (waitlistEntry) await markWaitlistBooked(tx, { entryId: waitlistEntry.id, appointmentId: appointment.id });
+        if (coupon) {
+          await recordCouponRedemption({
+            quote: coupon,
+            clinicId: slotData.clinicId,
+            userId: authUserId,
+            appointmentId: appointment.id,
+            status: 'REDEEMED', // nothing left to pay online
+          }, tx);
+        }
+        await addToOutbox('BOOKING_EMAILS', { clinicId: slotData.clinicId, appointmentId: appointment.id }, tx);
+        await createBookingNotification(appointment.id, tx);
+        return { appointment, walletApplied: 0, isOnline: false, createNew: true };
       }
 
-      // ONLINE → RAZORPAY HOLD + ORDER
+      // ONLINE → RAZORPAY HOLD + ORDER (for whatever the wallet does not cover)
       const gateway = await getPaymentInstance(slotData.clinicId, provider);
-      const orderData = await createPaymentOrder(gateway, slotData, provider);
+      const orderData = await createPaymentOrder(gateway, slotData, provider, round2(tax.total - walletApplied));
 
       const appointment = await tx.appointment.create({
         data: {
           userId: authUserId,
           slotId,
+          activeSlotId: slotId,
           clinicId: slotData.clinicId,
           doctorId: slotData.doctorId,
           status: 'PENDING_PAYMENT',
           paymentStatus: 'PENDING',
           orderId: orderData.orderId || orderData.sessionId,
-          amount: Number(slotData.price),
+          collectedVia: gateway.collectedVia,
+          amount: tax.total,
+          walletAmount: walletApplied || null,
+          ...toTaxFields(tax),
           slug: `hold_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
           section: 'GENERAL',
           paymentExpiry: new Date(now.getTime() + HOLD_MS),
           createdAt: now,
         },
       });
+      if (waitlistEntry) await markWaitlistBooked(tx, { entryId: waitlistEntry.id, appointmentId: appointment.id });
+      if (coupon) {
+        await recordCouponRedemption({
+          quote: coupon,
+          clinicId: slotData.clinicId,
+          userId: authUserId,
+          appointmentId: appointment.id,
+          orderRef: appointment.orderId, // confirmed when the payment lands
+        }, tx);
+      }
+      if (walletApplied > 0) {
+        await holdWalletDebit({
+          userId: authUserId,
+          clinicId: slotData.clinicId,
+          appointmentId: appointment.id,
+          amount: walletApplied,
+        }, tx);
+      }
 
       return { 
         appointment, 
+        walletApplied,
         gatewayId: gateway.gatewayId,
         orderData,
         isOnline: true, 
@@ -458,12 +587,16 @@ export const createBooking = async (req, res) => {
     });
 
     // 5. SUCCESS PROCESSING + AUDIT LOG (unchanged)
-    const { appointment, gatewayId, orderData, isOnline, createNew } = result;
+    const { appointment, walletApplied, gatewayId, orderData, isOnline, createNew } = result;
+    const paidFromWallet = appointment.status === 'CONFIRMED';
+    const payable = round2(tax.total - walletApplied);
     
     await logAudit({
       userId: authUserId,
       clinicId: slotData.clinicId,
-      action: isOnline ? 'BOOKING_HOLD_CREATED_ONLINE' : 'BOOKING_CREATED_OFFLINE',
+      action: isOnline
+        ? 'BOOKING_HOLD_CREATED_ONLINE'
+        : paidFromWallet ? 'BOOKING_PAID_FROM_WALLET' : 'BOOKING_CREATED_OFFLINE',
       entity: 'Appointment',
       entityId: appointment.id,
       details: {
@@ -474,7 +607,10 @@ export const createBooking = async (req, res) => {
         paymentMethod,
         provider: isOnline ? provider : null,
         orderId: isOnline ? (orderData?.orderId || orderData?.sessionId) : null,
-        amount: Number(slotData.price),
+        amount: tax.total,
+        taxAmount: tax.taxAmount,
+        coupon: coupon ? { code: coupon.coupon.code, discount: coupon.discount } : null,
+        walletAmount: walletApplied || null,
         status: appointment.status,
         isOnline,
         paymentExpiry: appointment.paymentExpiry || null,
@@ -483,24 +619,16 @@ export const createBooking = async (req, res) => {
     });
 
 
-    // NON-BLOCKING EMAILS (unchanged)
-    if (!isOnline && createNew) {
-      getUserById(authUserId).then(user => {
-        sendBookingEmails({
-          id: appointment.id,
-          clinic: slotData.clinic,
-          doctor: slotData.doctor,
-          slot: slotData,
-          user: user || { name: 'Patient', phone: 'N/A' }
-        }).catch(err => console.error('Pending booking emails failed:', err));
-      }).catch(() => {});
-    }
+    checkUsageThresholds(slotData.clinicId);
+
+    // NON-BLOCKING EMAILS (queued in the booking transaction)
+    if (!isOnline && createNew) dispatchOutbox();
     
 
     console.log('✅ Booking decision:', {
       slotId,
       authUserId,
-      path: isOnline ? 'NEW_ONLINE_HOLD' : 'OFFLINE_PENDING',
+      path: isOnline ? 'NEW_ONLINE_HOLD' : paidFromWallet ? 'WALLET_CONFIRMED' : 'OFFLINE_PENDING',
       appointmentId: appointment.id,
       status: appointment.status,
     });
@@ -511,19 +639,29 @@ export const createBooking = async (req, res) => {
       gatewayId,
       isOnline,
       orderId: orderData?.orderId || orderData?.sessionId,
-      amount: Number(slotData.price),
+      amount: tax.total,
+      tax: toTaxFields(tax),
+      coupon: toCouponSummary(coupon),
+      walletAmount: walletApplied,
+      payable: isOnline ? payable : paidFromWallet ? 0 : tax.total,
       ...orderData,
       expiresIn: isOnline ? HOLD_MS / 1000 : 0,
       message: isOnline 
-        ? `Payment hold created! Complete within 10 mins - ₹${slotData.price}`
+        ? `Payment hold created! Complete within 10 mins - ₹${payable}`
+        : paidFromWallet
+        ? `Booking confirmed! ₹${walletApplied} paid from your wallet.`
         : slotData.paymentMode === 'FREE' 
         ? 'Free booking created! Clinic will confirm soon.'
-        : `Booking created! Pay ₹${slotData.price} at clinic on visit.`,
+        : `Booking created! Pay ₹${tax.total} at clinic on visit.`,
     });
 
   } catch (error) {
     console.error('🚨 CRITICAL BOOKING ERROR:', error);
 
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
     if (error.message === 'SLOT_BLOCKED') {
       return res.status(409).json({
         error: 'Slot on hold by another patient. Wait 10-15 mins or choose another.',
@@ -537,6 +675,13 @@ export const createBooking = async (req, res) => {
       });
     }
 
+    if (error.message === 'WAITLIST_RESERVED') {
+      return res.status(409).json({
+        error: 'This slot is reserved for a waitlisted patient. Please choose another.',
+        retry: true,
+      });
+    }
+
     if (error.code === 'P2002') {
       return res.status(409).json({
         error: 'Slot taken instantly by another patient! Please refresh.',
@@ -549,6 +694,38 @@ export const createBooking = async (req, res) => {
     });
   }
 };
+
+// ----------------------------------------------------------------
+// POST /api/user/coupons/preview  { slotId, couponCode }
+// Price breakdown before booking – nothing is reserved
+// ----------------------------------------------------------------
+export const previewBookingCoupon = async (req, res) => {
+  try {
+    const { slotId, couponCode } = req.body;
+    if (!slotId || !couponCode) return res.status(400).json({ error: 'slotId and couponCode are required' });
+
+    const slot = await prisma.slot.findFirst({ where: { id: slotId, deletedAt: null } });
+    if (!slot) return res.status(404).json({ error: 'Slot not found' });
+
+    const coupon = await quoteCoupon({
+      code: couponCode,
+      scope: 'APPOINTMENT',
+      clinicId: slot.clinicId,
+      userId: req.user.userId,
+      doctorId: slot.doctorId,
+      appointmentDate: slot.date,
+      amount: slot.paymentMode === 'FREE' ? 0 : Number(slot.price),
+    });
+    const tax = await getConsultationTax({ ...slot, price: coupon.netAmount });
+
+    return res.json({ valid: true, coupon: toCouponSummary(coupon), amount: tax.total, tax: toTaxFields(tax) });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ valid: false, error: error.message });
+    console.error('Preview Booking Coupon Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
 export const autoSyncAppointmentToGCal = async (appointmentId) => {
   try {
     const appt = await prisma.appointment.findUnique({
@@ -563,8 +740,7 @@ export const autoSyncAppointmentToGCal = async (appointmentId) => {
     if (!appt || appt.status !== "CONFIRMED") return;
 
     // 1) Clinic subscribed? → BOTH calendars (priority: doctor first)
-    const plan = await getClinicPlan(appt.clinicId);
-    const doBoth = plan?.enableGoogleCalendarSync;
+    const doBoth = await clinicHasEntitlement(appt.clinicId, 'googleCalendarSync');
 
     const doctor = appt.slot.doctor;
     const clinic = appt.clinic;
@@ -663,13 +839,16 @@ async function handleExistingHold(existing, slotData, provider, now, HOLD_MS, re
 
     // 🔥 FIXED: Pass clinicId to getPaymentInstance!
     const gateway = await getPaymentInstance(clinicId, provider);
-    const orderData = await createPaymentOrder(gateway, slotData, provider);
+    // Wallet share (if any) is still held against this appointment
+    const amount = round2(Number(existing.amount ?? slotData.price) - Number(existing.walletAmount || 0));
+    const orderData = await createPaymentOrder(gateway, slotData, provider, amount);
 
     // Extend hold expiry
     const updatedAppointment = await prisma.appointment.update({
       where: { id: existing.id },
       data: { 
         orderId: orderData.orderId || orderData.sessionId,
+        collectedVia: gateway.collectedVia,
         paymentExpiry: new Date(now.getTime() + HOLD_MS),
         updatedAt: now,
       },
@@ -692,7 +871,7 @@ async function handleExistingHold(existing, slotData, provider, now, HOLD_MS, re
         oldExpiry: existing.paymentExpiry,
         newExpiry: updatedAppointment.paymentExpiry,
         remainingMsBefore: remainingMs,
-        amount: Number(slotData.price),
+        amount,
       },
       req,
     });
@@ -704,7 +883,7 @@ async function handleExistingHold(existing, slotData, provider, now, HOLD_MS, re
       isOnline: true,
       ...orderData,
       expiresIn: HOLD_MS / 1000,
-      message: `Payment refreshed! New 10-minute window - ₹${slotData.price}`,
+      message: `Payment refreshed! New 10-minute window - ₹${amount}`,
     });
 
   } catch (error) {
@@ -727,17 +906,6 @@ async function handleExistingHold(existing, slotData, provider, now, HOLD_MS, re
 
 
 
-// ✅ HELPER FUNCTION - Get user data for emails
-const getUserById = async (userId) => {
-  try {
-    return await prisma.user.findUnique({
-      where: { id: userId },
-      select: { id: true, name: true, phone: true, email: true }
-    });
-  } catch {
-    return null;
-  }
-};
 
 
 // ✅ HELPER - Get user data for emails
@@ -745,59 +913,25 @@ const getUserById = async (userId) => {
 
 
 // Helper function - extract payment order creation
-async function createPaymentOrder(gateway, slot, provider) {
-  if (gateway.provider === 'RAZORPAY') {
-    const options = {
-      amount: Math.round(Number(slot.price) * 100),
-      currency: 'INR',
-      receipt: `rcpt_${slot.id.slice(-8)}_${Date.now()}`,
-      notes: {
-        appointmentTempId: uuidv4(),
-        slotId: slot.id,
-        clinicId: slot.clinicId,
-        doctorId: slot.doctorId,
-      },
-    };
-
-    const order = await gateway.instance.orders.create(options);
-    return {
-      provider: 'RAZORPAY',
-      orderId: order.id,
-      amount: order.amount, // paise
-      key: gateway.key_id,
-    };
-  } else if (gateway.provider === 'STRIPE') {
-    const session = await gateway.instance.checkout.sessions.create({
-      payment_method_types: ['card'],
-      line_items: [{
-        price_data: {
-          currency: 'inr',
-          product_data: {
-            name: `Appointment: Dr. ${slot.doctor?.name || 'Doctor'} - ${slot.time}`,
-            description: `${slot.clinic.name} • ${new Date(slot.date).toLocaleDateString()}`,
-          },
-          unit_amount: Math.round(Number(slot.price) * 100),
-        },
-        quantity: 1,
-      }],
-      mode: 'payment',
-      success_url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment/success?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/booking/${slot.id}`,
-      metadata: {
-        appointmentTempId: uuidv4(),
-        slotId: slot.id,
-        clinicId: slot.clinicId,
-        doctorId: slot.doctorId,
-      },
-    });
-
-    return {
-      provider: 'STRIPE',
-      sessionId: session.id,
-      url: session.url,
-      publishableKey: gateway.publicKey,
-    };
-  }
+// amount: tax-inclusive total in rupees
+async function createPaymentOrder(gateway, slot, provider, amount = Number(slot.price)) {
+  const clientUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  return gateway.client.createOrder({
+    amount,
+    receipt: `rcpt_${slot.id.slice(-8)}_${Date.now()}`,
+    notes: {
+      appointmentTempId: uuidv4(),
+      slotId: slot.id,
+      clinicId: slot.clinicId,
+      doctorId: slot.doctorId,
+    },
+    // Hosted checkout (Stripe)
+    title: `Appointment: Dr. ${slot.doctor?.name || 'Doctor'} - ${slot.time}`,
+    description: `${slot.clinic.name} • ${new Date(slot.date).toLocaleDateString()}`,
+    successUrl: `${clientUrl}/payment/success?session_id={CHECKOUT_SESSION_ID}`,
+    cancelUrl: `${clientUrl}/booking/${slot.id}`,
+  });
 }
 
 
@@ -811,7 +945,8 @@ export const verifyPayment = async (req, res) => {
       razorpay_payment_id, 
       razorpay_signature, 
       appointmentId,
-      notes 
+      notes,
+      provider = 'RAZORPAY', // MOCK checkouts post the same fields
     } = req.body;
 
     if (!appointmentId) return res.status(400).json({ error: 'Appointment ID required' });
@@ -831,29 +966,26 @@ export const verifyPayment = async (req, res) => {
 
     if (!appointment) return res.status(404).json({ error: 'Appointment not found' });
 
-    // 2. Gateway Check
-    const gateway = appointment.clinic.gateways.find(g => g.name === 'RAZORPAY' && g.isActive);
+    // 2. Gateway Check (the one the order was created on)
+    const { gateway } = await getCollectionGateway(appointment.clinicId, provider, appointment.collectedVia);
     if (!gateway?.secret) return res.status(400).json({ error: 'Gateway config missing' });
 
     // 3. Verify Signature
-    const generated_signature = crypto
-      .createHmac('sha256', gateway.secret)
-      .update(razorpay_order_id + '|' + razorpay_payment_id)
-      .digest('hex');
-      console.log("---------------- PAYMENT DEBUG ----------------");
-console.log("🛠️ SECRET USED (First 4 chars):", gateway.secret?.substring(0, 4) + "****"); 
-console.log("🛠️ STRING TO SIGN:", razorpay_order_id + '|' + razorpay_payment_id);
-console.log("🛠️ GENERATED SIGNATURE:", generated_signature);
-console.log("🛠️ RECEIVED SIGNATURE:", razorpay_signature);
-console.log("-----------------------------------------------");
-
-    if (generated_signature !== razorpay_signature) {
+    const verification = await getPaymentProvider(gateway).verifyPayment({
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature,
+    });
+
+    if (!verification.paid) {
       return res.status(400).json({ error: 'Invalid payment signature' });
     }
 
     // 🔥 4. TRANSACTION
     const result = await prisma.$transaction(async (tx) => {
-      const amountPaid = notes?.amount ? Number(notes.amount) : Number(appointment.amount);
+      const amountPaid = notes?.amount
+        ? Number(notes.amount)
+        : Number(appointment.amount) - Number(appointment.walletAmount || 0);
 
       // A. Update Appointment
       const updatedAppt = await tx.appointment.update({
@@ -870,6 +1002,8 @@ console.log("-----------------------------------------------");
         include: { slot: true, clinic: true, doctor: true, user: true }
       });
 
+      await confirmCouponRedemption(razorpay_order_id, tx);
+
       // B. Update Slot (FIXED: Removed isBooked)
       if (updatedAppt.slotId) {
         await tx.slot.update({
@@ -881,26 +1015,56 @@ console.log("-----------------------------------------------");
         });
       }
 
-      // C. Upsert Payment
-      await tx.payment.upsert({
-        where: { appointmentId: appointmentId }, 
-        update: {
-          amount: amountPaid,
-          gatewayRefId: razorpay_payment_id,
-          status: "PAID",
-          gatewayId: gateway.id,
-          createdAt: new Date()
-        },
-        create: {
-          appointmentId: appointmentId,
-          clinicId: appointment.clinicId,
-          doctorId: appointment.doctorId,
-          gatewayId: gateway.id,
-          amount: amountPaid,
-          status: "PAID",
-          gatewayRefId: razorpay_payment_id
-        }
-      });
+      // C. Payment record – the first charge owns it; a reschedule top-up
+      // goes to the ledger only so the original charge is not overwritten
+      const existingPayment = await tx.payment.findUnique({ where: { appointmentId } });
+      const isTopUp = !!existingPayment?.gatewayRefId && existingPayment.gatewayRefId !== razorpay_payment_id;
+
+      let paymentRow = existingPayment;
+      if (!isTopUp) {
+        paymentRow = await tx.payment.upsert({
+          where: { appointmentId: appointmentId }, 
+          update: {
+            amount: amountPaid,
+            gatewayRefId: razorpay_payment_id,
+            status: "PAID",
+            gatewayId: gateway.id,
+            createdAt: new Date()
+          },
+          create: {
+            appointmentId: appointmentId,
+            clinicId: appointment.clinicId,
+            doctorId: appointment.doctorId,
+            gatewayId: gateway.id,
+            amount: amountPaid,
+            status: "PAID",
+            gatewayRefId: razorpay_payment_id
+          }
+        });
+      }
+
+      // D. Ledger entry
+      await recordGatewayCharge({
+        appointmentId,
+        amount: amountPaid,
+        provider,
+        gatewayRef: razorpay_payment_id,
+        paymentId: isTopUp ? null : paymentRow.id,
+      }, tx);
+      // E. Wallet share held at booking
+      await confirmWalletDebit(appointmentId, tx);
+
+      // F. Emails + calendar, sent by the outbox once this commits
+      await addToOutbox('BOOKING_EMAILS', {
+        clinicId: appointment.clinicId,
+        appointmentId,
+        type: notes?.type === 'RESCHEDULE' ? "RESCHEDULE_CONFIRMED" : "CONFIRMED",
+      }, tx);
+      // Reschedules were announced to the clinic when requested
+      if (notes?.type !== 'RESCHEDULE') await createBookingNotification(appointmentId, tx);
+      if (await clinicHasEntitlement(appointment.clinicId, 'googleCalendarSync')) {
+        await addToOutbox('GCAL_SYNC', { clinicId: appointment.clinicId, appointmentId }, tx);
+      }
 
       return updatedAppt;
     });
@@ -913,30 +1077,8 @@ console.log("-----------------------------------------------");
 //     });
 //   }
 // }
-if (result.status === "CONFIRMED") {
-  const plan = await getClinicPlan(result.clinicId);
-  if (plan?.enableGoogleCalendarSync) {
-    // Smart sync: Update if exists, create if new
-    if (result.googleCalendarEventId) {
-      autoSyncAppointmentToGCal(result.id).catch(err => {
-        console.error("❌ GCal update failed:", err.message);
-      });
-    } else {
-      autoSyncAppointmentToGCal(result.id).catch(err => {
-        console.error("❌ GCal create failed:", err.message);
-      });
-    }
-  }
-}
-    // 5. Send Email
-    sendBookingEmails({
-      type: notes?.type === 'RESCHEDULE' ? "RESCHEDULE_CONFIRMED" : "CONFIRMED",
-      id: result.id,
-      clinic: result.clinic,
-      doctor: result.doctor,
-      slot: result.slot,
-      user: result.user
-    }).catch(console.error);
+    // 5. Send Email + GCal sync (queued above)
+    dispatchOutbox();
 
     return res.json({ success: true, message: "Payment verified!", data: result });
 
@@ -984,55 +1126,69 @@ export const verifyStripePayment = async (req, res) => {
       return res.status(400).json({ error: 'Session expired' });
     }
 
-    const gateway = appointment.clinic.gateways.find(g => g.name === 'STRIPE');
+    const { gateway } = await getCollectionGateway(appointment.clinicId, 'STRIPE', appointment.collectedVia);
     if (!gateway) {
       return res.status(400).json({ error: 'Stripe gateway not configured' });
     }
 
-    const stripe = new Stripe(gateway.secret);
-    const session = await stripe.checkout.sessions.retrieve(session_id);
+    const session = await getPaymentProvider(gateway).verifyPayment({ sessionId: session_id });
 
-    if (session.payment_status === 'paid') {
-      await prisma.$transaction(async (tx) => {
+    if (session.paid) {
+      const updatedAppt = await prisma.$transaction(async (tx) => {
         const updatedAppt = await tx.appointment.update({
           where: { id: appointmentId },
           data: {
             status: 'CONFIRMED',
             paymentStatus: 'PAID',
             financialStatus: 'PAID',
-            paymentId: session.payment_intent,
-            adminNote: `Stripe verified: ${session.payment_intent}`
+            paymentId: session.paymentId,
+            adminNote: `Stripe verified: ${session.paymentId}`
           },
           include: { clinic: true, doctor: true, user: true, slot: true }
         });
 
+        await confirmCouponRedemption(session_id, tx);
+
         await tx.slot.update({
           where: { id: appointment.slotId },
           data: { isBooked: true, status: 'CONFIRMED', isBlocked: false }
         });
 
-        await tx.payment.create({
+        const existingPayment = await tx.payment.findUnique({ where: { appointmentId: appointment.id } });
+        const paymentRow = existingPayment || await tx.payment.create({
           data: {
             appointmentId: appointment.id,
             clinicId: appointment.clinicId,
             doctorId: appointment.doctorId,
             gatewayId: gateway.id,
-            amount: Number(session.amount_total) / 100,
+            amount: session.amount,
             status: 'PAID',
-            gatewayRefId: session.payment_intent,
+            gatewayRefId: session.paymentId,
           }
         });
 
-        sendBookingEmails({
+        await recordGatewayCharge({
+          appointmentId: appointment.id,
+          amount: session.amount,
+          provider: 'STRIPE',
+          gatewayRef: session.paymentId,
+          paymentId: paymentRow.gatewayRefId === session.paymentId ? paymentRow.id : null,
+        }, tx);
+        await confirmWalletDebit(appointment.id, tx);
+
+        // Sent after commit, so the invoice attachment sees the ledger entry
+        await addToOutbox('BOOKING_EMAILS', {
+          clinicId: appointment.clinicId,
+          appointmentId: appointment.id,
           type: 'CONFIRMED',
-          id: updatedAppt.id,
-          clinic: updatedAppt.clinic,
-          doctor: updatedAppt.doctor,
-          slot: updatedAppt.slot,
-          user: updatedAppt.user
-        }).catch(console.error);
+        }, tx);
+        await createBookingNotification(appointment.id, tx);
+
+        return updatedAppt;
       });
 
+      dispatchOutbox();
+
       return res.json({ 
         success: true, 
         message: 'Stripe payment verified & booking confirmed!' 
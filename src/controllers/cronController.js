@@ -1,8 +1,15 @@
 // src/controllers/cronController.js
 import prisma from '../prisma.js';
+import { getGraceEndsAt } from '../services/subscriptionBillingService.js';
+import { applyScheduledPlanChange } from '../services/planChangeService.js';
 
 const MS_PER_DAY = 24 * 60 * 60 * 1000;
 
+// Gateway-billed renewals: the charge webhook (subscription.charged /
+// invoice.paid) or a failure webhook settles the cycle. Only if neither has
+// arrived this long after the billing date is the renewal treated as missed.
+const AUTO_RENEW_WEBHOOK_BUFFER_MS = Number(process.env.AUTO_RENEW_WEBHOOK_BUFFER_DAYS || 3) * MS_PER_DAY;
+
 function computeEndsAt(sub) {
   // Priority: subscription snapshot first, then plan fallback
   const plan = sub.plan || {};
@@ -32,15 +39,35 @@ function computeEndsAt(sub) {
   return { type: 'FALLBACK_30D', days: 30, endsAt };
 }
 
+// Downgrades scheduled for the end of a paid cycle
+const runScheduledPlanChanges = async (now) => {
+  const due = await prisma.subscription.findMany({
+    where: { scheduledPlanId: { not: null }, scheduledChangeAt: { lte: now }, deletedAt: null },
+  });
+
+  for (const sub of due) {
+    try {
+      await applyScheduledPlanChange(sub);
+    } catch (err) {
+      console.error(`❌ Scheduled plan change failed for sub=${sub.id}:`, err);
+    }
+  }
+  return due.length;
+};
+
 export const runExpirationCheck = async (req, res) => {
   try {
     console.log('⏰ Starting subscription expiration check...');
     const now = new Date();
 
+    // Switch due downgrades first so they aren't expired on the old plan
+    const switchedCount = await runScheduledPlanChanges(now);
+
     // Only ACTIVE subs should be used for access;
     // TRIAL can be represented by isTrial=true while status remains ACTIVE.
+    // PAST_DUE subs keep access until their grace period runs out.
     const subs = await prisma.subscription.findMany({
-      where: { status: 'ACTIVE', deletedAt: null },
+      where: { status: { in: ['ACTIVE', 'PAST_DUE'] }, deletedAt: null },
       select: {
         id: true,
         clinicId: true,
@@ -50,6 +77,9 @@ export const runExpirationCheck = async (req, res) => {
         trialDays: true,
         durationDays: true,
         nextBillingDate: true,
+        pastDueSince: true,
+        autoRenew: true,
+        gatewaySubscriptionId: true,
         plan: {
           select: { name: true, trialDays: true, durationDays: true },
         },
@@ -58,11 +88,26 @@ export const runExpirationCheck = async (req, res) => {
 
     let expiredCount = 0;
     const expiredIds = [];
+    const pastDueIds = [];
 
     for (const sub of subs) {
+      if (sub.status === 'PAST_DUE') {
+        const graceEndsAt = getGraceEndsAt(sub) || now;
+        if (now > graceEndsAt) {
+          console.log(`CRON sub=${sub.id} clinicId=${sub.clinicId} grace ended ${graceEndsAt.toISOString()} → EXPIRED`);
+          expiredIds.push(sub.id);
+          expiredCount++;
+        }
+        continue;
+      }
+
       const meta = computeEndsAt(sub);
 
-      const expired = now > meta.endsAt;
+      // The gateway is charging this one – markSubscriptionPastDue handles a failure
+      const gatewayBilled = sub.autoRenew && sub.gatewaySubscriptionId && meta.type === 'RECURRING';
+      const expired = gatewayBilled
+        ? now.getTime() > meta.endsAt.getTime() + AUTO_RENEW_WEBHOOK_BUFFER_MS
+        : now > meta.endsAt;
       const planName = sub.plan?.name || 'N/A';
 
       // ✅ Logs exactly what you asked
@@ -72,12 +117,26 @@ export const runExpirationCheck = async (req, res) => {
           ` start=${new Date(sub.startDate).toISOString()} endsAt=${meta.endsAt.toISOString()} now=${now.toISOString()} expired?=${expired}`
       );
 
-      if (expired) {
+      if (!expired) continue;
+
+      // Missed renewal on a paid plan: read-only grace period + dunning
+      // (see services/dunningService.js). Trials simply end.
+      if (meta.type !== 'TRIAL') {
+        pastDueIds.push(sub.id);
+      } else {
         expiredIds.push(sub.id);
         expiredCount++;
       }
     }
 
+    if (pastDueIds.length) {
+      await prisma.subscription.updateMany({
+        where: { id: { in: pastDueIds } },
+        data: { status: 'PAST_DUE', pastDueSince: now },
+      });
+      console.log(`⚠️ Moved ${pastDueIds.length} subscriptions to PAST_DUE.`);
+    }
+
     if (expiredIds.length) {
       await prisma.subscription.updateMany({
         where: { id: { in: expiredIds } },
@@ -88,16 +147,20 @@ export const runExpirationCheck = async (req, res) => {
       console.log('✅ No subscriptions expired.');
     }
 
-    if (res) {
-      return res.json({
-        success: true,
-        checked: subs.length,
-        expired: expiredCount,
-        expiredIds,
-      });
-    }
+    const result = {
+      checked: subs.length,
+      expired: expiredCount,
+      expiredIds,
+      pastDue: pastDueIds.length,
+      pastDueIds,
+      planChanges: switchedCount,
+    };
+    if (res) return res.json({ success: true, ...result });
+    return result;
   } catch (error) {
     console.error('❌ Expiration Check Failed:', error);
     if (res) return res.status(500).json({ error: 'Cron job failed' });
+    // Run by the job worker – fail the attempt so it is retried
+    throw error;
   }
 };
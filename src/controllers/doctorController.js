@@ -2,6 +2,7 @@ import prisma from '../prisma.js';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { logAudit } from '../utils/audit.js';
+import { clinicHasEntitlement } from '../services/entitlementService.js';
 
 // ----------------------------------------------------------------
 // DOCTOR LOGIN
@@ -502,14 +503,6 @@ export const getDoctorDashboardStats = async (req, res) => {
 // ----------------------------------------------------------------
 // GET REVIEWS
 // ----------------------------------------------------------------
-async function getClinicPlan(clinicId) {
-  const clinic = await prisma.clinic.findUnique({
-    where: { id: clinicId },
-    include: { subscription: { include: { plan: true } } },
-  });
-  return clinic?.subscription?.plan || null;
-}
-
 export const getMyReviews = async (req, res) => {
   try {
     const doctorId = req.user.doctorId;
@@ -527,8 +520,7 @@ export const getMyReviews = async (req, res) => {
       return res.status(400).json({ error: "Clinic not found for doctor" });
     }
 
-    const plan = await getClinicPlan(clinicId);
-    if (!plan || !plan.enableAuditLogs) {  // Or enableReviews?
+    if (!(await clinicHasEntitlement(clinicId, 'reviews'))) {
       return res.status(403).json({ error: "Reviews not available on your plan" });
     }
 
@@ -0,0 +1,63 @@
+import prisma from '../prisma.js';
+import { getOrCreateInvoice, renderInvoicePdf } from '../services/invoiceService.js';
+
+// ---------------- Helper: issue + stream the PDF ----------------
+async function sendInvoicePdf(res, appointmentId) {
+  const result = await getOrCreateInvoice(appointmentId);
+  if (!result) {
+    return res.status(400).json({ error: 'No payment has been received for this appointment yet' });
+  }
+
+  const pdf = await renderInvoicePdf(result);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="invoice_${result.invoice.invoiceNumber}.pdf"`);
+  return res.send(pdf);
+}
+
+// ----------------------------------------------------------------
+// GET /api/user/appointments/:id/invoice
+// ----------------------------------------------------------------
+export const getMyAppointmentInvoice = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const { id } = req.params;
+
+    const appointment = await prisma.appointment.findFirst({
+      where: { id, userId, deletedAt: null },
+      select: { id: true },
+    });
+    if (!appointment) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+
+    return await sendInvoicePdf(res, id);
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('User Invoice Error:', error);
+    return res.status(500).json({ error: 'Failed to generate invoice' });
+  }
+};
+
+// ----------------------------------------------------------------
+// GET /api/admin/appointments/:id/invoice
+// ----------------------------------------------------------------
+export const getAppointmentInvoice = async (req, res) => {
+  try {
+    const { clinicId } = req.user;
+    const { id } = req.params;
+
+    const appointment = await prisma.appointment.findFirst({
+      where: { id, clinicId, deletedAt: null },
+      select: { id: true },
+    });
+    if (!appointment) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+
+    return await sendInvoicePdf(res, id);
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Admin Invoice Error:', error);
+    return res.status(500).json({ error: 'Failed to generate invoice' });
+  }
+};
@@ -0,0 +1,28 @@
+import { parseTwilioStatus, twilioStatusCallbackUrl, verifyTwilioSignature } from '../services/notificationChannels/twilioChannel.js';
+import { updateDeliveryStatus } from '../services/notificationService.js';
+
+// ----------------------------------------------------------------
+// POST /api/webhooks/notifications/twilio
+// Message status callback for SMS and WhatsApp (form encoded)
+// ----------------------------------------------------------------
+export const twilioStatusWebhook = async (req, res) => {
+  try {
+    const valid = verifyTwilioSignature({
+      url: twilioStatusCallbackUrl(),
+      params: req.body,
+      signature: req.headers['x-twilio-signature'],
+    });
+    if (!valid) {
+      console.error('❌ Twilio status callback: invalid signature');
+      return res.status(400).json({ error: 'Invalid signature' });
+    }
+
+    const { providerRef, status, error } = parseTwilioStatus(req.body);
+    const result = await updateDeliveryStatus({ providerRef, status, error });
+
+    return res.json({ status: 'ok', updated: result.count });
+  } catch (error) {
+    console.error('Twilio Status Webhook Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
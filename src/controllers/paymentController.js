@@ -1,8 +1,9 @@
 // src/controllers/paymentController.js
-import Stripe from 'stripe';
-import Razorpay from 'razorpay';
 import prisma from '../prisma.js';
-import crypto from 'crypto'; // Standard import
+import { getPaymentProvider } from '../services/paymentProviders/index.js';
+import { quoteCoupon, toCouponSummary, recordCouponRedemption } from '../services/couponService.js';
+import { addToOutbox, dispatchOutbox } from '../services/outboxService.js';
+import { createBookingNotification } from '../utils/clinicNotifications.js';
 
 // ----------------------------------------------------------------
 // HELPER: Get active gateway for a clinic
@@ -22,7 +23,7 @@ const getActiveGateway = async (clinicId) => {
 // ----------------------------------------------------------------
 export const createCheckoutSession = async (req, res) => {
   try {
-    const { slotId, doctorId, userId } = req.body;
+    const { slotId, doctorId, userId, couponCode } = req.body;
 
     // 1) Slot + doctor
     const slot = await prisma.slot.findUnique({
@@ -38,60 +39,56 @@ export const createCheckoutSession = async (req, res) => {
     }
 
     const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
-    const amountInPaise = Math.round(Number(slot.price) * 100);
-
-    // 3A) STRIPE
-    if (gateway.name === 'STRIPE') {
-      const stripe = new Stripe(gateway.secret);
-      const session = await stripe.checkout.sessions.create({
-        payment_method_types: ['card'],
-        line_items: [{
-          price_data: {
-            currency: 'inr',
-            product_data: {
-              name: `Appointment: Dr. ${slot.doctor.name}`,
-              description: `${new Date(slot.date).toLocaleDateString()} | ${slot.time}`,
-            },
-            unit_amount: amountInPaise,
-          },
-          quantity: 1,
-        }],
-        mode: 'payment',
-        metadata: {
-          slotId,
-          doctorId,
-          userId,
-          clinicId: slot.clinicId,
-        },
-        success_url: `${clientUrl}/payment/success?session_id={CHECKOUT_SESSION_ID}&clinic_id=${slot.clinicId}`,
-        cancel_url: `${clientUrl}/doctors/${doctorId}/book`,
-      });
 
-      return res.json({ provider: 'STRIPE', url: session.url });
+    // 🏷️ Clinic coupon (doctor / date scoped)
+    const coupon = couponCode
+      ? await quoteCoupon({
+          code: couponCode,
+          scope: 'APPOINTMENT',
+          clinicId: slot.clinicId,
+          userId: req.user?.userId || userId,
+          doctorId: slot.doctorId,
+          appointmentDate: slot.date,
+          amount: Number(slot.price),
+        })
+      : null;
+    const payable = coupon ? coupon.netAmount : Number(slot.price);
+    if (payable <= 0) {
+      return res.status(400).json({ error: 'Nothing to pay online – book this slot without checkout.' });
     }
 
-    // 3B) RAZORPAY
-    if (gateway.name === 'RAZORPAY') {
-      const razorpay = new Razorpay({ key_id: gateway.apiKey, key_secret: gateway.secret });
-      const order = await razorpay.orders.create({
-        amount: amountInPaise,
-        currency: 'INR',
-        receipt: `slot_${slotId}_${Date.now()}`,
-        notes: { slotId, doctorId, userId, clinicId: slot.clinicId },
-      });
+    // Held until the gateway confirms the payment
+    const redeem = (orderRef) => coupon && recordCouponRedemption({
+      quote: coupon,
+      clinicId: slot.clinicId,
+      userId: req.user?.userId || userId,
+      orderRef,
+    });
 
-      return res.json({
-        provider: 'RAZORPAY',
-        orderId: order.id,
-        amount: order.amount,
-        currency: order.currency,
-        keyId: gateway.apiKey,
-        clinicName: slot.doctor?.clinicName || 'Clinic',
-      });
+    // 3) Order / session on the clinic's gateway
+    const order = await getPaymentProvider(gateway).createOrder({
+      amount: payable,
+      receipt: `slot_${slotId}_${Date.now()}`,
+      notes: { slotId, doctorId, userId, clinicId: slot.clinicId, couponCode: coupon?.coupon.code || '' },
+      title: `Appointment: Dr. ${slot.doctor.name}`,
+      description: `${new Date(slot.date).toLocaleDateString()} | ${slot.time}`,
+      successUrl: `${clientUrl}/payment/success?session_id={CHECKOUT_SESSION_ID}&clinic_id=${slot.clinicId}`,
+      cancelUrl: `${clientUrl}/doctors/${doctorId}/book`,
+    });
+    await redeem(order.orderId || order.sessionId);
+
+    if (order.url) {
+      return res.json({ provider: order.provider, url: order.url, coupon: toCouponSummary(coupon) });
     }
 
-    return res.status(400).json({ error: `Unsupported gateway: ${gateway.name}` });
+    return res.json({
+      ...order,
+      keyId: order.key,
+      clinicName: slot.doctor?.clinicName || 'Clinic',
+      coupon: toCouponSummary(coupon),
+    });
   } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
     console.error('Checkout Error:', err);
     return res.status(500).json({ error: 'Failed to create checkout session' });
   }
@@ -112,7 +109,8 @@ export const verifyPaymentAndBook = async (req, res) => {
       razorpay_payment_id, 
       razorpay_signature, 
       appointmentId,
-      notes 
+      notes,
+      provider = 'RAZORPAY',
     } = req.body;
 
     if (!appointmentId) return res.status(400).json({ error: 'Appointment ID required' });
@@ -137,15 +135,16 @@ export const verifyPaymentAndBook = async (req, res) => {
     if (!appointment) return res.status(404).json({ error: 'Appointment not found' });
 
     // 2. Gateway Lookup & Signature Verification
-    const gateway = appointment.clinic.gateways.find(g => g.name === 'RAZORPAY' && g.isActive);
+    const gateway = appointment.clinic.gateways.find(g => g.name === provider && g.isActive);
     if (!gateway?.secret) return res.status(400).json({ error: 'Gateway config missing' });
 
-    const generated_signature = crypto
-      .createHmac('sha256', gateway.secret)
-      .update(razorpay_order_id + '|' + razorpay_payment_id)
-      .digest('hex');
+    const verification = await getPaymentProvider(gateway).verifyPayment({
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature,
+    });
 
-    if (generated_signature !== razorpay_signature) {
+    if (!verification.paid) {
       return res.status(400).json({ error: 'Invalid payment signature' });
     }
 
@@ -213,18 +212,19 @@ export const verifyPaymentAndBook = async (req, res) => {
         }
       });
 
+      // D. Email Notification (sent by the outbox after commit)
+      await addToOutbox('BOOKING_EMAILS', {
+        clinicId: appointment.clinicId,
+        appointmentId,
+        type: isReschedule ? "RESCHEDULE_CONFIRMED" : "CONFIRMED",
+      }, tx);
+      if (!isReschedule) await createBookingNotification(appointmentId, tx);
+
       return updatedAppt;
     });
 
     // 5. Send Email Notification
-    sendBookingEmails({
-      type: isReschedule ? "RESCHEDULE_CONFIRMED" : "CONFIRMED",
-      id: result.id,
-      clinic: result.clinic,
-      doctor: result.doctor,
-      slot: result.slot,
-      user: result.user
-    }).catch(err => console.error("Email failed:", err));
+    dispatchOutbox();
 
     return res.json({ 
       success: true, 
@@ -284,6 +284,7 @@ async function handleRescheduleSuccess(res, metadata, paymentId, amountTotal, ga
         where: { id: appointmentId },
         data: {
           slotId: newSlotId,
+          activeSlotId: newSlotId,
           status: 'CONFIRMED',
           paymentStatus: 'PAID',
           financialStatus: 'PAID',
@@ -311,18 +312,17 @@ async function handleRescheduleSuccess(res, metadata, paymentId, amountTotal, ga
         });
       }
 
-      // Email
-      sendBookingEmails({
+      // Email (sent by the outbox after commit)
+      await addToOutbox('BOOKING_EMAILS', {
+        clinicId: updatedAppt.clinicId,
+        appointmentId: updatedAppt.id,
         type: "RESCHEDULE",
-        id: updatedAppt.id,
-        clinic: updatedAppt.clinic,
-        doctor: updatedAppt.doctor,
-        slot: updatedAppt.slot,
-        oldSlot: { id: currentAppt.slotId },
-        user: updatedAppt.user
-      }).catch(console.error);
+        oldSlot: { id: currentAppt.slotId, date: currentAppt.slot?.date, time: currentAppt.slot?.time },
+      }, tx);
     });
 
+    dispatchOutbox();
+
     return res.status(200).json({ 
       success: true, 
       type: 'RESCHEDULE_PROCESSED',
@@ -1,19 +1,13 @@
 // controllers/paymentWebhook.js
 import prisma from '../prisma.js';
-import crypto from 'crypto';
-import Stripe from 'stripe';
-import { sendBookingEmails } from '../utils/email.js'; // ✅ ADD EMAIL IMPORT
-
-// Adjust path if needed
-
-// ----------------------------------------------------------------
-// 1. RAZORPAY WEBHOOK
-// ----------------------------------------------------------------
-// src/controllers/webhookController.js
- // Ensure this path is correct
+import { storeWebhookEvent, processWebhookEvent } from '../services/webhookService.js';
+import { getWebhookProvider } from '../services/paymentProviders/index.js';
+import { isMockGatewayId } from '../services/paymentProviders/mockProvider.js';
 
 // ----------------------------------------------------------------
 // 1. RAZORPAY WEBHOOK
+// Every delivery is stored first (webhook_events) and then processed
+// by event id; failures are retried by the webhook retry job.
 // ----------------------------------------------------------------
 export const razorpayWebhook = async (req, res) => {
     console.log('🔥 RAZORPAY RAW WEBHOOK HIT:', {
@@ -27,204 +21,26 @@ export const razorpayWebhook = async (req, res) => {
   });
   try {
   
-    const signature = req.headers['x-razorpay-signature'];
-    const payload = req.body;
-
-    if (!signature) return res.status(400).send('Missing signature');
+    const parsed = await getWebhookProvider('RAZORPAY').parseWebhook({ body: req.body, headers: req.headers });
+    if (!parsed.signature) return res.status(400).send('Missing signature');
 
-    // Verify Signature
-    const shasum = crypto.createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET);
-    shasum.update(JSON.stringify(payload));
-    const digest = shasum.digest('hex');
+    const stored = await storeWebhookEvent({ provider: 'RAZORPAY', ...parsed });
 
-    if (digest !== signature) {
+    if (!parsed.signatureValid) {
       console.error('❌ Razorpay signature mismatch');
       return res.status(400).send('Invalid signature');
     }
 
-    // Only process payment.captured
-    if (payload.event === 'payment.captured') {
-      const paymentEntity = payload.payload.payment.entity;
-      const notes = paymentEntity.notes || {};
-      const orderId = paymentEntity.order_id;
-      const paymentId = paymentEntity.id;
-      const amountPaid = paymentEntity.amount / 100;
-
-      console.log(`🪝 Razorpay Webhook: Order ${orderId}, Payment ${paymentId}`);
-
-      // ---------------------------------------------------------
-      // SCENARIO A: RESCHEDULE PAYMENT
-      // ---------------------------------------------------------
-      if (notes.type === 'RESCHEDULE') {
-        const appointmentId = notes.appointmentId;
-        const newSlotId = notes.rescheduleToSlot || notes.slotId;
-
-        console.log(`🔄 Processing Reschedule Webhook: Appt ${appointmentId} -> Slot ${newSlotId}`);
-
-        await prisma.$transaction(async (tx) => {
-          // 1. Fetch Current Appointment
-          const currentAppt = await tx.appointment.findUnique({ 
-            where: { id: appointmentId },
-            include: { clinic: { include: { gateways: true } } } // Pre-fetch gateways
-          });
-          
-          if (!currentAppt) throw new Error("Appointment not found");
-
-          // 2. Free up OLD Slot
-          if (currentAppt.slotId) {
-            await tx.slot.update({
-              where: { id: currentAppt.slotId },
-              data: { isBooked: false, status: 'AVAILABLE', isBlocked: false } 
-            });
-          }
-
-          // 3. Occupy NEW Slot
-          await tx.slot.update({
-            where: { id: newSlotId },
-            data: { isBooked: true, status: 'CONFIRMED', isBlocked: false }
-          });
-
-          // 4. Update Appointment
-          const updatedAppt = await tx.appointment.update({
-            where: { id: appointmentId },
-            data: {
-              slotId: newSlotId,
-              status: 'CONFIRMED',
-              paymentStatus: 'PAID',
-              financialStatus: 'PAID',
-              paymentId: paymentId,
-              amount: amountPaid, // Update to paid amount
-              adminNote: `Rescheduled via Online Payment (${paymentId})`,
-              updatedAt: new Date()
-            },
-            include: { clinic: true, doctor: true, user: true, slot: true }
-          });
-
-          // 5. Create Payment Record (Idempotency Check)
-          const existingPayment = await tx.payment.findFirst({ where: { gatewayRefId: paymentId } });
-          
-          if (!existingPayment) {
-            const gateway = currentAppt.clinic.gateways.find(g => g.name === 'RAZORPAY');
-            await tx.payment.create({
-              data: {
-                appointmentId: updatedAppt.id,
-                clinicId: updatedAppt.clinicId,
-                doctorId: updatedAppt.doctorId,
-                gatewayId: gateway?.id,
-                amount: amountPaid,
-                status: 'PAID',
-                gatewayRefId: paymentId,
-              }
-            });
-          }
-
-          // 6. Send Email (Fire & Forget)
-          sendBookingEmails({
-            type: "RESCHEDULE",
-            id: updatedAppt.id,
-            clinic: updatedAppt.clinic,
-            doctor: updatedAppt.doctor,
-            slot: updatedAppt.slot,
-            oldSlot: { id: currentAppt.slotId }, // basic info
-            user: updatedAppt.user
-          }).catch(err => console.error("Reschedule email failed", err));
-        });
-
-        return res.json({ success: true, type: 'RESCHEDULE_PROCESSED' });
-      }
-
-      // ---------------------------------------------------------
-      // SCENARIO B: NEW BOOKING (Standard Flow)
-      // ---------------------------------------------------------
-      
-      const appointmentTempId = notes.appointmentTempId;
-      
-      const appointment = await prisma.appointment.findFirst({
-        where: {
-          OR: [{ orderId }, { id: appointmentTempId }],
-          // Allow PENDING or PENDING_PAYMENT
-          status: { in: ['PENDING', 'PENDING_PAYMENT'] }
-        },
-        include: {
-          slot: true,
-          clinic: { include: { gateways: true } },
-          doctor: true,
-          user: true
-        }
-      });
-
-      if (!appointment) {
-        // Idempotency: Check if already confirmed
-        const alreadyConfirmed = await prisma.appointment.findFirst({
-          where: { orderId, status: 'CONFIRMED' }
-        });
-        if (alreadyConfirmed) {
-          console.log(`ℹ️ Booking already confirmed for Order ${orderId}`);
-          return res.status(200).json({ message: "Already processed" });
-        }
-        
-        console.log(`❌ Booking not found/expired for order: ${orderId}`);
-        // Return 200 to stop retry loop if truly not found
-        return res.status(200).send('Appointment not found');
-      }
-
-      // Confirm Booking
-      await prisma.$transaction(async (tx) => {
-        const updatedAppt = await tx.appointment.update({
-          where: { id: appointment.id },
-          data: {
-            status: 'CONFIRMED',
-            paymentStatus: 'PAID',
-            financialStatus: 'PAID',
-            paymentId: paymentId,
-            updatedAt: new Date()
-          }
-        });
-
-        if (appointment.slotId) {
-          await tx.slot.update({
-            where: { id: appointment.slotId },
-            data: { isBooked: true, status: 'CONFIRMED', isBlocked: false }
-          });
-        }
-
-        const gateway = appointment.clinic.gateways.find(g => g.name === 'RAZORPAY');
-        
-        // Prevent duplicate payment records
-        const existingPayment = await tx.payment.findFirst({ where: { gatewayRefId: paymentId } });
-        
-        if (!existingPayment) {
-          await tx.payment.create({
-            data: {
-              appointmentId: appointment.id,
-              clinicId: appointment.clinicId,
-              doctorId: appointment.doctorId,
-              gatewayId: gateway?.id,
-              amount: amountPaid,
-              status: 'PAID',
-              gatewayRefId: paymentId,
-            }
-          });
-        }
-        
-        return updatedAppt;
-      });
-
-      // Send Confirmation Email
-      sendBookingEmails({
-        id: appointment.id,
-        clinic: appointment.clinic,
-        doctor: appointment.doctor,
-        slot: appointment.slot,
-        user: appointment.user
-      }).catch(err => console.error('Booking email failed:', err));
-
-      console.log(`✅ Webhook Confirmed Booking: ${appointment.id}`);
-      return res.status(200).json({ success: true });
+    const { event, claimed } = await processWebhookEvent(stored.id);
+    if (!claimed) {
+      return res.status(200).json({ success: true, status: event.status, duplicate: true });
+    }
+    if (event.status === 'FAILED') {
+      // 500 lets Razorpay retry as well; the event id keeps it idempotent
+      return res.status(500).send('Webhook failed');
     }
 
-    // Return OK for other events to prevent retries
-    return res.status(200).json({ status: 'ignored' });
+    return res.status(200).json({ success: true, status: event.status, ...event.result });
 
   } catch (error) {
     console.error('❌ Razorpay Webhook Error:', error);
@@ -239,179 +55,116 @@ export const razorpayWebhook = async (req, res) => {
 // ----------------------------------------------------------------
 export const stripeWebhook = async (req, res) => {
   try {
-    const sig = req.headers['stripe-signature'];
-    const payload = req.body;
     // Note: Stripe requires raw body for verification. Ensure your express app preserves it.
     // Usually handled by express.raw({ type: 'application/json' }) middleware on this route.
-    
-    const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-    let event;
-
-    try {
-        event = stripe.webhooks.constructEvent(req.rawBody || payload, sig, process.env.STRIPE_WEBHOOK_SECRET);
-    } catch (err) {
-        console.error(`⚠️ Stripe Signature verification failed: ${err.message}`);
-        return res.status(400).send(`Webhook Error: ${err.message}`);
+    const { error, ...delivery } = await getWebhookProvider('STRIPE').parseWebhook({
+      body: req.body,
+      rawBody: req.rawBody,
+      headers: req.headers,
+    });
+
+    if (!delivery.signatureValid) {
+        console.error(`⚠️ Stripe Signature verification failed: ${error}`);
+        await storeWebhookEvent({ provider: 'STRIPE', ...delivery })
+          .catch((storeErr) => console.error('⚠️ Could not store rejected Stripe webhook:', storeErr.message));
+        return res.status(400).send(`Webhook Error: ${error}`);
     }
 
-    if (event.type === 'checkout.session.completed') {
-      const session = event.data.object;
-      const metadata = session.metadata || {};
-      const amountPaid = session.amount_total / 100;
+    const stored = await storeWebhookEvent({ provider: 'STRIPE', ...delivery });
 
-      console.log(`🪝 Stripe Webhook: Session ${session.id}`);
-
-      // ---------------------------------------------------------
-      // SCENARIO A: RESCHEDULE PAYMENT
-      // ---------------------------------------------------------
-      if (metadata.type === 'RESCHEDULE') {
-         const appointmentId = metadata.appointmentId;
-         const newSlotId = metadata.slotId; 
-
-         console.log(`🔄 Processing Stripe Reschedule: Appt ${appointmentId} -> Slot ${newSlotId}`);
-
-         await prisma.$transaction(async (tx) => {
-            const currentAppt = await tx.appointment.findUnique({ 
-                where: { id: appointmentId },
-                include: { clinic: { include: { gateways: true } } }
-            });
-            
-            // Free Old Slot
-            if (currentAppt?.slotId) {
-                await tx.slot.update({
-                    where: { id: currentAppt.slotId },
-                    data: { isBooked: false, status: 'AVAILABLE', isBlocked: false }
-                });
-            }
-
-            // Book New Slot
-            await tx.slot.update({
-                where: { id: newSlotId },
-                data: { isBooked: true, status: 'CONFIRMED', isBlocked: false }
-            });
-
-            // Update Appointment
-            const updatedAppt = await tx.appointment.update({
-                where: { id: appointmentId },
-                data: {
-                    slotId: newSlotId,
-                    status: 'CONFIRMED',
-                    paymentStatus: 'PAID',
-                    financialStatus: 'PAID',
-                    paymentId: session.payment_intent,
-                    amount: amountPaid,
-                    adminNote: 'Rescheduled via Stripe',
-                },
-                include: { clinic: true, doctor: true, user: true, slot: true }
-            });
+    const { event: row, claimed } = await processWebhookEvent(stored.id);
+    if (claimed && row.status === 'FAILED') {
+      return res.status(400).send(`Webhook Error: ${row.lastError}`);
+    }
 
-            const existingPayment = await tx.payment.findFirst({ where: { gatewayRefId: session.payment_intent } });
-            
-            if (!existingPayment) {
-                const gateway = currentAppt.clinic.gateways.find(g => g.name === 'STRIPE');
-                await tx.payment.create({
-                    data: {
-                        appointmentId: updatedAppt.id,
-                        clinicId: updatedAppt.clinicId,
-                        doctorId: updatedAppt.doctorId,
-                        gatewayId: gateway?.id,
-                        amount: amountPaid,
-                        status: 'PAID',
-                        gatewayRefId: session.payment_intent,
-                    }
-                });
-            }
+    return res.status(200).json({ received: true, status: row.status });
 
-            sendBookingEmails({
-                type: "RESCHEDULE",
-                id: updatedAppt.id,
-                clinic: updatedAppt.clinic,
-                doctor: updatedAppt.doctor,
-                slot: updatedAppt.slot,
-                oldSlot: { id: currentAppt.slotId },
-                user: updatedAppt.user
-            }).catch(console.error);
-         });
-         return res.json({ received: true });
-      }
+  } catch (error) {
+    console.error('❌ Stripe Webhook Error:', error);
+    return res.status(400).send(`Webhook Error: ${error.message}`);
+  }
+};
 
-      // ---------------------------------------------------------
-      // SCENARIO B: NEW BOOKING
-      // ---------------------------------------------------------
-      if (session.payment_status === 'paid') {
-        const orderId = session.id; // Checkout Session ID
-        const appointmentTempId = metadata.appointmentTempId;
 
-        const appointment = await prisma.appointment.findFirst({
-          where: {
-            OR: [{ orderId }, { id: appointmentTempId }],
-            status: { in: ['PENDING', 'PENDING_PAYMENT'] }
-          },
-          include: {
-            slot: true,
-            clinic: { include: { gateways: true } },
-            doctor: true,
-            user: true
-          }
-        });
+// ----------------------------------------------------------------
+// 3. MOCK WEBHOOK (offline gateway; route only mounted when enabled)
+// Same store → process path as the real gateways.
+// ----------------------------------------------------------------
+const acceptMockDelivery = async ({ body, headers }) => {
+  const delivery = await getWebhookProvider('MOCK').parseWebhook({ body, headers });
+  const stored = await storeWebhookEvent({ provider: 'MOCK', ...delivery });
+  if (!delivery.signatureValid) return { event: stored, invalid: true };
 
-        if (appointment) {
-          await prisma.$transaction(async (tx) => {
-            const updatedAppt = await tx.appointment.update({
-              where: { id: appointment.id },
-              data: {
-                status: 'CONFIRMED',
-                paymentStatus: 'PAID',
-                financialStatus: 'PAID',
-                paymentId: session.payment_intent,
-                updatedAt: new Date()
-              }
-            });
+  const { event, claimed } = await processWebhookEvent(stored.id);
+  return { event, claimed };
+};
 
-            if (appointment.slotId) {
-              await tx.slot.update({
-                where: { id: appointment.slotId },
-                data: { isBooked: true, status: 'CONFIRMED', isBlocked: false }
-              });
-            }
+export const mockWebhook = async (req, res) => {
+  try {
+    const { event, claimed, invalid } = await acceptMockDelivery({ body: req.body, headers: req.headers });
+    if (invalid) return res.status(400).send('Invalid signature');
+    if (claimed && event.status === 'FAILED') return res.status(500).send('Webhook failed');
 
-            const existingPayment = await tx.payment.findFirst({ where: { gatewayRefId: session.payment_intent } });
+    return res.status(200).json({ success: true, status: event.status, duplicate: !claimed, ...event.result });
+  } catch (error) {
+    console.error('❌ Mock Webhook Error:', error);
+    return res.status(500).send('Webhook failed');
+  }
+};
 
-            if (!existingPayment) {
-                const gateway = appointment.clinic.gateways.find(g => g.name === 'STRIPE');
-                await tx.payment.create({
-                  data: {
-                    appointmentId: appointment.id,
-                    clinicId: appointment.clinicId,
-                    doctorId: appointment.doctorId,
-                    gatewayId: gateway?.id,
-                    amount: amountPaid,
-                    status: 'PAID',
-                    gatewayRefId: session.payment_intent,
-                  }
-                });
-            }
-          });
+// ----------------------------------------------------------------
+// POST /api/webhooks/mock/simulate  (clinic admin / super admin)
+// body: { orderId, event?: payment.captured|payment.failed, amount? }
+// Plays the gateway: signs a delivery for a MOCK order and feeds it
+// through the webhook path, as if the patient paid on a real checkout.
+// Clinic admins can only settle their own clinic's holds.
+// ----------------------------------------------------------------
+export const simulateMockPayment = async (req, res) => {
+  try {
+    const { orderId, event = 'payment.captured', amount } = req.body;
+    if (!orderId) return res.status(400).json({ error: 'orderId is required' });
+    if (!['payment.captured', 'payment.failed'].includes(event)) {
+      return res.status(400).json({ error: 'event must be payment.captured or payment.failed' });
+    }
 
-          sendBookingEmails({
-             id: appointment.id,
-             clinic: appointment.clinic,
-             doctor: appointment.doctor,
-             slot: appointment.slot,
-             user: appointment.user
-          }).catch(console.error);
-          
-          console.log(`✅ Stripe Webhook Confirmed: ${appointment.id}`);
-        } else {
-            console.log(`⚠️ Stripe Webhook: Appt not found for Session ${session.id}`);
-        }
-      }
+    if (!isMockGatewayId(orderId)) {
+      return res.status(400).json({ error: 'Only orders created on the MOCK gateway can be simulated' });
     }
 
-    return res.status(200).json({ received: true });
+    const isSuperAdmin = req.user.role === 'SUPER_ADMIN';
+    const appointment = await prisma.appointment.findFirst({
+      where: { orderId, ...(isSuperAdmin ? {} : { clinicId: req.user.clinicId }) },
+      select: { id: true, slotId: true, clinicId: true, doctorId: true, amount: true },
+    });
+    if (!appointment && (!isSuperAdmin || amount === undefined)) {
+      return res.status(404).json({
+        error: isSuperAdmin
+          ? 'No appointment holds this order – pass amount to simulate anyway'
+          : 'No appointment of this clinic holds this order',
+      });
+    }
 
+    const delivery = getWebhookProvider('MOCK').buildWebhook({
+      event,
+      orderId,
+      amount: amount !== undefined ? Number(amount) : Number(appointment.amount),
+      notes: appointment
+        ? { appointmentTempId: appointment.id, slotId: appointment.slotId, clinicId: appointment.clinicId, doctorId: appointment.doctorId }
+        : {},
+    });
+
+    const { event: row } = await acceptMockDelivery(delivery);
+    return res.json({
+      success: row.status !== 'FAILED',
+      webhookEventId: row.id,
+      status: row.status,
+      paymentId: delivery.body.payload.payment.entity.id,
+      result: row.result,
+      error: row.lastError || undefined,
+    });
   } catch (error) {
-    console.error('❌ Stripe Webhook Error:', error);
-    return res.status(400).send(`Webhook Error: ${error.message}`);
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Simulate Mock Payment Error:', error);
+    return res.status(500).json({ error: error.message });
   }
 };
@@ -1,5 +1,6 @@
 import prisma from '../prisma.js';
 import { logAudit } from '../utils/audit.js';
+import { normaliseCommission } from '../services/settlementService.js';
 
 const logPlanAudit = async (userId, action, planId, details = null) => {
   try {
@@ -44,6 +45,8 @@ export const listPlans = async (req, res) => {
         isTrial: true,
         durationDays: true,
         trialDays: true,
+        commissionType: true,
+        commissionValue: true,
         isActive: true,
         createdAt: true,
         updatedAt: true,
@@ -104,6 +107,8 @@ export const createPlan = async (req, res) => {
     if (!name || !slug || priceMonthly == null) {
       return res.status(400).json({ error: 'name, slug, priceMonthly required' });
     }
+    // Platform commission on bookings it collects (optional, else the default)
+    const commission = normaliseCommission(req.body);
 
     // 2. Check slug uniqueness
     const slugExists = await prisma.plan.findFirst({
@@ -176,6 +181,7 @@ export const createPlan = async (req, res) => {
         durationDays: durationDays ?? null,
         trialDays: trialDays ?? null,
            enableGoogleCalendarSync,
+        ...commission,
         // 🔥 Save the generated ID
         razorpayPlanId: razorpayPlanId || null, 
       },
@@ -194,6 +200,7 @@ export const createPlan = async (req, res) => {
     });
 
   } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
     console.error('Create Plan Error:', err);
     return res.status(500).json({ error: err.message });
   }
@@ -251,6 +258,8 @@ export const updatePlan = async (req, res) => {
       enableGoogleReviews: enableGoogleReviews !== undefined ? enableGoogleReviews : existing.enableGoogleReviews,
       isActive: isActive !== undefined ? isActive : existing.isActive,
          enableGoogleCalendarSync: enableGoogleCalendarSync !== undefined ? enableGoogleCalendarSync : existing.enableGoogleCalendarSync,
+      // Commission only applies to ledger entries recorded after the change
+      ...normaliseCommission(req.body),
     };
 
     // Pricing/limits - only if NO active subscriptions
@@ -305,6 +314,7 @@ export const updatePlan = async (req, res) => {
       message: `Plan "${updated.name}" updated successfully`
     });
   } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
     console.error('Update Plan Error:', err);
     return res.status(500).json({ error: err.message });
   }
@@ -1,4 +1,5 @@
 import prisma from '../prisma.js';
+import { getHolidaysInRange, isOnHoliday } from '../utils/holidays.js';
 
 
 // ----------------------------------------------------------------
@@ -17,6 +18,7 @@ console.log('🔍 getClinics params:', { q, city });
         isActive: true,
         isPublic: true,
         deletedAt: null,
+        suspendedAt: null, // unpaid past the dunning window
         ...(city ? { city: { equals: city, mode: 'insensitive' } } : {}),
         ...(q
           ? {
@@ -129,7 +131,7 @@ export const getDoctorsByClinic = async (req, res) => {
       where: { id: clinicId },
     });
 
-    if (!clinic || !clinic.isActive || clinic.deletedAt) {
+    if (!clinic || !clinic.isActive || clinic.deletedAt || clinic.suspendedAt) {
       return res.status(404).json({ error: 'Clinic not found or inactive' });
     }
 
@@ -365,12 +367,16 @@ export const getSlotsForUser = async (req, res, next) => {
       },
     });
 
+    // 🏖️ Holiday / doctor leave → hide the whole day
+    const holidays = await getHolidaysInRange({ clinicId, doctorId, from: start, to: end });
+    const openSlots = slots.filter((s) => !isOnHoliday(holidays, s.date, doctorId));
+
     const now = new Date();
     const tenMinutesAgo = new Date(now.getTime() - 10 * 60 * 1000);
     const currentUserId = req.user?.id;
 
     return res.json({
-      data: slots.map((s) => {
+      data: openSlots.map((s) => {
         const isPassed = isSlotPassedIst(date, s.time);  // ✅ FIXED
         const appointments = Array.isArray(s.appointments) ? s.appointments : [];
         
@@ -452,7 +458,7 @@ export const getSlotsByDoctor = async (req, res) => {
     }
 
     // 🔥 1) All NON-BLOCKED slots
-    const slots = await prisma.slot.findMany({
+    const rawSlots = await prisma.slot.findMany({
       where: {
         ...where,
         isBlocked: false
@@ -468,6 +474,17 @@ export const getSlotsByDoctor = async (req, res) => {
       orderBy: [{ date: "asc" }, { time: "asc" }],
     });
 
+    // 🏖️ Drop days covered by a clinic holiday or this doctor's leave
+    const holidays = rawSlots.length
+      ? await getHolidaysInRange({
+          clinicId: targetClinicId,
+          doctorId,
+          from: rawSlots[0].date,
+          to: rawSlots[rawSlots.length - 1].date,
+        })
+      : [];
+    const slots = rawSlots.filter((slot) => !isOnHoliday(holidays, slot.date, doctorId));
+
     // 🔥 2) Booked slots (including ACTIVE holds) - FIXED SELECT!
     const blockedAppointments = await prisma.appointment.findMany({
       where: {
@@ -573,6 +590,8 @@ export const getSlotsByDoctor = async (req, res) => {
         free: resultSlots.filter((s) => s.paymentMode === "FREE" && !s.isBooked && !s.isPassed).length,
         paid: resultSlots.filter((s) => s.paymentMode !== "FREE" && !s.isBooked && !s.isPassed).length,
       },
+      // ⏳ Nothing bookable → UI can offer POST /api/user/waitlist
+      canJoinWaitlist: !resultSlots.some((s) => !s.isBooked && !s.isPassed),
     });
 
   } catch (error) {
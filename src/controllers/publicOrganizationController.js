@@ -6,6 +6,13 @@ import Razorpay from 'razorpay';
 import { logAudit } from '../utils/audit.js';
 import { z } from 'zod';
 import crypto from 'crypto';
+import { getPlanTax, getStateCode, normaliseGstin, toTaxFields } from '../services/taxService.js';
+import {
+  quoteCoupon,
+  toCouponSummary,
+  recordCouponRedemption,
+  confirmCouponRedemption,
+} from '../services/couponService.js';
 
 const toSlug = (str) =>
   str.toLowerCase().trim().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
@@ -37,8 +44,25 @@ const registerSchema = z.object({
   bankName: z.string().optional().or(z.literal('')),
   accountNumber: z.string().optional().or(z.literal('')),
   ifscCode: z.string().optional().or(z.literal('')),
+  gstin: z.string().optional().or(z.literal('')),
+  couponCode: z.string().max(32).optional().or(z.literal('')),
 });
 
+// 🏷️ Promo code at sign-up: a discount needs a paid plan, extra days need a trial
+const quoteRegistrationCoupon = async (code, plan) => {
+  const isFreePlan = plan.isTrial || Number(plan.priceMonthly) === 0 || plan.trialDays > 0;
+  const coupon = await quoteCoupon({
+    code,
+    scope: 'PLAN',
+    planId: plan.id,
+    amount: isFreePlan ? 0 : Number(plan.priceMonthly),
+  });
+  if (coupon.trialDays && !(plan.isTrial || plan.trialDays > 0)) {
+    throw { statusCode: 400, message: 'This code extends free trials – choose a plan that starts with a trial' };
+  }
+  return coupon;
+};
+
 export const registerOrganization = async (req, res) => {
   try {
     const validatedData = registerSchema.parse(req.body);
@@ -47,6 +71,14 @@ export const registerOrganization = async (req, res) => {
       addressLine1, city, state, pincode, planId, bankName, accountNumber, ifscCode
     } = validatedData;
 
+    let gstin;
+    try {
+      gstin = normaliseGstin(validatedData.gstin);
+    } catch (gstErr) {
+      return res.status(400).json({ error: gstErr.message });
+    }
+    const gstStateCode = getStateCode({ gstin, state });
+
     // 1. Validate Plan
     const plan = await prisma.plan.findFirst({ 
       where: { id: planId, isActive: true, deletedAt: null } 
@@ -57,10 +89,24 @@ export const registerOrganization = async (req, res) => {
     const existingUser = await prisma.user.findUnique({ where: { email: ownerEmail } });
     if (existingUser) return res.status(400).json({ error: 'Email already registered' });
 
-    // 3. Free vs Paid Logic
-    const isFreePlan = plan.isTrial || plan.priceMonthly === 0 || plan.trialDays > 0;
+    // 2b. Promo code
+    let coupon = null;
+    if (validatedData.couponCode) {
+      try {
+        coupon = await quoteRegistrationCoupon(validatedData.couponCode, plan);
+      } catch (couponErr) {
+        if (!couponErr.statusCode) throw couponErr;
+        return res.status(couponErr.statusCode).json({ error: couponErr.message });
+      }
+    }
+
+    // 3. Free vs Paid Logic (a 100% code makes a paid plan free to start)
+    const isFreePlan = plan.isTrial || plan.priceMonthly === 0 || plan.trialDays > 0
+      || (coupon && !coupon.trialDays && coupon.netAmount === 0);
+    const chargedPrice = coupon && !coupon.trialDays ? coupon.netAmount : plan.priceMonthly;
     let razorpayCustomerId = null;
     let razorpayPaymentData = null;
+    let planTax = null;
 
     // 🔥 PAID PLAN: Create CUSTOMER FIRST (Fixes UPI name validation)
     if (!isFreePlan) {
@@ -101,10 +147,10 @@ export const registerOrganization = async (req, res) => {
       });
       razorpayCustomerId = customer.id;
 
-      // 2️⃣ CREATE ORDER linked to customer
-      const planPrice = parseFloat(plan.priceMonthly) || 0;
-      const amountInPaise = Math.round(planPrice * 100);
-      console.log('🪙 Amount:', planPrice, '→', amountInPaise, 'Customer:', customer.id);
+      // 2️⃣ CREATE ORDER linked to customer (plan price + GST)
+      planTax = await getPlanTax({ plan: { ...plan, priceMonthly: chargedPrice }, clinic: { gstin, gstStateCode } });
+      const amountInPaise = Math.round(planTax.total * 100);
+      console.log('🪙 Amount:', planTax.total, '→', amountInPaise, 'Customer:', customer.id);
 
       const receipt = `reg_${ownerEmail.replace(/[^\w]/g, '').slice(0, 15)}_${Date.now().toString(36)}`;
       
@@ -121,7 +167,8 @@ export const registerOrganization = async (req, res) => {
         razorpayCustomerId: customer.id,  // ✅ Frontend gets this
         amount: order.amount,
         currency: order.currency,
-        key: razorpayConfig.apiKey
+        key: razorpayConfig.apiKey,
+        tax: toTaxFields(planTax)
       };
     }
 
@@ -138,6 +185,8 @@ export const registerOrganization = async (req, res) => {
           bankName: bankName || null,
           accountNumber: accountNumber || null,
           ifscCode: ifscCode || null,
+          gstin,
+          gstStateCode,
           isActive: true,
           timings: {},
           details: ''
@@ -160,16 +209,29 @@ export const registerOrganization = async (req, res) => {
           razorpayOrderId: razorpayPaymentData?.razorpayOrderId || null,
           razorpayCustomerId: razorpayCustomerId || null,  // ✅ Store for tracking
           startDate: new Date(),
-          priceAtPurchase: plan.priceMonthly,
+          priceAtPurchase: chargedPrice,
+          ...(planTax ? { taxAmount: planTax.taxAmount, taxBreakdown: toTaxFields(planTax).taxBreakdown } : {}),
           maxDoctors: plan.maxDoctors,
           maxBookingsPerPeriod: plan.maxBookingsPerMonth,
           isTrial: plan.isTrial,
           durationDays: plan.durationDays,
-          trialDays: plan.trialDays,
+          // 14 = the expiry cron's default when a trial plan has no trialDays
+          trialDays: coupon?.trialDays ? (plan.trialDays ?? 14) + coupon.trialDays : plan.trialDays,
         },
         include: { plan: true }
       });
 
+      if (coupon) {
+        await recordCouponRedemption({
+          quote: coupon,
+          clinicId: clinic.id,
+          userId: ownerUser.id,
+          subscriptionId: subscription.id,
+          orderRef: razorpayPaymentData?.razorpayOrderId || null,
+          status: razorpayPaymentData ? 'PENDING' : 'REDEEMED',
+        }, tx);
+      }
+
       return { clinic, ownerUser, subscription };
     });
 
@@ -186,7 +248,8 @@ export const registerOrganization = async (req, res) => {
           isFreePlan,
           razorpayOrderId: razorpayPaymentData?.razorpayOrderId,
           razorpayCustomerId,
-          ownerEmail
+          ownerEmail,
+          couponCode: coupon?.coupon.code,
         },
         req
       });
@@ -213,7 +276,8 @@ export const registerOrganization = async (req, res) => {
         role: result.ownerUser.role
       },
       clinic: result.clinic,
-      subscription: result.subscription
+      subscription: result.subscription,
+      coupon: toCouponSummary(coupon)
     };
 
     // 🔥 Attach payment data with CUSTOMER_ID
@@ -239,11 +303,44 @@ export const registerOrganization = async (req, res) => {
         })
       });
     }
+    // e.g. the coupon's last use went to a parallel registration
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
     console.error('Registration Error:', err);
     res.status(500).json({ error: 'Server error during registration' });
   }
 };
 
+// ----------------------------------------------------------------
+// POST /api/public/organizations/coupon-preview  { planId, couponCode, gstin?, state? }
+// ----------------------------------------------------------------
+export const previewRegistrationCoupon = async (req, res) => {
+  try {
+    const { planId, couponCode, gstin, state } = req.body;
+    if (!planId || !couponCode) return res.status(400).json({ error: 'planId and couponCode are required' });
+
+    const plan = await prisma.plan.findFirst({ where: { id: planId, isActive: true, deletedAt: null } });
+    if (!plan) return res.status(400).json({ error: 'Selected plan unavailable' });
+
+    const coupon = await quoteRegistrationCoupon(couponCode, plan);
+    const planTax = coupon.trialDays
+      ? null
+      : await getPlanTax({
+          plan: { ...plan, priceMonthly: coupon.netAmount },
+          clinic: { gstin, gstStateCode: getStateCode({ gstin, state }) },
+        });
+
+    return res.json({
+      valid: true,
+      coupon: toCouponSummary(coupon),
+      ...(planTax ? { tax: toTaxFields(planTax), total: planTax.total } : {}),
+    });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ valid: false, error: err.message });
+    console.error('Registration Coupon Preview Error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
 // controllers/publicOrganizationController.js
 
 
@@ -305,6 +402,8 @@ export const verifyRegistrationPayment = async (req, res) => {
 
     // Update everything in a single transaction
     await prisma.$transaction(async (tx) => {
+      await confirmCouponRedemption(razorpay_order_id, tx);
+
       const updatedSub = await tx.subscription.update({
         where: { id: subscription.id },
         data: { 
@@ -325,12 +424,19 @@ export const verifyRegistrationPayment = async (req, res) => {
         }
       });
 
-      // Log the payment in your new registrationPayments table
+      // Log the payment in your new registrationPayments table (GST as charged at registration)
+      const taxAmount = Number(subscription.taxAmount || 0);
+      const taxableAmount = Number(subscription.priceAtPurchase ?? subscription.plan.priceMonthly);
+      const priceIncludesTax = Boolean(subscription.taxBreakdown?.priceIncludesTax);
       await tx.registrationPayment.create({
         data: {
           clinicId: subscription.clinicId,
           subscriptionId: updatedSub.id,
-          amount: subscription.plan.priceMonthly,
+          amount: priceIncludesTax ? taxableAmount : taxableAmount + taxAmount,
+          taxableAmount: priceIncludesTax ? taxableAmount - taxAmount : taxableAmount,
+          taxAmount,
+          taxBreakdown: subscription.taxBreakdown || null,
+          gstin: subscription.clinic?.gstin || null,
           currency: 'INR',
           status: 'SUCCESS',
           razorpayOrderId: razorpay_order_id,
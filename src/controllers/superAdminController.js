@@ -3,6 +3,7 @@ import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { v4 as uuidv4 } from 'uuid';
 import { logAudit } from '../utils/audit.js';
+import { resolvePlanEntitlements } from '../services/entitlementService.js';
 
 // -------------------------
 // AUDIT ACTION CONSTANTS
@@ -133,10 +134,11 @@ export const createClinic = async (req, res) => {
 
     const plan = await prisma.plan.findFirst({
       where: { id: planId, isActive: true, deletedAt: null },
+      include: { entitlements: true },
     });
     if (!plan) return res.status(404).json({ error: "Plan not found" });
 
-    const safeAllowAuditView = plan.enableAuditLogs ? !!allowAuditView : false;
+    const safeAllowAuditView = resolvePlanEntitlements(plan).auditLogs.value === true ? !!allowAuditView : false;
 
     const result = await prisma.$transaction(async (tx) => {
       const clinic = await tx.clinic.create({
@@ -1014,7 +1016,7 @@ export const getPlatformRevenue = async (req, res) => {
     // Note: To paginate combined results accurately, we fetch all relevant IDs 
     // or use a more unified approach. For simplicity here, we'll fetch the records.
     
-    const [registrations, planSwitches] = await Promise.all([
+    const [registrations, planSwitches, renewals] = await Promise.all([
       prisma.registrationPayment.findMany({
         where: { status: "SUCCESS" },
         include: { clinic: { select: { name: true } } }
@@ -1028,12 +1030,17 @@ export const getPlatformRevenue = async (req, res) => {
           clinic: { select: { name: true } },
           plan: { select: { name: true } }
         }
+      }),
+      prisma.subscriptionPayment.findMany({
+        where: { status: "PAID" },
+        include: { clinic: { select: { name: true } } }
       })
     ]);
 
     // --- 3. CALCULATE TOTALS (Before Pagination) ---
     const regTotal = registrations.reduce((sum, p) => sum + Number(p.amount || 0), 0);
     const upgradeTotal = planSwitches.reduce((sum, s) => sum + Number(s.priceAtPurchase || 0), 0);
+    const renewalTotal = renewals.reduce((sum, p) => sum + Number(p.amount || 0), 0);
 
     // --- 4. FORMAT & SORT ALL TRANSACTIONS ---
     const allTransactions = [
@@ -1052,6 +1059,14 @@ export const getPlatformRevenue = async (req, res) => {
         amount: Number(s.priceAtPurchase || 0).toFixed(2),
         date: s.updatedAt,
         ref: s.razorpayPaymentId
+      })),
+      ...renewals.map(p => ({
+        id: p.id,
+        type: 'AUTO_RENEWAL',
+        clinic: p.clinic?.name || 'Unknown Clinic',
+        amount: Number(p.amount || 0).toFixed(2),
+        date: p.createdAt,
+        ref: p.gatewayPaymentId
       }))
     ].sort((a, b) => new Date(b.date) - new Date(a.date));
 
@@ -1062,9 +1077,10 @@ export const getPlatformRevenue = async (req, res) => {
 
     res.json({
       summary: {
-        totalRevenue: (regTotal + upgradeTotal).toFixed(2),
+        totalRevenue: (regTotal + upgradeTotal + renewalTotal).toFixed(2),
         registrationRevenue: regTotal.toFixed(2),
         upgradeRevenue: upgradeTotal.toFixed(2),
+        renewalRevenue: renewalTotal.toFixed(2),
         totalTransactions
       },
       pagination: {
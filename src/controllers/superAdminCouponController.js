@@ -0,0 +1,125 @@
+import prisma from '../prisma.js';
+import { logAudit } from '../utils/audit.js';
+import { createCoupon, updateCoupon, deleteCoupon, getCouponReport } from '../services/couponService.js';
+
+// ---------------- Helper: planIds must be real plans ----------------
+const assertPlans = async (planIds) => {
+  if (!Array.isArray(planIds) || !planIds.length) return;
+  const count = await prisma.plan.count({ where: { id: { in: planIds }, deletedAt: null } });
+  if (count !== new Set(planIds).size) throw { statusCode: 400, message: 'planIds contains unknown plans' };
+};
+
+// ----------------------------------------------------------------
+// GET /api/super-admin/coupons
+// ----------------------------------------------------------------
+export const getPlanCoupons = async (req, res) => {
+  try {
+    const coupons = await prisma.coupon.findMany({
+      where: { scope: 'PLAN', clinicId: null, deletedAt: null },
+      orderBy: { createdAt: 'desc' },
+    });
+    return res.json(coupons);
+  } catch (error) {
+    console.error('Get Plan Coupons Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// POST /api/super-admin/coupons
+// body: { code, discountType: PERCENT|FLAT|TRIAL_DAYS, discountValue, planIds?,
+//         maxDiscount?, minAmount?, validFrom?, validUntil?, maxRedemptions?, perUserLimit? }
+// PERCENT/FLAT come off the first payment; TRIAL_DAYS lengthens a trial.
+// ----------------------------------------------------------------
+export const createPlanCoupon = async (req, res) => {
+  try {
+    await assertPlans(req.body.planIds);
+    const coupon = await createCoupon({ scope: 'PLAN', createdById: req.user.userId, body: req.body });
+
+    await logAudit({
+      userId: req.user.userId,
+      action: 'PLAN_COUPON_CREATED',
+      entity: 'Coupon',
+      entityId: coupon.id,
+      details: { code: coupon.code, discountType: coupon.discountType, discountValue: Number(coupon.discountValue) },
+      req,
+    });
+
+    return res.status(201).json(coupon);
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Create Plan Coupon Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// PUT /api/super-admin/coupons/:id
+// ----------------------------------------------------------------
+export const updatePlanCoupon = async (req, res) => {
+  try {
+    await assertPlans(req.body.planIds);
+    const coupon = await updateCoupon({ id: req.params.id, scope: 'PLAN', body: req.body });
+
+    await logAudit({
+      userId: req.user.userId,
+      action: 'PLAN_COUPON_UPDATED',
+      entity: 'Coupon',
+      entityId: coupon.id,
+      details: req.body,
+      req,
+    });
+
+    return res.json(coupon);
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Update Plan Coupon Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// DELETE /api/super-admin/coupons/:id
+// ----------------------------------------------------------------
+export const deletePlanCoupon = async (req, res) => {
+  try {
+    const coupon = await deleteCoupon({ id: req.params.id, scope: 'PLAN' });
+
+    await logAudit({
+      userId: req.user.userId,
+      action: 'PLAN_COUPON_DELETED',
+      entity: 'Coupon',
+      entityId: coupon.id,
+      details: { code: coupon.code },
+      req,
+    });
+
+    return res.json({ success: true });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Delete Plan Coupon Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// GET /api/super-admin/coupons/report?scope=PLAN|APPOINTMENT&clinicId=
+// Platform codes by default; clinic codes across (or for one) clinic
+// ----------------------------------------------------------------
+export const getCouponRedemptionReport = async (req, res) => {
+  try {
+    const scope = String(req.query.scope || 'PLAN').toUpperCase();
+    if (!['PLAN', 'APPOINTMENT'].includes(scope)) {
+      return res.status(400).json({ error: 'scope must be PLAN or APPOINTMENT' });
+    }
+
+    const where = scope === 'PLAN'
+      ? { scope, clinicId: null }
+      : { scope, ...(req.query.clinicId ? { clinicId: String(req.query.clinicId) } : {}) };
+
+    return res.json(await getCouponReport(where));
+  } catch (error) {
+    console.error('Coupon Redemption Report Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
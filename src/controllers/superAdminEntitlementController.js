@@ -0,0 +1,172 @@
+import prisma from '../prisma.js';
+import { logAudit } from '../utils/audit.js';
+import {
+  FEATURES,
+  normaliseEntitlementValue,
+  resolvePlanEntitlements,
+  getClinicEntitlements,
+} from '../services/entitlementService.js';
+
+// ----------------------------------------------------------------
+// GET /api/super-admin/entitlements/catalogue
+// ----------------------------------------------------------------
+export const getEntitlementCatalogue = async (req, res) => {
+  return res.json(
+    Object.entries(FEATURES).map(([key, f]) => ({ key, type: f.type, label: f.label }))
+  );
+};
+
+// ----------------------------------------------------------------
+// GET /api/super-admin/plans/:id/entitlements
+// ----------------------------------------------------------------
+export const getPlanEntitlements = async (req, res) => {
+  try {
+    const plan = await prisma.plan.findFirst({
+      where: { id: req.params.id, deletedAt: null },
+      include: { entitlements: true },
+    });
+    if (!plan) return res.status(404).json({ error: 'Plan not found' });
+
+    return res.json({ planId: plan.id, planName: plan.name, features: resolvePlanEntitlements(plan) });
+  } catch (error) {
+    console.error('Get Plan Entitlements Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// PUT /api/super-admin/plans/:id/entitlements
+// body: { features: { exports: true, doctors: 5, bookingsPerMonth: null, ... } }
+// ----------------------------------------------------------------
+export const updatePlanEntitlements = async (req, res) => {
+  try {
+    const { features } = req.body || {};
+    if (!features || typeof features !== 'object' || Array.isArray(features)) {
+      return res.status(400).json({ error: 'features must be an object of { key: value }' });
+    }
+
+    const plan = await prisma.plan.findFirst({ where: { id: req.params.id, deletedAt: null } });
+    if (!plan) return res.status(404).json({ error: 'Plan not found' });
+
+    const values = Object.entries(features).map(([key, value]) => [key, normaliseEntitlementValue(key, value)]);
+
+    const updated = await prisma.$transaction(async (tx) => {
+      for (const [key, value] of values) {
+        await tx.planEntitlement.upsert({
+          where: { planId_key: { planId: plan.id, key } },
+          update: { value },
+          create: { planId: plan.id, key, value },
+        });
+      }
+      return tx.plan.findUnique({ where: { id: plan.id }, include: { entitlements: true } });
+    });
+
+    await logAudit({
+      userId: req.user.userId,
+      action: 'UPDATE_PLAN_ENTITLEMENTS',
+      entity: 'Plan',
+      entityId: plan.id,
+      details: Object.fromEntries(values),
+      req,
+    });
+
+    return res.json({ planId: plan.id, planName: plan.name, features: resolvePlanEntitlements(updated) });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Update Plan Entitlements Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// GET /api/super-admin/clinics/:id/entitlements
+// Effective values plus the raw overrides (including expired ones)
+// ----------------------------------------------------------------
+export const getClinicEntitlementOverrides = async (req, res) => {
+  try {
+    const clinicId = req.params.id;
+    const clinic = await prisma.clinic.findUnique({ where: { id: clinicId }, select: { id: true, name: true } });
+    if (!clinic) return res.status(404).json({ error: 'Clinic not found' });
+
+    const [entitlements, overrides] = await Promise.all([
+      getClinicEntitlements(clinicId),
+      prisma.clinicEntitlement.findMany({ where: { clinicId }, orderBy: { key: 'asc' } }),
+    ]);
+
+    return res.json({
+      clinic,
+      plan: entitlements.plan,
+      features: entitlements.features,
+      overrides,
+    });
+  } catch (error) {
+    console.error('Get Clinic Entitlements Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// PUT /api/super-admin/clinics/:id/entitlements
+// body: { overrides: [{ key, value, expiresAt?, note?, remove? }] }
+// remove: true drops the override so the plan value applies again
+// ----------------------------------------------------------------
+export const updateClinicEntitlementOverrides = async (req, res) => {
+  try {
+    const clinicId = req.params.id;
+    const { overrides } = req.body || {};
+    if (!Array.isArray(overrides) || !overrides.length) {
+      return res.status(400).json({ error: 'overrides must be a non-empty array' });
+    }
+
+    const clinic = await prisma.clinic.findUnique({ where: { id: clinicId }, select: { id: true } });
+    if (!clinic) return res.status(404).json({ error: 'Clinic not found' });
+
+    const changes = overrides.map((o) => {
+      if (!FEATURES[o?.key]) throw { statusCode: 400, message: `Unknown feature "${o?.key}"` };
+      if (o.remove) return { key: o.key, remove: true };
+
+      const expiresAt = o.expiresAt ? new Date(o.expiresAt) : null;
+      if (expiresAt && Number.isNaN(expiresAt.getTime())) {
+        throw { statusCode: 400, message: `Invalid expiresAt for ${o.key}` };
+      }
+      return {
+        key: o.key,
+        value: normaliseEntitlementValue(o.key, o.value),
+        expiresAt,
+        note: o.note || null,
+      };
+    });
+
+    await prisma.$transaction(async (tx) => {
+      for (const c of changes) {
+        if (c.remove) {
+          await tx.clinicEntitlement.deleteMany({ where: { clinicId, key: c.key } });
+          continue;
+        }
+        const data = { value: c.value, expiresAt: c.expiresAt, note: c.note, grantedById: req.user.userId };
+        await tx.clinicEntitlement.upsert({
+          where: { clinicId_key: { clinicId, key: c.key } },
+          update: data,
+          create: { clinicId, key: c.key, ...data },
+        });
+      }
+    });
+
+    await logAudit({
+      userId: req.user.userId,
+      clinicId,
+      action: 'UPDATE_CLINIC_ENTITLEMENTS',
+      entity: 'Clinic',
+      entityId: clinicId,
+      details: { changes },
+      req,
+    });
+
+    const entitlements = await getClinicEntitlements(clinicId);
+    return res.json({ plan: entitlements.plan, features: entitlements.features });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Update Clinic Entitlements Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,135 @@
+import prisma from '../prisma.js';
+import { logAudit } from '../utils/audit.js';
+import { getJobNames, retryJob } from '../services/jobQueue.js';
+
+// ----------------------------------------------------------------
+// GET /api/super-admin/jobs
+// ?name=&status=&startDate=&endDate=&page=&limit=
+// Payloads and results are left out of the list – open one job to see them.
+// ----------------------------------------------------------------
+export const getJobs = async (req, res) => {
+  try {
+    const { name, status, startDate, endDate, page = 1, limit = 20 } = req.query;
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const where = {};
+    if (name) where.name = String(name);
+    if (status) where.status = String(status).toUpperCase();
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt.gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        where.createdAt.lte = end;
+      }
+    }
+
+    const [total, jobs, byStatus] = await Promise.all([
+      prisma.job.count({ where }),
+      prisma.job.findMany({
+        where,
+        omit: { payload: true, result: true },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limitNum,
+      }),
+      prisma.job.groupBy({ by: ['status'], _count: { _all: true } }),
+    ]);
+
+    return res.json({
+      data: jobs,
+      counts: Object.fromEntries(byStatus.map((s) => [s.status, s._count._all])),
+      pagination: {
+        total,
+        page: pageNum,
+        limit: limitNum,
+        totalPages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    console.error('Get Jobs Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// GET /api/super-admin/jobs/summary
+// Per job name: counts by status, last run and last failure
+// ----------------------------------------------------------------
+export const getJobSummary = async (req, res) => {
+  try {
+    const [byNameStatus, lastRuns, lastFailures] = await Promise.all([
+      prisma.job.groupBy({ by: ['name', 'status'], _count: { _all: true } }),
+      prisma.job.groupBy({ by: ['name'], where: { finishedAt: { not: null } }, _max: { finishedAt: true } }),
+      prisma.job.findMany({
+        where: { status: { in: ['FAILED', 'DEAD'] } },
+        distinct: ['name'],
+        orderBy: { updatedAt: 'desc' },
+        select: { id: true, name: true, status: true, lastError: true, attempts: true, updatedAt: true },
+      }),
+    ]);
+
+    const names = [...new Set([...getJobNames(), ...byNameStatus.map((r) => r.name)])].sort();
+    const data = names.map((name) => ({
+      name,
+      registered: getJobNames().includes(name),
+      counts: Object.fromEntries(
+        byNameStatus.filter((r) => r.name === name).map((r) => [r.status, r._count._all])
+      ),
+      lastFinishedAt: lastRuns.find((r) => r.name === name)?._max.finishedAt || null,
+      lastFailure: lastFailures.find((f) => f.name === name) || null,
+    }));
+
+    return res.json({ data });
+  } catch (error) {
+    console.error('Get Job Summary Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// GET /api/super-admin/jobs/:id
+// ----------------------------------------------------------------
+export const getJob = async (req, res) => {
+  try {
+    const job = await prisma.job.findUnique({ where: { id: req.params.id } });
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    return res.json(job);
+  } catch (error) {
+    console.error('Get Job Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// POST /api/super-admin/jobs/:id/retry
+// Puts a DEAD (or waiting FAILED) job back in the queue with a fresh
+// set of attempts; it runs on the next worker poll.
+// ----------------------------------------------------------------
+export const retryJobRun = async (req, res) => {
+  try {
+    const { job, requeued } = await retryJob(req.params.id);
+    if (!requeued) {
+      return res.status(409).json({ error: `Job is ${job.status.toLowerCase()} – only dead or failed jobs can be retried` });
+    }
+
+    await logAudit({
+      userId: req.user.userId,
+      action: 'JOB_RETRIED',
+      entity: 'Job',
+      entityId: job.id,
+      details: { name: job.name },
+      req,
+    });
+
+    return res.json(job);
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Retry Job Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
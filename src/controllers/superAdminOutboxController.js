@@ -0,0 +1,120 @@
+import prisma from '../prisma.js';
+import { logAudit } from '../utils/audit.js';
+import { retryOutboxMessage, stuckOutboxWhere } from '../services/outboxService.js';
+
+// ----------------------------------------------------------------
+// GET /api/super-admin/outbox
+// ?clinicId=&status=&type=&stuck=true&page=&limit=
+// ----------------------------------------------------------------
+export const getOutboxMessages = async (req, res) => {
+  try {
+    const { clinicId, status, type, stuck, page = 1, limit = 20 } = req.query;
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const where = {
+      ...(clinicId ? { clinicId: String(clinicId) } : {}),
+      ...(status ? { status: String(status).toUpperCase() } : {}),
+      ...(type ? { type: String(type).toUpperCase() } : {}),
+      ...(stuck === 'true' ? stuckOutboxWhere() : {}),
+    };
+
+    const [total, messages] = await Promise.all([
+      prisma.outboxMessage.count({ where }),
+      prisma.outboxMessage.findMany({
+        where,
+        include: { clinic: { select: { id: true, name: true } } },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limitNum,
+      }),
+    ]);
+
+    return res.json({
+      data: messages,
+      pagination: {
+        total,
+        page: pageNum,
+        limit: limitNum,
+        totalPages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    console.error('Get Outbox Messages Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// GET /api/super-admin/outbox/summary
+// Stuck messages per clinic, worst first, with the oldest one's error
+// ----------------------------------------------------------------
+export const getOutboxSummary = async (req, res) => {
+  try {
+    const stuck = stuckOutboxWhere();
+
+    const [byClinicStatus, oldest] = await Promise.all([
+      prisma.outboxMessage.groupBy({ by: ['clinicId', 'status'], where: stuck, _count: { _all: true } }),
+      prisma.outboxMessage.findMany({
+        where: stuck,
+        distinct: ['clinicId'],
+        orderBy: { createdAt: 'asc' },
+        select: { id: true, clinicId: true, type: true, status: true, lastError: true, attempts: true, createdAt: true },
+      }),
+    ]);
+
+    const clinicIds = [...new Set(byClinicStatus.map((r) => r.clinicId).filter(Boolean))];
+    const clinics = await prisma.clinic.findMany({
+      where: { id: { in: clinicIds } },
+      select: { id: true, name: true },
+    });
+
+    const data = [...new Set(byClinicStatus.map((r) => r.clinicId))]
+      .map((clinicId) => {
+        const rows = byClinicStatus.filter((r) => r.clinicId === clinicId);
+        return {
+          clinicId,
+          clinicName: clinics.find((c) => c.id === clinicId)?.name || null,
+          stuck: rows.reduce((sum, r) => sum + r._count._all, 0),
+          counts: Object.fromEntries(rows.map((r) => [r.status, r._count._all])),
+          oldest: oldest.find((m) => m.clinicId === clinicId) || null,
+        };
+      })
+      .sort((a, b) => b.stuck - a.stuck);
+
+    return res.json({ data });
+  } catch (error) {
+    console.error('Get Outbox Summary Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// POST /api/super-admin/outbox/:id/retry
+// ----------------------------------------------------------------
+export const retryOutboxMessageRun = async (req, res) => {
+  try {
+    const { message, requeued } = await retryOutboxMessage(req.params.id);
+    if (!requeued) {
+      return res.status(409).json({ error: `Message is ${message.status.toLowerCase()} – only failed or dead messages can be retried` });
+    }
+
+    await logAudit({
+      userId: req.user.userId,
+      clinicId: message.clinicId,
+      action: 'OUTBOX_RETRIED',
+      entity: 'OutboxMessage',
+      entityId: message.id,
+      details: { type: message.type, appointmentId: message.appointmentId },
+      req,
+    });
+
+    return res.json(message);
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Retry Outbox Message Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -1,110 +1,137 @@
 // controllers/superAdminPlanPaymentController.js - 100% FIXED ✅
 import prisma from '../prisma.js';
-import crypto from 'crypto';
 import { logAudit } from '../utils/audit.js';  // ✅ Add import
+import { getPlanTax, toTaxFields } from '../services/taxService.js';
+import { buildPlanActivation, deactivateDoctors } from '../services/planChangeService.js';
+import { confirmCouponRedemption } from '../services/couponService.js';
+import { getPaymentProvider } from '../services/paymentProviders/index.js';
 
 export const verifyClinicPlanPayment = async (req, res) => {
   try {
     const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
-    const { clinicId, id: userId } = req.user;
+    const { clinicId, userId } = req.user;
 
     // 1. Validate input
     if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
       return res.status(400).json({ error: 'Missing Razorpay fields' });
     }
 
-    // 2. Super admin gateway
-    const superGateway = await prisma.paymentGateway.findFirst({
-      where: { 
-        clinicId: null,
-        name: 'RAZORPAY', 
-        isActive: true 
+    // 2. Find pending subscription by order ID (matches upgradeClinicPlan)
+    const subscription = await prisma.subscription.findFirst({
+      where: {
+        clinicId,
+        razorpayOrderId: razorpay_order_id,  // ✅ Matches upgrade flow
       },
+      include: { plan: true, clinic: { select: { gstin: true, gstStateCode: true } } }
+    });
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'No pending subscription found' });
+    }
+
+    // 3. Same gateway the order was created with (clinic's own, else platform)
+    let gateway = await prisma.paymentGateway.findFirst({
+      where: { clinicId, name: 'RAZORPAY', isActive: true },
     });
+    if (!gateway) {
+      gateway = await prisma.superAdminPaymentGateway.findFirst({
+        where: { name: 'RAZORPAY', isActive: true },
+      });
+    }
 
-    if (!superGateway) {
+    if (!gateway) {
       return res.status(400).json({ error: 'Platform payments not configured' });
     }
 
-    // 3. Signature verification
-    const shasum = crypto.createHmac('sha256', superGateway.config.secret);
-    shasum.update(`${razorpay_order_id}|${razorpay_payment_id}`);
-    const digest = shasum.digest('hex');
+    // 4. Signature verification
+    const verification = await getPaymentProvider(gateway, 'RAZORPAY').verifyPayment({
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature,
+    });
 
-    if (digest !== razorpay_signature) {
-      console.error('Invalid signature:', { 
-        expected: digest, 
-        received: razorpay_signature,
-        order_id: razorpay_order_id 
-      });
+    if (!verification.paid) {
+      console.error('Invalid signature:', { order_id: razorpay_order_id });
       return res.status(400).json({ error: 'Invalid Razorpay signature' });
     }
 
-    // 4. Find pending subscription by order ID (matches upgradeClinicPlan)
-    const subscription = await prisma.subscription.findFirst({
-      where: {
-        clinicId,
-        razorpayOrderId: razorpay_order_id,  // ✅ Matches upgrade flow
-        status: 'TRIAL'
-      },
-      include: { plan: true }
-    });
+    // 5. Plan being paid for: a mid-cycle upgrade waits in pendingPlanId
+    const plan = subscription.pendingPlanId
+      ? await prisma.plan.findUnique({ where: { id: subscription.pendingPlanId } })
+      : subscription.plan;
 
-    if (!subscription) {
-      return res.status(404).json({ error: 'No pending subscription found' });
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan no longer exists' });
     }
 
-    // 5. Complete transaction
+    // Promo code applied when the order was created (even if its hold lapsed)
+    const redemption = await prisma.couponRedemption.findFirst({
+      where: { orderRef: razorpay_order_id, status: { in: ['PENDING', 'REDEEMED', 'VOID'] } },
+    });
+    const couponDiscount = Number(redemption?.discountAmount || 0);
+
+    const credit = Number(subscription.prorationCredit || 0);
+    const netPrice = Math.max(Number(plan.priceMonthly) - credit - couponDiscount, 0);
+    const planTax = await getPlanTax({ plan: { ...plan, priceMonthly: netPrice }, clinic: subscription.clinic });
+    const activation = buildPlanActivation(plan, subscription);
+
+    // 6. Complete transaction
     const activated = await prisma.$transaction(async (tx) => {
       // Create payment record
-      const newPayment = await tx.payment.create({
+      const newPayment = await tx.subscriptionPayment.create({
         data: {
+          subscriptionId: subscription.id,
           clinicId,
-          gatewayOrderId: razorpay_order_id,
-          razorpayPaymentId: razorpay_payment_id,
-          razorpaySignature: razorpay_signature,
-          status: 'SUCCESS',
-          amount: subscription.priceAtPurchase * 100,  // From plan
-          metadata: {
-            planId: subscription.planId,
-            subscriptionId: subscription.id
-          }
+          planId: plan.id,
+          provider: 'RAZORPAY',
+          status: 'PAID',
+          amount: planTax.total,
+          ...toTaxFields(planTax),
+          gstin: subscription.clinic?.gstin || null,
+          gatewayPaymentId: razorpay_payment_id,
+          gatewayInvoiceId: razorpay_order_id,
+          periodEnd: activation.endDate || activation.nextBillingDate,
         }
       });
 
+      await deactivateDoctors(clinicId, subscription.deactivateDoctorIds, tx);
+      await confirmCouponRedemption(razorpay_order_id, tx);
+
       // Activate subscription
       const updatedSubscription = await tx.subscription.update({
         where: { id: subscription.id },
         data: {
-          status: 'ACTIVE',
-          razorpayOrderId: null,  // Clear after success
-          startDate: new Date(),
-          priceAtPurchase: subscription.priceAtPurchase || subscription.plan.priceMonthly,
-          maxDoctors: subscription.plan.maxDoctors,
-          maxBookingsPerPeriod: subscription.plan.maxBookingsPerMonth,
+          ...activation,
+          razorpayPaymentId: razorpay_payment_id,
+          taxAmount: planTax.taxAmount,
+          taxBreakdown: toTaxFields(planTax).taxBreakdown,
         },
         include: { plan: true }
       });
 
-      // Audit log ✅ Fixed relation
-      await logAudit({
-        user: { connect: { id: userId } },
-        clinicId,
-        action: 'PLAN_PAYMENT_SUCCESS',
-        entity: 'Subscription',
-        entityId: updatedSubscription.id,
-        details: { 
-          razorpay_payment_id, 
-          razorpay_order_id,
-          plan: updatedSubscription.plan.name,
-          amount: newPayment.amount 
-        },
-        req,
-      });
-
       return { subscription: updatedSubscription, payment: newPayment };
     });
 
+    // Audit log ✅ Fixed relation
+    await logAudit({
+      userId,
+      clinicId,
+      action: 'PLAN_PAYMENT_SUCCESS',
+      entity: 'Subscription',
+      entityId: activated.subscription.id,
+      details: {
+        razorpay_payment_id,
+        razorpay_order_id,
+        oldPlanId: subscription.planId,
+        plan: activated.subscription.plan.name,
+        amount: planTax.total,
+        prorationCredit: credit,
+        couponDiscount,
+        deactivateDoctorIds: subscription.deactivateDoctorIds,
+      },
+      req,
+    });
+
     res.json({
       success: true,
       message: `Activated ${activated.subscription.plan.name}!`,
@@ -113,6 +140,10 @@ export const verifyClinicPlanPayment = async (req, res) => {
     });
 
   } catch (err) {
+    // Same payment verified twice
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: 'Payment already verified' });
+    }
     console.error('Verify Plan Payment Error:', err);
     res.status(500).json({ error: 'Payment verification failed' });
   }
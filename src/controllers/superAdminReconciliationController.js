@@ -0,0 +1,99 @@
+import prisma from '../prisma.js';
+import { logAudit } from '../utils/audit.js';
+import {
+  getReconciliationWindow,
+  runReconciliation,
+  getReconciliationItems,
+  resolveReconciliationItem,
+} from '../services/reconciliationService.js';
+
+// ----------------------------------------------------------------
+// POST /api/super-admin/reconciliation/run  { from?, to? }
+// Defaults to yesterday (IST), same as the nightly job
+// ----------------------------------------------------------------
+export const runPaymentReconciliation = async (req, res) => {
+  try {
+    let { from, to } = getReconciliationWindow();
+    if (req.body.from || req.body.to) {
+      from = new Date(req.body.from);
+      to = new Date(req.body.to);
+      if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+        return res.status(400).json({ error: 'from and to must be valid dates with from before to' });
+      }
+    }
+
+    const run = await runReconciliation({ from, to, triggeredById: req.user.userId });
+
+    await logAudit({
+      userId: req.user.userId,
+      action: 'RECONCILIATION_RUN',
+      entity: 'ReconciliationRun',
+      entityId: run.id,
+      details: { from, to, summary: run.summary },
+      req,
+    });
+
+    return res.status(201).json(run);
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Run Reconciliation Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// GET /api/super-admin/reconciliation/runs
+// ----------------------------------------------------------------
+export const getReconciliationRuns = async (req, res) => {
+  try {
+    const runs = await prisma.reconciliationRun.findMany({
+      orderBy: { startedAt: 'desc' },
+      take: 60,
+    });
+    return res.json(runs);
+  } catch (error) {
+    console.error('Get Reconciliation Runs Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// GET /api/super-admin/reconciliation/items
+// ?runId=&clinicId=&action=AUTO_FIXED|NEEDS_REVIEW&type=&resolved=true|false&page=&limit=
+// ----------------------------------------------------------------
+export const getPlatformReconciliationItems = async (req, res) => {
+  try {
+    return res.json(await getReconciliationItems(req.query));
+  } catch (error) {
+    console.error('Get Reconciliation Items Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// PATCH /api/super-admin/reconciliation/items/:id/resolve  { note }
+// ----------------------------------------------------------------
+export const resolvePlatformReconciliationItem = async (req, res) => {
+  try {
+    const item = await resolveReconciliationItem({
+      id: req.params.id,
+      resolvedById: req.user.userId,
+      note: req.body.note,
+    });
+
+    await logAudit({
+      userId: req.user.userId,
+      action: 'RECONCILIATION_ITEM_RESOLVED',
+      entity: 'ReconciliationItem',
+      entityId: item.id,
+      details: { type: item.type, gatewayPaymentId: item.gatewayPaymentId, note: item.resolutionNote },
+      req,
+    });
+
+    return res.json(item);
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Resolve Reconciliation Item Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
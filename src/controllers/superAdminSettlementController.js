@@ -0,0 +1,133 @@
+import prisma from '../prisma.js';
+import { logAudit } from '../utils/audit.js';
+import {
+  getSettlementPeriod,
+  getSettlementLedger,
+  generateSettlementBatches,
+  markSettlementBatchPaid,
+  getSettlementBatch,
+  renderSettlementStatementPdf,
+} from '../services/settlementService.js';
+import { round2 } from '../utils/money.js';
+
+// ----------------------------------------------------------------
+// GET /api/super-admin/settlements/ledger?month=YYYY-MM|from=&to=&clinicId=
+// Net payable per clinic on platform-collected bookings for the period
+// ----------------------------------------------------------------
+export const getPlatformSettlementLedger = async (req, res) => {
+  try {
+    const { from, to, label } = getSettlementPeriod(req.query);
+    const clinics = await getSettlementLedger({ from, to, clinicId: req.query.clinicId ? String(req.query.clinicId) : null });
+
+    const totals = clinics.reduce((acc, c) => {
+      acc.commissionAmount = round2(acc.commissionAmount + c.commissionAmount);
+      acc.netPayable = round2(acc.netPayable + c.netPayable);
+      return acc;
+    }, { commissionAmount: 0, netPayable: 0 });
+
+    return res.json({ period: label, from, to, totals, clinics });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Settlement Ledger Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// POST /api/super-admin/settlements/generate
+// body: { month: 'YYYY-MM' } or { from, to }, optional clinicId
+// ----------------------------------------------------------------
+export const generateSettlements = async (req, res) => {
+  try {
+    const { from, to, label } = getSettlementPeriod(req.body);
+    const result = await generateSettlementBatches({
+      from,
+      to,
+      clinicId: req.body.clinicId || null,
+      generatedById: req.user.userId,
+    });
+
+    await logAudit({
+      userId: req.user.userId,
+      action: 'SETTLEMENTS_GENERATED',
+      entity: 'SettlementBatch',
+      details: { period: label, batches: result.batches.map((b) => b.id), skipped: result.skipped },
+      req,
+    });
+
+    return res.status(201).json({ period: label, ...result });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Generate Settlements Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// GET /api/super-admin/settlements?status=PENDING|PAID&clinicId=
+// ----------------------------------------------------------------
+export const getSettlementBatches = async (req, res) => {
+  try {
+    const { status, clinicId } = req.query;
+
+    const batches = await prisma.settlementBatch.findMany({
+      where: {
+        ...(status ? { status: String(status).toUpperCase() } : {}),
+        ...(clinicId ? { clinicId: String(clinicId) } : {}),
+      },
+      orderBy: [{ periodStart: 'desc' }, { createdAt: 'desc' }],
+      include: { clinic: { select: { name: true } } },
+    });
+
+    return res.json(batches);
+  } catch (error) {
+    console.error('Get Settlement Batches Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// PATCH /api/super-admin/settlements/:id/pay  { payoutReference }
+// ----------------------------------------------------------------
+export const paySettlementBatch = async (req, res) => {
+  try {
+    const batch = await markSettlementBatchPaid({
+      id: req.params.id,
+      payoutReference: req.body.payoutReference,
+      paidById: req.user.userId,
+    });
+
+    await logAudit({
+      userId: req.user.userId,
+      action: 'SETTLEMENT_PAID',
+      entity: 'SettlementBatch',
+      entityId: batch.id,
+      details: { clinicId: batch.clinicId, netPayable: Number(batch.netPayable), payoutReference: batch.payoutReference },
+      req,
+    });
+
+    return res.json(batch);
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Pay Settlement Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// GET /api/super-admin/settlements/:id/statement  (PDF)
+// ----------------------------------------------------------------
+export const downloadPlatformSettlementStatement = async (req, res) => {
+  try {
+    const batch = await getSettlementBatch(req.params.id);
+    const pdf = await renderSettlementStatementPdf(batch);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="settlement_${batch.id}.pdf"`);
+    return res.send(pdf);
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Settlement Statement Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
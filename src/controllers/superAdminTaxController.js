@@ -0,0 +1,145 @@
+import prisma from '../prisma.js';
+import ExcelJS from 'exceljs';
+import { PLAN_SERVICE, getGstMonthRange, apportionTax, upsertTaxRate } from '../services/taxService.js';
+import { round2 } from '../utils/money.js';
+
+// ----------------------------------------------------------------
+// GET /api/super-admin/tax-rate
+// ----------------------------------------------------------------
+export const getPlatformTaxRate = async (req, res) => {
+  try {
+    const rate = await prisma.taxRate.findFirst({
+      where: { clinicId: null, service: PLAN_SERVICE, deletedAt: null },
+    });
+    return res.json({
+      rate,
+      platformGstin: process.env.PLATFORM_GSTIN || null,
+      platformStateCode: process.env.PLATFORM_GST_STATE_CODE || null,
+    });
+  } catch (error) {
+    console.error('Get Platform Tax Rate Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// PUT /api/super-admin/tax-rate
+// body: { rate, sacCode?, priceIncludesTax?, isActive? } – GST on plan billing
+// ----------------------------------------------------------------
+export const updatePlatformTaxRate = async (req, res) => {
+  try {
+    const { rate, sacCode, priceIncludesTax, isActive } = req.body || {};
+    const value = Number(rate ?? 0);
+    if (!Number.isFinite(value) || value < 0 || value > 100) {
+      return res.status(400).json({ error: 'rate must be between 0 and 100' });
+    }
+
+    const saved = await upsertTaxRate({
+      clinicId: null,
+      service: PLAN_SERVICE,
+      name: 'GST',
+      rate: value,
+      sacCode: sacCode || null,
+      priceIncludesTax: Boolean(priceIncludesTax),
+      isActive: isActive === undefined ? true : Boolean(isActive),
+    });
+
+    return res.json(saved);
+  } catch (error) {
+    console.error('Update Platform Tax Rate Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// GET /api/super-admin/gst/summary?month=YYYY-MM&format=json|xlsx
+// Plan payments collected by the platform (registrations + auto-renewals),
+// split B2B (clinic has GSTIN) / B2C
+// ----------------------------------------------------------------
+export const getPlatformGstSummary = async (req, res) => {
+  try {
+    const { month, from, to } = getGstMonthRange(req.query.month);
+
+    const clinicSelect = { select: { name: true, gstin: true, gstStateCode: true } };
+    const [registrations, renewals] = await Promise.all([
+      prisma.registrationPayment.findMany({
+        where: { status: 'SUCCESS', createdAt: { gte: from, lt: to } },
+        include: { clinic: clinicSelect },
+      }),
+      prisma.subscriptionPayment.findMany({
+        where: { status: 'PAID', createdAt: { gte: from, lt: to } },
+        include: { clinic: clinicSelect },
+      }),
+    ]);
+    const payments = [
+      ...registrations.map((p) => ({ ...p, ref: p.razorpayPaymentId })),
+      ...renewals.map((p) => ({ ...p, ref: p.gatewayPaymentId })),
+    ].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    const rows = payments.map((p) => {
+      const gstin = p.gstin || p.clinic?.gstin || null;
+      return {
+        date: p.createdAt,
+        clinic: p.clinic?.name || 'Unknown Clinic',
+        gstin,
+        supplyType: gstin ? 'B2B' : 'B2C',
+        stateCode: p.clinic?.gstStateCode || null,
+        rate: Number(p.taxBreakdown?.rate || 0),
+        ref: p.ref,
+        ...apportionTax({
+          amount: p.amount,
+          total: p.amount,
+          taxAmount: p.taxAmount,
+          taxBreakdown: p.taxBreakdown,
+        }),
+      };
+    });
+
+    const totals = { taxableValue: 0, cgst: 0, sgst: 0, igst: 0, total: 0 };
+    const bySupplyType = { B2B: { ...totals, count: 0 }, B2C: { ...totals, count: 0 } };
+    rows.forEach((r) => {
+      ['taxableValue', 'cgst', 'sgst', 'igst', 'total'].forEach((k) => {
+        totals[k] = round2(totals[k] + r[k]);
+        bySupplyType[r.supplyType][k] = round2(bySupplyType[r.supplyType][k] + r[k]);
+      });
+      bySupplyType[r.supplyType].count += 1;
+    });
+
+    if (req.query.format !== 'xlsx') {
+      return res.json({ month, platformGstin: process.env.PLATFORM_GSTIN || null, totals, bySupplyType, data: rows });
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(`GST ${month}`);
+    sheet.columns = [
+      { header: 'Date', key: 'date', width: 14 },
+      { header: 'Clinic', key: 'clinic', width: 26 },
+      { header: 'GSTIN', key: 'gstin', width: 18 },
+      { header: 'Type', key: 'supplyType', width: 8 },
+      { header: 'State', key: 'stateCode', width: 8 },
+      { header: 'Rate %', key: 'rate', width: 8 },
+      { header: 'Taxable Value', key: 'taxableValue', width: 14 },
+      { header: 'CGST', key: 'cgst', width: 10 },
+      { header: 'SGST', key: 'sgst', width: 10 },
+      { header: 'IGST', key: 'igst', width: 10 },
+      { header: 'Total', key: 'total', width: 12 },
+      { header: 'Payment Ref', key: 'ref', width: 22 },
+    ];
+    rows.forEach((r) => {
+      sheet.addRow({ ...r, date: new Date(r.date).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' }) });
+    });
+    sheet.addRow({});
+    sheet.addRow({ clinic: 'TOTAL', ...totals }).font = { bold: true };
+    sheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    sheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF0B3B5E' } };
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="platform_gst_${month}.xlsx"`);
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Platform GST Summary Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,121 @@
+import prisma from '../prisma.js';
+import { logAudit } from '../utils/audit.js';
+import { processWebhookEvent } from '../services/webhookService.js';
+
+// ----------------------------------------------------------------
+// GET /api/super-admin/webhooks/events
+// ?provider=&status=&eventType=&q=(event id / order / payment ref)&startDate=&endDate=&page=&limit=
+// Payloads are left out of the list – open one event to see it.
+// ----------------------------------------------------------------
+export const getWebhookEvents = async (req, res) => {
+  try {
+    const { provider, status, eventType, q, startDate, endDate, page = 1, limit = 20 } = req.query;
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const where = {};
+    if (provider) where.provider = String(provider).toUpperCase();
+    if (status) where.status = String(status).toUpperCase();
+    if (eventType) where.eventType = String(eventType);
+    if (q) {
+      where.OR = [
+        { eventId: { contains: String(q) } },
+        { reference: { contains: String(q) } },
+      ];
+    }
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt.gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        where.createdAt.lte = end;
+      }
+    }
+
+    const [total, events, byStatus] = await Promise.all([
+      prisma.webhookEvent.count({ where }),
+      prisma.webhookEvent.findMany({
+        where,
+        omit: { payload: true },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limitNum,
+      }),
+      prisma.webhookEvent.groupBy({ by: ['status'], _count: { _all: true } }),
+    ]);
+
+    return res.json({
+      data: events,
+      counts: Object.fromEntries(byStatus.map((s) => [s.status, s._count._all])),
+      pagination: {
+        total,
+        page: pageNum,
+        limit: limitNum,
+        totalPages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    console.error('Get Webhook Events Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// GET /api/super-admin/webhooks/events/:id
+// ----------------------------------------------------------------
+export const getWebhookEvent = async (req, res) => {
+  try {
+    const event = await prisma.webhookEvent.findUnique({ where: { id: req.params.id } });
+    if (!event) return res.status(404).json({ error: 'Webhook event not found' });
+    return res.json(event);
+  } catch (error) {
+    console.error('Get Webhook Event Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// POST /api/super-admin/webhooks/events/:id/replay  { force? }
+// Re-runs a stored event. PROCESSED / IGNORED events need force: true;
+// events that failed the signature check can never be replayed.
+// ----------------------------------------------------------------
+export const replayWebhookEvent = async (req, res) => {
+  try {
+    const existing = await prisma.webhookEvent.findUnique({
+      where: { id: req.params.id },
+      omit: { payload: true },
+    });
+    if (!existing) return res.status(404).json({ error: 'Webhook event not found' });
+    if (!existing.signatureValid) {
+      return res.status(400).json({ error: 'Event failed signature verification and cannot be replayed' });
+    }
+
+    const force = req.body?.force === true;
+    if (!force && ['PROCESSED', 'IGNORED'].includes(existing.status)) {
+      return res.status(409).json({ error: `Event is already ${existing.status.toLowerCase()} – pass force: true to run it again` });
+    }
+
+    const { event, claimed } = await processWebhookEvent(existing.id, { force });
+    if (!claimed) {
+      return res.status(409).json({ error: 'Event is being processed right now, try again shortly' });
+    }
+
+    await logAudit({
+      userId: req.user.userId,
+      action: 'WEBHOOK_REPLAYED',
+      entity: 'WebhookEvent',
+      entityId: event.id,
+      details: { provider: event.provider, eventId: event.eventId, eventType: event.eventType, force, status: event.status },
+      req,
+    });
+
+    return res.json(event);
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error('Replay Webhook Event Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
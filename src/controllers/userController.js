@@ -3,12 +3,18 @@ import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { v4 as uuidv4 } from 'uuid';
 import { logAudit } from '../utils/audit.js';
-import { sendBookingEmails } from '../utils/email.js'
-import Razorpay from 'razorpay';
-import Stripe from 'stripe';
 import { z } from 'zod';
-import { deleteAppointmentFromGCal } from '../utils/googleCalendar.js'; 
-import { updateAppointmentOnGCal} from "../utils/googleCalendar.js";  // 🔥 ADD
+import { getHolidaysInRange, isOnHoliday, findHolidayForSlot } from '../utils/holidays.js';
+import { enqueueJob } from '../services/jobQueue.js';
+import { addToOutbox, dispatchOutbox } from '../services/outboxService.js';
+import { getCancellationOutcome } from '../services/cancellationPolicyService.js';
+import { refundAppointment } from '../services/refundService.js';
+import { creditToWalletFromAppointment } from '../services/walletService.js';
+import { getConsultationTax, toTaxFields } from '../services/taxService.js';
+import { assertBookingQuota, checkUsageThresholds } from '../services/usageService.js';
+import { getCollectionGateway } from '../services/settlementService.js';
+import { getPaymentProvider } from '../services/paymentProviders/index.js';
+import { normaliseChannels } from '../services/notificationService.js';
 
 
 // ----------------------------------------------------------------
@@ -182,14 +188,27 @@ export const bookAppointment = async (req, res) => {
     const appointment = await prisma.$transaction(async (tx) => {
       const slot = await tx.slot.findFirst({
         where: { id: slotId, clinicId, doctorId, deletedAt: null },
+        include: { clinic: { select: { suspendedAt: true } } },
       });
 
+      if (slot?.clinic?.suspendedAt) {
+        const err = new Error("This clinic is not accepting online bookings right now");
+        err.statusCode = 403;
+        throw err;
+      }
+
       if (!slot) {
         const err = new Error("Slot not found or unavailable");
         err.statusCode = 404;
         throw err;
       }
 
+      if (await findHolidayForSlot(slot)) {
+        const err = new Error("Clinic is closed or the doctor is on leave on this date");
+        err.statusCode = 409;
+        throw err;
+      }
+
       // quick check (DB unique constraint is final guard)
       const existingBooking = await tx.appointment.findFirst({
         where: {
@@ -206,10 +225,13 @@ export const bookAppointment = async (req, res) => {
         throw err;
       }
 
+      await assertBookingQuota(clinicId, tx);
+
       return tx.appointment.create({
         data: {
           userId,
           slotId,
+          activeSlotId: slotId,
           doctorId,
           clinicId,
           section: sectionValue,
@@ -239,6 +261,8 @@ export const bookAppointment = async (req, res) => {
       req,
     });
 
+    checkUsageThresholds(clinicId);
+
     return res.status(201).json(appointment);
   } catch (error) {
     if (error?.statusCode) return res.status(error.statusCode).json({ error: error.message });
@@ -264,7 +288,7 @@ export const getUserProfile = async (req, res) => {
     const { userId } = req.user;
     const user = await prisma.user.findUnique({
       where: { id: userId },
-      select: { id: true, name: true, email: true, phone: true },
+      select: { id: true, name: true, email: true, phone: true, notificationChannels: true },
     });
     if (!user) return res.status(404).json({ error: 'User not found' });
     res.json(user);
@@ -280,16 +304,18 @@ export const getUserProfile = async (req, res) => {
 export const updateUserProfile = async (req, res) => {
   try {
     const { userId } = req.user;
-    const { name, phone } = req.body;
+    const { name, phone, notificationChannels } = req.body;
 
     const data = {};
     if (name !== undefined) data.name = name;
     if (phone !== undefined) data.phone = phone;
+    // Channels the patient accepts messages on (EMAIL / SMS / WHATSAPP)
+    if (notificationChannels !== undefined) data.notificationChannels = normaliseChannels(notificationChannels);
 
     const updatedUser = await prisma.user.update({
       where: { id: userId },
       data,
-      select: { id: true, name: true, email: true, phone: true },
+      select: { id: true, name: true, email: true, phone: true, notificationChannels: true },
     });
 
     await logAudit({
@@ -303,6 +329,7 @@ export const updateUserProfile = async (req, res) => {
 
     res.json(updatedUser);
   } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
     console.error('Update User Profile Error:', error);
     res.status(500).json({ error: error.message });
   }
@@ -349,6 +376,7 @@ export const cancelUserAppointment = async (req, res) => {
         clinic: true,
         slot: true,
         doctor: { select: { name: true } },
+        user: true,
         cancellationRequest: true,
       },
     });
@@ -362,13 +390,9 @@ export const cancelUserAppointment = async (req, res) => {
     }
 
     // ============================================================
-    // ⏳ 1. TIME WINDOW CHECK (24 Hours)
+    // ⏳ 1. CLINIC CANCELLATION POLICY (notice window + refund tier)
     // ============================================================
-    const now = new Date();
-    const slotDate = new Date(appointment.slot.date);
-    const diffHours = (slotDate.getTime() - now.getTime()) / (1000 * 60 * 60);
-    const MIN_NOTICE_HOURS = 24;
-    const withinWindow = diffHours >= MIN_NOTICE_HOURS;
+    const outcome = await getCancellationOutcome(appointment);
 
     const isPayAtClinic = appointment.slot.paymentMode === "OFFLINE" || appointment.slot.paymentMode === "FREE";
     const isOnlinePay = appointment.slot.paymentMode === "ONLINE";
@@ -390,12 +414,11 @@ export const cancelUserAppointment = async (req, res) => {
     // ============================================================
     // 🟢 3. PAY-AT-CLINIC / FREE (Instant Cancel + Slot Free)
     // ============================================================
+    if (!outcome.canSelfCancel) {
+      return res.status(400).json({ error: outcome.message, policy: outcome });
+    }
+
     if (isPayAtClinic) {
-      if (!withinWindow) {
-        return res.status(400).json({
-          error: `Too late. Cancellations allowed ${MIN_NOTICE_HOURS} hours in advance. Call clinic.`,
-        });
-      }
 
       const updated = await prisma.$transaction(async (tx) => {
         // A. Cancel Appointment ✅ Schema-Aligned
@@ -442,6 +465,15 @@ export const cancelUserAppointment = async (req, res) => {
           },
         });
 
+        // D. Calendar + patient notice (outbox, after commit)
+        await addToOutbox('GCAL_DELETE', { clinicId: appointment.clinicId, appointmentId: appointment.id }, tx);
+        await addToOutbox('CANCELLATION_EMAIL', {
+          clinicId: appointment.clinicId,
+          appointmentId: appointment.id,
+          reason: reason || "Cancelled by patient",
+          patientRequested: true,
+        }, tx);
+
         return u;
       });
 
@@ -455,7 +487,8 @@ export const cancelUserAppointment = async (req, res) => {
         details: { reason, paymentMode: "OFFLINE" },
         req,
       });
-deleteAppointmentFromGCal(appointment.id).catch(console.error);
+      dispatchOutbox();
+      enqueueJob('waitlist.offer-slot', { slotId: appointment.slotId }).catch(console.error); // ⏳ next on waitlist
       return res.json(updated);
     }
 
@@ -463,15 +496,14 @@ deleteAppointmentFromGCal(appointment.id).catch(console.error);
     // 🔴 4. ONLINE PAYMENT (Refund Request Workflow)
     // ============================================================
     if (isOnlinePay) {
-      // Optional: Block late requests (uncomment if needed)
-      /*
-      if (!withinWindow) {
-        return res.status(400).json({
-          error: `Refunds considered ${MIN_NOTICE_HOURS} hours in advance only.`,
-        });
-      }
-      */
-     
+      // Quote is frozen on the request so the clinic approves what the patient saw
+      const quote = {
+        policyId: outcome.policyId,
+        refundPercent: outcome.refundPercent,
+        refundAmount: outcome.refundAmount,
+        cancellationFee: outcome.cancellationFee,
+      };
+
   await prisma.$transaction(async (tx) => {
     // 🔥 NEW: Set appointment status to CANCEL_REQUESTED (shows orange UI)
     await tx.appointment.update({
@@ -480,6 +512,7 @@ deleteAppointmentFromGCal(appointment.id).catch(console.error);
         status: "CANCEL_REQUESTED"  // ← THIS LINE FIXES "CONFIRMED" BUG
       }
     });
+    await addToOutbox('GCAL_DELETE', { clinicId: appointment.clinicId, appointmentId: appointment.id }, tx);
 
       await prisma.$transaction(async (tx) => {
         // Create/Update Request (status is String, not enum ✅)
@@ -488,11 +521,13 @@ deleteAppointmentFromGCal(appointment.id).catch(console.error);
           update: {
             status: "PENDING",
             reason: reason || null,
+            ...quote,
           },
           create: {
             appointmentId: appointment.id,
             status: "PENDING",
             reason: reason || null,
+            ...quote,
           },
         });
 
@@ -502,7 +537,7 @@ deleteAppointmentFromGCal(appointment.id).catch(console.error);
             clinicId: appointment.clinicId,
             type: "CANCEL_REQUEST",       // ✅ NotificationType enum
             entityId: appointment.id,
-            message: `⚠️ REFUND REQUEST: ${doctorName} on ${dateStr} ${timeStr}. Reason: ${reason || "N/A"}`,
+            message: `⚠️ REFUND REQUEST: ${doctorName} on ${dateStr} ${timeStr}. Refund due: ₹${outcome.refundAmount}. Reason: ${reason || "N/A"}`,
           },
         });
       });});
@@ -513,14 +548,15 @@ deleteAppointmentFromGCal(appointment.id).catch(console.error);
         action: "REQUEST_CANCEL_APPOINTMENT_USER",
         entity: "Appointment",
         entityId: id,
-        details: { reason, paymentMode: "ONLINE" },
+        details: { reason, paymentMode: "ONLINE", ...quote },
         req,
       });
-      deleteAppointmentFromGCal(appointment.id).catch(console.error);
+      dispatchOutbox();
 
       return res.json({
         message: "Cancellation request submitted. Clinic will review refund.",
         appointmentId: id,
+        policy: outcome,
       });
     }
 
@@ -539,6 +575,40 @@ deleteAppointmentFromGCal(appointment.id).catch(console.error);
   }
 };
 
+// ----------------------------------------------------------------
+// 7b. CANCELLATION PREVIEW (shown before the patient confirms)
+// ----------------------------------------------------------------
+export const getCancellationPreview = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const { id } = req.params;
+
+    const appointment = await prisma.appointment.findFirst({
+      where: { id, userId, deletedAt: null },
+      include: { slot: true, cancellationRequest: true },
+    });
+
+    if (!appointment) {
+      return res.status(404).json({ error: "Appointment not found" });
+    }
+
+    if (["COMPLETED", "CANCELLED", "NO_SHOW"].includes(appointment.status) || appointment.cancellationRequest) {
+      return res.status(400).json({ error: "Appointment cannot be cancelled" });
+    }
+
+    const outcome = await getCancellationOutcome(appointment);
+
+    return res.json({
+      appointmentId: appointment.id,
+      paymentMode: appointment.slot.paymentMode,
+      ...outcome,
+    });
+  } catch (error) {
+    console.error("Cancellation Preview Error:", error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
 
 // export const cancelUserAppointment= async (req, res) => {
 //   try {
@@ -666,91 +736,13 @@ deleteAppointmentFromGCal(appointment.id).catch(console.error);
 // ----------------------------------------------------------------
  // Optional if you have it
 
-// ----------------------------------------------------------------
-// HELPER 1: Get Gateway Instance
-// ----------------------------------------------------------------
-const getPaymentInstance = async (clinicId, provider = 'RAZORPAY') => {
-  const gateway = await prisma.paymentGateway.findFirst({
-    where: { clinicId, isActive: true, name: provider },
-  });
-
-  if (!gateway || !gateway.apiKey || !gateway.secret) {
-    throw new Error(`${provider} payments are not configured for this clinic.`);
-  }
-
-  if (provider === 'STRIPE') {
-    return {
-      instance: new Stripe(gateway.secret),
-      publicKey: gateway.apiKey,
-      gatewayId: gateway.id,
-      provider: 'STRIPE',
-    };
-  }
-
-  // Razorpay
-  return {
-    instance: new Razorpay({ key_id: gateway.apiKey, key_secret: gateway.secret }),
-    key_id: gateway.apiKey,
-    gatewayId: gateway.id,
-    provider: 'RAZORPAY',
-  };
-};
-
-// ----------------------------------------------------------------
-// HELPER 2: Create Payment Order
-// ----------------------------------------------------------------
-async function createPaymentOrder(gateway, slot, provider, notes = {}) {
-  const amountInPaise = Math.round(Number(slot.price) * 100);
-
-  if (gateway.provider === 'RAZORPAY') {
-    const options = {
-      amount: amountInPaise,
-      currency: 'INR',
-      receipt: `resched_${slot.id.slice(-8)}_${Date.now()}`,
-      notes: { ...notes, slotId: slot.id, type: "RESCHEDULE" },
-    };
-    const order = await gateway.instance.orders.create(options);
-    return {
-      provider: 'RAZORPAY',
-      orderId: order.id,
-      amount: order.amount,
-      key: gateway.key_id,
-    };
-  } else if (gateway.provider === 'STRIPE') {
-    const session = await gateway.instance.checkout.sessions.create({
-      payment_method_types: ['card'],
-      line_items: [{
-        price_data: {
-          currency: 'inr',
-          product_data: {
-            name: `Reschedule: Dr. ${slot.doctor?.name || 'Doctor'}`,
-            description: `New Date: ${new Date(slot.date).toLocaleDateString()}`,
-          },
-          unit_amount: amountInPaise,
-        },
-        quantity: 1,
-      }],
-      mode: 'payment',
-      success_url: `${process.env.FRONTEND_URL}/payment/success?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${process.env.FRONTEND_URL}/appointments`,
-      metadata: { ...notes, slotId: slot.id, type: "RESCHEDULE" },
-    });
-    return {
-      provider: 'STRIPE',
-      sessionId: session.id,
-      url: session.url,
-      publishableKey: gateway.publicKey,
-    };
-  }
-}
-
-
 export const rescheduleAppointment = async (req, res) => {
   // 🔥 SCOPE FIX: Move to top
   const userId = req.user?.id || req.user?.userId || req.user?._id;
   const { id } = req.params; 
   const appointmentId = id || req.body.appointmentId; 
-  const { newSlotId, provider = 'RAZORPAY' } = req.body; 
+  // refundTo: WALLET keeps a downgrade difference as clinic credit instead of refunding the card
+  const { newSlotId, provider = 'RAZORPAY', refundTo } = req.body; 
 
   try {
     if (!userId || !appointmentId || !newSlotId) {
@@ -792,6 +784,9 @@ export const rescheduleAppointment = async (req, res) => {
       if (slotBookings > 0) {
         throw { statusCode: 409, message: "Slot already booked" };
       }
+      if (await findHolidayForSlot(newSlot)) {
+        throw { statusCode: 409, message: "Clinic is closed or the doctor is on leave on this date" };
+      }
 
       // AUTH CHECKS
       if (String(oldAppt.userId) !== String(userId)) {
@@ -812,7 +807,8 @@ export const rescheduleAppointment = async (req, res) => {
 
       // FINANCIAL LOGIC
       const oldPrice = Number(oldAppt.amount || 0);
-      const newPrice = Number(newSlot.price || 0);
+      const newTax = await getConsultationTax(newSlot, tx);
+      const newPrice = newTax.total;
       const oldPaidAmount = oldAppt.paymentStatus === "PAID" ? oldPrice : 0;
       const isOfflineToOnline = oldAppt.slot.paymentMode === 'OFFLINE' && newSlot.paymentMode === 'ONLINE';
       
@@ -840,11 +836,13 @@ export const rescheduleAppointment = async (req, res) => {
       // 🔥 BASE UPDATE DATA
    const baseData = {
   slotId: newSlotId,  // 🔥 DIRECT FK - No connect validation
+  activeSlotId: newSlotId,
   adminNote: `RESCHEDULED: ${adminNote}`,
   status: needsPayment ? 'PENDING_PAYMENT' : 'CONFIRMED',
   paymentStatus: needsPayment ? 'PENDING' : 'PAID',
   financialStatus,
   amount: newPrice,
+  ...toTaxFields(newTax),
   diffAmount: diffAmount,
   updatedAt: new Date()
 };
@@ -920,20 +918,19 @@ await tx.slot.findUniqueOrThrow({
         }
       });
 
-      // 🔥 GCal UPDATE (if no payment needed)
+      // 🔥 GCal UPDATE + emails (if no payment needed) – outbox, sent after commit
 if (!needsPayment) {
   // 🔥 SMART GCAL: Create if missing, update if exists
-  try {
-    if (updatedAppt.googleCalendarEventId) {
-      await updateAppointmentOnGCal(appointmentId);
-      console.log('📅 GCal UPDATED:', appointmentId);
-    } else {
-      await autoSyncAppointmentToGCal(appointmentId);
-      console.log('📅 GCal CREATED:', appointmentId);
-    }
-  } catch (gcalErr) {
-    console.error('❌ GCal Sync Failed:', gcalErr.message);
-  }
+  await addToOutbox(updatedAppt.googleCalendarEventId ? 'GCAL_UPDATE' : 'GCAL_SYNC', {
+    clinicId: updatedAppt.clinicId,
+    appointmentId,
+  }, tx);
+  await addToOutbox('BOOKING_EMAILS', {
+    clinicId: updatedAppt.clinicId,
+    appointmentId,
+    type: 'RESCHEDULE',
+    oldSlot: { id: oldAppt.slotId, date: oldAppt.slot.date, time: oldAppt.slot.time },
+  }, tx);
   
   return {
     status: 'SUCCESS',
@@ -945,9 +942,8 @@ if (!needsPayment) {
 }
 
 
-      // 🔥 RAZORPAY PAYMENT (needsPayment = true)
-      const gateways = updatedAppt.clinic.gateways || [];
-      const gateway = gateways.find(g => g.name === provider && g.isActive);
+      // 🔥 ONLINE TOP-UP (needsPayment = true) – same gateway as the original charge
+      const { gateway } = await getCollectionGateway(updatedAppt.clinicId, provider, updatedAppt.collectedVia, tx);
 
       if (!gateway?.apiKey || !gateway?.secret) {
         return { 
@@ -957,11 +953,9 @@ if (!needsPayment) {
         };
       }
 
-      const razorpay = new Razorpay({ key_id: gateway.apiKey, key_secret: gateway.secret });
       const receipt = `resch_${appointmentId.slice(-10)}`;
-      const razorpayOrder = await razorpay.orders.create({
-        amount: Math.round(diffAmount * 100), 
-        currency: 'INR', 
+      const checkout = await getPaymentProvider(gateway).createOrder({
+        amount: diffAmount,
         receipt,
         notes: { 
           type: financialStatus, 
@@ -970,7 +964,10 @@ if (!needsPayment) {
           oldAmount: oldPaidAmount, 
           newAmount: newPrice, 
           difference: diffAmount 
-        }
+        },
+        title: `Reschedule: ${updatedAppt.clinic?.name || 'Appointment'}`,
+        successUrl: `${process.env.FRONTEND_URL}/payment/success?session_id={CHECKOUT_SESSION_ID}`,
+        cancelUrl: `${process.env.FRONTEND_URL}/appointments`,
       });
 
       return {
@@ -978,9 +975,7 @@ if (!needsPayment) {
         message: `Pay ₹${diffAmount} difference`,
         data: { 
           appointmentId, 
-          key: gateway.apiKey, 
-          amount: razorpayOrder.amount, 
-          orderId: razorpayOrder.id, 
+          ...checkout,
           diffAmount, 
           oldPaidAmount, 
           newPrice, 
@@ -990,6 +985,51 @@ if (!needsPayment) {
       };
     });
 
+    // 💸 Downgrade → online payments get the difference back on the card (or in the
+    // wallet when asked); money paid at the clinic becomes wallet credit
+    if (result.data?.financialStatus === 'REFUND_AT_CLINIC') {
+      const appt = await prisma.appointment.findUnique({ where: { id: appointmentId }, include: { payment: true } });
+      const isPrepaid = !!appt.payment?.gatewayRefId || Number(appt.walletAmount || 0) > 0;
+      const toWallet = refundTo === 'WALLET' || !isPrepaid;
+      const refundAmount = result.data.refundAmount;
+      try {
+        if (isPrepaid) {
+          await refundAppointment({
+            appointmentId,
+            amount: refundAmount,
+            reason: 'Rescheduled to a cheaper slot',
+            source: 'RESCHEDULE_DOWNGRADE',
+            initiatedById: userId,
+            destination: toWallet ? 'WALLET' : 'ORIGINAL',
+          });
+        } else {
+          await prisma.$transaction((tx) => creditToWalletFromAppointment({
+            appointment: appt,
+            amount: refundAmount,
+            reason: 'RESCHEDULE_DOWNGRADE',
+            note: 'Rescheduled to a cheaper slot',
+            createdById: userId,
+          }, tx));
+        }
+        result.data.updatedAppt = await prisma.appointment.update({
+          where: { id: appointmentId },
+          data: {
+            financialStatus: toWallet ? 'CREDITED_TO_WALLET' : 'REFUNDED_ONLINE',
+            adminNote: toWallet
+              ? `RESCHEDULED: ₹${refundAmount} credited to wallet`
+              : `RESCHEDULED: Refunded ₹${refundAmount} online`,
+          },
+        });
+        result.data.financialStatus = toWallet ? 'CREDITED_TO_WALLET' : 'REFUNDED_ONLINE';
+        result.message = toWallet
+          ? `Rescheduled! ₹${refundAmount} has been added to your wallet for this clinic.`
+          : `Rescheduled! ₹${refundAmount} will be refunded to your original payment method.`;
+      } catch (refundErr) {
+        console.error('Reschedule refund failed, left as refund at clinic:', refundErr.message);
+      }
+    }
+
+    if (result.status === 'SUCCESS') dispatchOutbox();
     res.json(result);
 
   } catch (error) {
@@ -1436,11 +1476,15 @@ export const getSlotsForUser = async (req, res, next) => {
       },
     });
 
+    // 🏖️ Holiday / doctor leave → hide the whole day
+    const holidays = await getHolidaysInRange({ clinicId, doctorId, from: start, to: end });
+
     const now = new Date();
     const tenMinutesAgo = new Date(now.getTime() - 10 * 60 * 1000);
     const currentUserId = req.user?.id;
 
     const processedSlots = slots
+      .filter((s) => !isOnHoliday(holidays, s.date, doctorId))
       .map((s) => {
         const appointments = Array.isArray(s.appointments) ? s.appointments : [];
         
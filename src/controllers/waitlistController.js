@@ -0,0 +1,154 @@
+import prisma from '../prisma.js';
+import { logAudit } from '../utils/audit.js';
+import { istDayStart, istDayEnd } from '../utils/holidays.js';
+import { releaseOffer } from '../services/waitlistService.js';
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RANGE_DAYS = 60;
+
+// ----------------------------------------------------------------
+// 1. JOIN WAITLIST
+// ----------------------------------------------------------------
+export const joinWaitlist = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const { doctorId, fromDate, toDate } = req.body;
+    const lastDate = toDate || fromDate;
+
+    if (!doctorId || !DATE_RE.test(fromDate || '') || !DATE_RE.test(lastDate || '')) {
+      return res.status(400).json({ error: 'doctorId, fromDate and toDate (YYYY-MM-DD) are required' });
+    }
+    if (lastDate < fromDate) {
+      return res.status(400).json({ error: 'toDate must be on or after fromDate' });
+    }
+
+    const from = istDayStart(fromDate);
+    const to = istDayEnd(lastDate);
+    if (to < new Date()) {
+      return res.status(400).json({ error: 'Date range is in the past' });
+    }
+    if ((to - from) / 86400000 > MAX_RANGE_DAYS) {
+      return res.status(400).json({ error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` });
+    }
+
+    const doctor = await prisma.doctor.findFirst({
+      where: { id: doctorId, isActive: true, deletedAt: null, clinic: { deletedAt: null } },
+      select: { id: true, name: true, clinicId: true },
+    });
+    if (!doctor) {
+      return res.status(404).json({ error: 'Doctor unavailable.' });
+    }
+
+    const existing = await prisma.waitlistEntry.findFirst({
+      where: {
+        userId,
+        doctorId,
+        status: { in: ['WAITING', 'OFFERED'] },
+        fromDate: { lte: to },
+        toDate: { gte: from },
+      },
+    });
+    if (existing) {
+      return res.status(409).json({ error: 'You are already on the waitlist for these dates.', entry: existing });
+    }
+
+    const entry = await prisma.waitlistEntry.create({
+      data: {
+        clinicId: doctor.clinicId,
+        doctorId,
+        userId,
+        fromDate: from,
+        toDate: to,
+      },
+    });
+
+    const position = await prisma.waitlistEntry.count({
+      where: { doctorId, status: 'WAITING', createdAt: { lte: entry.createdAt } },
+    });
+
+    await logAudit({
+      userId,
+      clinicId: doctor.clinicId,
+      action: 'JOIN_WAITLIST',
+      entity: 'WaitlistEntry',
+      entityId: entry.id,
+      details: { doctorName: doctor.name, fromDate, toDate: lastDate },
+      req,
+    });
+
+    return res.status(201).json({
+      message: `Added to waitlist for ${doctor.name}. We'll email you when a slot opens up.`,
+      entry,
+      position,
+    });
+  } catch (error) {
+    console.error('Join Waitlist Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// 2. MY WAITLIST ENTRIES
+// ----------------------------------------------------------------
+export const getMyWaitlist = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+
+    const entries = await prisma.waitlistEntry.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      include: {
+        doctor: { select: { id: true, name: true } },
+        clinic: { select: { id: true, name: true } },
+        offeredSlot: { select: { id: true, date: true, time: true, paymentMode: true, price: true } },
+      },
+    });
+
+    return res.json({ data: entries });
+  } catch (error) {
+    console.error('Get Waitlist Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// 3. LEAVE WAITLIST (also declines a pending offer)
+// ----------------------------------------------------------------
+export const leaveWaitlist = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const { id } = req.params;
+
+    const entry = await prisma.waitlistEntry.findFirst({
+      where: { id, userId, status: { in: ['WAITING', 'OFFERED'] } },
+    });
+    if (!entry) {
+      return res.status(404).json({ error: 'Waitlist entry not found' });
+    }
+
+    if (entry.status === 'OFFERED') {
+      // Hands the reserved slot straight to the next person
+      await releaseOffer(entry, 'CANCELLED');
+    } else {
+      await prisma.waitlistEntry.update({
+        where: { id },
+        data: { status: 'CANCELLED' },
+      });
+    }
+
+    await logAudit({
+      userId,
+      clinicId: entry.clinicId,
+      action: 'LEAVE_WAITLIST',
+      entity: 'WaitlistEntry',
+      entityId: id,
+      details: { hadOffer: entry.status === 'OFFERED' },
+      req,
+    });
+
+    return res.json({ message: 'Removed from waitlist' });
+  } catch (error) {
+    console.error('Leave Waitlist Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
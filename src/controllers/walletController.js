@@ -0,0 +1,45 @@
+import prisma from '../prisma.js';
+import { getWalletStatement } from '../services/walletService.js';
+
+// ----------------------------------------------------------------
+// GET /api/user/wallets
+// Credit held at each clinic
+// ----------------------------------------------------------------
+export const getMyWallets = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+
+    const wallets = await prisma.wallet.findMany({
+      where: { userId },
+      include: { clinic: { select: { id: true, name: true } } },
+      orderBy: { updatedAt: 'desc' },
+    });
+
+    return res.json(wallets.map((w) => ({
+      id: w.id,
+      clinic: w.clinic,
+      balance: Number(w.balance),
+      updatedAt: w.updatedAt,
+    })));
+  } catch (error) {
+    console.error('Get Wallets Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ----------------------------------------------------------------
+// GET /api/user/wallets/:clinicId?page=&limit=
+// Statement of credits and debits at one clinic
+// ----------------------------------------------------------------
+export const getMyWalletStatement = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.userId;
+    const { page = 1, limit = 20 } = req.query;
+
+    const statement = await getWalletStatement({ userId, clinicId: req.params.clinicId, page, limit });
+    return res.json(statement);
+  } catch (error) {
+    console.error('Get Wallet Statement Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -1,17 +1,24 @@
 // src/cron/cleanup.js - ✅ FIXED FOR RESCHEDULE RETRY!
+// Run every 5 minutes by the job queue (jobs/index.js → bookings.cleanup)
 import { PrismaClient } from '@prisma/client';
+import { WAITLIST_HOLD_REASON, offerFreedSlot, expireWaitlistOffers } from '../services/waitlistService.js';
+import { voidCouponRedemptions } from '../services/couponService.js';
+import { voidWalletDebits } from '../services/walletService.js';
 const prisma = new PrismaClient();
 
-const cleanupExpiredBookings = async () => {
+export const cleanupExpiredBookings = async () => {
   try {
     const now = new Date();
     const tenMinutesAgo = new Date(now.getTime() - 10 * 60 * 1000);
     const oneDayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
 
-    // 🔥 SLOTS (unchanged)
+    // 🔥 SLOTS (holiday/leave blocks are released only by deleting the holiday,
+    // waitlist reservations only by expireWaitlistOffers below)
     const expiredSlots = await prisma.slot.updateMany({
       where: {
         isBlocked: true,
+        holidayId: null,
+        OR: [{ blockedReason: null }, { blockedReason: { not: WAITLIST_HOLD_REASON } }],
         createdAt: { lt: tenMinutesAgo }
       },
       data: { isBlocked: false, status: 'PENDING_PAYMENT' }
@@ -37,6 +44,10 @@ const cleanupExpiredBookings = async () => {
         }
       });
 
+      // Unpaid holds give their coupon use and wallet share back
+      await voidCouponRedemptions({ appointmentIds: expiredRecords.map(r => r.id) }, tx);
+      await voidWalletDebits({ appointmentIds: expiredRecords.map(r => r.id) }, tx);
+
       // Free held slots
       const slotIds = expiredRecords.map(r => r.slotId).filter(Boolean);
       if (slotIds.length) {
@@ -46,28 +57,49 @@ const cleanupExpiredBookings = async () => {
         });
       }
 
-      return { count: expiredRecords.length };
+      return { count: expiredRecords.length, slotIds };
     });
 
-    // 🔥 STALE PENDING (unchanged - true stale = cancel)
-    const stalePending = await prisma.appointment.updateMany({
+    // 🔥 STALE PENDING (true stale = cancel)
+    const staleRecords = await prisma.appointment.findMany({
       where: {
         status: 'PENDING',
         createdAt: { lt: oneDayAgo }
       },
+      select: { id: true, slotId: true }
+    });
+    const stalePending = await prisma.appointment.updateMany({
+      where: { id: { in: staleRecords.map(r => r.id) } },
       data: { status: 'CANCELLED', paymentStatus: 'FAILED' }
     });
 
+    // ⏳ WAITLIST: roll expired offers on, then offer every slot freed above
+    const expiredOffers = await expireWaitlistOffers();
+    const freedSlotIds = [...new Set([
+      ...expiredApptsResult.slotIds,
+      ...staleRecords.map(r => r.slotId).filter(Boolean)
+    ])];
+    let offersMade = 0;
+    for (const slotId of freedSlotIds) {
+      if (await offerFreedSlot(slotId)) offersMade++;
+    }
+
     const blockedLeft = await prisma.slot.count({ where: { isBlocked: true } });
 
     console.log(`🧹 Cleanup @ ${now.toLocaleTimeString()}:`);
     console.log(`  → Slots: ${expiredSlots.count} | Hold Appts: ${expiredApptsResult.count} | Stale: ${stalePending.count}`);
+    console.log(`  → Waitlist: ${expiredOffers} offers expired | ${offersMade} new offers`);
     console.log(`  → Blocked left: ${blockedLeft}`);
 
+    return {
+      slots: expiredSlots.count,
+      holds: expiredApptsResult.count,
+      stale: stalePending.count,
+      offersExpired: expiredOffers,
+      offersMade,
+    };
   } catch (error) {
     console.error('❌ Cleanup Error:', error);
+    throw error;
   }
 };
-
-cleanupExpiredBookings();
-setInterval(cleanupExpiredBookings, 5 * 60 * 1000);
@@ -2,8 +2,6 @@
   import cors from 'cors';
   import dotenv from 'dotenv';
   import path from 'path';
-import cron from 'node-cron';
-import './cron/cleanup.js'; 
 import fetch from 'node-fetch'
 
 import { PrismaClient } from '@prisma/client';
@@ -17,9 +15,7 @@ const prisma = new PrismaClient()
   import userRoutes from './router/user.js';
   import webhookRoutes from './router/webhooks.js';           // ✅ NEW: Webhooks!
   import superAdminClinicMediaRoutes from './router/superAdminClinicMediaRoutes.js';
-  import { startReminderJob } from './services/reminderService.js'; 
-import { runExpirationCheck } from './controllers/cronController.js';
-import { startSubscriptionEmailCron } from "./jobs/startSubscriptionEmailCron.js"
+import { startJobs } from "./jobs/index.js";
 
   dotenv.config();
 
@@ -128,15 +124,6 @@ app.get('/api/clinic/google-calendar/callback', async (req, res) => {
       env: process.env.NODE_ENV || 'development'
     });
   });
-cron.schedule(
-  // '0 * * * *',    
-  '* * * * *',            // at minute 0 of every hour
-  () => {
-    console.log('Running hourly subscription check...');
-    runExpirationCheck();
-  },
-  { timezone: 'Asia/Kolkata' } // your production timezone
-);
   // ✅ 404 handler
   app.use('*', (req, res) => {
     res.status(404).json({ error: 'Route not found' });
@@ -148,9 +135,8 @@ cron.schedule(
     res.status(500).json({ error: 'Internal server error' });
   });
 
-  // ✅ Start services
-  startReminderJob();
-  startSubscriptionEmailCron();
+  // ✅ Start services (crons + job worker, see jobs/index.js)
+  startJobs();
 
   const PORT = process.env.PORT || 5003;
   app.listen(PORT,'0.0.0.0', () => {
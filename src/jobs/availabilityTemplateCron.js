@@ -0,0 +1,45 @@
+import prisma from "../prisma.js";
+import { registerJob, scheduleJob } from "../services/jobQueue.js";
+import { materialiseTemplate } from "../services/slotGenerationService.js";
+
+// Keeps every active template materialised `horizonDays` ahead.
+// Overlap detection is the same one used by bulk slot creation, so
+// re-running is safe: already-generated slots are simply skipped.
+export async function runAvailabilityTemplateJob() {
+  const templates = await prisma.availabilityTemplate.findMany({
+    where: {
+      isActive: true,
+      deletedAt: null,
+      doctor: { isActive: true, deletedAt: null },
+      clinic: {
+        isActive: true,
+        deletedAt: null,
+        subscription: { status: { in: ["ACTIVE", "TRIAL"] } },
+      },
+    },
+  });
+
+  let created = 0;
+  let skipped = 0;
+
+  for (const template of templates) {
+    try {
+      const result = await materialiseTemplate(template);
+      created += result.created;
+      skipped += result.skipped;
+    } catch (err) {
+      console.error(`❌ availability template ${template.id} failed:`, err.message);
+    }
+  }
+
+  console.log(`📅 availability templates: ${templates.length} processed, ${created} slots created, ${skipped} skipped`);
+  return { templates: templates.length, created, skipped };
+}
+
+export function startAvailabilityTemplateCron() {
+  console.log("🚀 availability template cron scheduled");
+
+  // Daily at 00:30 IST, so the newest day of the horizon appears overnight
+  registerJob("availability.templates", () => runAvailabilityTemplateJob());
+  scheduleJob("availability.templates", "30 0 * * *");
+}
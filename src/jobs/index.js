@@ -0,0 +1,49 @@
+import { registerJob, scheduleJob, startJobWorker, purgeJobs } from "../services/jobQueue.js";
+import { cleanupExpiredBookings } from "../cron/cleanup.js";
+import { runExpirationCheck } from "../controllers/cronController.js";
+import { startReminderJob } from "../services/reminderService.js";
+import { offerFreedSlot } from "../services/waitlistService.js";
+import { drainOutbox, purgeOutbox } from "../services/outboxService.js";
+import { startSubscriptionEmailCron } from "./startSubscriptionEmailCron.js";
+import { startDunningCron } from "./startDunningCron.js";
+import { startWebhookRetryCron } from "./startWebhookRetryCron.js";
+import { startReconciliationCron } from "./startReconciliationCron.js";
+import { startAvailabilityTemplateCron } from "./availabilityTemplateCron.js";
+
+// ----------------------------------------------------------------
+// Every background job the server runs, all through the Postgres job
+// queue (services/jobQueue.js): retried with backoff, DEAD after the
+// last attempt, one run per cron tick across server instances.
+// Run history: GET /api/super-admin/jobs
+// ----------------------------------------------------------------
+export function startJobs() {
+  // Unpaid holds, stale bookings and waitlist offers
+  registerJob("bookings.cleanup", () => cleanupExpiredBookings());
+  scheduleJob("bookings.cleanup", "*/5 * * * *");
+
+  // Subscription expiry, grace periods and scheduled plan changes
+  registerJob("subscriptions.expire", () => runExpirationCheck());
+  scheduleJob("subscriptions.expire", "* * * * *");
+
+  startReminderJob();
+  startSubscriptionEmailCron();
+  startDunningCron();
+  startWebhookRetryCron();
+  startReconciliationCron();
+  startAvailabilityTemplateCron();
+
+  // Deferred work queued by request handlers
+  registerJob("waitlist.offer-slot", ({ slotId }) => offerFreedSlot(slotId));
+
+  // Appointment emails + calendar syncs written with the appointment change.
+  // Dispatched right after commit; the minute tick picks up retries.
+  registerJob("outbox.drain", () => drainOutbox(), { maxAttempts: 1 });
+  scheduleJob("outbox.drain", "* * * * *");
+  registerJob("outbox.purge", () => purgeOutbox());
+  scheduleJob("outbox.purge", "50 3 * * *");
+
+  registerJob("jobs.purge", () => purgeJobs());
+  scheduleJob("jobs.purge", "45 3 * * *");
+
+  startJobWorker();
+}
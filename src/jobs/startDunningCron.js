@@ -0,0 +1,15 @@
+import { registerJob, scheduleJob } from "../services/jobQueue.js";
+import { runDunning } from "../services/dunningService.js";
+
+// Hourly: payment-link retries, escalating emails and suspension for
+// PAST_DUE / lapsed subscriptions (see services/dunningService.js)
+export function startDunningCron() {
+  console.log("🚀 dunning cron scheduled");
+
+  registerJob("billing.dunning", async () => {
+    const result = await runDunning();
+    console.log("💸 dunning run", result);
+    return result;
+  });
+  scheduleJob("billing.dunning", "15 * * * *");
+}
@@ -0,0 +1,15 @@
+import { registerJob, scheduleJob } from "../services/jobQueue.js";
+import { runReconciliation } from "../services/reconciliationService.js";
+
+// Nightly: compare yesterday's (IST) gateway payments with bookings and the
+// ledger (see services/reconciliationService.js)
+export function startReconciliationCron() {
+  console.log("🚀 reconciliation cron scheduled");
+
+  registerJob("payments.reconcile", async () => {
+    const run = await runReconciliation();
+    console.log("🔎 reconciliation run", run.summary);
+    return { runId: run.id, summary: run.summary };
+  });
+  scheduleJob("payments.reconcile", "30 2 * * *");
+}
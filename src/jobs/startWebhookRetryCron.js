@@ -0,0 +1,15 @@
+import { registerJob, scheduleJob } from "../services/jobQueue.js";
+import { retryWebhookEvents } from "../services/webhookService.js";
+
+// Every 5 minutes: re-run FAILED webhook events whose backoff is over
+// (see services/webhookService.js)
+export function startWebhookRetryCron() {
+  console.log("🚀 webhook retry cron scheduled");
+
+  registerJob("webhooks.retry", async () => {
+    const result = await retryWebhookEvents();
+    if (result.due) console.log("🪝 webhook retry run", result);
+    return result;
+  });
+  scheduleJob("webhooks.retry", "*/5 * * * *");
+}
@@ -19,6 +19,13 @@ next();
 return res.status(401).json({ error: 'Invalid or expired token' });
 }
 };
+// EventSource cannot send headers – stream routes accept ?token= instead
+export const allowQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
 export const requireAdmin = (req, res, next) => {
 if (!req.user || req.user.role !== 'ADMIN') {
 return res.status(403).json({ error: 'Clinic Admin only' });
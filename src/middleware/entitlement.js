@@ -0,0 +1,30 @@
+// src/middleware/entitlement.js
+import { FEATURES, getClinicEntitlements, hasEntitlement } from '../services/entitlementService.js';
+
+// Usage: router.get('/x', authMiddleware, requireAdmin, requireEntitlement('exports'), handler)
+export const requireEntitlement = (key) => {
+  if (!FEATURES[key]) throw new Error(`requireEntitlement: unknown feature "${key}"`);
+
+  return async (req, res, next) => {
+    // Platform staff aren't bound by a clinic plan
+    if (req.user?.role === 'SUPER_ADMIN') return next();
+
+    try {
+      const entitlements = await getClinicEntitlements(req.user.clinicId);
+
+      if (!hasEntitlement(entitlements, key)) {
+        return res.status(403).json({
+          error: `${FEATURES[key].label} is not available on your current plan. Please upgrade.`,
+          feature: key,
+          currentPlan: entitlements.plan?.name || null,
+        });
+      }
+
+      req.entitlements = entitlements;
+      next();
+    } catch (error) {
+      console.error('Entitlement Check Error:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  };
+};
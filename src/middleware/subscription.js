@@ -20,6 +20,7 @@
 // };
 // src/middleware/subscription.js - FIXED ✅ NO Analytics for EXPIRED
 import prisma from '../prisma.js'; 
+import { getGraceEndsAt } from '../services/subscriptionBillingService.js';
 
 export const requireActiveSubscription = async (req, res, next) => {
   const user = req.user;
@@ -32,13 +33,25 @@ export const requireActiveSubscription = async (req, res, next) => {
   const sub = clinic?.subscription;
 
   // ✅ FIXED: TRIAL + ACTIVE ONLY (NO EXPIRED analytics)
-  if (!sub || !['ACTIVE', 'TRIAL'].includes(sub.status)) {
+  // PAST_DUE = renewal failed, still inside the grace period
+  if (!sub || !['ACTIVE', 'TRIAL', 'PAST_DUE'].includes(sub.status)) {
     return res.status(403).json({ 
       error: 'Your subscription has expired. Please renew to continue.',
       currentStatus: sub?.status || 'NO_SUBSCRIPTION'
     });
   }
 
+  // Grace period is read-only: admins can look but not change anything
+  if (sub.status === 'PAST_DUE' && !['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+    return res.status(403).json({
+      error: 'Your subscription payment is overdue. The dashboard is read-only until you renew.',
+      currentStatus: sub.status,
+      readOnly: true,
+      graceEndsAt: getGraceEndsAt(sub),
+      paymentLinkUrl: sub.dunningLinkUrl || null,
+    });
+  }
+
   req.subscription = sub;
   next();
 };
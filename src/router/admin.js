@@ -6,12 +6,14 @@ import {
   authMiddleware,
   requireAdmin,
   requireAdminOrSuperAdmin,
+  allowQueryToken,
 } from '../middleware/auth.js';
 import {
   getNotifications,
   getUnreadCount,
   markAllRead,
-  markReadByIds,markReadByEntity
+  markReadByIds,markReadByEntity,
+  streamNotifications,
 } from '../controllers/adminNotificationController.js';
 
 import {
@@ -31,6 +33,42 @@ import {
   getDoctorSlotsWindow,getManageableSlots, blockSlot, unblockSlot
 } from '../controllers/adminSlotController.js';
 
+import {
+  createAvailabilityTemplate,
+  getAvailabilityTemplates,
+  updateAvailabilityTemplate,
+  deleteAvailabilityTemplate,
+  generateAvailabilityTemplateSlots,
+} from '../controllers/adminAvailabilityController.js';
+
+import {
+  createHoliday,
+  getHolidays,
+  getHolidayAffectedAppointments,
+  cancelHolidayAppointments,
+  deleteHoliday,
+} from '../controllers/adminHolidayController.js';
+
+import { getClinicWaitlist } from '../controllers/adminWaitlistController.js';
+
+import {
+  getCancellationPolicies,
+  createCancellationPolicy,
+  updateCancellationPolicy,
+  deleteCancellationPolicy,
+  getAdminCancellationPreview,
+} from '../controllers/adminCancellationPolicyController.js';
+
+import {
+  getReminderRules,
+  createReminderRule,
+  updateReminderRule,
+  deleteReminderRule,
+  previewReminderRule,
+} from '../controllers/adminReminderRuleController.js';
+
+import { getAppointmentRefunds, createManualRefund } from '../controllers/adminRefundController.js';
+
 import {
   getAppointments,
   cancelAppointment,
@@ -49,8 +87,14 @@ import { refreshClinicGoogleRating } from '../controllers/clinicController.js';
  import {verifyClinicPlanPayment} from '../controllers/superAdminPlanPaymentController.js'
 import {
   getPayments,
-  getPaymentsSummary
+  getPaymentsSummary,
+  collectClinicPayment,
+  getPaymentReceipt
 } from '../controllers/adminPaymentController.js';
+import { getAppointmentInvoice } from '../controllers/invoiceController.js';
+import { getTaxSettings, updateTaxSettings, getGstSummary } from '../controllers/adminTaxController.js';
+import { getUsage } from '../controllers/adminUsageController.js';
+import { getEntitlements } from '../controllers/adminEntitlementController.js';
 
 import { getPatientHistory ,getPatientHistoryDetailed} from '../controllers/adminPatientController.js';
 
@@ -76,7 +120,42 @@ import {
   getClinicSlotsUsageStats,
 } from '../controllers/clinicAdminAnalyticsController.js';
 
-import { upgradeClinicPlan } from '../controllers/adminSubscriptionController.js';
+import {
+  upgradeClinicPlan,
+  cancelClinicAutoRenew,
+  cancelScheduledPlanChange,
+} from '../controllers/adminSubscriptionController.js';
+import {
+  getCoupons,
+  createClinicCoupon,
+  updateClinicCoupon,
+  deleteClinicCoupon,
+  getClinicCouponReport,
+  previewPlanCoupon,
+} from '../controllers/adminCouponController.js';
+import {
+  getClinicSettlementLedger,
+  getClinicSettlements,
+  downloadClinicSettlementStatement,
+} from '../controllers/adminSettlementController.js';
+import {
+  getClinicReconciliationItems,
+  resolveClinicReconciliationItem,
+} from '../controllers/adminReconciliationController.js';
+import {
+  getNotificationSettings,
+  updateNotificationSettings,
+  getNotificationDeliveries,
+} from '../controllers/adminNotificationSettingsController.js';
+import {
+  getClinicWallets,
+  getPatientWalletStatement,
+  getClinicWalletShortfalls,
+} from '../controllers/adminWalletController.js';
+import {
+  getOutboxMessages,
+  retryClinicOutboxMessage,
+} from '../controllers/adminOutboxController.js';
 
 import {
   getGatewayConfig,
@@ -87,6 +166,7 @@ import {
 
 import { upload } from '../middleware/upload.js';
 import { requireActiveSubscription } from '../middleware/subscription.js';
+import { requireEntitlement } from '../middleware/entitlement.js';
 const router = express.Router();
 
 // ---------------- Auth ----------------
@@ -106,7 +186,8 @@ router.post(
   createDoctor
 );
 router.post('/webhook/verify-plan-payment', 
-  express.raw({type: 'application/json'}),  // Raw body for signature
+  authMiddleware,
+  requireAdmin,  // Checkout callback from the admin's browser, not a gateway webhook
   verifyClinicPlanPayment
 );
 router.get('/doctors', authMiddleware, requireAdmin, getDoctors); // ✅ Open (View only)
@@ -156,7 +237,7 @@ router.delete(
 );
 // ---------------- Slots (RESTRICTED WRITE) ----------------
 router.post('/slots', authMiddleware, requireAdmin, requireActiveSubscription, createSlot); // 🔒
-router.post('/slots/bulk', authMiddleware, requireAdmin, requireActiveSubscription, createBulkSlots); // 🔒
+router.post('/slots/bulk', authMiddleware, requireAdmin, requireActiveSubscription, requireEntitlement('bulkSlots'), createBulkSlots); // 🔒
 router.get('/slots', authMiddleware, requireAdmin, getSlots); // ✅ Open
 router.put('/slots/:id', authMiddleware, requireAdmin, requireActiveSubscription, updateSlot); // 🔒
 router.delete('/slots/:id', authMiddleware, requireAdmin, requireActiveSubscription, deleteSlot); // 🔒
@@ -166,6 +247,36 @@ router.get('/slots/manage', authMiddleware, requireAdmin, getManageableSlots); /
 router.post('/slots/:slotId/block', authMiddleware, requireAdmin, requireActiveSubscription, blockSlot); // 🔒
 router.post('/slots/:slotId/unblock', authMiddleware, requireAdmin, requireActiveSubscription, unblockSlot); // 🔒
 
+// Availability Templates (weekly recurring slots)
+router.get('/availability-templates', authMiddleware, requireAdmin, getAvailabilityTemplates); // ✅ Open
+router.post('/availability-templates', authMiddleware, requireAdmin, requireActiveSubscription, createAvailabilityTemplate); // 🔒
+router.put('/availability-templates/:id', authMiddleware, requireAdmin, requireActiveSubscription, updateAvailabilityTemplate); // 🔒
+router.delete('/availability-templates/:id', authMiddleware, requireAdmin, requireActiveSubscription, deleteAvailabilityTemplate); // 🔒
+router.post('/availability-templates/:id/generate', authMiddleware, requireAdmin, requireActiveSubscription, generateAvailabilityTemplateSlots); // 🔒
+
+// Holidays & Doctor Leave
+router.get('/holidays', authMiddleware, requireAdmin, getHolidays); // ✅ Open
+router.post('/holidays', authMiddleware, requireAdmin, requireActiveSubscription, createHoliday); // 🔒
+router.get('/holidays/:id/appointments', authMiddleware, requireAdmin, getHolidayAffectedAppointments); // ✅ Open
+router.post('/holidays/:id/cancel-appointments', authMiddleware, requireAdmin, cancelHolidayAppointments); // ✅ Open (Allow cleanup)
+router.delete('/holidays/:id', authMiddleware, requireAdmin, requireActiveSubscription, deleteHoliday); // 🔒
+
+// Waitlist
+router.get('/waitlist', authMiddleware, requireAdmin, getClinicWaitlist); // ✅ Open
+
+// Cancellation & Refund Policies
+router.get('/cancellation-policies', authMiddleware, requireAdmin, getCancellationPolicies); // ✅ Open
+router.post('/cancellation-policies', authMiddleware, requireAdmin, requireActiveSubscription, createCancellationPolicy); // 🔒
+router.put('/cancellation-policies/:id', authMiddleware, requireAdmin, requireActiveSubscription, updateCancellationPolicy); // 🔒
+router.delete('/cancellation-policies/:id', authMiddleware, requireAdmin, requireActiveSubscription, deleteCancellationPolicy); // 🔒
+
+// Appointment Reminders (offsets + templates)
+router.get('/reminder-rules', authMiddleware, requireAdmin, getReminderRules); // ✅ Open
+router.post('/reminder-rules/preview', authMiddleware, requireAdmin, previewReminderRule); // ✅ Open
+router.post('/reminder-rules', authMiddleware, requireAdmin, requireActiveSubscription, createReminderRule); // 🔒
+router.put('/reminder-rules/:id', authMiddleware, requireAdmin, requireActiveSubscription, updateReminderRule); // 🔒
+router.delete('/reminder-rules/:id', authMiddleware, requireAdmin, requireActiveSubscription, deleteReminderRule); // 🔒
+
 router.get(
   '/doctors/:doctorId/slots',
   authMiddleware,
@@ -176,6 +287,10 @@ router.get(
 // ---------------- Appointments (PARTIALLY RESTRICTED) ----------------
 router.get('/appointments', authMiddleware, requireAdmin, getAppointments); // ✅ Open
 
+router.get('/appointments/:id/cancel-preview', authMiddleware, requireAdmin, getAdminCancellationPreview); // ✅ Open
+router.get('/appointments/:id/refunds', authMiddleware, requireAdmin, getAppointmentRefunds); // ✅ Open
+router.post('/appointments/:id/refund', authMiddleware, requireAdmin, createManualRefund); // ✅ Open (Allow cleanup)
+
 router.patch(
   '/appointments/:id/cancel',
   authMiddleware,
@@ -209,10 +324,14 @@ router.patch(
 // ---------------- Payments (History - OPEN) ----------------
 router.get('/payments', authMiddleware, requireAdmin, getPayments);
 router.get('/payments/summary', authMiddleware, requireAdmin, getPaymentsSummary);
+router.get('/payments/:transactionId/receipt', authMiddleware, requireAdmin, getPaymentReceipt);
+router.get('/appointments/:id/invoice', authMiddleware, requireAdmin, getAppointmentInvoice);
+router.post('/appointments/:id/collect-payment', authMiddleware, requireAdmin, requireActiveSubscription, collectClinicPayment); // 🔒
 router.get(
   "/patients/:userId/history",
   authMiddleware,
   requireAdmin,
+  requireEntitlement('auditLogs'),
   getPatientHistoryDetailed
 );
 
@@ -221,6 +340,7 @@ router.get(
   '/patients/:userId/history',
   authMiddleware,
   requireAdmin,
+  requireEntitlement('auditLogs'),
   getPatientHistory
 );
 
@@ -244,14 +364,20 @@ router.get('/payment-settings', authMiddleware, requireAdmin, getGatewayConfig);
 router.get('/payment-settings/active', authMiddleware, requireAdmin, getActiveGatewayForClinic);
 router.post('/payment-settings', authMiddleware, requireAdmin, updateGatewayConfig);
 
+// ---------------- Tax / GST (OPEN) ----------------
+router.get('/tax-settings', authMiddleware, requireAdmin, getTaxSettings);
+router.put('/tax-settings', authMiddleware, requireAdmin, updateTaxSettings);
+router.get('/gst/summary', authMiddleware, requireAdmin, getGstSummary);
+
 // ---------------- Reviews (OPEN) ----------------
-router.get('/reviews', authMiddleware, requireAdmin, getClinicReviews);
+router.get('/reviews', authMiddleware, requireAdmin, requireEntitlement('reviews'), getClinicReviews);
 
 // ---------------- Audit logs (OPEN) ----------------
 router.get(
   '/audit-logs',
   authMiddleware,
   requireAdminOrSuperAdmin,
+  requireEntitlement('auditLogs'),
   getAuditLogs
 );
 
@@ -278,6 +404,7 @@ router.get(
   authMiddleware,
   requireAdmin,
   requireActiveSubscription, // 🔒 BLOCKED
+  requireEntitlement('exports'),
   exportAppointmentsExcel
 );
 
@@ -286,6 +413,7 @@ router.get(
   authMiddleware,
   requireAdmin,
   requireActiveSubscription, // 🔒 BLOCKED
+  requireEntitlement('exports'),
   exportAppointmentsPdf
 );
 
@@ -297,6 +425,11 @@ router.post(
   requireAdmin,
   upgradeClinicPlan
 );
+router.post('/subscription/cancel-auto-renew', authMiddleware, requireAdmin, cancelClinicAutoRenew);
+router.delete('/subscription/scheduled-change', authMiddleware, requireAdmin, cancelScheduledPlanChange);
+router.post('/subscription/coupon-preview', authMiddleware, requireAdmin, previewPlanCoupon);
+router.get('/usage', authMiddleware, requireAdmin, getUsage);
+router.get('/entitlements', authMiddleware, requireAdmin, getEntitlements);
 
 // Google Rating Refresh (Restrict to prevent spam if expired)
 router.post(
@@ -304,13 +437,15 @@ router.post(
   authMiddleware,
   requireAdmin,
   requireActiveSubscription, // 🔒 BLOCKED
+  requireEntitlement('googleReviews'),
   refreshClinicGoogleRating
 );
 router.post(
   '/appointments/:id/google-calendar-sync', 
   authMiddleware, 
   requireAdmin, 
-  requireActiveSubscription,  // 🔒 Pro only
+  requireActiveSubscription,
+  requireEntitlement('googleCalendarSync'),  // 🔒 Pro only
   googleCalendarSync
 );
 
@@ -329,8 +464,39 @@ router.post(
 //   requireActiveSubscription,  // 🔒 Pro only
 //   googleCalendarResync
 // );
+// ---------------- Coupons (RESTRICTED WRITE) ----------------
+router.get('/coupons', authMiddleware, requireAdmin, getCoupons);
+router.get('/coupons/report', authMiddleware, requireAdmin, getClinicCouponReport);
+router.post('/coupons', authMiddleware, requireAdmin, requireActiveSubscription, createClinicCoupon); // 🔒
+router.put('/coupons/:id', authMiddleware, requireAdmin, requireActiveSubscription, updateClinicCoupon); // 🔒
+router.delete('/coupons/:id', authMiddleware, requireAdmin, requireActiveSubscription, deleteClinicCoupon); // 🔒
+
+// ---------------- Settlements for platform-collected payments (OPEN) ----------------
+router.get('/settlements', authMiddleware, requireAdmin, getClinicSettlements);
+router.get('/settlements/ledger', authMiddleware, requireAdmin, getClinicSettlementLedger);
+router.get('/settlements/:id/statement', authMiddleware, requireAdmin, downloadClinicSettlementStatement);
+
+// ---------------- Payment reconciliation report (OPEN) ----------------
+router.get('/reconciliation', authMiddleware, requireAdmin, getClinicReconciliationItems);
+router.patch('/reconciliation/:id/resolve', authMiddleware, requireAdmin, resolveClinicReconciliationItem);
+
+// ---------------- Patient wallets (OPEN) ----------------
+router.get('/wallets', authMiddleware, requireAdmin, getClinicWallets);
+router.get('/wallets/shortfalls', authMiddleware, requireAdmin, getClinicWalletShortfalls);
+router.get('/wallets/:userId', authMiddleware, requireAdmin, getPatientWalletStatement);
+
+// ---------------- Patient messaging: channels + delivery log (OPEN) ----------------
+router.get('/notification-settings', authMiddleware, requireAdmin, getNotificationSettings);
+router.put('/notification-settings', authMiddleware, requireAdmin, updateNotificationSettings);
+router.get('/notification-deliveries', authMiddleware, requireAdmin, getNotificationDeliveries);
+
+// ---------------- Outbox: appointment emails + calendar syncs (OPEN) ----------------
+router.get('/outbox', authMiddleware, requireAdmin, getOutboxMessages);
+router.post('/outbox/:id/retry', authMiddleware, requireAdmin, retryClinicOutboxMessage);
+
 // ---------------- Notifications (OPEN) ----------------
 router.get('/notifications', authMiddleware, requireAdmin, getNotifications);
+router.get('/notifications/stream', allowQueryToken, authMiddleware, requireAdmin, streamNotifications); // SSE live feed
 router.get('/notifications/unread-count', authMiddleware, requireAdmin, getUnreadCount);
 router.patch('/notifications/mark-all-read', authMiddleware, requireAdmin, markAllRead);
 router.patch('/notifications/mark-read', authMiddleware, requireAdmin, markReadByIds);
@@ -4,7 +4,7 @@ import {
   getDoctorsByClinic,
   getSlotsByDoctor,getDoctorById,getPublicClinicById,getSlotsForUser,getClinicCities,getClinicSpecialities
 } from '../controllers/publicController.js';
-import { registerOrganization,verifyRegistrationPayment } from '../controllers/publicOrganizationController.js';
+import { registerOrganization,verifyRegistrationPayment,previewRegistrationCoupon } from '../controllers/publicOrganizationController.js';
 import {forgotPassword,resetPassword} from '../controllers/authController.js'
 import { listPublicPlans } from '../controllers/publicPlansController.js';
 import { getPlaceIdFromText } from '../controllers/publicGoogleController.js';
@@ -22,6 +22,7 @@ router.get('/clinics/:id', getPublicClinicById);
      router.post('/forgot-password', forgotPassword);
 router.post('/reset-password', resetPassword);
 router.post('/organizations/register', registerOrganization);
+router.post('/organizations/coupon-preview', previewRegistrationCoupon);
 router.get('/plans', listPublicPlans);  
 router.get('/google/place-id', getPlaceIdFromText);
 router.get("/slots", getSlotsForUser);
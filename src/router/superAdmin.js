@@ -31,6 +31,54 @@ import {
   upsertSuperAdminGateway,
   deactivateSuperAdminGateway,
 } from '../controllers/superAdminGatewayController.js';
+import {
+  getPlatformTaxRate,
+  updatePlatformTaxRate,
+  getPlatformGstSummary,
+} from '../controllers/superAdminTaxController.js';
+import {
+  getEntitlementCatalogue,
+  getPlanEntitlements,
+  updatePlanEntitlements,
+  getClinicEntitlementOverrides,
+  updateClinicEntitlementOverrides,
+} from '../controllers/superAdminEntitlementController.js';
+import {
+  getPlanCoupons,
+  createPlanCoupon,
+  updatePlanCoupon,
+  deletePlanCoupon,
+  getCouponRedemptionReport,
+} from '../controllers/superAdminCouponController.js';
+import {
+  getPlatformSettlementLedger,
+  generateSettlements,
+  getSettlementBatches,
+  paySettlementBatch,
+  downloadPlatformSettlementStatement,
+} from '../controllers/superAdminSettlementController.js';
+import {
+  getWebhookEvents,
+  getWebhookEvent,
+  replayWebhookEvent,
+} from '../controllers/superAdminWebhookController.js';
+import {
+  runPaymentReconciliation,
+  getReconciliationRuns,
+  getPlatformReconciliationItems,
+  resolvePlatformReconciliationItem,
+} from '../controllers/superAdminReconciliationController.js';
+import {
+  getJobs,
+  getJobSummary,
+  getJob,
+  retryJobRun,
+} from '../controllers/superAdminJobController.js';
+import {
+  getOutboxMessages,
+  getOutboxSummary,
+  retryOutboxMessageRun,
+} from '../controllers/superAdminOutboxController.js';
 
 const router = Router();
 
@@ -109,4 +157,52 @@ router.post('/gateway/razorpay', authMiddleware, requireSuperAdmin, upsertSuperA
 router.delete('/gateway/razorpay', authMiddleware, requireSuperAdmin, deactivateSuperAdminGateway);
 router.get('/revenue',authMiddleware,  requireSuperAdmin,getPlatformRevenue);
 
+// GST on plan billing
+router.get('/tax-rate', authMiddleware, requireSuperAdmin, getPlatformTaxRate);
+router.put('/tax-rate', authMiddleware, requireSuperAdmin, updatePlatformTaxRate);
+router.get('/gst/summary', authMiddleware, requireSuperAdmin, getPlatformGstSummary);
+
+// Entitlements (plan feature values + per-clinic overrides)
+router.get('/entitlements/catalogue', authMiddleware, requireSuperAdmin, getEntitlementCatalogue);
+router.get('/plans/:id/entitlements', authMiddleware, requireSuperAdmin, getPlanEntitlements);
+router.put('/plans/:id/entitlements', authMiddleware, requireSuperAdmin, updatePlanEntitlements);
+router.get('/clinics/:id/entitlements', authMiddleware, requireSuperAdmin, getClinicEntitlementOverrides);
+router.put('/clinics/:id/entitlements', authMiddleware, requireSuperAdmin, updateClinicEntitlementOverrides);
+
+// Promo codes for plans (+ redemption reporting across clinics)
+router.get('/coupons', authMiddleware, requireSuperAdmin, getPlanCoupons);
+router.get('/coupons/report', authMiddleware, requireSuperAdmin, getCouponRedemptionReport);
+router.post('/coupons', authMiddleware, requireSuperAdmin, createPlanCoupon);
+router.put('/coupons/:id', authMiddleware, requireSuperAdmin, updatePlanCoupon);
+router.delete('/coupons/:id', authMiddleware, requireSuperAdmin, deletePlanCoupon);
+
+// Clinic settlements for bookings collected through the platform gateway
+router.get('/settlements', authMiddleware, requireSuperAdmin, getSettlementBatches);
+router.get('/settlements/ledger', authMiddleware, requireSuperAdmin, getPlatformSettlementLedger);
+router.post('/settlements/generate', authMiddleware, requireSuperAdmin, generateSettlements);
+router.patch('/settlements/:id/pay', authMiddleware, requireSuperAdmin, paySettlementBatch);
+router.get('/settlements/:id/statement', authMiddleware, requireSuperAdmin, downloadPlatformSettlementStatement);
+
+// Stored gateway webhooks (debug missed payments, replay failures)
+router.get('/webhooks/events', authMiddleware, requireSuperAdmin, getWebhookEvents);
+router.get('/webhooks/events/:id', authMiddleware, requireSuperAdmin, getWebhookEvent);
+router.post('/webhooks/events/:id/replay', authMiddleware, requireSuperAdmin, replayWebhookEvent);
+
+// Payment reconciliation against gateway records
+router.post('/reconciliation/run', authMiddleware, requireSuperAdmin, runPaymentReconciliation);
+router.get('/reconciliation/runs', authMiddleware, requireSuperAdmin, getReconciliationRuns);
+router.get('/reconciliation/items', authMiddleware, requireSuperAdmin, getPlatformReconciliationItems);
+router.patch('/reconciliation/items/:id/resolve', authMiddleware, requireSuperAdmin, resolvePlatformReconciliationItem);
+
+// Background job queue (cron runs, retries, dead letters)
+router.get('/jobs', authMiddleware, requireSuperAdmin, getJobs);
+router.get('/jobs/summary', authMiddleware, requireSuperAdmin, getJobSummary);
+router.get('/jobs/:id', authMiddleware, requireSuperAdmin, getJob);
+router.post('/jobs/:id/retry', authMiddleware, requireSuperAdmin, retryJobRun);
+
+// Appointment email / calendar outbox (stuck messages per clinic)
+router.get('/outbox', authMiddleware, requireSuperAdmin, getOutboxMessages);
+router.get('/outbox/summary', authMiddleware, requireSuperAdmin, getOutboxSummary);
+router.post('/outbox/:id/retry', authMiddleware, requireSuperAdmin, retryOutboxMessageRun);
+
 export default router;
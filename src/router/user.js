@@ -8,17 +8,22 @@ import {
   updateUserProfile,
   getUserAppointmentHistory,
   cancelUserAppointment,
+  getCancellationPreview,
   rescheduleAppointment,getSlotsForUser
    // ✅ add this export from userController.js
 } from "../controllers/userController.js";
 
 import { createReview, getDoctorReviews } from "../controllers/reviewController.js";
+import { joinWaitlist, getMyWaitlist, leaveWaitlist } from "../controllers/waitlistController.js";
+import { getMyAppointmentInvoice } from "../controllers/invoiceController.js";
+import { getMyWallets, getMyWalletStatement } from "../controllers/walletController.js";
 import { authMiddleware, requireUser } from "../middleware/auth.js";
 
 import {
   createBooking,
   verifyPayment,
   verifyStripePayment,
+  previewBookingCoupon,
 } from "../controllers/bookingController.js";
 
 const router = Router();
@@ -38,10 +43,21 @@ router.patch("/profile", authMiddleware, requireUser, updateUserProfile);
 router.post("/appointments", authMiddleware, requireUser, bookAppointment);
 router.get("/appointments", authMiddleware, requireUser, getUserAppointments);
 router.get("/history", authMiddleware, requireUser, getUserAppointmentHistory);
+router.get("/appointments/:id/cancel-preview", authMiddleware, requireUser, getCancellationPreview);
 router.post("/appointments/:id/cancel", authMiddleware, requireUser, cancelUserAppointment);
+router.get("/appointments/:id/invoice", authMiddleware, requireUser, getMyAppointmentInvoice);
 
 router.patch("/appointments/:id/reschedule", authMiddleware, requireUser, rescheduleAppointment);
 
+// Waitlist (fully booked doctors)
+router.post("/waitlist", authMiddleware, requireUser, joinWaitlist);
+router.get("/waitlist", authMiddleware, requireUser, getMyWaitlist);
+router.delete("/waitlist/:id", authMiddleware, requireUser, leaveWaitlist);
+
+// Wallet (clinic credit from refunds / reschedule differences)
+router.get("/wallets", authMiddleware, requireUser, getMyWallets);
+router.get("/wallets/:clinicId", authMiddleware, requireUser, getMyWalletStatement);
+
 // Reviews
 router.post("/reviews", authMiddleware, requireUser, createReview);
 router.get("/doctors/:doctorId/reviews", getDoctorReviews);
@@ -50,6 +66,7 @@ router.get("/doctors/:doctorId/reviews", getDoctorReviews);
 router.post("/book-appointment", authMiddleware, requireUser, createBooking);
 router.post("/verify-payment", authMiddleware, requireUser, verifyPayment);
 router.post("/verify-stripe-payment", authMiddleware, requireUser, verifyStripePayment);
+router.post("/coupons/preview", authMiddleware, requireUser, previewBookingCoupon);
 
 router.get("/slots", getSlotsForUser,authMiddleware,requireUser);
 export default router;
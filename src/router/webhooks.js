@@ -1,5 +1,8 @@
 import express from 'express';
-import { razorpayWebhook, stripeWebhook } from '../controllers/paymentWebhook.js';
+import { razorpayWebhook, stripeWebhook, mockWebhook, simulateMockPayment } from '../controllers/paymentWebhook.js';
+import { twilioStatusWebhook } from '../controllers/notificationWebhook.js';
+import { MOCK_PAYMENTS_ENABLED } from '../services/paymentProviders/index.js';
+import { authMiddleware, requireAdminOrSuperAdmin } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -19,4 +22,18 @@ router.post(
   razorpayWebhook
 );
 
+// 3. MOCK: offline gateway for development and tests, mounted only with
+// ENABLE_MOCK_PAYMENTS=true (deliveries signed with MOCK_WEBHOOK_SECRET)
+if (MOCK_PAYMENTS_ENABLED) {
+  router.post('/mock', express.json(), mockWebhook);
+  router.post('/mock/simulate', express.json(), authMiddleware, requireAdminOrSuperAdmin, simulateMockPayment);
+}
+
+// 4. TWILIO: SMS / WhatsApp delivery status (form encoded)
+router.post(
+  '/notifications/twilio',
+  express.urlencoded({ extended: false }),
+  twilioStatusWebhook
+);
+
 export default router;
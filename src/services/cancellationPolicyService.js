@@ -0,0 +1,180 @@
+import prisma from '../prisma.js';
+import { round2 } from '../utils/money.js';
+
+// Used when a clinic has not configured anything – mirrors the old hardcoded
+// rules: 24h notice, full refund, nothing back on rescheduled bookings.
+export const DEFAULT_POLICY = {
+  id: null,
+  name: 'Default',
+  minNoticeHours: 24,
+  refundTiers: [{ minHoursBefore: 0, refundPercent: 100 }],
+  cancellationFee: 0,
+  refundRescheduled: false,
+};
+
+const formatINR = (n) => `₹${round2(n).toFixed(2).replace(/\.00$/, '')}`;
+
+// Slot start as an absolute instant (slot.time is IST wall clock)
+export const getSlotStart = (slot) => {
+  const istDate = new Date(slot.date).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+  return new Date(`${istDate}T${slot.time || '00:00'}:00+05:30`);
+};
+
+export const isRescheduledBooking = (appointment) =>
+  (appointment.rescheduleCount || 0) > 0 || (appointment.adminNote || '').includes('RESCHEDULED');
+
+// ----------------------------------------------------------------
+// TIER VALIDATION (admin input) – returns sorted tiers or throws
+// ----------------------------------------------------------------
+export const normaliseRefundTiers = (tiers) => {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    throw { statusCode: 400, message: 'refundTiers must be a non-empty array' };
+  }
+
+  const cleaned = tiers.map((t) => ({
+    minHoursBefore: Number(t?.minHoursBefore),
+    refundPercent: Number(t?.refundPercent),
+  }));
+
+  for (const t of cleaned) {
+    if (!Number.isFinite(t.minHoursBefore) || t.minHoursBefore < 0) {
+      throw { statusCode: 400, message: 'Each tier needs minHoursBefore >= 0' };
+    }
+    if (!Number.isInteger(t.refundPercent) || t.refundPercent < 0 || t.refundPercent > 100) {
+      throw { statusCode: 400, message: 'Each tier needs a whole refundPercent between 0 and 100' };
+    }
+  }
+
+  const hours = cleaned.map((t) => t.minHoursBefore);
+  if (new Set(hours).size !== hours.length) {
+    throw { statusCode: 400, message: 'Tiers must have distinct minHoursBefore values' };
+  }
+
+  return cleaned.sort((a, b) => b.minHoursBefore - a.minHoursBefore);
+};
+
+// ----------------------------------------------------------------
+// RESOLVE: doctor + payment mode > doctor > payment mode > clinic-wide
+// ----------------------------------------------------------------
+export const resolvePolicy = async ({ clinicId, doctorId, paymentMode }, client = prisma) => {
+  const candidates = await client.cancellationPolicy.findMany({
+    where: {
+      clinicId,
+      isActive: true,
+      deletedAt: null,
+      AND: [
+        { OR: [{ doctorId: doctorId || null }, { doctorId: null }] },
+        { OR: [{ paymentMode: paymentMode || null }, { paymentMode: null }] },
+      ],
+    },
+    orderBy: { updatedAt: 'desc' },
+  });
+
+  if (!candidates.length) return DEFAULT_POLICY;
+
+  const score = (p) => (p.doctorId ? 2 : 0) + (p.paymentMode ? 1 : 0);
+  return candidates.reduce((best, p) => (score(p) > score(best) ? p : best));
+};
+
+// ----------------------------------------------------------------
+// EVALUATE: what happens if this appointment is cancelled at `at`?
+// initiatedBy: 'USER' (patient, or admin acting for them) | 'CLINIC'
+// ----------------------------------------------------------------
+export const evaluateCancellation = ({ appointment, policy = DEFAULT_POLICY, initiatedBy = 'USER', at = new Date() }) => {
+  const hoursBefore = (getSlotStart(appointment.slot).getTime() - new Date(at).getTime()) / (1000 * 60 * 60);
+  const minNoticeHours = policy.minNoticeHours ?? DEFAULT_POLICY.minNoticeHours;
+  const canSelfCancel = hoursBefore >= minNoticeHours;
+  const isRescheduled = isRescheduledBooking(appointment);
+  const paidAmount = appointment.paymentStatus === 'PAID' ? Number(appointment.amount || 0) : 0;
+
+  let refundPercent = 0;
+  let cancellationFee = 0;
+  let tier = null;
+  let reason;
+
+  if (paidAmount <= 0) {
+    reason = 'NOT_PAID';
+  } else if (isRescheduled && !policy.refundRescheduled) {
+    reason = 'RESCHEDULED';
+  } else if (initiatedBy === 'CLINIC') {
+    // Clinic-side cancellations are never the patient's fault
+    refundPercent = 100;
+    reason = 'CLINIC_CANCELLED';
+  } else {
+    const tiers = Array.isArray(policy.refundTiers) ? policy.refundTiers : DEFAULT_POLICY.refundTiers;
+    tier = [...tiers]
+      .sort((a, b) => b.minHoursBefore - a.minHoursBefore)
+      .find((t) => hoursBefore >= Number(t.minHoursBefore)) || null;
+    refundPercent = tier ? Number(tier.refundPercent) : 0;
+    cancellationFee = refundPercent > 0 ? Number(policy.cancellationFee || 0) : 0;
+    reason = refundPercent > 0 ? 'POLICY_TIER' : 'OUTSIDE_REFUND_WINDOW';
+  }
+
+  const gross = round2((paidAmount * refundPercent) / 100);
+  cancellationFee = round2(Math.min(cancellationFee, gross));
+  const refundAmount = round2(gross - cancellationFee);
+
+  const outcome = {
+    policyId: policy.id || null,
+    policyName: policy.name || null,
+    hoursBefore: Math.round(hoursBefore * 10) / 10,
+    minNoticeHours,
+    canSelfCancel,
+    isRescheduled,
+    paidAmount,
+    refundPercent,
+    cancellationFee,
+    refundAmount,
+    tier,
+    reason,
+  };
+  outcome.message = describeOutcome(outcome, initiatedBy);
+  return outcome;
+};
+
+export const describeOutcome = (outcome, initiatedBy = 'USER') => {
+  const { canSelfCancel, minNoticeHours, reason, refundAmount, refundPercent, paidAmount, cancellationFee } = outcome;
+
+  if (initiatedBy === 'USER' && !canSelfCancel) {
+    return `Cancellations need at least ${minNoticeHours} hours notice. Please call the clinic.`;
+  }
+  if (reason === 'NOT_PAID') return 'No online payment was made, so there is nothing to refund.';
+  if (reason === 'RESCHEDULED') {
+    return 'Online refund is not applicable for rescheduled appointments. Please contact clinic.';
+  }
+  if (refundAmount > 0) {
+    return `You will be refunded ${formatINR(refundAmount)} (${refundPercent}% of ${formatINR(paidAmount)}` +
+      (cancellationFee > 0 ? ` less ${formatINR(cancellationFee)} cancellation fee)` : ')') + '.';
+  }
+  return 'This cancellation is not eligible for a refund.';
+};
+
+// Re-apply the refund quoted on a CancellationRequest (policy may have changed since)
+export const applyQuotedRefund = (outcome, request) => {
+  if (request?.refundPercent == null) return outcome;
+
+  const quoted = {
+    ...outcome,
+    policyId: request.policyId,
+    refundPercent: request.refundPercent,
+    refundAmount: Number(request.refundAmount || 0),
+    cancellationFee: Number(request.cancellationFee || 0),
+  };
+  if (quoted.paidAmount > 0) {
+    if (quoted.refundAmount > 0) quoted.reason = 'POLICY_TIER';
+    else quoted.reason = quoted.isRescheduled ? 'RESCHEDULED' : 'OUTSIDE_REFUND_WINDOW';
+  }
+  // The notice window was already checked when the request was raised
+  quoted.message = describeOutcome(quoted, 'CLINIC');
+  return quoted;
+};
+
+// Convenience: resolve + evaluate for an appointment that includes its slot
+export const getCancellationOutcome = async (appointment, options = {}) => {
+  const policy = await resolvePolicy({
+    clinicId: appointment.clinicId,
+    doctorId: appointment.doctorId,
+    paymentMode: appointment.slot?.paymentMode,
+  });
+  return evaluateCancellation({ appointment, policy, ...options });
+};
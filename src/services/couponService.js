@@ -0,0 +1,360 @@
+import prisma from '../prisma.js';
+import { round2 } from '../utils/money.js';
+
+export const COUPON_SCOPES = ['APPOINTMENT', 'PLAN'];
+export const DISCOUNT_TYPES = ['PERCENT', 'FLAT', 'TRIAL_DAYS'];
+
+// A checkout left unpaid this long no longer holds a use of the coupon.
+// Appointment holds are voided sooner by the cleanup cron; a late payment
+// still confirms the redemption (see confirmCouponRedemption).
+const PENDING_HOLD_MS = Number(process.env.COUPON_HOLD_HOURS || 24) * 60 * 60 * 1000;
+
+// Redemptions that use up a coupon's limits
+const liveRedemptionWhere = (now = new Date()) => ({
+  OR: [
+    { status: 'REDEEMED' },
+    { status: 'PENDING', createdAt: { gte: new Date(now.getTime() - PENDING_HOLD_MS) } },
+  ],
+});
+
+export const normaliseCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+const toDateOrNull = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw { statusCode: 400, message: `${field} must be a valid date` };
+  return d;
+};
+
+const toNumberOrNull = (value, field, { integer = false } = {}) => {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0 || (integer && !Number.isInteger(n))) {
+    throw { statusCode: 400, message: `${field} must be a ${integer ? 'whole number' : 'number'} ≥ 0` };
+  }
+  return n;
+};
+
+// ----------------------------------------------------------------
+// INPUT: create/update body → Coupon data (throws 400)
+// `partial` skips required fields on update.
+// ----------------------------------------------------------------
+export const normaliseCouponInput = (body = {}, { scope, partial = false } = {}) => {
+  const data = {};
+
+  if (body.code !== undefined || !partial) {
+    const code = normaliseCouponCode(body.code);
+    if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+      throw { statusCode: 400, message: 'code must be 3-32 letters, digits, - or _' };
+    }
+    data.code = code;
+  }
+
+  if (body.discountType !== undefined || !partial) {
+    const type = String(body.discountType || '').toUpperCase();
+    if (!DISCOUNT_TYPES.includes(type)) {
+      throw { statusCode: 400, message: `discountType must be one of ${DISCOUNT_TYPES.join(', ')}` };
+    }
+    if (type === 'TRIAL_DAYS' && scope !== 'PLAN') {
+      throw { statusCode: 400, message: 'TRIAL_DAYS coupons are only available for plans' };
+    }
+    data.discountType = type;
+  }
+
+  if (body.discountValue !== undefined || !partial) {
+    const value = toNumberOrNull(body.discountValue, 'discountValue');
+    if (!value) throw { statusCode: 400, message: 'discountValue must be greater than 0' };
+    if (data.discountType === 'PERCENT' && value > 100) {
+      throw { statusCode: 400, message: 'A percentage discount cannot exceed 100' };
+    }
+    data.discountValue = value;
+  }
+
+  if (body.description !== undefined) data.description = body.description || null;
+  if (body.maxDiscount !== undefined) data.maxDiscount = toNumberOrNull(body.maxDiscount, 'maxDiscount');
+  if (body.minAmount !== undefined) data.minAmount = toNumberOrNull(body.minAmount, 'minAmount');
+  if (body.maxRedemptions !== undefined) {
+    data.maxRedemptions = toNumberOrNull(body.maxRedemptions, 'maxRedemptions', { integer: true });
+  }
+  if (body.perUserLimit !== undefined) {
+    data.perUserLimit = toNumberOrNull(body.perUserLimit, 'perUserLimit', { integer: true });
+  }
+  if (body.validFrom !== undefined) data.validFrom = toDateOrNull(body.validFrom, 'validFrom');
+  if (body.validUntil !== undefined) data.validUntil = toDateOrNull(body.validUntil, 'validUntil');
+  if (body.isActive !== undefined) data.isActive = Boolean(body.isActive);
+
+  if (scope === 'APPOINTMENT') {
+    if (body.doctorIds !== undefined) {
+      if (!Array.isArray(body.doctorIds)) throw { statusCode: 400, message: 'doctorIds must be an array' };
+      data.doctorIds = [...new Set(body.doctorIds.map(String))];
+    }
+    if (body.appointmentFrom !== undefined) data.appointmentFrom = toDateOrNull(body.appointmentFrom, 'appointmentFrom');
+    if (body.appointmentTo !== undefined) data.appointmentTo = toDateOrNull(body.appointmentTo, 'appointmentTo');
+  } else if (body.planIds !== undefined) {
+    if (!Array.isArray(body.planIds)) throw { statusCode: 400, message: 'planIds must be an array' };
+    data.planIds = [...new Set(body.planIds.map(String))];
+  }
+
+  if (data.validFrom && data.validUntil && data.validFrom > data.validUntil) {
+    throw { statusCode: 400, message: 'validFrom must be before validUntil' };
+  }
+  if (data.appointmentFrom && data.appointmentTo && data.appointmentFrom > data.appointmentTo) {
+    throw { statusCode: 400, message: 'appointmentFrom must be before appointmentTo' };
+  }
+  return data;
+};
+
+// Amount taken off `amount` (never more than the amount itself)
+export const computeCouponDiscount = (coupon, amount) => {
+  const base = Number(amount || 0);
+  if (coupon.discountType === 'TRIAL_DAYS' || base <= 0) return 0;
+
+  let discount = coupon.discountType === 'PERCENT'
+    ? (base * Number(coupon.discountValue)) / 100
+    : Number(coupon.discountValue);
+
+  if (coupon.maxDiscount !== null && coupon.maxDiscount !== undefined) {
+    discount = Math.min(discount, Number(coupon.maxDiscount));
+  }
+  return round2(Math.min(discount, base));
+};
+
+// ---------------- Helper: maxRedemptions / perUserLimit still allow one more use ----------------
+// `redeemer` is the patient (APPOINTMENT) or clinic (PLAN) that the
+// per-user limit applies to; their checkouts still awaiting payment
+// count towards it, so parallel holds cannot exceed the limit.
+const assertCouponLimits = async (coupon, { clinicId = null, userId = null }, client, now = new Date()) => {
+  const redeemer = coupon.scope === 'APPOINTMENT' ? { userId } : { clinicId };
+  const hasRedeemer = Boolean(Object.values(redeemer)[0]); // no clinic yet at registration
+  const live = liveRedemptionWhere(now);
+
+  if (coupon.maxRedemptions !== null) {
+    const used = await client.couponRedemption.count({
+      where: { couponId: coupon.id, ...live },
+    });
+    if (used >= coupon.maxRedemptions) throw { statusCode: 400, message: 'This coupon has been fully redeemed' };
+  }
+
+  if (coupon.perUserLimit !== null && hasRedeemer) {
+    const usedByRedeemer = await client.couponRedemption.count({
+      where: { couponId: coupon.id, ...redeemer, ...live },
+    });
+    if (usedByRedeemer >= coupon.perUserLimit) {
+      throw { statusCode: 400, message: 'You have already used this coupon (or a payment with it is still pending)' };
+    }
+  }
+};
+
+// ----------------------------------------------------------------
+// QUOTE: look up a code and check every rule for this use.
+// The limits are checked again when the redemption is recorded.
+// Returns { coupon, amountBefore, discount, netAmount, trialDays }.
+// ----------------------------------------------------------------
+export const quoteCoupon = async ({
+  code, scope, clinicId = null, userId = null, doctorId = null, appointmentDate = null, planId = null, amount = 0,
+}, client = prisma) => {
+  const normalised = normaliseCouponCode(code);
+  if (!normalised) throw { statusCode: 400, message: 'Coupon code is required' };
+
+  const coupon = await client.coupon.findFirst({
+    where: {
+      code: normalised,
+      scope,
+      deletedAt: null,
+      ...(scope === 'APPOINTMENT' ? { clinicId } : { clinicId: null }),
+    },
+  });
+  if (!coupon || !coupon.isActive) throw { statusCode: 404, message: 'Invalid coupon code' };
+
+  const now = new Date();
+  if (coupon.validFrom && now < coupon.validFrom) throw { statusCode: 400, message: 'This coupon is not active yet' };
+  if (coupon.validUntil && now > coupon.validUntil) throw { statusCode: 400, message: 'This coupon has expired' };
+
+  if (scope === 'APPOINTMENT') {
+    if (coupon.doctorIds.length && !coupon.doctorIds.includes(doctorId)) {
+      throw { statusCode: 400, message: 'This coupon does not apply to this doctor' };
+    }
+    const date = appointmentDate ? new Date(appointmentDate) : null;
+    if (date && ((coupon.appointmentFrom && date < coupon.appointmentFrom) || (coupon.appointmentTo && date > coupon.appointmentTo))) {
+      throw { statusCode: 400, message: 'This coupon is not valid for the selected date' };
+    }
+  } else if (coupon.planIds.length && !coupon.planIds.includes(planId)) {
+    throw { statusCode: 400, message: 'This coupon does not apply to the selected plan' };
+  }
+
+  const amountBefore = round2(Number(amount || 0));
+  if (coupon.minAmount !== null && amountBefore < Number(coupon.minAmount)) {
+    throw { statusCode: 400, message: `This coupon needs a minimum amount of ₹${Number(coupon.minAmount)}` };
+  }
+  if (coupon.discountType !== 'TRIAL_DAYS' && amountBefore <= 0) {
+    throw { statusCode: 400, message: 'Nothing to discount – this is already free' };
+  }
+
+  await assertCouponLimits(coupon, { clinicId, userId }, client, now);
+
+  const discount = computeCouponDiscount(coupon, amountBefore);
+  return {
+    coupon,
+    amountBefore,
+    discount,
+    netAmount: round2(amountBefore - discount),
+    trialDays: coupon.discountType === 'TRIAL_DAYS' ? Number(coupon.discountValue) : 0,
+  };
+};
+
+// What the API shows for a quote
+export const toCouponSummary = (quote) => quote && ({
+  code: quote.coupon.code,
+  description: quote.coupon.description,
+  discountType: quote.coupon.discountType,
+  amountBefore: quote.amountBefore,
+  discount: quote.discount,
+  netAmount: quote.netAmount,
+  trialDays: quote.trialDays || undefined,
+});
+
+// ----------------------------------------------------------------
+// REDEMPTION ROWS
+// Pass the checkout's transaction: the coupon row stays locked until it
+// commits and the limits are checked again under that lock, so parallel
+// checkouts cannot both take the last use (throws 400 like the quote).
+// ----------------------------------------------------------------
+export const recordCouponRedemption = async (args, client = prisma) => {
+  if (client === prisma) return prisma.$transaction((tx) => recordCouponRedemption(args, tx));
+
+  const {
+    quote, clinicId, userId = null, appointmentId = null, subscriptionId = null, orderRef = null, status = 'PENDING',
+  } = args;
+
+  await client.$queryRaw`SELECT id FROM "public"."coupons" WHERE id = ${quote.coupon.id} FOR UPDATE`;
+  await assertCouponLimits(quote.coupon, { clinicId, userId }, client);
+
+  return client.couponRedemption.create({
+    data: {
+      couponId: quote.coupon.id,
+      clinicId,
+      userId,
+      appointmentId,
+      subscriptionId,
+      orderRef,
+      amountBefore: quote.amountBefore,
+      discountAmount: quote.discount,
+      trialDaysAdded: quote.trialDays || null,
+      status,
+    },
+  });
+};
+
+// Gateway order paid → the discount is final, even when the hold had
+// already lapsed and given the use back (the patient did pay with it)
+export const confirmCouponRedemption = async (orderRef, client = prisma) => {
+  if (!orderRef) return 0;
+  const { count } = await client.couponRedemption.updateMany({
+    where: { orderRef, status: { in: ['PENDING', 'VOID'] } },
+    data: { status: 'REDEEMED' },
+  });
+  return count;
+};
+
+// Hold expired / booking thrown away → give the use back
+export const voidCouponRedemptions = async ({ appointmentIds = [], orderRef = null }, client = prisma) => {
+  const or = [];
+  if (appointmentIds.length) or.push({ appointmentId: { in: appointmentIds } });
+  if (orderRef) or.push({ orderRef });
+  if (!or.length) return 0;
+
+  const { count } = await client.couponRedemption.updateMany({
+    where: { status: 'PENDING', OR: or },
+    data: { status: 'VOID' },
+  });
+  return count;
+};
+
+// ----------------------------------------------------------------
+// REPORT: uses + discount given per coupon (REDEEMED only counts as given)
+// ----------------------------------------------------------------
+export const getCouponReport = async (where, client = prisma) => {
+  const coupons = await client.coupon.findMany({
+    where: { deletedAt: null, ...where },
+    orderBy: { createdAt: 'desc' },
+  });
+  if (!coupons.length) return { coupons: [], totals: { redeemed: 0, pending: 0, discount: 0 } };
+
+  const grouped = await client.couponRedemption.groupBy({
+    by: ['couponId', 'status'],
+    where: { couponId: { in: coupons.map((c) => c.id) } },
+    _count: { _all: true },
+    _sum: { discountAmount: true, amountBefore: true, trialDaysAdded: true },
+  });
+
+  const totals = { redeemed: 0, pending: 0, discount: 0 };
+  const rows = coupons.map((c) => {
+    const stats = { redeemed: 0, pending: 0, voided: 0, discount: 0, grossAmount: 0, trialDaysAdded: 0 };
+    for (const g of grouped.filter((g) => g.couponId === c.id)) {
+      if (g.status === 'REDEEMED') {
+        stats.redeemed = g._count._all;
+        stats.discount = round2(Number(g._sum.discountAmount || 0));
+        stats.grossAmount = round2(Number(g._sum.amountBefore || 0));
+        stats.trialDaysAdded = g._sum.trialDaysAdded || 0;
+      } else if (g.status === 'PENDING') {
+        stats.pending = g._count._all;
+      } else {
+        stats.voided = g._count._all;
+      }
+    }
+    totals.redeemed += stats.redeemed;
+    totals.pending += stats.pending;
+    totals.discount = round2(totals.discount + stats.discount);
+
+    return {
+      id: c.id,
+      code: c.code,
+      discountType: c.discountType,
+      discountValue: Number(c.discountValue),
+      isActive: c.isActive,
+      validUntil: c.validUntil,
+      maxRedemptions: c.maxRedemptions,
+      remaining: c.maxRedemptions === null ? null : Math.max(c.maxRedemptions - stats.redeemed - stats.pending, 0),
+      ...stats,
+    };
+  });
+
+  return { coupons: rows, totals };
+};
+
+// ----------------------------------------------------------------
+// CRUD shared by the clinic admin (APPOINTMENT) and super admin (PLAN)
+// ----------------------------------------------------------------
+// Codes are unique per owner (clinic, or the platform) among live coupons
+const assertCodeFree = async ({ code, scope, clinicId, exceptId = null }) => {
+  const clash = await prisma.coupon.findFirst({
+    where: { code, scope, clinicId, deletedAt: null, ...(exceptId ? { NOT: { id: exceptId } } : {}) },
+    select: { id: true },
+  });
+  if (clash) throw { statusCode: 409, message: `Coupon ${code} already exists` };
+};
+
+export const createCoupon = async ({ scope, clinicId = null, createdById = null, body }) => {
+  const data = normaliseCouponInput(body, { scope });
+  await assertCodeFree({ code: data.code, scope, clinicId });
+  return prisma.coupon.create({ data: { ...data, scope, clinicId, createdById } });
+};
+
+export const updateCoupon = async ({ id, scope, clinicId = null, body }) => {
+  const existing = await prisma.coupon.findFirst({ where: { id, scope, clinicId, deletedAt: null } });
+  if (!existing) throw { statusCode: 404, message: 'Coupon not found' };
+
+  const data = normaliseCouponInput(
+    { discountType: existing.discountType, ...body },
+    { scope, partial: true }
+  );
+  if (data.code && data.code !== existing.code) await assertCodeFree({ code: data.code, scope, clinicId, exceptId: id });
+  return prisma.coupon.update({ where: { id }, data });
+};
+
+// Soft delete – redemptions keep pointing at it for reporting
+export const deleteCoupon = async ({ id, scope, clinicId = null }) => {
+  const existing = await prisma.coupon.findFirst({ where: { id, scope, clinicId, deletedAt: null } });
+  if (!existing) throw { statusCode: 404, message: 'Coupon not found' };
+  return prisma.coupon.update({ where: { id }, data: { deletedAt: new Date(), isActive: false } });
+};
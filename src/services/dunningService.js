@@ -0,0 +1,232 @@
+import prisma from '../prisma.js';
+import { sendEmail1 } from './reminderService.js';
+import { getPlanTax, toTaxFields } from './taxService.js';
+import { buildPlanActivation } from './planChangeService.js';
+import { GRACE_DAYS, getGraceEndsAt, getPlatformClient } from './subscriptionBillingService.js';
+import { alreadySentEmail, markEmailSent, buildTemplate } from '../utils/subscriptionEmails.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Days after the missed renewal (pastDueSince) on which a fresh payment link
+// is issued and emailed. Only days inside the grace period are used.
+export const DUNNING_RETRY_DAYS = (process.env.DUNNING_RETRY_DAYS || '0,3,5')
+  .split(',')
+  .map(Number)
+  .filter((d) => Number.isFinite(d) && d >= 0 && d < GRACE_DAYS)
+  .sort((a, b) => a - b);
+
+// Days after the grace period (status EXPIRED) before the clinic is suspended
+export const SUSPEND_AFTER_DAYS = Number(process.env.DUNNING_SUSPEND_AFTER_DAYS || 0);
+
+// ---------------- Helper: Razorpay payment link for the renewal ----------------
+// Auto-renewing subscriptions are retried by the gateway itself – no link.
+const issuePaymentLink = async (sub, admin, graceEndsAt) => {
+  if (sub.autoRenew) return null;
+
+  const planTax = await getPlanTax({ plan: sub.plan, clinic: sub.clinic });
+  if (planTax.total <= 0) return null;
+
+  const { client } = await getPlatformClient('RAZORPAY');
+
+  // Only the latest link should be payable
+  if (sub.dunningLinkId) {
+    await client.paymentLink.cancel(sub.dunningLinkId).catch(() => {}); // already paid / expired
+  }
+
+  const link = await client.paymentLink.create({
+    amount: Math.round(planTax.total * 100),
+    currency: 'INR',
+    description: `${sub.plan.name} renewal – ${sub.clinic.name}`,
+    customer: { name: sub.clinic.name, email: admin?.email || undefined },
+    notify: { email: true },
+    reminder_enable: true,
+    expire_by: Math.floor(graceEndsAt.getTime() / 1000),
+    callback_url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/admin/subscription?billing=success`,
+    callback_method: 'get',
+    notes: { type: 'PLAN_RENEWAL', clinicId: sub.clinicId, subscriptionId: sub.id, planId: sub.planId },
+  });
+
+  await prisma.subscription.update({
+    where: { id: sub.id },
+    data: { dunningLinkId: link.id, dunningLinkUrl: link.short_url },
+  });
+  sub.dunningLinkUrl = link.short_url;
+  return link.short_url;
+};
+
+// Latest charge attempt on the subscription was reported as failed
+const hasFailedCharge = async (sub) => {
+  const last = await prisma.subscriptionPayment.findFirst({
+    where: { subscriptionId: sub.id },
+    orderBy: { createdAt: 'desc' },
+    select: { status: true },
+  });
+  return last?.status === 'FAILED';
+};
+
+// ----------------------------------------------------------------
+// ONE SUBSCRIPTION: retry links + escalating emails while PAST_DUE,
+// suspension once the grace period has run out.
+// Emails are deduped per missed renewal (key includes pastDueSince).
+// ----------------------------------------------------------------
+const processSubscription = async (sub, now) => {
+  const admin = await prisma.user.findFirst({
+    where: { clinicId: sub.clinicId, role: 'ADMIN', deletedAt: null },
+    select: { id: true, email: true, name: true },
+  });
+
+  const graceEndsAt = getGraceEndsAt(sub);
+  const pastDueISO = new Date(sub.pastDueSince).toISOString();
+  const graceISO = graceEndsAt.toISOString().slice(0, 10);
+
+  const sendStage = async (stage, type, withLink = false) => {
+    if (!admin?.email) return false;
+
+    const key = `${stage}:${sub.id}:${pastDueISO}`;
+    if (await alreadySentEmail(sub.clinicId, key)) return false;
+
+    let payUrl = sub.dunningLinkUrl;
+    if (withLink) {
+      try {
+        payUrl = (await issuePaymentLink(sub, admin, graceEndsAt)) || payUrl;
+      } catch (err) {
+        // Still email – the login link lets them pay from the dashboard
+        console.error(`❌ Dunning payment link failed for sub=${sub.id}:`, err.message || err);
+      }
+    }
+
+    const tpl = buildTemplate(type, { sub, admin, clinic: sub.clinic, plan: sub.plan, graceISO, payUrl });
+    await sendEmail1({ to: admin.email, subject: tpl.subject, html: tpl.html });
+
+    await markEmailSent({
+      clinicId: sub.clinicId,
+      userId: admin.id,
+      key,
+      details: { subId: sub.id, type, stage, graceISO, payUrl: payUrl || null },
+    });
+    return true;
+  };
+
+  if (sub.status === 'PAST_DUE') {
+    // The gateway retries auto-renewals itself – say nothing until it has
+    // reported a failed charge, then ask for a new card instead of a payment
+    const cardFailed = sub.autoRenew && (await hasFailedCharge(sub));
+    if (sub.autoRenew && !cardFailed) return;
+
+    const daysPastDue = (now - new Date(sub.pastDueSince)) / MS_PER_DAY;
+
+    // Latest retry that is due (ones missed while the job was down are skipped)
+    const idx = DUNNING_RETRY_DAYS.findLastIndex((d) => daysPastDue >= d);
+    const retried = idx >= 0
+      && (await sendStage(
+        `DUNNING_D${DUNNING_RETRY_DAYS[idx]}`,
+        cardFailed ? 'DUNNING_CARD_FAILED' : `DUNNING_R${Math.min(idx + 1, 3)}`,
+        !cardFailed
+      ));
+
+    // Final notice on the last day – not in the same run as a retry email
+    if (!retried && graceEndsAt - now <= MS_PER_DAY) {
+      await sendStage('DUNNING_FINAL', 'DUNNING_FINAL');
+    }
+    return;
+  }
+
+  // EXPIRED after dunning: suspend once the extra days are up
+  if (now < new Date(graceEndsAt.getTime() + SUSPEND_AFTER_DAYS * MS_PER_DAY)) return;
+
+  await prisma.clinic.update({ where: { id: sub.clinicId }, data: { suspendedAt: now } });
+  console.log(`⛔ Clinic ${sub.clinicId} suspended – unpaid since ${pastDueISO}`);
+  await sendStage('DUNNING_SUSPENDED', 'DUNNING_SUSPENDED');
+};
+
+// ----------------------------------------------------------------
+// CRON ENTRY
+// ----------------------------------------------------------------
+export const runDunning = async (now = new Date()) => {
+  // Paid again by any route (checkout, auto-renew, free plan) – lift the suspension
+  const { count: reinstated } = await prisma.clinic.updateMany({
+    where: {
+      suspendedAt: { not: null },
+      subscription: { is: { status: { in: ['ACTIVE', 'TRIAL'] } } },
+    },
+    data: { suspendedAt: null },
+  });
+
+  const subs = await prisma.subscription.findMany({
+    where: {
+      deletedAt: null,
+      pastDueSince: { not: null },
+      OR: [
+        { status: 'PAST_DUE' },
+        { status: 'EXPIRED', clinic: { suspendedAt: null, deletedAt: null } },
+      ],
+    },
+    include: {
+      plan: true,
+      clinic: { select: { id: true, name: true, gstin: true, gstStateCode: true } },
+    },
+  });
+
+  for (const sub of subs) {
+    try {
+      await processSubscription(sub, now);
+    } catch (err) {
+      console.error(`❌ Dunning failed for sub=${sub.id}:`, err);
+    }
+  }
+
+  return { checked: subs.length, reinstated };
+};
+
+// ----------------------------------------------------------------
+// DUNNING LINK PAID (Razorpay payment_link.paid): renew from today
+// ----------------------------------------------------------------
+export const recordDunningPayment = async ({ subscriptionId, paymentLinkId, gatewayPaymentId, amount }) => {
+  const sub = await prisma.subscription.findUnique({
+    where: { id: subscriptionId },
+    include: { plan: true, clinic: { select: { gstin: true, gstStateCode: true } } },
+  });
+  if (!sub) {
+    console.log(`⚠️ Dunning payment: no subscription ${subscriptionId}`);
+    return null;
+  }
+
+  if (gatewayPaymentId) {
+    const seen = await prisma.subscriptionPayment.findUnique({ where: { gatewayPaymentId } });
+    if (seen?.status === 'PAID') return sub;
+  }
+
+  const planTax = await getPlanTax({ plan: sub.plan, clinic: sub.clinic });
+  // Paid renewal – never restarts a trial on an EXPIRED subscription
+  const activation = buildPlanActivation(sub.plan, { ...sub, status: 'ACTIVE' });
+
+  return prisma.$transaction(async (tx) => {
+    await tx.subscriptionPayment.create({
+      data: {
+        subscriptionId: sub.id,
+        clinicId: sub.clinicId,
+        planId: sub.planId,
+        provider: 'RAZORPAY',
+        status: 'PAID',
+        amount: amount ?? planTax.total,
+        ...toTaxFields(planTax),
+        gstin: sub.clinic?.gstin || null,
+        gatewayPaymentId,
+        gatewayInvoiceId: paymentLinkId,
+        periodEnd: activation.endDate || activation.nextBillingDate,
+      },
+    });
+
+    await tx.clinic.update({ where: { id: sub.clinicId }, data: { suspendedAt: null } });
+
+    return tx.subscription.update({
+      where: { id: sub.id },
+      data: {
+        ...activation,
+        razorpayPaymentId: gatewayPaymentId,
+        taxAmount: planTax.taxAmount,
+        taxBreakdown: toTaxFields(planTax).taxBreakdown,
+      },
+    });
+  });
+};
@@ -0,0 +1,108 @@
+import prisma from '../prisma.js';
+
+// ----------------------------------------------------------------
+// FEATURE CATALOGUE
+// boolean features gate a module; limit features are numbers (null = unlimited).
+// `column` is the legacy Plan column used when a plan has no entitlement row;
+// `subscriptionColumn` is the per-subscription snapshot taken at activation.
+// ----------------------------------------------------------------
+export const FEATURES = {
+  onlinePayments: { type: 'boolean', column: 'allowOnlinePayments', label: 'Online payments' },
+  customBranding: { type: 'boolean', column: 'allowCustomBranding', label: 'Custom branding' },
+  auditLogs: { type: 'boolean', column: 'enableAuditLogs', label: 'Audit logs & patient history' },
+  googleReviews: { type: 'boolean', column: 'enableGoogleReviews', label: 'Google reviews' },
+  bulkSlots: { type: 'boolean', column: 'enableBulkSlots', label: 'Bulk slot creation' },
+  exports: { type: 'boolean', column: 'enableExports', label: 'Excel / PDF exports' },
+  reviews: { type: 'boolean', column: 'enableReviews', label: 'Patient reviews' },
+  googleCalendarSync: { type: 'boolean', column: 'enableGoogleCalendarSync', label: 'Google Calendar sync' },
+  doctors: { type: 'limit', column: 'maxDoctors', subscriptionColumn: 'maxDoctors', label: 'Active doctors' },
+  bookingsPerMonth: {
+    type: 'limit',
+    column: 'maxBookingsPerMonth',
+    subscriptionColumn: 'maxBookingsPerPeriod',
+    label: 'Bookings per billing period',
+  },
+};
+
+// Validates a value against the catalogue; throws 400 for bad input
+export const normaliseEntitlementValue = (key, value) => {
+  const feature = FEATURES[key];
+  if (!feature) throw { statusCode: 400, message: `Unknown feature "${key}"` };
+
+  if (feature.type === 'boolean') {
+    if (typeof value !== 'boolean') throw { statusCode: 400, message: `${key} must be true or false` };
+    return value;
+  }
+
+  if (value === null) return null; // unlimited
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) {
+    throw { statusCode: 400, message: `${key} must be a whole number ≥ 0, or null for unlimited` };
+  }
+  return n;
+};
+
+// Plan value per feature: entitlement row > legacy column > off
+export const resolvePlanEntitlements = (plan) => {
+  const rows = Object.fromEntries((plan?.entitlements || []).map((r) => [r.key, r.value]));
+
+  return Object.fromEntries(
+    Object.entries(FEATURES).map(([key, feature]) => {
+      if (key in rows) return [key, { value: rows[key], source: 'PLAN' }];
+      const column = plan?.[feature.column];
+      if (column !== undefined && column !== null) return [key, { value: column, source: 'PLAN' }];
+      return [key, { value: feature.type === 'boolean' ? false : 0, source: 'DEFAULT' }];
+    })
+  );
+};
+
+// ----------------------------------------------------------------
+// CLINIC ENTITLEMENTS
+// super-admin override > subscription snapshot (limits) > plan value
+// ----------------------------------------------------------------
+export const getClinicEntitlements = async (clinicId, client = prisma) => {
+  const now = new Date();
+  const [sub, overrides] = await Promise.all([
+    client.subscription.findUnique({
+      where: { clinicId },
+      include: { plan: { include: { entitlements: true } } },
+    }),
+    client.clinicEntitlement.findMany({
+      where: { clinicId, OR: [{ expiresAt: null }, { expiresAt: { gt: now } }] },
+    }),
+  ]);
+
+  const resolved = resolvePlanEntitlements(sub?.plan);
+  const overrideMap = Object.fromEntries(overrides.map((o) => [o.key, o]));
+
+  const features = Object.fromEntries(
+    Object.entries(FEATURES).map(([key, feature]) => {
+      let entry = resolved[key];
+
+      const snapshot = feature.subscriptionColumn ? sub?.[feature.subscriptionColumn] : null;
+      if (snapshot !== null && snapshot !== undefined) entry = { value: snapshot, source: 'SUBSCRIPTION' };
+
+      const override = overrideMap[key];
+      if (override) entry = { value: override.value, source: 'OVERRIDE', expiresAt: override.expiresAt };
+
+      return [key, { type: feature.type, label: feature.label, ...entry }];
+    })
+  );
+
+  return {
+    plan: sub?.plan ? { id: sub.plan.id, name: sub.plan.name } : null,
+    subscription: sub,
+    features,
+  };
+};
+
+// true when a boolean feature is on, or a limit allows at least one
+export const hasEntitlement = (entitlements, key) => {
+  const entry = entitlements?.features?.[key];
+  if (!entry) return false;
+  if (entry.type === 'limit') return entry.value === null || Number(entry.value) > 0;
+  return entry.value === true;
+};
+
+export const clinicHasEntitlement = async (clinicId, key, client = prisma) =>
+  hasEntitlement(await getClinicEntitlements(clinicId, client), key);
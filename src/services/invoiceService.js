@@ -0,0 +1,246 @@
+import fs from 'fs/promises';
+import path from 'path';
+import PDFDocument from 'pdfkit';
+import prisma from '../prisma.js';
+import { round2 } from '../utils/money.js';
+
+const money = (n) => `Rs. ${round2(Number(n || 0)).toFixed(2)}`;
+const istDate = (d) => new Date(d).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' });
+
+export const formatInvoiceNumber = (sequence, issuedAt = new Date()) =>
+  `INV-${new Date(issuedAt).getFullYear()}-${String(sequence).padStart(5, '0')}`;
+
+// Totals from the tax captured at booking; older bookings carry no tax
+const getInvoiceTotals = (appointment) => {
+  const total = round2(Number(appointment.amount ?? appointment.slot?.price ?? 0));
+  const taxAmount = round2(Number(appointment.taxAmount || 0));
+  return {
+    subtotal: appointment.taxableAmount != null ? round2(Number(appointment.taxableAmount)) : round2(total - taxAmount),
+    taxAmount,
+    total,
+    taxBreakdown: appointment.taxBreakdown || null,
+  };
+};
+
+const loadInvoiceData = (appointmentId, client = prisma) =>
+  client.appointment.findUnique({
+    where: { id: appointmentId },
+    include: {
+      clinic: { select: { id: true, name: true, logo: true, address: true, city: true, pincode: true, phone: true, gstin: true } },
+      doctor: { select: { name: true, speciality: { select: { name: true } } } },
+      slot: { select: { date: true, time: true, price: true } },
+      user: { select: { name: true, phone: true, email: true } },
+      transactions: { orderBy: { createdAt: 'asc' } },
+      invoice: { include: { replaces: { select: { invoiceNumber: true, issuedAt: true } } } },
+    },
+  });
+
+// Next number from Clinic.invoiceSeq – call inside the issuing transaction
+const issueInvoice = async (tx, appointment, totals, replaces = null) => {
+  const { invoiceSeq } = await tx.clinic.update({
+    where: { id: appointment.clinicId },
+    data: { invoiceSeq: { increment: 1 } },
+    select: { invoiceSeq: true },
+  });
+  const issuedAt = new Date();
+  return tx.invoice.create({
+    data: {
+      clinicId: appointment.clinicId,
+      appointmentId: appointment.id,
+      activeAppointmentId: appointment.id,
+      sequence: invoiceSeq,
+      invoiceNumber: formatInvoiceNumber(invoiceSeq, issuedAt),
+      issuedAt,
+      replacesId: replaces?.id || null,
+      ...totals,
+    },
+    include: { replaces: { select: { invoiceNumber: true, issuedAt: true } } },
+  });
+};
+
+// ----------------------------------------------------------------
+// GET OR ISSUE the invoice for an appointment.
+// Only appointments with money received get one; the number is taken
+// from Clinic.invoiceSeq inside a transaction so it stays gap-free.
+// An issued invoice is never edited: when a reschedule changed the
+// billed amount it is cancelled and a new number issued in its place.
+// Returns null when the appointment is not invoiceable yet.
+// ----------------------------------------------------------------
+export const getOrCreateInvoice = async (appointmentId) => {
+  const appointment = await loadInvoiceData(appointmentId);
+  if (!appointment) throw { statusCode: 404, message: 'Appointment not found' };
+
+  const received = appointment.transactions.some((t) => t.direction === 'CREDIT' && Number(t.amount) > 0);
+  if (!received) return null;
+
+  const totals = getInvoiceTotals(appointment);
+  const current = appointment.invoice;
+  if (current && Number(current.total) === totals.total && Number(current.taxAmount) === totals.taxAmount) {
+    return { invoice: current, appointment };
+  }
+
+  let invoice = await prisma.$transaction(async (tx) => {
+    if (current) {
+      // Only one caller gets to cancel it – the other reads the new one below
+      const { count } = await tx.invoice.updateMany({
+        where: { id: current.id, activeAppointmentId: appointmentId },
+        data: { activeAppointmentId: null, cancelledAt: new Date() },
+      });
+      if (!count) return null;
+    }
+    return issueInvoice(tx, appointment, totals, current);
+  }).catch((error) => {
+    // Issued concurrently (e.g. email + download) – use the winner's number
+    if (error.code !== 'P2002') throw error;
+    return null;
+  });
+
+  if (!invoice) {
+    invoice = await prisma.invoice.findUnique({
+      where: { activeAppointmentId: appointmentId },
+      include: { replaces: { select: { invoiceNumber: true, issuedAt: true } } },
+    });
+  }
+
+  return { invoice, appointment };
+};
+
+// Clinic logo: uploads are served from /uploads, anything else is fetched.
+// Best effort – an unreadable logo never blocks the invoice.
+const loadLogo = async (logo) => {
+  if (!logo) return null;
+  try {
+    if (logo.startsWith('/uploads/')) {
+      return await fs.readFile(path.join(process.cwd(), logo));
+    }
+    if (/^https?:\/\//.test(logo)) {
+      const response = await fetch(logo, { signal: AbortSignal.timeout(5000) });
+      if (!response.ok) return null;
+      return Buffer.from(await response.arrayBuffer());
+    }
+  } catch (error) {
+    console.log('⚠️ Invoice logo skipped:', error.message);
+  }
+  return null;
+};
+
+// ----------------------------------------------------------------
+// RENDER: invoice PDF as a Buffer (used by the download route and as
+// an email attachment)
+// ----------------------------------------------------------------
+export const renderInvoicePdf = async ({ invoice, appointment }) => {
+  const { clinic, doctor, slot, user, transactions } = appointment;
+  const logo = await loadLogo(clinic.logo);
+
+  const doc = new PDFDocument({ margin: 50, size: 'A4' });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  if (logo) {
+    try {
+      doc.image(logo, 50, 45, { fit: [60, 60] });
+    } catch {
+      // pdfkit only understands PNG / JPEG
+    }
+  }
+  doc.fontSize(18).text(clinic.name, 120, 50, { align: 'right' });
+  doc.fontSize(9).fillColor('#555555')
+    .text(`${clinic.address}, ${clinic.city} - ${clinic.pincode}`, { align: 'right' })
+    .text(`Phone: ${clinic.phone}`, { align: 'right' });
+  if (clinic.gstin) doc.text(`GSTIN: ${clinic.gstin}`, { align: 'right' });
+  doc.fillColor('black');
+
+  doc.x = 50;
+  doc.y = 125;
+  doc.fontSize(14).text(clinic.gstin ? 'TAX INVOICE' : 'INVOICE', { align: 'center' }).moveDown(0.8);
+
+  const line = (label, value) => doc.fontSize(10).text(`${label}: ${value ?? 'N/A'}`);
+  line('Invoice No', invoice.invoiceNumber);
+  line('Invoice Date', istDate(invoice.issuedAt));
+  if (invoice.replaces) {
+    line('Replaces', `${invoice.replaces.invoiceNumber} dated ${istDate(invoice.replaces.issuedAt)} (cancelled)`);
+  }
+  line('Appointment ID', appointment.id);
+  doc.moveDown(0.6);
+
+  doc.fontSize(11).text('Billed To').fontSize(10);
+  line('Patient', user?.name);
+  line('Phone', user?.phone);
+  if (user?.email) line('Email', user.email);
+  doc.moveDown(0.6);
+
+  // Charges
+  const amountX = 420;
+  const row = (label, value, opts = {}) => {
+    const y = doc.y;
+    doc.fontSize(opts.size || 10).text(label, 50, y, { width: 350 });
+    doc.text(value, amountX, y, { width: 125, align: 'right' });
+    doc.moveDown(0.3);
+  };
+
+  doc.fontSize(11).text('Description', 50, doc.y, { underline: true });
+  doc.moveDown(0.3);
+  const visit = slot ? `${istDate(slot.date)} ${slot.time}` : 'N/A';
+  row(`Consultation - Dr. ${doctor?.name || 'N/A'}${doctor?.speciality?.name ? ` (${doctor.speciality.name})` : ''}, ${visit}`, money(invoice.subtotal));
+  doc.moveDown(0.4);
+
+  const breakdown = invoice.taxBreakdown || {};
+  if (breakdown.sacCode) {
+    doc.fontSize(9).fillColor('#555555').text(`SAC: ${breakdown.sacCode}`, 50, doc.y);
+    doc.fillColor('black').moveDown(0.3);
+  }
+
+  row('Taxable Value', money(invoice.subtotal));
+  const taxLines = Array.isArray(breakdown.lines) ? breakdown.lines : [];
+  if (taxLines.length) {
+    taxLines.forEach((t) => row(`${t.label} @ ${t.rate}%`, money(t.amount)));
+  } else {
+    row('Tax', money(0));
+  }
+  row('Total', money(invoice.total), { size: 11 });
+  doc.moveDown(0.8);
+
+  // Payments / refunds from the ledger
+  doc.fontSize(11).text('Payments', 50, doc.y, { underline: true });
+  doc.moveDown(0.3);
+  let net = 0;
+  transactions.forEach((t) => {
+    const amount = Number(t.amount);
+    net += t.direction === 'CREDIT' ? amount : -amount;
+    const ref = t.gatewayRef || t.receiptNumber || '-';
+    const label = `${istDate(t.createdAt)}  ${t.type.replace(/_/g, ' ')} via ${t.provider}  (Ref: ${ref})`;
+    row(label, `${t.direction === 'DEBIT' ? '-' : ''}${money(amount)}`, { size: 9 });
+  });
+  doc.moveDown(0.3);
+  row('Net Paid', money(net));
+  const due = round2(Number(invoice.total) - net);
+  if (due > 0) row('Balance Due', money(due));
+
+  doc.moveDown(2);
+  doc.x = 50;
+  doc.fontSize(8).fillColor('#777777').text('This is a computer generated invoice.', { align: 'center' });
+
+  doc.end();
+  return done;
+};
+
+// Email attachment for a paid appointment, or null (never throws)
+export const getInvoiceAttachment = async (appointmentId) => {
+  if (!appointmentId) return null;
+  try {
+    const result = await getOrCreateInvoice(appointmentId);
+    if (!result) return null;
+    return {
+      filename: `invoice_${result.invoice.invoiceNumber}.pdf`,
+      content: await renderInvoicePdf(result),
+      contentType: 'application/pdf',
+    };
+  } catch (error) {
+    console.error('⚠️ Invoice attachment failed:', error.message || error);
+    return null;
+  }
+};
@@ -0,0 +1,214 @@
+import os from 'os';
+import cron from 'node-cron';
+import prisma from '../prisma.js';
+
+const MS_PER_SECOND = 1000;
+const MS_PER_MINUTE = 60 * MS_PER_SECOND;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+// Attempts before a job is moved to the dead-letter state (DEAD)
+export const JOB_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS || 5);
+
+const POLL_MS = Number(process.env.JOB_POLL_MS || 5 * MS_PER_SECOND);
+const CONCURRENCY = Math.max(Number(process.env.JOB_CONCURRENCY || 2), 1);
+
+// First retry after 1 min, then 2, 4, 8...
+const RETRY_BASE_MS = 30 * MS_PER_SECOND;
+
+// A RUNNING job whose worker died (deploy, crash) is picked up again after this
+const LOCK_TIMEOUT_MS = 30 * MS_PER_MINUTE;
+
+// How long finished rows are kept for the super admin job log
+const COMPLETED_RETENTION_MS = 7 * MS_PER_DAY;
+const DEAD_RETENTION_MS = 30 * MS_PER_DAY;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const shortError = (err) => String(err?.message || err).slice(0, 2000);
+
+// ----------------------------------------------------------------
+// JOB REGISTRY
+// A handler is async (payload, job) => result. Throwing fails the
+// attempt: the job is retried with backoff, and after maxAttempts it
+// is left as DEAD for a super admin to inspect and retry.
+// ----------------------------------------------------------------
+const HANDLERS = {};
+
+export const registerJob = (name, handler, { maxAttempts = JOB_MAX_ATTEMPTS } = {}) => {
+  HANDLERS[name] = { handler, maxAttempts };
+};
+
+export const getJobNames = () => Object.keys(HANDLERS);
+
+export const isJob = (name) => Object.prototype.hasOwnProperty.call(HANDLERS, name);
+
+// ----------------------------------------------------------------
+// ENQUEUE a job. With a uniqueKey only one row is ever created for
+// that key – a second enqueue returns the existing job.
+// ----------------------------------------------------------------
+export const enqueueJob = async (name, payload = {}, { runAt = null, delayMs = 0, maxAttempts = null, uniqueKey = null } = {}) => {
+  const data = {
+    name,
+    payload,
+    runAt: runAt || new Date(Date.now() + delayMs),
+    maxAttempts: maxAttempts || HANDLERS[name]?.maxAttempts || JOB_MAX_ATTEMPTS,
+    uniqueKey,
+  };
+  if (!uniqueKey) return prisma.job.create({ data });
+
+  await prisma.job.createMany({ data: [data], skipDuplicates: true });
+  return prisma.job.findUnique({ where: { uniqueKey } });
+};
+
+// ----------------------------------------------------------------
+// SCHEDULE a registered job on a cron expression (IST). Every server
+// instance keeps the timer, but a tick is enqueued under the key
+// name@minute, so it becomes one job that one worker runs. A tick is
+// skipped while the previous run is still queued, running or retrying.
+// ----------------------------------------------------------------
+export const scheduleJob = (name, expression, payload = {}) => {
+  cron.schedule(
+    expression,
+    async () => {
+      try {
+        const tick = new Date();
+        tick.setSeconds(0, 0);
+
+        const busy = await prisma.job.findFirst({
+          where: { name, status: { in: ['QUEUED', 'RUNNING', 'FAILED'] } },
+          select: { id: true },
+        });
+        if (busy) return;
+
+        await enqueueJob(name, payload, { uniqueKey: `${name}@${tick.toISOString()}` });
+      } catch (err) {
+        console.error(`❌ scheduling job ${name} failed:`, err);
+      }
+    },
+    { timezone: 'Asia/Kolkata' }
+  );
+};
+
+// ---------------- Helper: claim the next due job ----------------
+// SKIP LOCKED lets several workers (and server instances) poll the same
+// table without ever taking the same row.
+const claimNextJob = async () => {
+  const names = getJobNames();
+  if (!names.length) return null;
+
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - LOCK_TIMEOUT_MS);
+  const rows = await prisma.$queryRaw`
+    UPDATE "public"."jobs"
+    SET "status" = 'RUNNING',
+        "attempts" = "attempts" + 1,
+        "lockedBy" = ${WORKER_ID},
+        "lockedAt" = ${now},
+        "startedAt" = ${now},
+        "updatedAt" = ${now}
+    WHERE "id" = (
+      SELECT "id" FROM "public"."jobs"
+      WHERE "name" = ANY(${names})
+        AND (
+          ("status" IN ('QUEUED', 'FAILED') AND "runAt" <= ${now})
+          OR ("status" = 'RUNNING' AND "lockedAt" < ${staleBefore})
+        )
+      ORDER BY "runAt" ASC
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *`;
+  return rows[0] || null;
+};
+
+// ---------------- Helper: finish a claimed job ----------------
+// Only while we still hold it – a job reclaimed as stale belongs to
+// the worker that took it over.
+const finishJob = (job, data) =>
+  prisma.job.updateMany({
+    where: { id: job.id, lockedBy: WORKER_ID, attempts: job.attempts },
+    data: { ...data, lockedBy: null, lockedAt: null, finishedAt: new Date() },
+  });
+
+const runJob = async (job) => {
+  // Worker was lost during the last attempt
+  if (job.attempts > job.maxAttempts) {
+    return finishJob(job, { status: 'DEAD', lastError: job.lastError || 'Worker stopped while running the job' });
+  }
+
+  try {
+    const result = await HANDLERS[job.name].handler(job.payload || {}, job);
+    return finishJob(job, { status: 'COMPLETED', result: result ?? {}, lastError: null });
+  } catch (error) {
+    console.error(`❌ Job ${job.name} (${job.id}) attempt ${job.attempts}/${job.maxAttempts} failed:`, error);
+    const dead = job.attempts >= job.maxAttempts;
+    return finishJob(job, {
+      status: dead ? 'DEAD' : 'FAILED',
+      lastError: shortError(error),
+      ...(dead ? {} : { runAt: new Date(Date.now() + 2 ** job.attempts * RETRY_BASE_MS) }),
+    });
+  }
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const workLoop = async () => {
+  for (;;) {
+    try {
+      const job = await claimNextJob();
+      if (!job) {
+        await sleep(POLL_MS);
+        continue;
+      }
+      await runJob(job);
+    } catch (err) {
+      console.error('❌ Job worker error:', err.message);
+      await sleep(POLL_MS);
+    }
+  }
+};
+
+// ----------------------------------------------------------------
+// WORKER: polls for due jobs. JOB_WORKER_DISABLED=true keeps an
+// instance serving HTTP only (it still enqueues and schedules).
+// ----------------------------------------------------------------
+let workerStarted = false;
+
+export const startJobWorker = () => {
+  if (workerStarted) return;
+  workerStarted = true;
+
+  if (process.env.JOB_WORKER_DISABLED === 'true') {
+    console.log('ℹ️ Job worker disabled on this instance');
+    return;
+  }
+
+  console.log(`🚀 job worker ${WORKER_ID} started (${CONCURRENCY} at a time, jobs: ${getJobNames().join(', ')})`);
+  for (let i = 0; i < CONCURRENCY; i++) workLoop();
+};
+
+// ----------------------------------------------------------------
+// RETRY a DEAD or FAILED job now, with a fresh set of attempts.
+// Returns `requeued: false` when the job is not in a retryable state.
+// ----------------------------------------------------------------
+export const retryJob = async (jobId) => {
+  const { count } = await prisma.job.updateMany({
+    where: { id: jobId, status: { in: ['DEAD', 'FAILED'] } },
+    data: { status: 'QUEUED', attempts: 0, runAt: new Date(), finishedAt: null },
+  });
+
+  const job = await prisma.job.findUnique({ where: { id: jobId } });
+  if (!job) throw { statusCode: 404, message: 'Job not found' };
+  return { job, requeued: count > 0 };
+};
+
+// Old finished rows – dead letters are kept longer for inspection
+export const purgeJobs = async (now = new Date()) => {
+  const completed = await prisma.job.deleteMany({
+    where: { status: 'COMPLETED', finishedAt: { lt: new Date(now.getTime() - COMPLETED_RETENTION_MS) } },
+  });
+  const dead = await prisma.job.deleteMany({
+    where: { status: 'DEAD', finishedAt: { lt: new Date(now.getTime() - DEAD_RETENTION_MS) } },
+  });
+  return { completed: completed.count, dead: dead.count };
+};
@@ -0,0 +1,94 @@
+import prisma from '../prisma.js';
+import { recordSettlementEntry } from './settlementService.js';
+import { round2 } from '../utils/money.js';
+
+// Entry types that take money back out of the clinic
+const DEBIT_TYPES = ['REFUND'];
+
+export const getAppointmentBalance = async (appointmentId, client = prisma) => {
+  const last = await client.paymentTransaction.findFirst({
+    where: { appointmentId },
+    orderBy: { createdAt: 'desc' },
+    select: { balanceAfter: true },
+  });
+  return Number(last?.balanceAfter || 0);
+};
+
+// ----------------------------------------------------------------
+// RECORD ONE LEDGER ENTRY
+// Idempotent on gatewayRef / refundId so webhook + verify races and
+// retries never double count. Pass `tx` to join an outer transaction.
+// ----------------------------------------------------------------
+export const recordTransaction = async (
+  {
+    appointmentId, type, amount, provider, gatewayRef = null, paymentId = null, refundId = null,
+    note = null, createdById = null, receiptNumber = null, collectedBy = null,
+  },
+  client = prisma
+) => {
+  if (gatewayRef || refundId) {
+    const existing = await client.paymentTransaction.findFirst({
+      where: {
+        OR: [
+          ...(gatewayRef ? [{ gatewayRef }] : []),
+          ...(refundId ? [{ refundId }] : []),
+        ],
+      },
+    });
+    if (existing) return existing;
+  }
+
+  const appointment = await client.appointment.findUnique({
+    where: { id: appointmentId },
+    select: { clinicId: true, doctorId: true, collectedVia: true },
+  });
+  if (!appointment) throw new Error(`Ledger: appointment ${appointmentId} not found`);
+
+  const value = round2(Number(amount || 0));
+  const direction = DEBIT_TYPES.includes(type) ? 'DEBIT' : 'CREDIT';
+  const balance = await getAppointmentBalance(appointmentId, client);
+
+  const entry = await client.paymentTransaction.create({
+    data: {
+      clinicId: appointment.clinicId,
+      appointmentId,
+      doctorId: appointment.doctorId,
+      paymentId,
+      refundId,
+      type,
+      direction,
+      amount: value,
+      provider,
+      gatewayRef,
+      balanceAfter: round2(direction === 'DEBIT' ? balance - value : balance + value),
+      note,
+      createdById,
+      receiptNumber,
+      collectedBy,
+    },
+  });
+
+  // Platform-collected money is owed to the clinic, less commission
+  if (appointment.collectedVia === 'PLATFORM') await recordSettlementEntry(entry, client);
+
+  return entry;
+};
+
+// Gateway charge: first one is the CHARGE, later ones are reschedule top-ups
+export const recordGatewayCharge = async ({ appointmentId, amount, provider, gatewayRef, paymentId = null, note = null }, client = prisma) => {
+  const priorCharges = await client.paymentTransaction.count({
+    where: { appointmentId, type: { in: ['CHARGE', 'CASH_COLLECTED'] } },
+  });
+  return recordTransaction(
+    {
+      appointmentId,
+      type: priorCharges > 0 ? 'RESCHEDULE_DIFFERENCE' : 'CHARGE',
+      amount,
+      provider,
+      gatewayRef,
+      paymentId,
+      note,
+    },
+    client
+  );
+};
@@ -0,0 +1,34 @@
+import nodemailer from 'nodemailer';
+
+// Shared SMTP transporter – utils/email.js re-exports it for staff emails
+export const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST || 'smtp.gmail.com',
+  port: Number(process.env.SMTP_PORT || 587),
+  secure: false,
+  auth: {
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+  },
+});
+
+// ----------------------------------------------------------------
+// EMAIL over SMTP – the only channel that carries html + attachments
+// ----------------------------------------------------------------
+const emailChannel = () => ({
+  channel: 'EMAIL',
+  transport: 'SMTP',
+  configured: !!(process.env.SMTP_USER && process.env.SMTP_PASS),
+
+  send: async ({ to, fromName, subject, html, text, attachments }) => {
+    const info = await transporter.sendMail({
+      from: `"${fromName}" <no-reply@yourapp.com>`,
+      to,
+      subject,
+      ...(html ? { html } : { text }),
+      ...(attachments?.length ? { attachments } : {}),
+    });
+    return { providerRef: info.messageId || null };
+  },
+});
+
+export default emailChannel;
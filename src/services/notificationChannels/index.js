@@ -0,0 +1,61 @@
+import emailChannel from './emailChannel.js';
+import twilioChannel from './twilioChannel.js';
+import logChannel from './logChannel.js';
+
+// ----------------------------------------------------------------
+// NOTIFICATION CHANNELS
+// Each adapter is a factory returning:
+//   channel, transport   e.g. SMS / TWILIO
+//   configured           credentials present
+//   send({ to, fromName, subject, html, text, attachments })
+//                        → { providerRef, status? } (status defaults to SENT)
+// EMAIL uses subject/html/attachments; SMS and WHATSAPP send `text`.
+// NOTIFICATIONS_LOG_ONLY=true sends everything to LOG instead, so the
+// flows run without SMTP or Twilio accounts. Otherwise an unconfigured
+// channel is returned as is and its deliveries are recorded as FAILED.
+// ----------------------------------------------------------------
+
+const LOG_ONLY = process.env.NOTIFICATIONS_LOG_ONLY === 'true';
+
+// Indian numbers are stored without a country code
+export const toE164 = (phone) => {
+  if (!phone) return null;
+  const trimmed = String(phone).trim();
+  const digits = trimmed.replace(/\D/g, '');
+  if (trimmed.startsWith('+')) return digits.length >= 8 ? `+${digits}` : null;
+  if (digits.length === 10) return `+91${digits}`;
+  if (digits.length === 12 && digits.startsWith('91')) return `+${digits}`;
+  return null;
+};
+
+const ADAPTERS = {
+  EMAIL: emailChannel,
+  SMS: () => twilioChannel('SMS'),
+  WHATSAPP: () => twilioChannel('WHATSAPP'),
+};
+
+// Address of a patient on each channel
+const RECIPIENTS = {
+  EMAIL: (user) => user?.email || null,
+  SMS: (user) => toE164(user?.phone),
+  WHATSAPP: (user) => toE164(user?.phone),
+};
+
+export const registerNotificationChannel = (channel, factory, recipientOf) => {
+  ADAPTERS[channel] = factory;
+  RECIPIENTS[channel] = recipientOf;
+};
+
+export const getNotificationChannelNames = () => Object.keys(ADAPTERS);
+
+export const isNotificationChannel = (channel) => Object.prototype.hasOwnProperty.call(ADAPTERS, channel);
+
+export const getRecipient = (channel, user) => RECIPIENTS[channel]?.(user) || null;
+
+export const getNotificationChannel = (channel) => {
+  if (!isNotificationChannel(channel)) {
+    throw { statusCode: 400, message: `Unsupported notification channel: ${channel}` };
+  }
+  if (LOG_ONLY) return logChannel(channel);
+  return ADAPTERS[channel]();
+};
@@ -0,0 +1,18 @@
+import crypto from 'crypto';
+
+// ----------------------------------------------------------------
+// LOG – prints the message instead of sending it. Stands in for every
+// channel when NOTIFICATIONS_LOG_ONLY=true (local runs, staging).
+// ----------------------------------------------------------------
+const logChannel = (channel) => ({
+  channel,
+  transport: 'LOG',
+  configured: true,
+
+  send: async ({ to, subject, text }) => {
+    console.log(`📝 [${channel}] → ${to}${subject ? ` | ${subject}` : ''}\n${text}`);
+    return { providerRef: `log_${crypto.randomBytes(7).toString('hex')}`, status: 'DELIVERED' };
+  },
+});
+
+export default logChannel;
@@ -0,0 +1,75 @@
+import crypto from 'crypto';
+
+const TWILIO_API = 'https://api.twilio.com/2010-04-01';
+
+// Twilio message status → NotificationDelivery status
+const STATUS_MAP = {
+  accepted: 'SENT',
+  queued: 'SENT',
+  sending: 'SENT',
+  sent: 'SENT',
+  delivered: 'DELIVERED',
+  read: 'DELIVERED',
+  failed: 'FAILED',
+  undelivered: 'FAILED',
+};
+
+// Where Twilio posts status updates (only when the API is publicly reachable)
+export const twilioStatusCallbackUrl = () =>
+  process.env.BACKEND_URL ? `${process.env.BACKEND_URL}/api/webhooks/notifications/twilio` : null;
+
+// X-Twilio-Signature: HMAC-SHA1 of the callback URL + sorted form params, base64
+export const verifyTwilioSignature = ({ url, params = {}, signature }) => {
+  const token = process.env.TWILIO_AUTH_TOKEN;
+  if (!token || !signature || !url) return false;
+  const payload = url + Object.keys(params).sort().map((k) => `${k}${params[k]}`).join('');
+  const expected = crypto.createHmac('sha1', token).update(payload).digest('base64');
+  return expected.length === signature.length
+    && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+};
+
+// Status callback body → { providerRef, status, error }
+export const parseTwilioStatus = (params = {}) => ({
+  providerRef: params.MessageSid || null,
+  status: STATUS_MAP[String(params.MessageStatus || '').toLowerCase()] || null,
+  error: params.ErrorCode ? `Twilio error ${params.ErrorCode}` : null,
+});
+
+// ----------------------------------------------------------------
+// SMS and WHATSAPP through Twilio's Messages API (WhatsApp numbers
+// are the same API with a whatsapp: prefix). Plain text only.
+// ----------------------------------------------------------------
+const twilioChannel = (channel) => {
+  const sid = process.env.TWILIO_ACCOUNT_SID;
+  const token = process.env.TWILIO_AUTH_TOKEN;
+  const from = channel === 'WHATSAPP' ? process.env.TWILIO_WHATSAPP_FROM : process.env.TWILIO_SMS_FROM;
+  const address = (number) => (channel === 'WHATSAPP' ? `whatsapp:${number}` : number);
+
+  return {
+    channel,
+    transport: 'TWILIO',
+    configured: !!(sid && token && from),
+
+    send: async ({ to, text }) => {
+      const body = new URLSearchParams({ To: address(to), From: address(from), Body: text });
+      const statusCallback = twilioStatusCallbackUrl();
+      if (statusCallback) body.set('StatusCallback', statusCallback);
+
+      const response = await fetch(`${TWILIO_API}/Accounts/${sid}/Messages.json`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${sid}:${token}`).toString('base64')}`,
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body,
+        signal: AbortSignal.timeout(10000),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.message || `Twilio responded with ${response.status}`);
+
+      return { providerRef: data.sid, status: STATUS_MAP[data.status] || 'SENT' };
+    },
+  };
+};
+
+export default twilioChannel;
@@ -0,0 +1,136 @@
+import prisma from '../prisma.js';
+import {
+  getNotificationChannel,
+  getNotificationChannelNames,
+  getRecipient,
+} from './notificationChannels/index.js';
+
+// Clinic without settings / message not tied to a clinic
+const DEFAULT_CLINIC_CHANNELS = ['EMAIL'];
+
+// Keep provider error text readable in the delivery log
+const shortError = (err) => String(err?.message || err).slice(0, 500);
+
+// Settings input → unique, known channel names (400 otherwise)
+export const normaliseChannels = (channels) => {
+  if (!Array.isArray(channels)) throw { statusCode: 400, message: 'channels must be an array' };
+  const names = [...new Set(channels.map((c) => String(c).trim().toUpperCase()))];
+  const unknown = names.filter((c) => !getNotificationChannelNames().includes(c));
+  if (unknown.length) throw { statusCode: 400, message: `Unsupported notification channel: ${unknown.join(', ')}` };
+  return names;
+};
+
+// ----------------------------------------------------------------
+// Channels for one patient message: what the clinic sends on, narrowed
+// by what the patient accepts. Channels without an address (no phone)
+// drop out; if nothing is left the message still goes by email, so
+// booking and cancellation notices are never lost.
+// ----------------------------------------------------------------
+export const resolvePatientChannels = async ({ clinicId, user }) => {
+  const clinic = clinicId
+    ? await prisma.clinic.findUnique({ where: { id: clinicId }, select: { notificationChannels: true } })
+    : null;
+  const clinicChannels = clinic?.notificationChannels?.length ? clinic.notificationChannels : DEFAULT_CLINIC_CHANNELS;
+
+  let patientChannels = user?.notificationChannels;
+  if (!patientChannels && user?.id) {
+    const row = await prisma.user.findUnique({ where: { id: user.id }, select: { notificationChannels: true } });
+    patientChannels = row?.notificationChannels;
+  }
+
+  const known = getNotificationChannelNames();
+  const channels = clinicChannels
+    .filter((c) => known.includes(c))
+    .filter((c) => !patientChannels || patientChannels.includes(c))
+    .filter((c) => getRecipient(c, user));
+
+  if (!channels.length && getRecipient('EMAIL', user)) return ['EMAIL'];
+  return channels;
+};
+
+// ---------------- Helper: one channel, one delivery row ----------------
+const deliver = async ({ channel, event, clinicId, user, appointmentId, message }) => {
+  const adapter = getNotificationChannel(channel);
+  const delivery = await prisma.notificationDelivery.create({
+    data: {
+      clinicId,
+      userId: user?.id || null,
+      appointmentId,
+      event,
+      channel,
+      transport: adapter.transport,
+      recipient: getRecipient(channel, user),
+    },
+  });
+
+  if (!adapter.configured) {
+    return prisma.notificationDelivery.update({
+      where: { id: delivery.id },
+      data: { status: 'FAILED', error: `${channel} is not configured` },
+    });
+  }
+
+  try {
+    const sent = await adapter.send({ to: delivery.recipient, ...message });
+    const status = sent.status || 'SENT';
+    return prisma.notificationDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        status,
+        providerRef: sent.providerRef || null,
+        sentAt: new Date(),
+        ...(status === 'DELIVERED' ? { deliveredAt: new Date() } : {}),
+      },
+    });
+  } catch (err) {
+    console.error(`❌ ${channel} notification failed for ${delivery.recipient}:`, err.message);
+    return prisma.notificationDelivery.update({
+      where: { id: delivery.id },
+      data: { status: 'FAILED', error: shortError(err) },
+    });
+  }
+};
+
+// ----------------------------------------------------------------
+// SEND a message to a patient on every channel that applies.
+// message: { fromName, subject, html, text, attachments? } – email gets
+// subject/html, SMS and WhatsApp get text. Never throws: a failed
+// channel is recorded and the caller's flow carries on.
+// ----------------------------------------------------------------
+export const notifyPatient = async ({ event, clinicId = null, user, appointmentId = null, message, channels = null }) => {
+  try {
+    const targets = channels
+      ? channels.filter((c) => getRecipient(c, user))
+      : await resolvePatientChannels({ clinicId, user });
+    if (!targets.length) {
+      console.log(`ℹ️ No channel to reach patient ${user?.id || ''} for ${event}`);
+      return [];
+    }
+
+    const deliveries = await Promise.all(
+      targets.map((channel) => deliver({ channel, event, clinicId, user, appointmentId, message }))
+    );
+    const sent = deliveries.filter((d) => d.status !== 'FAILED').map((d) => d.channel);
+    console.log(`✅ ${event} sent via ${sent.join(', ') || 'no channel'} to patient ${user?.id || ''}`);
+    return deliveries;
+  } catch (err) {
+    console.error(`❌ Notification ${event} failed:`, err);
+    return [];
+  }
+};
+
+// ----------------------------------------------------------------
+// Provider callback → delivery status (SENT → DELIVERED / FAILED)
+// ----------------------------------------------------------------
+export const updateDeliveryStatus = async ({ providerRef, status, error = null }) => {
+  if (!providerRef || !status) return { count: 0 };
+  return prisma.notificationDelivery.updateMany({
+    // A late "sent" must not overwrite "delivered"
+    where: { providerRef, ...(status === 'SENT' ? { status: 'PENDING' } : {}) },
+    data: {
+      status,
+      ...(status === 'DELIVERED' ? { deliveredAt: new Date() } : {}),
+      ...(status === 'FAILED' ? { error: error || 'Not delivered' } : {}),
+    },
+  });
+};
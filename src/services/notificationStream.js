@@ -0,0 +1,181 @@
+import prisma from '../prisma.js';
+
+const MS_PER_SECOND = 1000;
+
+// How often the notifications table is read for new rows. Reading the
+// table (instead of an in-process event) means a notice written on any
+// server instance, and only once its transaction has committed, reaches
+// every open feed.
+const POLL_MS = Number(process.env.NOTIFICATION_STREAM_POLL_MS || 2 * MS_PER_SECOND);
+
+// Rows are looked at again for this long: a transaction that commits
+// late carries a createdAt older than rows already pushed
+const LOOKBACK_MS = 60 * MS_PER_SECOND;
+
+// Comment line that keeps proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * MS_PER_SECOND;
+
+// Reconnect delay suggested to the browser
+const CLIENT_RETRY_MS = 5 * MS_PER_SECOND;
+
+// More missed than this → the client is told to reload the list instead
+const REPLAY_LIMIT = 200;
+
+// Ids remembered per connection so a notice is never written twice
+const MAX_SENT_IDS = 1000;
+
+// clinicId → { clients: Set, seen: Map<notificationId, createdAtMs>, ready: Promise }
+const clinics = new Map();
+let timer = null;
+let polling = false;
+
+// ---------------- Helper: one SSE frame ----------------
+const writeFrame = (res, { id, event, data }) => {
+  res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const sendNotification = (client, notification) => {
+  if (client.sent.has(notification.id)) return;
+  client.sent.add(notification.id);
+  if (client.sent.size > MAX_SENT_IDS) client.sent.delete(client.sent.values().next().value);
+  writeFrame(client.res, { id: notification.id, event: 'notification', data: notification });
+};
+
+const recentWhere = (clinicIds, now = Date.now()) => ({
+  clinicId: { in: clinicIds },
+  createdAt: { gte: new Date(now - LOOKBACK_MS) },
+});
+
+// ----------------------------------------------------------------
+// POLL: push rows not seen yet to every feed of their clinic
+// ----------------------------------------------------------------
+const poll = async () => {
+  if (polling || !clinics.size) return;
+  polling = true;
+  try {
+    const now = Date.now();
+    const rows = await prisma.notification.findMany({
+      where: recentWhere([...clinics.keys()], now),
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+    });
+
+    for (const row of rows) {
+      const state = clinics.get(row.clinicId);
+      if (!state || state.seen.has(row.id)) continue;
+      state.seen.set(row.id, row.createdAt.getTime());
+      for (const client of state.clients) sendNotification(client, row);
+    }
+
+    // Forget rows that fell out of the window
+    for (const state of clinics.values()) {
+      for (const [id, at] of state.seen) if (at < now - LOOKBACK_MS) state.seen.delete(id);
+    }
+  } catch (err) {
+    console.error('❌ Notification stream poll failed:', err.message);
+  } finally {
+    polling = false;
+  }
+};
+
+// ---------------- Helper: join / leave a clinic's feed ----------------
+// The first feed of a clinic marks what is already there as seen, so
+// only notices created from now on are pushed live.
+const subscribe = async (clinicId, client) => {
+  let state = clinics.get(clinicId);
+  if (!state) {
+    state = { clients: new Set(), seen: new Map() };
+    state.ready = prisma.notification
+      .findMany({ where: recentWhere([clinicId]), select: { id: true, createdAt: true } })
+      .then((rows) => rows.forEach((r) => state.seen.set(r.id, r.createdAt.getTime())));
+    clinics.set(clinicId, state);
+  }
+  state.clients.add(client);
+  if (!timer) timer = setInterval(poll, POLL_MS);
+
+  try {
+    await state.ready;
+  } catch (err) {
+    // Retry the seed with the next feed of this clinic
+    if (clinics.get(clinicId) === state) clinics.delete(clinicId);
+    throw err;
+  }
+};
+
+const unsubscribe = (clinicId, client) => {
+  const state = clinics.get(clinicId);
+  if (state) {
+    state.clients.delete(client);
+    if (!state.clients.size) clinics.delete(clinicId);
+  }
+  if (!clinics.size && timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+// ----------------------------------------------------------------
+// REPLAY: notices created after the last one the client saw. Returns
+// null when that id is unknown or too much was missed.
+// ----------------------------------------------------------------
+export const getMissedNotifications = async (clinicId, lastEventId) => {
+  const last = await prisma.notification.findFirst({
+    where: { id: lastEventId, clinicId },
+    select: { id: true, createdAt: true },
+  });
+  if (!last) return null;
+
+  const missed = await prisma.notification.findMany({
+    where: {
+      clinicId,
+      OR: [
+        { createdAt: { gt: last.createdAt } },
+        { createdAt: last.createdAt, id: { gt: last.id } },
+      ],
+    },
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+    take: REPLAY_LIMIT + 1,
+  });
+  return missed.length > REPLAY_LIMIT ? null : missed;
+};
+
+// ----------------------------------------------------------------
+// OPEN a clinic's live feed on an HTTP response.
+// Events: `notification` (id = notification id, for Last-Event-ID),
+// `reset` (replay not possible – reload the list), `ready`.
+// The stream is closed when the JWT expires, so the client reconnects
+// with a fresh token.
+// ----------------------------------------------------------------
+export const openNotificationStream = async ({ clinicId, lastEventId = null, tokenExpiresAt = null, req, res }) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // nginx: do not buffer the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+  const client = { res, sent: new Set() };
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  const expiry = tokenExpiresAt
+    ? setTimeout(() => res.end(), Math.min(Math.max(tokenExpiresAt - Date.now(), 0), 2 ** 31 - 1))
+    : null;
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    if (expiry) clearTimeout(expiry);
+    unsubscribe(clinicId, client);
+  });
+
+  // Join before replaying, so nothing created in between is lost
+  await subscribe(clinicId, client);
+
+  if (lastEventId) {
+    const missed = await getMissedNotifications(clinicId, lastEventId);
+    if (missed) missed.forEach((n) => sendNotification(client, n));
+    else writeFrame(res, { event: 'reset', data: { reason: 'Missed notifications could not be replayed' } });
+  }
+
+  const unreadCount = await prisma.notification.count({ where: { clinicId, readAt: null } });
+  writeFrame(res, { event: 'ready', data: { unreadCount } });
+};
@@ -0,0 +1,220 @@
+import prisma from '../prisma.js';
+import { enqueueJob } from './jobQueue.js';
+import {
+  sendBookingEmails,
+  sendCancellationEmail,
+  sendAppointmentStatusEmail,
+} from '../utils/email.js';
+import {
+  autoSyncAppointmentToGCal,
+  updateAppointmentOnGCal,
+  deleteAppointmentFromGCal,
+} from '../utils/googleCalendar.js';
+
+const MS_PER_MINUTE = 60 * 1000;
+
+// Attempts before a message is left as DEAD (backoff 2, 4, 8, 16, 32 min)
+export const OUTBOX_MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS || 6);
+
+// PROCESSING this long means the worker died mid-send
+const STALE_PROCESSING_MS = 10 * MS_PER_MINUTE;
+
+// Waiting this long without going out counts as stuck in the admin views
+export const OUTBOX_STUCK_AFTER_MS = 15 * MS_PER_MINUTE;
+
+const SENT_RETENTION_MS = 30 * 24 * 60 * MS_PER_MINUTE;
+const DRAIN_BATCH = 50;
+
+// ----------------------------------------------------------------
+// WRITE: call with the transaction client of the appointment change,
+// so the message exists exactly when the change does. The payload
+// holds only what cannot be re-read later (old slot, reason...); the
+// appointment itself is loaded fresh when the message is sent.
+// ----------------------------------------------------------------
+export const addToOutbox = (type, { clinicId = null, appointmentId = null, ...payload } = {}, client = prisma) =>
+  client.outboxMessage.create({
+    data: { type, clinicId, appointmentId, payload },
+  });
+
+// After commit: have the worker send right away instead of on the next
+// minute's drain. Never throws – the drain picks the messages up anyway.
+export const dispatchOutbox = () =>
+  enqueueJob('outbox.drain').catch((err) => console.error('❌ Outbox dispatch failed:', err.message));
+
+// ---------------- Helper: fail the attempt when nothing reached the patient ----------------
+// A message that got through on some channel is not retried, so nobody
+// receives it twice.
+const assertDelivered = (deliveries, label) => {
+  const delivered = (deliveries || []).filter((d) => d.status !== 'FAILED');
+  if (deliveries?.length && !delivered.length) {
+    throw new Error(`${label} not delivered: ${deliveries.map((d) => `${d.channel} ${d.error || 'failed'}`).join('; ')}`);
+  }
+  return { channels: delivered.map((d) => d.channel) };
+};
+
+const loadAppointment = (appointmentId) =>
+  prisma.appointment.findUnique({
+    where: { id: appointmentId },
+    include: {
+      user: true,
+      doctor: true,
+      clinic: true,
+      slot: { include: { doctor: true, clinic: true } },
+    },
+  });
+
+// ----------------------------------------------------------------
+// HANDLERS: (appointment, payload) → result. Throwing fails the attempt.
+// ----------------------------------------------------------------
+const HANDLERS = {
+  BOOKING_EMAILS: async (appt, { type = 'BOOKING', oldSlot = null, customMessage = null, clinicPhone = null }) => {
+    const result = await sendBookingEmails({
+      id: appt.id,
+      clinic: appt.clinic,
+      doctor: appt.doctor,
+      slot: appt.slot,
+      user: appt.user,
+      type,
+      oldSlot,
+      customMessage,
+      clinicPhone,
+    });
+    if (!result.sent && result.failed) throw new Error(result.error || 'No booking email could be sent');
+    return result;
+  },
+  CANCELLATION_EMAIL: async (appt, { reason, patientRequested = false, adminName = null }) =>
+    assertDelivered(
+      await sendCancellationEmail(appt, reason, patientRequested, { name: adminName }),
+      'Cancellation notice'
+    ),
+  STATUS_EMAIL: async (appt, { status, reason = null, adminName = null, previousSlot = null }) =>
+    assertDelivered(
+      await sendAppointmentStatusEmail({ ...appt, previousSlot }, status, reason, { name: adminName }),
+      `${status} notice`
+    ),
+  // replace: the slot moved – drop the old event before creating the new one
+  GCAL_SYNC: async (appt, { replace = false }) => {
+    if (replace && appt.googleCalendarEventId) await deleteAppointmentFromGCal(appt.id);
+    return autoSyncAppointmentToGCal(appt.id);
+  },
+  GCAL_UPDATE: (appt) => updateAppointmentOnGCal(appt.id),
+  GCAL_DELETE: (appt) => deleteAppointmentFromGCal(appt.id),
+};
+
+export const OUTBOX_TYPES = Object.keys(HANDLERS);
+
+// ----------------------------------------------------------------
+// SEND one message. Claimed by flipping it to PROCESSING, so the drain
+// running on two instances never sends the same message twice.
+// Returns `claimed: false` when another worker has it.
+// ----------------------------------------------------------------
+export const processOutboxMessage = async (messageId) => {
+  const now = new Date();
+  const { count } = await prisma.outboxMessage.updateMany({
+    where: {
+      id: messageId,
+      OR: [
+        { status: { in: ['PENDING', 'FAILED'] }, nextAttemptAt: { lte: now } },
+        { status: 'PROCESSING', updatedAt: { lt: new Date(now.getTime() - STALE_PROCESSING_MS) } },
+      ],
+    },
+    data: { status: 'PROCESSING', attempts: { increment: 1 } },
+  });
+
+  const message = await prisma.outboxMessage.findUnique({ where: { id: messageId } });
+  if (!message) throw { statusCode: 404, message: 'Outbox message not found' };
+  if (!count) return { message, claimed: false };
+
+  try {
+    const handler = HANDLERS[message.type];
+    if (!handler) throw new Error(`Unknown outbox message type: ${message.type}`);
+
+    const appt = message.appointmentId ? await loadAppointment(message.appointmentId) : null;
+    const result = appt
+      ? await handler(appt, message.payload || {})
+      : { skipped: 'Appointment no longer exists' };
+
+    const updated = await prisma.outboxMessage.update({
+      where: { id: message.id },
+      data: { status: 'SENT', result: result ?? {}, lastError: null, sentAt: new Date() },
+    });
+    return { message: updated, claimed: true };
+  } catch (error) {
+    console.error(`❌ Outbox ${message.type} (${message.id}) attempt ${message.attempts} failed:`, error?.message || error);
+    const retry = message.attempts < OUTBOX_MAX_ATTEMPTS;
+    const updated = await prisma.outboxMessage.update({
+      where: { id: message.id },
+      data: {
+        status: retry ? 'FAILED' : 'DEAD',
+        lastError: String(error?.message || error).slice(0, 2000),
+        ...(retry ? { nextAttemptAt: new Date(Date.now() + 2 ** message.attempts * MS_PER_MINUTE) } : {}),
+      },
+    });
+    return { message: updated, claimed: true, error };
+  }
+};
+
+// ----------------------------------------------------------------
+// JOB: send everything due – new messages, retries whose backoff is
+// over, and messages left PROCESSING by a crashed worker
+// ----------------------------------------------------------------
+export const drainOutbox = async (now = new Date()) => {
+  const due = await prisma.outboxMessage.findMany({
+    where: {
+      OR: [
+        { status: { in: ['PENDING', 'FAILED'] }, nextAttemptAt: { lte: now } },
+        { status: 'PROCESSING', updatedAt: { lt: new Date(now.getTime() - STALE_PROCESSING_MS) } },
+      ],
+    },
+    orderBy: { createdAt: 'asc' },
+    select: { id: true },
+    take: DRAIN_BATCH,
+  });
+
+  let sent = 0;
+  let failed = 0;
+  for (const { id } of due) {
+    const { message, claimed } = await processOutboxMessage(id);
+    if (!claimed) continue;
+    if (message.status === 'SENT') sent += 1;
+    else failed += 1;
+  }
+
+  // A full batch means more are waiting – go again straight away
+  if (due.length === DRAIN_BATCH) dispatchOutbox();
+
+  return { due: due.length, sent, failed };
+};
+
+// Put a FAILED / DEAD message back in line with a fresh set of attempts
+export const retryOutboxMessage = async (messageId, { clinicId = null } = {}) => {
+  const { count } = await prisma.outboxMessage.updateMany({
+    where: { id: messageId, ...(clinicId ? { clinicId } : {}), status: { in: ['FAILED', 'DEAD'] } },
+    data: { status: 'PENDING', attempts: 0, nextAttemptAt: new Date() },
+  });
+
+  const message = await prisma.outboxMessage.findFirst({
+    where: { id: messageId, ...(clinicId ? { clinicId } : {}) },
+  });
+  if (!message) throw { statusCode: 404, message: 'Outbox message not found' };
+  if (count) dispatchOutbox();
+  return { message, requeued: count > 0 };
+};
+
+// Messages that should have gone out by now: failed, dead, or waiting too long
+export const stuckOutboxWhere = (now = new Date()) => ({
+  OR: [
+    { status: { in: ['FAILED', 'DEAD'] } },
+    {
+      status: { in: ['PENDING', 'PROCESSING'] },
+      createdAt: { lt: new Date(now.getTime() - OUTBOX_STUCK_AFTER_MS) },
+    },
+  ],
+});
+
+export const purgeOutbox = async (now = new Date()) => {
+  const { count } = await prisma.outboxMessage.deleteMany({
+    where: { status: 'SENT', sentAt: { lt: new Date(now.getTime() - SENT_RETENTION_MS) } },
+  });
+  return { sent: count };
+};
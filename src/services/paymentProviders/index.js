@@ -0,0 +1,64 @@
+import razorpayProvider from './razorpayProvider.js';
+import stripeProvider from './stripeProvider.js';
+import mockProvider from './mockProvider.js';
+
+// ----------------------------------------------------------------
+// PAYMENT PROVIDERS
+// Each adapter is a factory taking { apiKey, secret, webhookSecret }
+// and returning:
+//   name
+//   createOrder({ amount, currency, receipt, notes, title, description,
+//                 successUrl, cancelUrl })      → checkout payload for the frontend
+//   verifyPayment({ orderId, paymentId, signature, sessionId })
+//                                               → { paid, orderId, paymentId, amount }
+//   refund({ paymentId, amount, notes })        → { id, status } (gateway's own status)
+//   parseWebhook({ body, rawBody, headers })    → { eventId, eventType, payload,
+//                                                   signature, signatureValid, error? }
+//   listPayments({ from, to })                  → normalised records (reconciliation)
+// Amounts going in and out are rupees unless a field says paise.
+// A new gateway (PhonePe, Cashfree...) is one more adapter registered here.
+// ----------------------------------------------------------------
+
+// The offline MOCK gateway exists only where it is switched on explicitly
+// (dev / test servers) – never just because NODE_ENV is unset
+export const MOCK_PAYMENTS_ENABLED = process.env.ENABLE_MOCK_PAYMENTS === 'true';
+
+const ADAPTERS = {
+  RAZORPAY: razorpayProvider,
+  STRIPE: stripeProvider,
+  ...(MOCK_PAYMENTS_ENABLED ? { MOCK: mockProvider } : {}),
+};
+
+// Webhook endpoints are platform wide, so their secrets come from the environment
+const WEBHOOK_CREDENTIALS = {
+  RAZORPAY: () => ({ webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET }),
+  STRIPE: () => ({ secret: process.env.STRIPE_SECRET_KEY, webhookSecret: process.env.STRIPE_WEBHOOK_SECRET }),
+  MOCK: () => ({ webhookSecret: process.env.MOCK_WEBHOOK_SECRET }),
+};
+
+export const registerPaymentProvider = (name, factory, webhookCredentials = null) => {
+  ADAPTERS[name] = factory;
+  if (webhookCredentials) WEBHOOK_CREDENTIALS[name] = webhookCredentials;
+};
+
+export const getPaymentProviderNames = () => Object.keys(ADAPTERS);
+
+export const isPaymentProvider = (name) => Object.prototype.hasOwnProperty.call(ADAPTERS, name);
+
+// ----------------------------------------------------------------
+// Adapter for a PaymentGateway / SuperAdminPaymentGateway row
+// (older platform rows keep their keys under config)
+// ----------------------------------------------------------------
+export const getPaymentProvider = (gateway, name = gateway?.name) => {
+  if (!isPaymentProvider(name)) {
+    throw { statusCode: 400, message: `Unsupported payment provider: ${name}` };
+  }
+  return ADAPTERS[name]({
+    apiKey: gateway?.apiKey || gateway?.config?.apiKey,
+    secret: gateway?.secret || gateway?.config?.secret,
+    webhookSecret: gateway?.webhookSecret,
+  });
+};
+
+export const getWebhookProvider = (name) =>
+  getPaymentProvider({ ...(WEBHOOK_CREDENTIALS[name]?.() || {}) }, name);
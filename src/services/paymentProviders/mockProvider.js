@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+
+// Orders created in this process – enough for a dev server or a test run
+const orders = new Map();
+
+const hmac = (secret, value) => crypto.createHmac('sha256', secret).update(value).digest('hex');
+const mockId = (prefix) => `${prefix}_mock_${crypto.randomBytes(7).toString('hex')}`;
+
+// Order / payment / refund id issued by this adapter (never a real gateway's)
+export const isMockGatewayId = (id) => typeof id === 'string' && /^[a-z]+_mock_[0-9a-f]+$/.test(id);
+
+// ----------------------------------------------------------------
+// MOCK adapter – no network. Behaves like Razorpay (same checkout
+// fields, same webhook payloads) so the whole booking → payment →
+// webhook → refund flow runs offline. createOrder hands back the
+// payment id and signature a real checkout would produce.
+// ----------------------------------------------------------------
+const mockProvider = ({ apiKey, secret, webhookSecret }) => ({
+  name: 'MOCK',
+
+  createOrder: async ({ amount, currency = 'INR', notes = {} }) => {
+    const orderId = mockId('order');
+    const paymentId = mockId('pay');
+    orders.set(orderId, {
+      apiKey,
+      paymentId,
+      amount: Math.round(amount * 100),
+      currency,
+      notes,
+      status: 'PENDING',
+      createdAt: new Date(),
+    });
+    return {
+      provider: 'MOCK',
+      orderId,
+      amount: Math.round(amount * 100), // paise
+      currency,
+      key: apiKey,
+      mock: { paymentId, signature: hmac(secret, `${orderId}|${paymentId}`) },
+    };
+  },
+
+  verifyPayment: async ({ orderId, paymentId, signature }) => {
+    const paid = !!signature && hmac(secret, `${orderId}|${paymentId}`) === signature;
+    const order = orders.get(orderId);
+    if (paid && order) order.status = 'CAPTURED';
+    return { paid, orderId, paymentId, amount: order ? order.amount / 100 : null };
+  },
+
+  refund: async () => ({ id: mockId('rfnd'), status: 'processed' }),
+
+  parseWebhook: async ({ body, headers }) => {
+    const signature = headers['x-mock-signature'];
+    return {
+      eventId: headers['x-mock-event-id'],
+      eventType: body?.event,
+      payload: body,
+      signature,
+      signatureValid: !!signature && !!webhookSecret && hmac(webhookSecret, JSON.stringify(body)) === signature,
+    };
+  },
+
+  listPayments: async ({ from, to }) =>
+    [...orders.entries()]
+      .filter(([, o]) => o.apiKey === apiKey && o.status === 'CAPTURED' && o.createdAt >= from && o.createdAt < to)
+      .map(([orderId, o]) => ({
+        provider: 'MOCK',
+        paymentId: o.paymentId,
+        orderId,
+        amount: o.amount / 100,
+        status: 'CAPTURED',
+        notes: o.notes,
+        createdAt: o.createdAt,
+      })),
+
+  // Signed Razorpay-style delivery, as the gateway would POST it
+  buildWebhook: ({ event = 'payment.captured', orderId, paymentId, amount, notes = {} }) => {
+    if (!webhookSecret) throw { statusCode: 503, message: 'MOCK_WEBHOOK_SECRET is not set' };
+    const order = orders.get(orderId);
+    if (order && event === 'payment.captured') order.status = 'CAPTURED';
+
+    const body = {
+      event,
+      created_at: Math.floor(Date.now() / 1000),
+      payload: {
+        payment: {
+          entity: {
+            id: paymentId || order?.paymentId || mockId('pay'),
+            order_id: orderId,
+            amount: Math.round(amount * 100),
+            currency: order?.currency || 'INR',
+            status: event === 'payment.failed' ? 'failed' : 'captured',
+            notes: { ...(order?.notes || {}), ...notes },
+          },
+        },
+      },
+    };
+    return {
+      body,
+      headers: {
+        'x-mock-event-id': mockId('evt'),
+        'x-mock-signature': hmac(webhookSecret, JSON.stringify(body)),
+      },
+    };
+  },
+});
+
+export default mockProvider;
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import Razorpay from 'razorpay';
+import { round2 } from '../../utils/money.js';
+
+const hmac = (secret, value) => crypto.createHmac('sha256', secret).update(value).digest('hex');
+
+// { provider, paymentId, orderId, amount (rupees), status CAPTURED|FAILED|PENDING, notes, createdAt }
+const normalisePayment = (p) => ({
+  provider: 'RAZORPAY',
+  paymentId: p.id,
+  orderId: p.order_id || null,
+  amount: round2((p.amount || 0) / 100),
+  status: ['captured', 'refunded'].includes(p.status) ? 'CAPTURED' : p.status === 'failed' ? 'FAILED' : 'PENDING',
+  notes: p.notes && !Array.isArray(p.notes) ? p.notes : {},
+  createdAt: new Date(p.created_at * 1000),
+});
+
+// ----------------------------------------------------------------
+// RAZORPAY adapter – orders + checkout.js on the frontend
+// ----------------------------------------------------------------
+const razorpayProvider = ({ apiKey, secret, webhookSecret }) => {
+  const client = () => new Razorpay({ key_id: apiKey, key_secret: secret });
+
+  return {
+    name: 'RAZORPAY',
+
+    createOrder: async ({ amount, currency = 'INR', receipt, notes = {} }) => {
+      const order = await client().orders.create({
+        amount: Math.round(amount * 100),
+        currency,
+        receipt,
+        notes,
+      });
+      return {
+        provider: 'RAZORPAY',
+        orderId: order.id,
+        amount: order.amount, // paise
+        currency: order.currency,
+        key: apiKey,
+      };
+    },
+
+    // Checkout callback: razorpay_order_id | razorpay_payment_id signed with the key secret
+    verifyPayment: async ({ orderId, paymentId, signature }) => ({
+      paid: !!signature && hmac(secret, `${orderId}|${paymentId}`) === signature,
+      orderId,
+      paymentId,
+      amount: null,
+    }),
+
+    refund: async ({ paymentId, amount, notes = {} }) => {
+      const refund = await client().payments.refund(paymentId, {
+        amount: Math.round(amount * 100),
+        notes,
+      });
+      return { id: refund.id, status: refund.status };
+    },
+
+    parseWebhook: async ({ body, headers }) => {
+      const signature = headers['x-razorpay-signature'];
+      return {
+        eventId: headers['x-razorpay-event-id'],
+        eventType: body?.event,
+        payload: body,
+        signature,
+        signatureValid: !!signature && !!webhookSecret && hmac(webhookSecret, JSON.stringify(body)) === signature,
+      };
+    },
+
+    listPayments: async ({ from, to }) => {
+      const records = [];
+      for (let skip = 0; ; skip += 100) {
+        const page = await client().payments.all({
+          from: Math.floor(from.getTime() / 1000),
+          to: Math.floor(to.getTime() / 1000) - 1,
+          count: 100,
+          skip,
+        });
+        records.push(...(page.items || []).map(normalisePayment));
+        if (!page.items || page.items.length < 100) break;
+      }
+      return records;
+    },
+  };
+};
+
+export default razorpayProvider;
@@ -0,0 +1,115 @@
+import Stripe from 'stripe';
+import { round2 } from '../../utils/money.js';
+
+// Raw body may arrive as a Buffer (express.raw) or already parsed
+const parseBody = (body) => {
+  if (!Buffer.isBuffer(body)) return body;
+  try {
+    return JSON.parse(body.toString('utf8'));
+  } catch {
+    return null;
+  }
+};
+
+// { provider, paymentId, orderId, amount (rupees), status CAPTURED|FAILED|PENDING, notes, createdAt }
+const normaliseSession = (s) => ({
+  provider: 'STRIPE',
+  paymentId: s.payment_intent || null,
+  orderId: s.id,
+  amount: round2((s.amount_total || 0) / 100),
+  status: s.payment_status === 'paid' ? 'CAPTURED' : s.status === 'expired' ? 'FAILED' : 'PENDING',
+  notes: s.metadata || {},
+  createdAt: new Date(s.created * 1000),
+});
+
+// ----------------------------------------------------------------
+// STRIPE adapter – hosted Checkout sessions
+// The session id plays the part of the order id.
+// ----------------------------------------------------------------
+const stripeProvider = ({ apiKey, secret, webhookSecret }) => {
+  const stripe = new Stripe(secret);
+
+  return {
+    name: 'STRIPE',
+
+    createOrder: async ({ amount, currency = 'INR', title, description, notes = {}, successUrl, cancelUrl }) => {
+      const session = await stripe.checkout.sessions.create({
+        payment_method_types: ['card'],
+        line_items: [{
+          price_data: {
+            currency: currency.toLowerCase(),
+            product_data: { name: title, ...(description ? { description } : {}) },
+            unit_amount: Math.round(amount * 100),
+          },
+          quantity: 1,
+        }],
+        mode: 'payment',
+        metadata: notes,
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+      });
+      return {
+        provider: 'STRIPE',
+        sessionId: session.id,
+        url: session.url,
+        publishableKey: apiKey,
+      };
+    },
+
+    verifyPayment: async ({ sessionId }) => {
+      const session = await stripe.checkout.sessions.retrieve(sessionId);
+      return {
+        paid: session.payment_status === 'paid',
+        orderId: session.id,
+        paymentId: session.payment_intent,
+        amount: round2(Number(session.amount_total || 0) / 100),
+      };
+    },
+
+    refund: async ({ paymentId, amount, notes = {} }) => {
+      const refund = await stripe.refunds.create({
+        payment_intent: paymentId,
+        amount: Math.round(amount * 100),
+        metadata: notes,
+      });
+      return { id: refund.id, status: refund.status };
+    },
+
+    // Needs the raw body – the route is mounted with express.raw()
+    parseWebhook: async ({ body, rawBody, headers }) => {
+      const signature = headers['stripe-signature'];
+      try {
+        const event = stripe.webhooks.constructEvent(rawBody || body, signature, webhookSecret);
+        return { eventId: event.id, eventType: event.type, payload: event, signature, signatureValid: true };
+      } catch (err) {
+        const unverified = parseBody(rawBody || body);
+        return {
+          eventId: unverified?.id,
+          eventType: unverified?.type,
+          payload: unverified,
+          signature,
+          signatureValid: false,
+          error: err.message,
+        };
+      }
+    },
+
+    listPayments: async ({ from, to }) => {
+      const records = [];
+      let startingAfter;
+      for (;;) {
+        const page = await stripe.checkout.sessions.list({
+          created: { gte: Math.floor(from.getTime() / 1000), lt: Math.floor(to.getTime() / 1000) },
+          limit: 100,
+          ...(startingAfter ? { starting_after: startingAfter } : {}),
+        });
+        records.push(...page.data.filter((s) => s.mode === 'payment').map(normaliseSession));
+        if (!page.has_more || !page.data.length) break;
+        startingAfter = page.data[page.data.length - 1].id;
+      }
+      return records;
+    },
+  };
+};
+
+export default stripeProvider;
@@ -0,0 +1,162 @@
+import prisma from '../prisma.js';
+import { round2 } from '../utils/money.js';
+import { shiftMonth } from '../utils/dates.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Cleared whenever a plan actually switches
+const CLEAR_PLAN_CHANGE = {
+  pendingPlanId: null,
+  prorationCredit: null,
+  scheduledPlanId: null,
+  scheduledChangeAt: null,
+  deactivateDoctorIds: [],
+};
+
+// ----------------------------------------------------------------
+// ACTIVATION: subscription fields for starting `plan` at `now`
+// (fixed duration → endDate, first trial → endDate, else monthly billing)
+// ----------------------------------------------------------------
+export const buildPlanActivation = (plan, currentSub, now = new Date()) => {
+  let startDate = now, nextBillingDate = null, endDate = null;
+
+  if (plan.durationDays) {
+    endDate = new Date(now.getTime() + plan.durationDays * MS_PER_DAY);
+  } else if (plan.trialDays && (!currentSub || currentSub.status === 'EXPIRED')) {
+    endDate = new Date(now.getTime() + plan.trialDays * MS_PER_DAY);
+  } else {
+    nextBillingDate = shiftMonth(now, 1);
+  }
+
+  return {
+    planId: plan.id,
+    status: 'ACTIVE',
+    priceAtPurchase: plan.priceMonthly,
+    maxDoctors: plan.maxDoctors,
+    maxBookingsPerPeriod: plan.maxBookingsPerMonth,
+    isTrial: plan.isTrial,
+    durationDays: plan.durationDays,
+    trialDays: plan.trialDays,
+    startDate,
+    nextBillingDate,
+    endDate,
+    pastDueSince: null,
+    dunningLinkId: null,
+    dunningLinkUrl: null,
+    razorpayOrderId: null,
+    ...CLEAR_PLAN_CHANGE,
+  };
+};
+
+// Current paid period: [startDate, endDate] or the month ending at nextBillingDate
+export const getCurrentCycle = (sub) => {
+  const end = sub?.endDate || sub?.nextBillingDate;
+  if (!end) return null;
+
+  const endAt = new Date(end);
+  if (sub.endDate) return { start: new Date(sub.startDate), end: endAt };
+
+  const monthStart = shiftMonth(endAt, -1);
+  const started = new Date(sub.startDate);
+  return { start: started > monthStart ? started : monthStart, end: endAt };
+};
+
+// ----------------------------------------------------------------
+// PRORATION: unused share of what was paid for the current cycle
+// ----------------------------------------------------------------
+export const getProrationCredit = (sub, now = new Date()) => {
+  const none = { credit: 0, fraction: 0, cycle: null };
+  if (!sub || sub.status !== 'ACTIVE' || sub.isTrial) return none;
+
+  const price = Number(sub.priceAtPurchase ?? sub.plan?.priceMonthly ?? 0);
+  const cycle = getCurrentCycle(sub);
+  if (!cycle || price <= 0 || cycle.end <= now) return none;
+
+  const length = cycle.end - cycle.start;
+  const fraction = length > 0 ? Math.min(Math.max((cycle.end - now) / length, 0), 1) : 0;
+  return { credit: round2(price * fraction), fraction: round2(fraction), cycle };
+};
+
+// NEW (nothing running to credit/keep), SAME, UPGRADE (pricier) or DOWNGRADE
+export const classifyPlanChange = (currentSub, targetPlan) => {
+  if (!currentSub || currentSub.status !== 'ACTIVE' || currentSub.isTrial || !getCurrentCycle(currentSub)) {
+    return 'NEW';
+  }
+  if (currentSub.planId === targetPlan.id) return 'SAME';
+
+  const currentPrice = Number(currentSub.priceAtPurchase ?? currentSub.plan?.priceMonthly ?? 0);
+  return Number(targetPlan.priceMonthly) > currentPrice ? 'UPGRADE' : 'DOWNGRADE';
+};
+
+// ----------------------------------------------------------------
+// DOCTOR LIMIT on the target plan: the admin picks who gets deactivated.
+// Throws 409 with the active doctor list when not enough were picked.
+// ----------------------------------------------------------------
+export const resolveDoctorDeactivations = async ({ clinicId, plan, deactivateDoctorIds }, client = prisma) => {
+  const active = await client.doctor.findMany({
+    where: { clinicId, isActive: true, deletedAt: null },
+    select: { id: true, name: true },
+    orderBy: { name: 'asc' },
+  });
+
+  const excess = active.length - plan.maxDoctors;
+  if (excess <= 0) return [];
+
+  const activeIds = new Set(active.map((d) => d.id));
+  const chosen = [...new Set(Array.isArray(deactivateDoctorIds) ? deactivateDoctorIds : [])]
+    .filter((id) => activeIds.has(id));
+
+  if (chosen.length < excess) {
+    throw {
+      statusCode: 409,
+      message: `${plan.name} allows ${plan.maxDoctors} active doctor(s). Choose ${excess} doctor(s) to deactivate.`,
+      details: {
+        requiresDoctorSelection: true,
+        mustDeactivate: excess,
+        maxDoctors: plan.maxDoctors,
+        doctors: active,
+      },
+    };
+  }
+  return chosen;
+};
+
+export const deactivateDoctors = async (clinicId, doctorIds, client = prisma) => {
+  if (!doctorIds?.length) return 0;
+  const { count } = await client.doctor.updateMany({
+    where: { id: { in: doctorIds }, clinicId, deletedAt: null },
+    data: { isActive: false },
+  });
+  return count;
+};
+
+// ----------------------------------------------------------------
+// CRON: switch a scheduled downgrade in once its date has passed
+// ----------------------------------------------------------------
+export const applyScheduledPlanChange = async (sub) => {
+  const plan = await prisma.plan.findUnique({ where: { id: sub.scheduledPlanId } });
+  if (!plan) {
+    await prisma.subscription.update({ where: { id: sub.id }, data: CLEAR_PLAN_CHANGE });
+    return null;
+  }
+
+  const changeAt = new Date(sub.scheduledChangeAt);
+  const data = buildPlanActivation(plan, sub, changeAt);
+
+  if (sub.autoRenew) {
+    // Gateway already bills the new plan from this cycle
+    data.nextBillingDate = sub.nextBillingDate;
+    data.endDate = null;
+  } else if (Number(plan.priceMonthly) > 0 && !plan.durationDays) {
+    // First month on the new plan is due now (PAST_DUE grace until paid)
+    data.nextBillingDate = changeAt;
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    await deactivateDoctors(sub.clinicId, sub.deactivateDoctorIds, tx);
+    return tx.subscription.update({ where: { id: sub.id }, data, include: { plan: true } });
+  });
+
+  console.log(`🔽 Clinic ${sub.clinicId} switched to ${plan.name} (scheduled ${changeAt.toISOString()})`);
+  return updated;
+};
@@ -0,0 +1,337 @@
+import fs from 'fs/promises';
+import prisma from '../prisma.js';
+import { addToOutbox, dispatchOutbox } from './outboxService.js';
+import { createBookingNotification } from '../utils/clinicNotifications.js';
+import { recordGatewayCharge } from './ledgerService.js';
+import { confirmWalletDebit } from './walletService.js';
+import { getPaymentProvider, isPaymentProvider } from './paymentProviders/index.js';
+import { WAITLIST_HOLD_REASON } from './waitlistService.js';
+import { round2 } from '../utils/money.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Bookings are the only payments reconciled here; plan billing lives on the
+// platform account too and is told apart by these note / metadata keys
+const BOOKING_NOTE_KEYS = ['slotId', 'appointmentId', 'appointmentTempId'];
+
+// Path to a JSON array of normalised records (see paymentProviders listPayments) used
+// instead of calling the gateways – for local runs and staging
+const MOCK_FILE = process.env.RECONCILIATION_MOCK_FILE;
+
+// Previous IST calendar day → { from, to } (to exclusive)
+export const getReconciliationWindow = (now = new Date()) => {
+  const today = now.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+  const to = new Date(`${today}T00:00:00+05:30`);
+  return { from: new Date(to.getTime() - MS_PER_DAY), to };
+};
+
+// Every active clinic gateway plus the platform gateways (platform collection)
+const listGateways = async () => {
+  const [clinic, platform] = await Promise.all([
+    prisma.paymentGateway.findMany({
+      where: { isActive: true, deletedAt: null, apiKey: { not: null }, secret: { not: null } },
+    }),
+    prisma.superAdminPaymentGateway.findMany({ where: { isActive: true } }),
+  ]);
+  return [
+    ...clinic.map((g) => ({ ...g, collectedVia: 'CLINIC' })),
+    ...platform.map((g) => ({ ...g, id: null, clinicId: null, collectedVia: 'PLATFORM' })),
+  ];
+};
+
+const fetchGatewayRecords = async ({ from, to, errors }) => {
+  if (MOCK_FILE) {
+    const raw = JSON.parse(await fs.readFile(MOCK_FILE, 'utf8'));
+    return raw
+      .map((r) => ({ ...r, amount: round2(Number(r.amount || 0)), notes: r.notes || {}, createdAt: new Date(r.createdAt || from) }))
+      .filter((r) => r.createdAt >= from && r.createdAt < to)
+      .map((r) => ({ record: r, gateway: null }));
+  }
+
+  const out = [];
+  for (const gateway of await listGateways()) {
+    try {
+      if (!isPaymentProvider(gateway.name)) continue;
+      // { provider, paymentId, orderId, amount (rupees), status CAPTURED|FAILED|PENDING, notes, createdAt }
+      const records = await getPaymentProvider(gateway).listPayments({ from, to });
+      records.forEach((record) => out.push({ record, gateway }));
+    } catch (err) {
+      // One clinic's revoked keys must not stop the run
+      errors.push({ gateway: gateway.name, clinicId: gateway.clinicId, error: err?.error?.description || err.message });
+    }
+  }
+  return out;
+};
+
+// ---------------- Helper: appointment a gateway record belongs to ----------------
+const findAppointment = (record) => {
+  const or = [];
+  if (record.orderId) or.push({ orderId: record.orderId });
+  if (record.paymentId) or.push({ paymentId: record.paymentId });
+  if (record.notes.appointmentId) or.push({ id: String(record.notes.appointmentId) });
+  return or.length
+    ? prisma.appointment.findFirst({
+        where: { OR: or, deletedAt: null },
+        include: { slot: true, clinic: true, doctor: true, user: true },
+      })
+    : null;
+};
+
+// ---------------- Helper: why a lapsed hold cannot simply be confirmed ----------------
+// Null when the hold still owns a free slot: not rebooked, not blocked by
+// the clinic, a holiday or a waitlist offer.
+const slotConflict = (appointment) => {
+  const { slot } = appointment;
+  if (!slot || appointment.activeSlotId !== slot.id) return 'the slot was given to another booking';
+  if (slot.holidayId) return 'the slot falls on a holiday';
+  if (slot.isBlocked && slot.blockedReason === WAITLIST_HOLD_REASON) return 'the slot is offered to the waitlist';
+  if (slot.isBlocked) return 'the slot is blocked';
+  return null;
+};
+
+// ----------------------------------------------------------------
+// SAFE FIX: the hold still owns its slot (see slotConflict), so the
+// booking can be confirmed exactly as the webhook would have done it.
+// ----------------------------------------------------------------
+const confirmMissedBooking = async (appointment, record, gateway) => {
+  await prisma.$transaction(async (tx) => {
+    // Still the hold on this slot (not detached by a rebooking since)
+    const { count: held } = await tx.appointment.updateMany({
+      where: { id: appointment.id, status: 'PENDING_PAYMENT', activeSlotId: appointment.slotId },
+      data: {
+        status: 'CONFIRMED',
+        paymentStatus: 'PAID',
+        financialStatus: 'PAID',
+        paymentId: record.paymentId,
+        paymentExpiry: null,
+        adminNote: `Confirmed by reconciliation (${record.paymentId})`,
+      },
+    });
+    if (!held) throw { statusCode: 409, message: 'the slot was given to another booking' };
+
+    // Claimed only if it is still free – a block or holiday added since the
+    // check above leaves the payment for review
+    const { count } = await tx.slot.updateMany({
+      where: { id: appointment.slotId, isBlocked: false, holidayId: null },
+      data: { status: 'CONFIRMED' },
+    });
+    if (!count) throw { statusCode: 409, message: 'the slot was blocked while confirming' };
+
+    const paymentRow = (await tx.payment.findUnique({ where: { appointmentId: appointment.id } }))
+      || (await tx.payment.create({
+        data: {
+          appointmentId: appointment.id,
+          clinicId: appointment.clinicId,
+          doctorId: appointment.doctorId,
+          gatewayId: gateway?.id || null,
+          amount: record.amount,
+          status: 'PAID',
+          gatewayRefId: record.paymentId,
+        },
+      }));
+
+    await recordGatewayCharge({
+      appointmentId: appointment.id,
+      amount: record.amount,
+      provider: record.provider,
+      gatewayRef: record.paymentId,
+      paymentId: paymentRow.gatewayRefId === record.paymentId ? paymentRow.id : null,
+      note: 'Recorded by reconciliation',
+    }, tx);
+
+    // The expired hold gave its coupon back – the patient did use it
+    if (record.orderId) {
+      await tx.couponRedemption.updateMany({
+        where: { orderRef: record.orderId, status: { in: ['PENDING', 'VOID'] } },
+        data: { status: 'REDEEMED' },
+      });
+    }
+    // Same for the wallet share it held
+    await confirmWalletDebit(appointment.id, tx);
+
+    await addToOutbox('BOOKING_EMAILS', {
+      clinicId: appointment.clinicId,
+      appointmentId: appointment.id,
+      type: 'CONFIRMED',
+    }, tx);
+    await createBookingNotification(appointment.id, tx);
+  });
+
+  dispatchOutbox();
+};
+
+// ----------------------------------------------------------------
+// COMPARE one gateway record with our rows.
+// Returns null when everything agrees, else the discrepancy to store
+// ({ type, action: AUTO_FIXED | NEEDS_REVIEW, ... }).
+// ----------------------------------------------------------------
+const reconcileRecord = async (record, gateway) => {
+  const isBooking = BOOKING_NOTE_KEYS.some((k) => record.notes[k]);
+  if (!record.paymentId) return null; // nothing was ever paid on this order
+
+  const [appointment, ledger] = await Promise.all([
+    findAppointment(record),
+    prisma.paymentTransaction.findFirst({ where: { gatewayRef: record.paymentId } }),
+  ]);
+  if (!appointment && !isBooking) return null; // not a booking payment
+
+  const base = {
+    clinicId: appointment?.clinicId || gateway?.clinicId || record.notes.clinicId || null,
+    appointmentId: appointment?.id || null,
+    gatewayAmount: record.amount,
+    gatewayStatus: record.status,
+  };
+
+  if (record.status === 'FAILED') {
+    const payment = await prisma.payment.findFirst({ where: { gatewayRefId: record.paymentId, status: 'PAID' } });
+    if (!payment && !ledger) return null;
+    return { ...base, type: 'NOT_CAPTURED', action: 'NEEDS_REVIEW', recordedAmount: Number(payment?.amount ?? ledger.amount), note: 'Marked paid here but the gateway reports it failed' };
+  }
+  if (record.status !== 'CAPTURED') return null;
+
+  if (ledger) {
+    if (round2(Number(ledger.amount)) === record.amount) return null;
+    return { ...base, type: 'AMOUNT_MISMATCH', action: 'NEEDS_REVIEW', recordedAmount: Number(ledger.amount), note: 'Ledger amount differs from the captured amount' };
+  }
+
+  if (!appointment) {
+    return { ...base, type: 'UNMATCHED_CAPTURE', action: 'NEEDS_REVIEW', note: 'Captured with no booking left to attach it to – refund or rebook' };
+  }
+
+  // Reschedule top-ups move slots around – leave those to a person
+  if (record.notes.type && record.notes.type !== 'NEW_BOOKING') {
+    return { ...base, type: 'MISSING_PAYMENT', action: 'NEEDS_REVIEW', recordedAmount: 0, note: `${record.notes.type} payment was never recorded` };
+  }
+
+  if (appointment.status === 'PENDING_PAYMENT') {
+    const conflict = slotConflict(appointment);
+    if (conflict) {
+      return { ...base, type: 'MISSING_PAYMENT', action: 'NEEDS_REVIEW', recordedAmount: 0, note: `Captured for a lapsed hold but ${conflict} – confirm another slot or refund` };
+    }
+    try {
+      await confirmMissedBooking(appointment, record, gateway);
+    } catch (err) {
+      if (err.statusCode !== 409) throw err;
+      return { ...base, type: 'MISSING_PAYMENT', action: 'NEEDS_REVIEW', recordedAmount: 0, note: `Captured for a lapsed hold but ${err.message} – confirm another slot or refund` };
+    }
+    return { ...base, type: 'MISSING_PAYMENT', action: 'AUTO_FIXED', recordedAmount: 0, note: 'Hold confirmed from the captured payment' };
+  }
+
+  if (['CONFIRMED', 'COMPLETED'].includes(appointment.status)) {
+    await recordGatewayCharge({
+      appointmentId: appointment.id,
+      amount: record.amount,
+      provider: record.provider,
+      gatewayRef: record.paymentId,
+      note: 'Recorded by reconciliation',
+    });
+    return { ...base, type: 'LEDGER_MISSING', action: 'AUTO_FIXED', recordedAmount: 0, note: 'Booking was confirmed but the charge was not in the ledger' };
+  }
+
+  return { ...base, type: 'MISSING_PAYMENT', action: 'NEEDS_REVIEW', recordedAmount: 0, note: `Captured for a ${appointment.status.toLowerCase()} appointment` };
+};
+
+// ----------------------------------------------------------------
+// RUN: pull the period from every gateway, compare, fix what is safe
+// and store the rest for review. Items are unique per gateway payment
+// and type, so overlapping runs never report the same thing twice.
+// ----------------------------------------------------------------
+export const runReconciliation = async ({ from, to, triggeredById = null } = getReconciliationWindow()) => {
+  const run = await prisma.reconciliationRun.create({
+    data: { periodStart: from, periodEnd: to, triggeredById },
+  });
+
+  const summary = { records: 0, matched: 0, autoFixed: 0, needsReview: 0, errors: [] };
+
+  try {
+    const entries = await fetchGatewayRecords({ from, to, errors: summary.errors });
+    summary.records = entries.length;
+
+    for (const { record, gateway } of entries) {
+      try {
+        const found = await reconcileRecord(record, gateway);
+        if (!found) {
+          summary.matched += 1;
+          continue;
+        }
+
+        const exists = await prisma.reconciliationItem.findUnique({
+          where: { provider_gatewayPaymentId_type: { provider: record.provider, gatewayPaymentId: record.paymentId, type: found.type } },
+        });
+        if (exists) continue;
+
+        await prisma.reconciliationItem.create({
+          data: {
+            ...found,
+            runId: run.id,
+            provider: record.provider,
+            collectedVia: gateway?.collectedVia || null,
+            gatewayPaymentId: record.paymentId,
+            gatewayOrderId: record.orderId,
+          },
+        });
+        if (found.action === 'AUTO_FIXED') summary.autoFixed += 1;
+        else summary.needsReview += 1;
+      } catch (err) {
+        summary.errors.push({ paymentId: record.paymentId, error: err.message || String(err) });
+      }
+    }
+
+    return await prisma.reconciliationRun.update({
+      where: { id: run.id },
+      data: { status: 'COMPLETED', summary, finishedAt: new Date() },
+    });
+  } catch (err) {
+    await prisma.reconciliationRun.update({
+      where: { id: run.id },
+      data: { status: 'FAILED', summary, error: err.message || String(err), finishedAt: new Date() },
+    });
+    throw err;
+  }
+};
+
+// ----------------------------------------------------------------
+// RESOLVE a NEEDS_REVIEW item after handling it by hand
+// ----------------------------------------------------------------
+export const resolveReconciliationItem = async ({ id, clinicId = null, resolvedById, note }) => {
+  const item = await prisma.reconciliationItem.findFirst({ where: { id, ...(clinicId ? { clinicId } : {}) } });
+  if (!item) throw { statusCode: 404, message: 'Reconciliation item not found' };
+  if (item.resolvedAt) throw { statusCode: 409, message: 'Item is already resolved' };
+
+  return prisma.reconciliationItem.update({
+    where: { id },
+    data: { resolvedAt: new Date(), resolvedById, resolutionNote: note || null },
+  });
+};
+
+// ----------------------------------------------------------------
+// REPORT: discrepancies, newest first, open ones unless resolved=true
+// ----------------------------------------------------------------
+export const getReconciliationItems = async ({ clinicId, runId, action, type, resolved, page = 1, limit = 20 }) => {
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+
+  const where = {
+    ...(clinicId ? { clinicId } : {}),
+    ...(runId ? { runId } : {}),
+    ...(action ? { action: String(action).toUpperCase() } : {}),
+    ...(type ? { type: String(type).toUpperCase() } : {}),
+    ...(resolved === undefined ? {} : { resolvedAt: String(resolved) === 'true' ? { not: null } : null }),
+  };
+
+  const [total, items] = await Promise.all([
+    prisma.reconciliationItem.count({ where }),
+    prisma.reconciliationItem.findMany({
+      where,
+      include: { clinic: { select: { name: true } } },
+      orderBy: { createdAt: 'desc' },
+      skip: (pageNum - 1) * limitNum,
+      take: limitNum,
+    }),
+  ]);
+
+  return {
+    data: items,
+    pagination: { total, page: pageNum, limit: limitNum, totalPages: Math.ceil(total / limitNum) },
+  };
+};
@@ -0,0 +1,326 @@
+import prisma from '../prisma.js';
+import { recordTransaction } from './ledgerService.js';
+import { getCollectionGateway } from './settlementService.js';
+import { creditWallet, getWalletSpend, returnWalletSpend } from './walletService.js';
+import { getPaymentProvider, isPaymentProvider } from './paymentProviders/index.js';
+import { round2 } from '../utils/money.js';
+
+// Refunds that still count against the paid amount (failed ones are released).
+// Only PROCESSED ones count as money given back (Payment.status).
+const LIVE_REFUND_STATUSES = ['PENDING', 'PROCESSED'];
+
+// ---------------- Helper: gateway client for the payment's provider ----------------
+const getGatewayClient = (gateway) => {
+  if (!gateway?.apiKey || !gateway?.secret) {
+    throw { statusCode: 400, message: `${gateway?.name || 'Payment'} gateway keys are not configured for this clinic` };
+  }
+  if (!isPaymentProvider(gateway.name)) {
+    throw { statusCode: 400, message: `Refunds are not supported for ${gateway.name}` };
+  }
+  return getPaymentProvider(gateway);
+};
+
+// ---------------- Helper: gateway the payment was collected on ----------------
+// Platform-collected payments are refunded from the platform account
+const getPaymentGateway = async (payment) => {
+  if (payment.appointment?.collectedVia !== 'PLATFORM') return payment.gateway;
+
+  const charge = await prisma.paymentTransaction.findFirst({
+    where: { appointmentId: payment.appointmentId, gatewayRef: payment.gatewayRefId },
+    select: { provider: true },
+  });
+  const { gateway } = await getCollectionGateway(payment.clinicId, charge?.provider || 'RAZORPAY', 'PLATFORM');
+  return gateway;
+};
+
+// Razorpay / MOCK: processed | pending | failed ; Stripe: succeeded | pending | requires_action | failed | canceled
+const mapGatewayStatus = (status) => {
+  if (status === 'processed' || status === 'succeeded') return 'PROCESSED';
+  if (status === 'failed' || status === 'canceled') return 'FAILED';
+  return 'PENDING';
+};
+
+// Money only leaves the ledger once the gateway confirms the refund
+const recordRefundInLedger = (refund, client = prisma) =>
+  recordTransaction({
+    appointmentId: refund.appointmentId,
+    type: 'REFUND',
+    amount: refund.amount,
+    provider: refund.provider,
+    gatewayRef: refund.gatewayRefundId,
+    paymentId: refund.paymentId,
+    refundId: refund.id,
+    note: refund.reason,
+    createdById: refund.initiatedById,
+  }, client);
+
+export const getRefundedTotal = async (paymentId, client = prisma, statuses = LIVE_REFUND_STATUSES) => {
+  const agg = await client.refund.aggregate({
+    where: { paymentId, status: { in: statuses } },
+    _sum: { amount: true },
+  });
+  return Number(agg._sum.amount || 0);
+};
+
+export const getRefundableAmount = async (payment, client = prisma) =>
+  round2(Number(payment.amount || 0) - (await getRefundedTotal(payment.id, client)));
+
+// ---------------- Helper: lock the payment and size the refund ----------------
+// Call inside the transaction that writes the refund row: a second refund
+// of the same payment waits on the lock until this row exists, so the two
+// can never both fit in what is left. Returns the amount to refund.
+const reserveRefund = async (tx, paymentId, amount) => {
+  await tx.$queryRaw`SELECT id FROM "public"."payments" WHERE id = ${paymentId} FOR UPDATE`;
+  const payment = await tx.payment.findUnique({ where: { id: paymentId } });
+  if (!['PAID', 'PARTIALLY_REFUNDED'].includes(payment.status)) {
+    throw { statusCode: 400, message: `Payment is ${payment.status.toLowerCase()}, nothing to refund` };
+  }
+
+  const refundable = await getRefundableAmount(payment, tx);
+  const refundAmount = round2(amount === undefined || amount === null ? refundable : Number(amount));
+
+  if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+    throw { statusCode: 400, message: 'Refund amount must be greater than 0' };
+  }
+  if (refundAmount > refundable) {
+    throw { statusCode: 400, message: `Only ₹${refundable} is left to refund on this payment` };
+  }
+  return refundAmount;
+};
+
+// ----------------------------------------------------------------
+// Recompute Payment.status from its refund rows; cancelled appointments
+// mirror it so the patient-facing status follows late webhooks too.
+// ----------------------------------------------------------------
+export const syncPaymentRefundStatus = async (paymentId) => {
+  const payment = await prisma.payment.findUnique({
+    where: { id: paymentId },
+    include: { appointment: { select: { id: true, status: true } } },
+  });
+  if (!payment) return null;
+
+  // A refund still PENDING at the gateway has not given anything back yet
+  const refunded = await getRefundedTotal(paymentId, prisma, ['PROCESSED']);
+  let status = 'PAID';
+  if (refunded > 0) {
+    status = refunded >= Number(payment.amount) ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+  }
+
+  if (status !== payment.status) {
+    await prisma.payment.update({ where: { id: paymentId }, data: { status } });
+  }
+  if (payment.appointment?.status === 'CANCELLED') {
+    await prisma.appointment.update({
+      where: { id: payment.appointment.id },
+      data: { paymentStatus: status },
+    });
+  }
+
+  return status;
+};
+
+// ---------------- Helper: refund settled in wallet credit ----------------
+const refundPaymentToWallet = async ({ payment, amount, reason, source, initiatedById }) => {
+  const refund = await prisma.$transaction(async (tx) => {
+    const refundAmount = await reserveRefund(tx, payment.id, amount);
+    const row = await tx.refund.create({
+      data: {
+        paymentId: payment.id,
+        appointmentId: payment.appointmentId,
+        clinicId: payment.clinicId,
+        provider: 'WALLET',
+        amount: refundAmount,
+        source,
+        reason: reason || null,
+        status: 'PROCESSED',
+        processedAt: new Date(),
+        initiatedById,
+      },
+    });
+    await creditWallet({
+      userId: payment.appointment.userId,
+      clinicId: payment.clinicId,
+      appointmentId: payment.appointmentId,
+      refundId: row.id,
+      amount: refundAmount,
+      reason: 'REFUND',
+      note: reason || null,
+      createdById: initiatedById,
+    }, tx);
+    await recordRefundInLedger(row, tx);
+    return row;
+  });
+
+  console.log(`💰 Refund PROCESSED: ₹${refund.amount} to wallet (${refund.id})`);
+  const paymentStatus = await syncPaymentRefundStatus(payment.id);
+  return { refund, paymentStatus };
+};
+
+// ----------------------------------------------------------------
+// REFUND A PAYMENT (full when amount is omitted)
+// Returns { refund, paymentStatus }. Gateway errors are recorded on the
+// refund row and rethrown with statusCode 502.
+// destination WALLET credits the patient's clinic wallet instead of
+// going back through the gateway.
+// ----------------------------------------------------------------
+export const refundPayment = async ({
+  appointmentId, amount, reason, source = 'MANUAL', initiatedById = null, destination = 'ORIGINAL',
+}) => {
+  const payment = await prisma.payment.findUnique({
+    where: { appointmentId },
+    include: { gateway: true, appointment: { select: { collectedVia: true, userId: true } } },
+  });
+
+  if (!payment || !payment.gatewayRefId) {
+    throw { statusCode: 400, message: 'No online payment recorded for this appointment' };
+  }
+  if (!['PAID', 'PARTIALLY_REFUNDED'].includes(payment.status)) {
+    throw { statusCode: 400, message: `Payment is ${payment.status.toLowerCase()}, nothing to refund` };
+  }
+
+  if (destination === 'WALLET') return refundPaymentToWallet({ payment, amount, reason, source, initiatedById });
+
+  const gateway = await getPaymentGateway(payment);
+  const client = getGatewayClient(gateway);
+  const provider = gateway.name;
+
+  // Refund row first, so a crash mid-call still leaves a trace to reconcile.
+  // As PENDING it already holds its share of the payment (reserveRefund).
+  let refund = await prisma.$transaction(async (tx) =>
+    tx.refund.create({
+      data: {
+        paymentId: payment.id,
+        appointmentId,
+        clinicId: payment.clinicId,
+        provider,
+        amount: await reserveRefund(tx, payment.id, amount),
+        source,
+        reason: reason || null,
+        initiatedById,
+      },
+    })
+  );
+  const refundAmount = Number(refund.amount);
+
+  try {
+    const gatewayRefund = await client.refund({
+      paymentId: payment.gatewayRefId,
+      amount: refundAmount,
+      notes: { refundId: refund.id, appointmentId, reason: reason || source },
+    });
+
+    const status = mapGatewayStatus(gatewayRefund?.status);
+    refund = await prisma.refund.update({
+      where: { id: refund.id },
+      data: {
+        gatewayRefundId: gatewayRefund?.id || null,
+        status,
+        processedAt: status === 'PROCESSED' ? new Date() : null,
+      },
+    });
+    console.log(`💰 Refund ${status}: ₹${refundAmount} via ${provider} (${gatewayRefund?.id})`);
+  } catch (err) {
+    const failureReason = err?.error?.description || err?.raw?.message || err.message || 'Gateway error';
+    await prisma.refund.update({
+      where: { id: refund.id },
+      data: { status: 'FAILED', failureReason },
+    });
+    console.error(`❌ Refund failed for appointment ${appointmentId}:`, failureReason);
+    throw { statusCode: 502, message: `Refund failed: ${failureReason}`, refundId: refund.id };
+  }
+
+  if (refund.status === 'PROCESSED') await recordRefundInLedger(refund);
+  const paymentStatus = await syncPaymentRefundStatus(payment.id);
+  return { refund, paymentStatus };
+};
+
+// ----------------------------------------------------------------
+// WEBHOOKS: finalise a refund reported by the gateway.
+// Unknown refunds (e.g. issued from the gateway dashboard) are added
+// to the ledger against the matching payment.
+// ----------------------------------------------------------------
+export const finaliseGatewayRefund = async ({ provider, gatewayRefundId, gatewayPaymentRef, amount, status, failureReason, refundId }) => {
+  const nextStatus = mapGatewayStatus(status);
+
+  if (!gatewayRefundId) return null;
+
+  let refund = await prisma.refund.findFirst({
+    where: {
+      OR: [
+        { gatewayRefundId },
+        ...(refundId ? [{ id: refundId }] : []),
+      ],
+    },
+  });
+
+  if (!refund) {
+    const payment = await prisma.payment.findFirst({ where: { gatewayRefId: gatewayPaymentRef } });
+    if (!payment) {
+      console.log(`⚠️ Refund webhook: no payment for ${gatewayPaymentRef}`);
+      return null;
+    }
+    refund = await prisma.refund.create({
+      data: {
+        paymentId: payment.id,
+        appointmentId: payment.appointmentId,
+        clinicId: payment.clinicId,
+        provider,
+        amount: round2(Number(amount || 0) / 100),
+        source: 'GATEWAY',
+        reason: 'Issued from gateway dashboard',
+        gatewayRefundId,
+        status: nextStatus,
+        processedAt: nextStatus === 'PROCESSED' ? new Date() : null,
+        failureReason: nextStatus === 'FAILED' ? failureReason || null : null,
+      },
+    });
+  } else if (refund.status !== nextStatus || !refund.gatewayRefundId) {
+    refund = await prisma.refund.update({
+      where: { id: refund.id },
+      data: {
+        gatewayRefundId: refund.gatewayRefundId || gatewayRefundId,
+        status: nextStatus,
+        processedAt: nextStatus === 'PROCESSED' ? refund.processedAt || new Date() : null,
+        failureReason: nextStatus === 'FAILED' ? failureReason || 'Failed at gateway' : null,
+      },
+    });
+  }
+
+  if (refund.status === 'PROCESSED') await recordRefundInLedger(refund);
+  await syncPaymentRefundStatus(refund.paymentId);
+  return refund;
+};
+
+// ----------------------------------------------------------------
+// CANCELLATION REFUND across everything that paid for the booking:
+// the gateway payment first, then wallet money spent on it goes back
+// to the wallet. Returns { refund, walletTransaction, paymentStatus }.
+// ----------------------------------------------------------------
+export const refundAppointment = async ({ appointmentId, amount, reason, source, initiatedById = null, destination = 'ORIGINAL' }) => {
+  let remaining = round2(Number(amount));
+  let refund = null;
+  let paymentStatus = null;
+
+  const payment = await prisma.payment.findUnique({ where: { appointmentId } });
+  if (payment?.gatewayRefId && ['PAID', 'PARTIALLY_REFUNDED'].includes(payment.status)) {
+    const gatewayPart = Math.min(remaining, await getRefundableAmount(payment));
+    if (gatewayPart > 0) {
+      ({ refund, paymentStatus } = await refundPayment({
+        appointmentId, amount: gatewayPart, reason, source, initiatedById, destination,
+      }));
+      remaining = round2(remaining - gatewayPart);
+    }
+  }
+
+  const walletTransaction = remaining > 0 && (await getWalletSpend(appointmentId)) > 0
+    ? await prisma.$transaction((tx) => returnWalletSpend({ appointmentId, amount: remaining, note: reason, createdById: initiatedById }, tx))
+    : null;
+
+  if (!refund && !walletTransaction) {
+    throw { statusCode: 400, message: 'No online or wallet payment recorded for this appointment' };
+  }
+  if (!paymentStatus) {
+    paymentStatus = (await getWalletSpend(appointmentId)) > 0 ? 'PARTIALLY_REFUNDED' : 'REFUNDED';
+  }
+  return { refund, walletTransaction, paymentStatus };
+};
@@ -0,0 +1,149 @@
+import prisma from '../prisma.js';
+import { getSlotStart } from './cancellationPolicyService.js';
+
+// Placeholders a clinic can use in a reminder subject / body
+export const TEMPLATE_FIELDS = [
+  'patientName',
+  'doctorName',
+  'clinicName',
+  'clinicAddress',
+  'clinicPhone',
+  'mapLink',
+  'date',
+  'time',
+];
+
+export const DEFAULT_SUBJECT = '📅 Appointment Reminder - {{clinicName}}';
+export const DEFAULT_BODY =
+  'Hello {{patientName}}, this is a reminder of your appointment with Dr. {{doctorName}} at {{clinicName}} ' +
+  'on {{date}} at {{time}}. Address: {{clinicAddress}} {{mapLink}}';
+
+// Used when a clinic has no active rules – the old fixed 24h + 1h reminders
+export const DEFAULT_RULES = [
+  {
+    id: null,
+    key: 'DEFAULT_1440',
+    name: 'Day before',
+    offsetMinutes: 24 * 60,
+    subject: '📅 Appointment Reminder (Tomorrow)',
+    body: 'Hello {{patientName}}, this is a reminder of your appointment with Dr. {{doctorName}} tomorrow ({{date}}) at {{time}}.',
+    includePending: false,
+  },
+  {
+    id: null,
+    key: 'DEFAULT_60',
+    name: 'One hour before',
+    offsetMinutes: 60,
+    subject: '⏰ Appointment Reminder (1 Hour)',
+    body: 'Hello {{patientName}}, your appointment with Dr. {{doctorName}} is at {{time}} today. Please arrive 10 minutes early. {{mapLink}}',
+    includePending: false,
+  },
+];
+
+const MIN_OFFSET_MINUTES = 5;
+const MAX_OFFSET_MINUTES = 14 * 24 * 60;
+
+// Reminder-rule key recorded on each send (built-in rules have no row)
+export const ruleKey = (rule) => rule.key || rule.id;
+
+// ----------------------------------------------------------------
+// TEMPLATE VALIDATION (admin input) – unknown {{fields}} are rejected
+// ----------------------------------------------------------------
+export const assertTemplate = (template, label) => {
+  if (template === null || template === undefined || template === '') return;
+  if (typeof template !== 'string') throw { statusCode: 400, message: `${label} must be text` };
+
+  const unknown = [...template.matchAll(/{{\s*(\w+)\s*}}/g)]
+    .map((m) => m[1])
+    .filter((f) => !TEMPLATE_FIELDS.includes(f));
+  if (unknown.length) {
+    throw {
+      statusCode: 400,
+      message: `Unknown placeholder in ${label}: ${[...new Set(unknown)].join(', ')}. Allowed: ${TEMPLATE_FIELDS.join(', ')}`,
+    };
+  }
+};
+
+export const normaliseOffsetMinutes = (value) => {
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < MIN_OFFSET_MINUTES || minutes > MAX_OFFSET_MINUTES) {
+    throw {
+      statusCode: 400,
+      message: `offsetMinutes must be a whole number between ${MIN_OFFSET_MINUTES} and ${MAX_OFFSET_MINUTES}`,
+    };
+  }
+  return minutes;
+};
+
+export const renderTemplate = (template, values) =>
+  String(template || '').replace(/{{\s*(\w+)\s*}}/g, (_, field) => values[field] ?? '');
+
+// ----------------------------------------------------------------
+// Placeholder values for one appointment
+// ----------------------------------------------------------------
+export const getTemplateValues = (appointment) => {
+  const { clinic, doctor, user, slot } = appointment;
+  const address = [clinic?.address, clinic?.city, clinic?.pincode].filter(Boolean).join(', ');
+  const start = getSlotStart(slot);
+
+  return {
+    patientName: user?.name || 'Patient',
+    doctorName: doctor?.name || 'Doctor',
+    clinicName: clinic?.name || 'Clinic',
+    clinicAddress: address,
+    clinicPhone: clinic?.phone || '',
+    mapLink: clinic?.googleMapsUrl
+      || (address ? `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(address)}` : ''),
+    date: start.toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', weekday: 'short', day: '2-digit', month: 'short', year: 'numeric' }),
+    time: start.toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata', hour: 'numeric', minute: '2-digit', hour12: true }),
+  };
+};
+
+// Active rules per clinic; clinics without any fall back to DEFAULT_RULES
+export const getRulesForClinics = async (clinicIds) => {
+  const rules = await prisma.reminderRule.findMany({
+    where: { clinicId: { in: clinicIds }, isActive: true, deletedAt: null },
+    orderBy: { offsetMinutes: 'desc' },
+  });
+
+  const byClinic = new Map();
+  for (const rule of rules) {
+    if (!byClinic.has(rule.clinicId)) byClinic.set(rule.clinicId, []);
+    byClinic.get(rule.clinicId).push(rule);
+  }
+  return (clinicId) => byClinic.get(clinicId) || DEFAULT_RULES;
+};
+
+// ----------------------------------------------------------------
+// Which rules are due for an appointment right now. A reminder is due
+// from (start - offset) until the appointment starts. When the job has
+// been late and several are due, only the nearest one is sent – the
+// others are returned as superseded so they are never sent later.
+// ----------------------------------------------------------------
+export const getDueReminders = ({ appointment, rules, alreadySent, now = new Date() }) => {
+  const start = getSlotStart(appointment.slot);
+  if (start <= now) return { start, due: null, superseded: [] };
+
+  // Once a nearer reminder has gone out, earlier ones are pointless
+  const nearestSent = Math.min(
+    Infinity,
+    ...rules.filter((r) => alreadySent.has(ruleKey(r))).map((r) => r.offsetMinutes)
+  );
+
+  const pending = rules
+    .filter((r) => appointment.status === 'CONFIRMED' || (appointment.status === 'PENDING' && r.includePending))
+    .filter((r) => start.getTime() - r.offsetMinutes * 60 * 1000 <= now.getTime())
+    .filter((r) => !alreadySent.has(ruleKey(r)) && r.offsetMinutes < nearestSent)
+    .sort((a, b) => a.offsetMinutes - b.offsetMinutes);
+
+  return { start, due: pending[0] || null, superseded: pending.slice(1) };
+};
+
+// Largest offset in use – how far ahead the job has to look
+export const getMaxOffsetMinutes = async () => {
+  const agg = await prisma.reminderRule.aggregate({
+    where: { isActive: true, deletedAt: null },
+    _max: { offsetMinutes: true },
+  });
+  return Math.max(agg._max.offsetMinutes || 0, ...DEFAULT_RULES.map((r) => r.offsetMinutes));
+};
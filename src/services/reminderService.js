@@ -1,37 +1,50 @@
-import cron from 'node-cron';
 import nodemailer from 'nodemailer';
 import prisma from '../prisma.js';
-
-// --- HELPER: Format Time to AM/PM ---
-const formatTime12h = (time24) => {
-    const [h, m] = time24.split(':').map(Number);
-    const suffix = h >= 12 ? 'PM' : 'AM';
-    const hour12 = h % 12 || 12; // Convert 0 to 12
-    return `${hour12}:${String(m).padStart(2, '0')} ${suffix}`;
-};
-
-// --- HELPER: HTML Email Template ---
-const getHtmlTemplate = (userName, doctorName, dateStr, timeStr, type) => {
-    const color = type === '1 Hour' ? '#e74c3c' : '#3498db'; // Red for urgent, Blue for tomorrow
+import { notifyPatient } from './notificationService.js';
+import { registerJob, scheduleJob } from './jobQueue.js';
+import {
+  DEFAULT_SUBJECT,
+  DEFAULT_BODY,
+  getRulesForClinics,
+  getDueReminders,
+  getMaxOffsetMinutes,
+  getTemplateValues,
+  renderTemplate,
+  ruleKey,
+} from './reminderRuleService.js';
+import { getSlotStart } from './cancellationPolicyService.js';
+
+// --- HELPER: escape patient / clinic text going into the email ---
+const escapeHtml = (value) =>
+    String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+// --- HELPER: HTML Email Template (the rule's text inside the reminder card) ---
+const getHtmlTemplate = (bodyText, values, urgent) => {
+    const color = urgent ? '#e74c3c' : '#3498db'; // Red for urgent, Blue otherwise
+    const paragraphs = escapeHtml(bodyText)
+        .split(/\n+/)
+        .map((line) => `<p style="font-size: 16px; color: #555;">${line}</p>`)
+        .join('');
     return `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; border: 1px solid #e0e0e0; border-radius: 8px; overflow: hidden;">
         <div style="background-color: ${color}; padding: 20px; text-align: center; color: white;">
             <h2 style="margin: 0;">📅 Appointment Reminder</h2>
-            <p style="margin: 5px 0 0;">${type}</p>
+            <p style="margin: 5px 0 0;">${escapeHtml(values.clinicName)}</p>
         </div>
         <div style="padding: 30px; background-color: #f9f9f9;">
-            <p style="font-size: 16px; color: #333;">Hello <strong>${userName}</strong>,</p>
-            <p style="font-size: 16px; color: #555;">This is a friendly reminder about your upcoming appointment with <strong>Dr. ${doctorName}</strong>.</p>
+            ${paragraphs}
             
             <div style="background-color: white; padding: 15px; border-left: 4px solid ${color}; margin: 20px 0;">
-                <p style="margin: 5px 0;"><strong>🕒 Time:</strong> ${timeStr}</p>
-                <p style="margin: 5px 0;"><strong>📅 Date:</strong> ${dateStr}</p>
+                <p style="margin: 5px 0;"><strong>🕒 Time:</strong> ${escapeHtml(values.time)}</p>
+                <p style="margin: 5px 0;"><strong>📅 Date:</strong> ${escapeHtml(values.date)}</p>
+                ${values.clinicAddress ? `<p style="margin: 5px 0;"><strong>📍 Address:</strong> ${escapeHtml(values.clinicAddress)}</p>` : ''}
             </div>
 
             <p style="font-size: 14px; color: #777;">Please arrive 10 minutes early to complete any necessary check-in procedures.</p>
             
             <div style="text-align: center; margin-top: 30px;">
                 <a href="https://appointment.inklidox.com/login" style="background-color: #333; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold;">View Details</a>
+                ${values.mapLink ? `<a href="${escapeHtml(values.mapLink)}" style="margin-left: 8px; background-color: #10b981; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold;">Directions</a>` : ''}
             </div>
         </div>
         <div style="background-color: #eee; padding: 15px; text-align: center; font-size: 12px; color: #999;">
@@ -79,92 +92,113 @@ export const sendEmail1 = async ({ to, subject, html }) => {
   }
 };
 
-// 2. Main Logic
+// --- HELPER: one rule's reminder on every channel the patient can be reached on ---
+const sendReminder = (app, rule) => {
+    const values = getTemplateValues(app);
+    const text = renderTemplate(rule.body || DEFAULT_BODY, values);
+    return notifyPatient({
+        event: 'REMINDER',
+        clinicId: app.clinicId,
+        user: app.user,
+        appointmentId: app.id,
+        message: {
+            fromName: values.clinicName,
+            subject: renderTemplate(rule.subject || DEFAULT_SUBJECT, values),
+            html: getHtmlTemplate(text, values, rule.offsetMinutes <= 60),
+            text,
+        },
+    });
+};
+
+// --- HELPER: claim a reminder; false when another run already has it ---
+const claimReminder = async ({ rule, appointmentId, startsAt, status = 'SENT' }) => {
+    try {
+        await prisma.reminderSend.create({
+            data: { ruleKey: ruleKey(rule), ruleId: rule.id, appointmentId, startsAt, status },
+        });
+        return true;
+    } catch (err) {
+        if (err.code === 'P2002') return false;
+        throw err;
+    }
+};
+
+// 2. Main Logic – evaluate every clinic's reminder rules. A reminder is
+// claimed (unique per rule + appointment + start time) before it is sent,
+// so overlapping or late runs never send it twice, and a rescheduled
+// appointment gets its reminders again for the new time.
 export const checkAndSendReminders = async () => {
   try {
     const now = new Date();
-    const IST_OFFSET = 5.5 * 60 * 60 * 1000;
-    const nowIST = new Date(now.getTime() + IST_OFFSET);
-    
-    console.log(`[${nowIST.toISOString().slice(11,19)} IST] ⏳ Hourly Reminder Job Running...`);
-
-    const currentHourIST = nowIST.getUTCHours();
-    const currentDayISTStr = nowIST.toISOString().slice(0, 10); 
+    console.log(`[${now.toISOString()}] ⏳ Reminder Job Running...`);
 
+    // slot.date is a day – look one day either side of the window
+    const maxOffsetMs = (await getMaxOffsetMinutes()) * 60 * 1000;
     const appointments = await prisma.appointment.findMany({
-      where: { status: 'CONFIRMED' },
-      include: { user: true, doctor: true, slot: true },
+      where: {
+        status: { in: ['CONFIRMED', 'PENDING'] },
+        deletedAt: null,
+        slot: {
+          date: {
+            gte: new Date(now.getTime() - 24 * 60 * 60 * 1000),
+            lte: new Date(now.getTime() + maxOffsetMs + 24 * 60 * 60 * 1000),
+          },
+        },
+      },
+      include: {
+        user: true,
+        doctor: { select: { name: true } },
+        slot: { select: { date: true, time: true } },
+        clinic: { select: { name: true, address: true, city: true, pincode: true, phone: true, googleMapsUrl: true } },
+        reminderSends: { select: { ruleKey: true, startsAt: true } },
+      },
     });
 
-    if (appointments.length === 0) return;
+    if (appointments.length === 0) return { sent: 0 };
 
+    const rulesFor = await getRulesForClinics([...new Set(appointments.map((a) => a.clinicId))]);
     let sentCount = 0;
 
     for (const app of appointments) {
-      if (!app.user?.email) continue;
-
-      // IST Conversion
-      const appDate = new Date(app.slot.date);
-      const appDateIST = new Date(appDate.getTime() + IST_OFFSET);
-      const appDayISTStr = appDateIST.toISOString().slice(0, 10);
-      
-      const [appHour] = app.slot.time.split(':').map(Number);
-      
-      // PREPARE DATA
-      const formattedTime = formatTime12h(app.slot.time); // e.g., "02:15 PM"
-      const formattedDate = appDateIST.toDateString();    // e.g., "Sat Dec 20 2025"
-
-      // ------------------------------------------------------------------
-      // LOGIC: 1 HOUR REMINDER
-      // ------------------------------------------------------------------
-      if (appDayISTStr === currentDayISTStr && appHour === (currentHourIST + 1)) {
-         console.log(`🔔 MATCH! 1h Reminder for ${app.user.email} at ${formattedTime}`);
-         
-         const html = getHtmlTemplate(
-            app.user.name, 
-            app.doctor.name, 
-            formattedDate, 
-            formattedTime, 
-            "Urgent: Appointment in 1 Hour"
-         );
-         
-         await sendEmail(app.user.email, "⏰ Appointment Reminder (1 Hour)", html);
-         sentCount++;
-      }
-      
-      // ------------------------------------------------------------------
-      // LOGIC: 24 HOUR REMINDER
-      // ------------------------------------------------------------------
-      const tomorrowIST = new Date(nowIST);
-      tomorrowIST.setDate(tomorrowIST.getDate() + 1);
-      const tomorrowISTStr = tomorrowIST.toISOString().slice(0, 10);
-
-      if (appDayISTStr === tomorrowISTStr && appHour === currentHourIST) {
-          console.log(`🔔 MATCH! 24h Reminder for ${app.user.email} at ${formattedTime}`);
-          
-          const html = getHtmlTemplate(
-             app.user.name, 
-             app.doctor.name, 
-             formattedDate, 
-             formattedTime, 
-             "Appointment Tomorrow"
-          );
-          
-          await sendEmail(app.user.email, "📅 Appointment Reminder (Tomorrow)", html);
-          sentCount++;
+      if (!app.user || !app.slot) continue;
+
+      const startMs = getSlotStart(app.slot).getTime();
+      const alreadySent = new Set(
+        app.reminderSends.filter((r) => r.startsAt.getTime() === startMs).map((r) => r.ruleKey)
+      );
+      const { start, due, superseded } = getDueReminders({
+        appointment: app,
+        rules: rulesFor(app.clinicId),
+        alreadySent,
+        now,
+      });
+      if (!due) continue;
+
+      // Missed while the job was down – the nearer reminder replaces them
+      for (const rule of superseded) {
+        await claimReminder({ rule, appointmentId: app.id, startsAt: start, status: 'SKIPPED' });
       }
+
+      if (!(await claimReminder({ rule: due, appointmentId: app.id, startsAt: start }))) continue;
+
+      console.log(`🔔 Reminder "${due.name || due.offsetMinutes + ' min'}" for appt ${app.id}`);
+      await sendReminder(app, due);
+      sentCount++;
     }
-    
-    if (sentCount === 0) console.log("   (No matching appointments for this hour)");
+
+    if (sentCount === 0) console.log("   (No reminders due)");
+    else console.log(`✅ ${sentCount} reminder(s) sent`);
+    return { sent: sentCount };
 
   } catch (error) {
     console.error("❌ Error in reminder service:", error);
+    throw error;
   }
 };
 
-// 3. Scheduler
+// 3. Scheduler – every 5 minutes so short offsets (e.g. 30 min) land on time
 export const startReminderJob = () => {
   console.log("✅ Reminder Service Started.");
-  // Production: Run Hourly
-  cron.schedule('0 * * * *', checkAndSendReminders); 
+  registerJob('reminders.send', () => checkAndSendReminders());
+  scheduleJob('reminders.send', '*/5 * * * *');
 };
@@ -0,0 +1,362 @@
+import PDFDocument from 'pdfkit';
+import prisma from '../prisma.js';
+import { getGstMonthRange } from './taxService.js';
+import { round2 } from '../utils/money.js';
+
+const money = (n) => `Rs. ${round2(Number(n || 0)).toFixed(2)}`;
+const istDate = (d) => new Date(d).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' });
+
+export const COMMISSION_TYPES = ['PERCENT', 'FLAT'];
+
+// Used when the clinic's plan has no commission of its own
+const DEFAULT_COMMISSION = {
+  type: COMMISSION_TYPES.includes(process.env.PLATFORM_COMMISSION_TYPE) ? process.env.PLATFORM_COMMISSION_TYPE : 'PERCENT',
+  value: Number(process.env.PLATFORM_COMMISSION_VALUE || 0),
+};
+
+// Ledger entries that move platform-collected money (cash never touches the platform)
+const SETTLED_TYPES = ['CHARGE', 'RESCHEDULE_DIFFERENCE', 'REFUND'];
+
+const hasPayoutDetails = (clinic) => !!(clinic?.accountNumber && clinic?.ifscCode);
+
+// ----------------------------------------------------------------
+// Plan commission fields from a request body → Prisma data (throws 400)
+// Both null clears the plan override and falls back to the default.
+// ----------------------------------------------------------------
+export const normaliseCommission = ({ commissionType, commissionValue }) => {
+  if (commissionType === undefined && commissionValue === undefined) return {};
+  if (commissionType === null && (commissionValue === null || commissionValue === undefined)) {
+    return { commissionType: null, commissionValue: null };
+  }
+
+  const type = String(commissionType || '').toUpperCase();
+  if (!COMMISSION_TYPES.includes(type)) {
+    throw { statusCode: 400, message: `commissionType must be one of ${COMMISSION_TYPES.join(', ')}` };
+  }
+  const value = Number(commissionValue);
+  if (!Number.isFinite(value) || value < 0 || (type === 'PERCENT' && value > 100)) {
+    throw { statusCode: 400, message: 'commissionValue must be 0-100 for PERCENT or a non-negative amount for FLAT' };
+  }
+  return { commissionType: type, commissionValue: round2(value) };
+};
+
+// Commission rule for the clinic's current plan
+export const getCommissionRule = async (clinicId, client = prisma) => {
+  const subscription = await client.subscription.findUnique({
+    where: { clinicId },
+    select: { plan: { select: { commissionType: true, commissionValue: true } } },
+  });
+  const plan = subscription?.plan;
+  if (plan?.commissionType && plan.commissionValue != null) {
+    return { type: plan.commissionType, value: Number(plan.commissionValue) };
+  }
+  return DEFAULT_COMMISSION;
+};
+
+// FLAT is per booking – charged on the first payment only, never above it
+export const computeCommission = (rule, amount, type = 'CHARGE') => {
+  const gross = round2(Number(amount || 0));
+  const fee = rule.type === 'FLAT'
+    ? (type === 'CHARGE' ? Number(rule.value) : 0)
+    : gross * Number(rule.value) / 100;
+  return round2(Math.min(Math.max(fee, 0), gross));
+};
+
+// ----------------------------------------------------------------
+// GATEWAY FOR A BOOKING PAYMENT
+// The clinic's own keys when it has them; otherwise the platform gateway,
+// provided the clinic has bank details to be settled to. Pass the
+// appointment's collectedVia to stay on the route it was charged through.
+// Returns { gateway, collectedVia }; gateway is a PaymentGateway-shaped row
+// (id null for the platform) or null when neither route is usable.
+// ----------------------------------------------------------------
+export const getCollectionGateway = async (clinicId, provider, collectedVia = null, client = prisma) => {
+  if (collectedVia !== 'PLATFORM') {
+    const own = await client.paymentGateway.findFirst({
+      where: { clinicId, isActive: true, name: provider },
+    });
+    if (own?.apiKey && own?.secret) return { gateway: own, collectedVia: 'CLINIC' };
+    if (collectedVia === 'CLINIC') return { gateway: null, collectedVia };
+
+    const clinic = await client.clinic.findUnique({
+      where: { id: clinicId },
+      select: { accountNumber: true, ifscCode: true },
+    });
+    if (!hasPayoutDetails(clinic)) return { gateway: null, collectedVia: 'CLINIC' };
+  }
+
+  const platform = await client.superAdminPaymentGateway.findFirst({
+    where: { name: provider, isActive: true },
+  });
+  if (!platform?.apiKey || !platform?.secret) return { gateway: null, collectedVia: 'PLATFORM' };
+
+  return { gateway: { ...platform, id: null }, collectedVia: 'PLATFORM' };
+};
+
+// ----------------------------------------------------------------
+// SETTLEMENT ENTRY for a ledger row on a platform-collected appointment.
+// Called from ledgerService inside the same transaction. Refunds give
+// back commission in proportion to what was charged on the appointment.
+// Wallet rows are skipped: wallet credit is held by the clinic itself, so
+// spending it (or refunding into it) never passes through the platform.
+// ----------------------------------------------------------------
+export const recordSettlementEntry = async (txn, client = prisma) => {
+  if (!SETTLED_TYPES.includes(txn.type) || txn.provider === 'WALLET') return null;
+
+  const existing = await client.settlementEntry.findUnique({ where: { transactionId: txn.id } });
+  if (existing) return existing;
+
+  const amount = round2(Number(txn.amount));
+  let gross = amount;
+  let commission;
+  let rule = null;
+
+  if (txn.type === 'REFUND') {
+    const charged = await client.settlementEntry.aggregate({
+      where: { appointmentId: txn.appointmentId, gross: { gt: 0 } },
+      _sum: { gross: true, commission: true },
+    });
+    const chargedGross = Number(charged._sum.gross || 0);
+    const ratio = chargedGross > 0 ? Number(charged._sum.commission || 0) / chargedGross : 0;
+    gross = -amount;
+    commission = -round2(amount * ratio);
+  } else {
+    rule = await getCommissionRule(txn.clinicId, client);
+    commission = computeCommission(rule, amount, txn.type);
+  }
+
+  return client.settlementEntry.create({
+    data: {
+      clinicId: txn.clinicId,
+      appointmentId: txn.appointmentId,
+      transactionId: txn.id,
+      type: txn.type,
+      gross,
+      commission,
+      net: round2(gross - commission),
+      commissionType: rule?.type || null,
+      commissionValue: rule ? rule.value : null,
+    },
+  });
+};
+
+// ----------------------------------------------------------------
+// PERIOD from a query: ?month=YYYY-MM (IST) or ?from=&to= (to exclusive)
+// ----------------------------------------------------------------
+export const getSettlementPeriod = ({ month, from, to } = {}) => {
+  if (!from && !to) {
+    const range = getGstMonthRange(month);
+    return { from: range.from, to: range.to, label: range.month };
+  }
+
+  const start = new Date(from);
+  const end = new Date(to);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+    throw { statusCode: 400, message: 'from and to must be valid dates with from before to' };
+  }
+  return { from: start, to: end, label: `${istDate(start)} - ${istDate(end)}` };
+};
+
+// Gross in / refunds out / commission / net for a set of entries
+const summariseGroups = (groups) => {
+  const totals = { grossAmount: 0, refundAmount: 0, commissionAmount: 0, netPayable: 0, entryCount: 0 };
+  groups.forEach((g) => {
+    const gross = Number(g._sum.gross || 0);
+    if (g.type === 'REFUND') totals.refundAmount = round2(totals.refundAmount - gross);
+    else totals.grossAmount = round2(totals.grossAmount + gross);
+    totals.commissionAmount = round2(totals.commissionAmount + Number(g._sum.commission || 0));
+    totals.netPayable = round2(totals.netPayable + Number(g._sum.net || 0));
+    totals.entryCount += g._count._all;
+  });
+  return totals;
+};
+
+const sumEntries = (where, client = prisma) =>
+  client.settlementEntry.groupBy({
+    by: ['clinicId', 'type'],
+    where,
+    _sum: { gross: true, commission: true, net: true },
+    _count: { _all: true },
+  });
+
+// ----------------------------------------------------------------
+// LEDGER: net payable per clinic for a period, split into what is
+// already in a batch and what is still unsettled.
+// ----------------------------------------------------------------
+export const getSettlementLedger = async ({ from, to, clinicId = null }) => {
+  const where = { createdAt: { gte: from, lt: to }, ...(clinicId ? { clinicId } : {}) };
+
+  const [all, unsettled] = await Promise.all([
+    sumEntries(where),
+    sumEntries({ ...where, batchId: null }),
+  ]);
+
+  const clinicIds = [...new Set(all.map((g) => g.clinicId))];
+  const clinics = await prisma.clinic.findMany({
+    where: { id: { in: clinicIds } },
+    select: { id: true, name: true },
+  });
+  const names = Object.fromEntries(clinics.map((c) => [c.id, c.name]));
+
+  return clinicIds.map((id) => ({
+    clinicId: id,
+    clinicName: names[id] || null,
+    ...summariseGroups(all.filter((g) => g.clinicId === id)),
+    unsettledNet: summariseGroups(unsettled.filter((g) => g.clinicId === id)).netPayable,
+  }));
+};
+
+// ----------------------------------------------------------------
+// GENERATE one PENDING batch per clinic for a closed period.
+// Re-running picks up late entries into the same PENDING batch; a PAID
+// batch is never reopened (its late entries stay unsettled).
+// ----------------------------------------------------------------
+export const generateSettlementBatches = async ({ from, to, clinicId = null, generatedById = null }) => {
+  if (to > new Date()) throw { statusCode: 400, message: 'Settlement period has not ended yet' };
+
+  const entryWhere = { batchId: null, createdAt: { gte: from, lt: to } };
+  const pending = await prisma.settlementEntry.groupBy({
+    by: ['clinicId'],
+    where: { ...entryWhere, ...(clinicId ? { clinicId } : {}) },
+  });
+
+  const batches = [];
+  const skipped = [];
+
+  for (const { clinicId: id } of pending) {
+    const batch = await prisma.$transaction(async (tx) => {
+      let current = await tx.settlementBatch.findUnique({
+        where: { clinicId_periodStart_periodEnd: { clinicId: id, periodStart: from, periodEnd: to } },
+      });
+      if (current?.status === 'PAID') return null;
+
+      if (!current) {
+        const clinic = await tx.clinic.findUnique({
+          where: { id },
+          select: { bankName: true, accountNumber: true, ifscCode: true },
+        });
+        current = await tx.settlementBatch.create({
+          data: { clinicId: id, periodStart: from, periodEnd: to, ...clinic, generatedById },
+        });
+      }
+
+      await tx.settlementEntry.updateMany({
+        where: { ...entryWhere, clinicId: id },
+        data: { batchId: current.id },
+      });
+
+      const totals = summariseGroups(await sumEntries({ batchId: current.id }, tx));
+      return tx.settlementBatch.update({ where: { id: current.id }, data: totals });
+    });
+
+    if (batch) batches.push(batch);
+    else skipped.push({ clinicId: id, reason: 'Batch for this period is already paid' });
+  }
+
+  return { batches, skipped };
+};
+
+// ----------------------------------------------------------------
+// MARK PAID once the bank transfer has gone out
+// ----------------------------------------------------------------
+export const markSettlementBatchPaid = async ({ id, payoutReference, paidById = null }) => {
+  if (!payoutReference) throw { statusCode: 400, message: 'payoutReference is required' };
+
+  const batch = await prisma.settlementBatch.findUnique({ where: { id } });
+  if (!batch) throw { statusCode: 404, message: 'Settlement batch not found' };
+  if (batch.status === 'PAID') throw { statusCode: 409, message: 'Settlement batch is already paid' };
+
+  return prisma.settlementBatch.update({
+    where: { id },
+    data: { status: 'PAID', paidAt: new Date(), payoutReference: String(payoutReference), paidById },
+  });
+};
+
+// Batch with everything the statement needs; clinicId scopes it for clinic admins
+export const getSettlementBatch = async (id, clinicId = null) => {
+  const batch = await prisma.settlementBatch.findFirst({
+    where: { id, ...(clinicId ? { clinicId } : {}) },
+    include: {
+      clinic: { select: { name: true, address: true, city: true, pincode: true, gstin: true } },
+      entries: {
+        orderBy: { createdAt: 'asc' },
+        include: { transaction: { select: { provider: true, gatewayRef: true } } },
+      },
+    },
+  });
+  if (!batch) throw { statusCode: 404, message: 'Settlement batch not found' };
+  return batch;
+};
+
+// ----------------------------------------------------------------
+// RENDER: settlement statement PDF as a Buffer
+// ----------------------------------------------------------------
+export const renderSettlementStatementPdf = async (batch) => {
+  const { clinic, entries } = batch;
+
+  const doc = new PDFDocument({ margin: 50, size: 'A4' });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  doc.fontSize(16).text('SETTLEMENT STATEMENT', { align: 'center' }).moveDown(0.8);
+
+  const line = (label, value) => doc.fontSize(10).text(`${label}: ${value ?? 'N/A'}`);
+  line('Clinic', clinic.name);
+  line('Address', [clinic.address, clinic.city, clinic.pincode].filter(Boolean).join(', '));
+  if (clinic.gstin) line('GSTIN', clinic.gstin);
+  line('Statement ID', batch.id);
+  // periodEnd is exclusive – show the last day covered
+  line('Period', `${istDate(batch.periodStart)} to ${istDate(new Date(batch.periodEnd.getTime() - 1))}`);
+  line('Status', batch.paidAt ? `PAID on ${istDate(batch.paidAt)}` : batch.status);
+  if (batch.payoutReference) line('Payout Reference', batch.payoutReference);
+  line('Bank', batch.bankName);
+  line('Account', batch.accountNumber ? `XXXX${batch.accountNumber.slice(-4)}` : null);
+  line('IFSC', batch.ifscCode);
+  doc.moveDown(0.8);
+
+  // Entries
+  const cols = [50, 125, 245, 345, 420, 495];
+  const row = (values, opts = {}) => {
+    const y = doc.y;
+    doc.fontSize(opts.size || 8);
+    values.forEach((v, i) => {
+      doc.text(v, cols[i], y, { width: (cols[i + 1] || 545) - cols[i] - 5, align: i >= 3 ? 'right' : 'left' });
+    });
+    doc.moveDown(0.3);
+  };
+
+  row(['Date', 'Reference', 'Type', 'Gross', 'Commission', 'Net'], { size: 9 });
+  entries.forEach((e) => {
+    row([
+      istDate(e.createdAt),
+      e.transaction?.gatewayRef || e.appointmentId.slice(-8),
+      e.type.replace(/_/g, ' '),
+      money(e.gross),
+      money(e.commission),
+      money(e.net),
+    ]);
+  });
+  doc.moveDown(0.8);
+
+  const total = (label, value) => {
+    const y = doc.y;
+    doc.fontSize(10).text(label, 300, y, { width: 150 });
+    doc.text(value, 420, y, { width: 125, align: 'right' });
+    doc.moveDown(0.3);
+  };
+  total('Collected', money(batch.grossAmount));
+  total('Refunded', `-${money(batch.refundAmount)}`);
+  total('Platform Commission', `-${money(batch.commissionAmount)}`);
+  total('Net Payable', money(batch.netPayable));
+
+  doc.moveDown(2);
+  doc.x = 50;
+  doc.fontSize(8).fillColor('#777777').text('This is a computer generated statement.', { align: 'center' });
+
+  doc.end();
+  return done;
+};
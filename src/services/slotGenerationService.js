@@ -0,0 +1,221 @@
+import prisma from '../prisma.js';
+import { getHolidaysInRange, isOnHoliday } from '../utils/holidays.js';
+
+// --- HELPER: "HH:MM" or "HH:MM:SS" -> minutes ---
+export const timeToMinutes = (timeStr) => {
+  if (!timeStr) return 0;
+  const [h, m] = String(timeStr).split(':').map(Number);
+  return h * 60 + m;
+};
+
+const minutesToTime = (mins) => {
+  const h = Math.floor(mins / 60).toString().padStart(2, '0');
+  const m = (mins % 60).toString().padStart(2, '0');
+  return `${h}:${m}`;
+};
+
+// Local YYYY-MM-DD (toISOString would shift local midnight to the previous day)
+const toLocalDateStr = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+const startOfDay = (d) => {
+  const copy = new Date(d);
+  copy.setHours(0, 0, 0, 0);
+  return copy;
+};
+
+// ----------------------------------------------------------------
+// 1. Expand a weekly pattern into slot rows (nothing is written)
+// ----------------------------------------------------------------
+export const buildSlotDrafts = ({
+  clinicId,
+  doctorId,
+  startDate,
+  endDate,
+  startTime,
+  endTime,
+  duration,
+  days,
+  lunchStart,
+  lunchEnd,
+  paymentMode,
+  price,
+  kind,
+  templateId,
+}) => {
+  const startMins = timeToMinutes(startTime);
+  const endMins = timeToMinutes(endTime);
+  const lunchStartMins = lunchStart ? timeToMinutes(lunchStart) : -1;
+  const lunchEndMins = lunchEnd ? timeToMinutes(lunchEnd) : -1;
+  const durationMins = parseInt(duration, 10);
+  const selectedDays = days.map((d) => parseInt(d, 10));
+  const mode = paymentMode || 'ONLINE';
+
+  if (!durationMins || durationMins <= 0) return [];
+
+  const drafts = [];
+  const currentDate = startOfDay(startDate);
+  const finalDateObj = startOfDay(endDate);
+
+  while (currentDate <= finalDateObj) {
+    if (selectedDays.includes(currentDate.getDay())) {
+      for (let time = startMins; time < endMins; time += durationMins) {
+        const slotStart = time;
+        const slotEnd = time + durationMins;
+        if (slotEnd > endMins) continue;
+        if (lunchStartMins !== -1 && lunchEndMins !== -1) {
+          if (slotStart < lunchEndMins && slotEnd > lunchStartMins) continue;
+        }
+
+        drafts.push({
+          doctorId,
+          clinicId,
+          date: new Date(currentDate),
+          time: minutesToTime(time),
+          duration: durationMins,
+          paymentMode: mode,
+          price: mode === 'FREE' ? 0 : Number(price ?? 0),
+          type: mode === 'FREE' ? 'FREE' : 'PAID',
+          kind: kind || 'APPOINTMENT',
+          ...(templateId ? { templateId } : {}),
+        });
+      }
+    }
+    currentDate.setDate(currentDate.getDate() + 1);
+  }
+
+  return drafts;
+};
+
+// ----------------------------------------------------------------
+// 2. Insert drafts, skipping holiday/leave days and anything that
+//    overlaps an existing slot
+// ----------------------------------------------------------------
+export const insertSlotDrafts = async ({ clinicId, doctorId, drafts }) => {
+  if (drafts.length === 0) return { created: 0, skipped: 0, holidaySkipped: 0 };
+
+  const rangeStart = startOfDay(drafts[0].date);
+  const rangeEnd = startOfDay(drafts[drafts.length - 1].date);
+  rangeEnd.setDate(rangeEnd.getDate() + 1);
+
+  const existingSlots = await prisma.slot.findMany({
+    where: {
+      clinicId,
+      doctorId,
+      deletedAt: null,
+      date: { gte: rangeStart, lt: rangeEnd },
+    },
+    select: { date: true, time: true, duration: true },
+  });
+
+  const holidays = await getHolidaysInRange({ clinicId, doctorId, from: rangeStart, to: rangeEnd });
+
+  // Group by local date so each draft only scans its own day
+  const byDate = new Map();
+  for (const s of existingSlots) {
+    const key = toLocalDateStr(new Date(s.date));
+    const startMin = timeToMinutes(s.time);
+    if (!byDate.has(key)) byDate.set(key, []);
+    byDate.get(key).push({ start: startMin, end: startMin + s.duration });
+  }
+
+  let created = 0;
+  let skipped = 0;
+  let holidaySkipped = 0;
+
+  for (const draft of drafts) {
+    if (isOnHoliday(holidays, draft.date, doctorId)) {
+      holidaySkipped++;
+      continue;
+    }
+
+    const key = toLocalDateStr(draft.date);
+    const newStart = timeToMinutes(draft.time);
+    const newEnd = newStart + draft.duration;
+    const sameDay = byDate.get(key) || [];
+
+    // Overlap Logic: (StartA < EndB) && (EndA > StartB)
+    if (sameDay.some((s) => newStart < s.end && newEnd > s.start)) {
+      skipped++;
+      continue;
+    }
+
+    try {
+      await prisma.slot.create({ data: draft });
+      created++;
+      sameDay.push({ start: newStart, end: newEnd });
+      byDate.set(key, sameDay);
+    } catch (e) {
+      // Soft-deleted rows still hold the (doctorId, date, time) unique key
+      if (e.code === 'P2002') skipped++;
+      else throw e;
+    }
+  }
+
+  return { created, skipped, holidaySkipped };
+};
+
+// ----------------------------------------------------------------
+// 3. Templates: rolling-horizon materialisation
+// ----------------------------------------------------------------
+export const materialiseTemplate = async (template, { from = new Date() } = {}) => {
+  const startDate = startOfDay(from);
+  const endDate = startOfDay(from);
+  endDate.setDate(endDate.getDate() + Math.max(0, template.horizonDays - 1));
+
+  const drafts = buildSlotDrafts({
+    clinicId: template.clinicId,
+    doctorId: template.doctorId,
+    startDate,
+    endDate,
+    startTime: template.startTime,
+    endTime: template.endTime,
+    duration: template.duration,
+    days: template.days,
+    lunchStart: template.lunchStart,
+    lunchEnd: template.lunchEnd,
+    paymentMode: template.paymentMode,
+    price: template.price,
+    kind: template.kind,
+    templateId: template.id,
+  });
+
+  const result = await insertSlotDrafts({
+    clinicId: template.clinicId,
+    doctorId: template.doctorId,
+    drafts,
+  });
+
+  await prisma.availabilityTemplate.update({
+    where: { id: template.id },
+    data: { lastGeneratedAt: new Date() },
+  });
+
+  return result;
+};
+
+/**
+ * Removes future slots generated by a template that nobody has touched:
+ * no appointment row (not even a payment hold or a lapsed booking detached
+ * from it) and not blocked by an admin. Booked, held, blocked or previously
+ * booked slots are left exactly as they are.
+ */
+export const clearUntouchedTemplateSlots = async (templateId) => {
+  const { count } = await prisma.slot.deleteMany({
+    where: {
+      templateId,
+      deletedAt: null,
+      isBlocked: false,
+      date: { gte: startOfDay(new Date()) },
+      appointments: { is: null },
+      bookings: { none: {} }, // history rows still point at it
+    },
+  });
+  return count;
+};
+
+export const regenerateTemplateSlots = async (template) => {
+  const removed = await clearUntouchedTemplateSlots(template.id);
+  const { created, skipped, holidaySkipped } = await materialiseTemplate(template);
+  return { removed, created, skipped, holidaySkipped };
+};
@@ -0,0 +1,318 @@
+import prisma from '../prisma.js';
+import Razorpay from 'razorpay';
+import Stripe from 'stripe';
+import { getPlanTax, toTaxFields } from './taxService.js';
+import { round2 } from '../utils/money.js';
+import { shiftMonth } from '../utils/dates.js';
+
+export const BILLING_PROVIDERS = ['RAZORPAY', 'STRIPE'];
+
+// Days a PAST_DUE clinic keeps access while the gateway retries the charge
+export const GRACE_DAYS = Number(process.env.SUBSCRIPTION_GRACE_DAYS || 7);
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export const getGraceEndsAt = (sub) =>
+  sub?.pastDueSince ? new Date(new Date(sub.pastDueSince).getTime() + GRACE_DAYS * MS_PER_DAY) : null;
+
+// ---------------- Helper: platform gateway client ----------------
+export const getPlatformClient = async (provider) => {
+  const gateway = await prisma.superAdminPaymentGateway.findFirst({
+    where: { name: provider, isActive: true },
+  });
+
+  if (provider === 'STRIPE') {
+    const secret = gateway?.secret || process.env.STRIPE_SECRET_KEY;
+    if (!secret) throw { statusCode: 400, message: 'Stripe billing is not configured' };
+    return { client: new Stripe(secret) };
+  }
+
+  if (!gateway) throw { statusCode: 400, message: 'Razorpay billing is not configured' };
+  return {
+    client: new Razorpay({ key_id: gateway.apiKey, key_secret: gateway.secret }),
+    key: gateway.apiKey,
+  };
+};
+
+// ----------------------------------------------------------------
+// CREATE an auto-renewing subscription at the gateway.
+// Razorpay returns a subscription id for Checkout; Stripe returns a hosted
+// Checkout URL and the subscription id arrives with checkout.session.completed.
+// ----------------------------------------------------------------
+export const createGatewaySubscription = async ({ clinicId, plan, provider = 'RAZORPAY', email }) => {
+  if (!BILLING_PROVIDERS.includes(provider)) {
+    throw { statusCode: 400, message: `provider must be one of ${BILLING_PROVIDERS.join(', ')}` };
+  }
+
+  const { client, key } = await getPlatformClient(provider);
+  const notes = { clinicId, planId: plan.id, type: 'PLAN_SUBSCRIPTION' };
+
+  if (provider === 'RAZORPAY') {
+    if (!plan.razorpayPlanId) throw { statusCode: 400, message: 'This plan has no Razorpay plan configured' };
+    const sub = await client.subscriptions.create({
+      plan_id: plan.razorpayPlanId,
+      total_count: 120, // Razorpay needs a bound; 10 years of monthly cycles
+      customer_notify: 1,
+      notes,
+    });
+    return {
+      provider,
+      gatewaySubscriptionId: sub.id,
+      payment: { razorpaySubscriptionId: sub.id, shortUrl: sub.short_url, key },
+    };
+  }
+
+  if (!plan.stripePriceId) throw { statusCode: 400, message: 'This plan has no Stripe price configured' };
+  const clientUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const session = await client.checkout.sessions.create({
+    mode: 'subscription',
+    line_items: [{ price: plan.stripePriceId, quantity: 1 }],
+    customer_email: email || undefined,
+    success_url: `${clientUrl}/admin/subscription?billing=success`,
+    cancel_url: `${clientUrl}/admin/subscription?billing=cancelled`,
+    metadata: notes,
+    subscription_data: { metadata: notes },
+  });
+  return {
+    provider,
+    gatewaySubscriptionId: null,
+    payment: { checkoutUrl: session.url, sessionId: session.id },
+  };
+};
+
+// Subscription by gateway id – the running one, or a checkout for a new
+// plan that is still waiting on its first charge
+const findByGatewaySubscription = (gatewaySubscriptionId, include = undefined) =>
+  prisma.subscription.findFirst({
+    where: {
+      OR: [{ gatewaySubscriptionId }, { pendingGatewaySubscriptionId: gatewaySubscriptionId }],
+    },
+    include,
+  });
+
+// ---------------- Helper: stop a gateway subscription at the end of its cycle ----------------
+const stopGatewaySubscription = async (provider, gatewaySubscriptionId) => {
+  const { client } = await getPlatformClient(provider);
+  if (provider === 'STRIPE') {
+    return client.subscriptions.update(gatewaySubscriptionId, { cancel_at_period_end: true });
+  }
+  return client.subscriptions.cancel(gatewaySubscriptionId, true);
+};
+
+// Stripe: link the subscription created by Checkout to the clinic.
+// A checkout for a new plan stays pending until its first charge.
+export const attachGatewaySubscription = async ({ clinicId, provider, gatewaySubscriptionId }) => {
+  if (!clinicId || !gatewaySubscriptionId) return null;
+  const sub = await prisma.subscription.findUnique({ where: { clinicId } });
+  if (!sub || sub.gatewaySubscriptionId === gatewaySubscriptionId) return sub;
+
+  if (sub.pendingPlanId && sub.pendingGatewayProvider === provider) {
+    return prisma.subscription.update({
+      where: { id: sub.id },
+      data: { pendingGatewaySubscriptionId: gatewaySubscriptionId },
+    });
+  }
+  return prisma.subscription.update({
+    where: { id: sub.id },
+    data: { gatewaySubscriptionId, gatewayProvider: provider, autoRenew: true },
+  });
+};
+
+// ----------------------------------------------------------------
+// RENEWAL CHARGED: record the payment and move the billing date on.
+// amount is in rupees; periodEnd comes from the gateway when known.
+// The first charge of a pending checkout switches the clinic to
+// pendingPlanId and only then stops the auto-renewal it replaces.
+// ----------------------------------------------------------------
+export const recordSubscriptionCharge = async ({
+  provider, gatewaySubscriptionId, gatewayPaymentId, gatewayInvoiceId = null, amount, periodEnd = null,
+}) => {
+  const sub = await findByGatewaySubscription(gatewaySubscriptionId, {
+    plan: true,
+    clinic: { select: { gstin: true, gstStateCode: true } },
+  });
+  if (!sub) {
+    console.log(`⚠️ Subscription charge: no subscription for ${gatewaySubscriptionId}`);
+    return null;
+  }
+
+  if (gatewayPaymentId) {
+    const seen = await prisma.subscriptionPayment.findUnique({ where: { gatewayPaymentId } });
+    if (seen?.status === 'PAID') return sub;
+  }
+
+  const switching = sub.pendingGatewaySubscriptionId === gatewaySubscriptionId;
+  const plan = switching && sub.pendingPlanId
+    ? await prisma.plan.findUnique({ where: { id: sub.pendingPlanId } })
+    : sub.plan;
+
+  // Tax share of what was actually charged (gateway plan amounts are fixed)
+  const planTax = await getPlanTax({ plan, clinic: sub.clinic });
+  const total = round2(Number(amount || 0));
+  const taxAmount = planTax.total > 0 ? round2((total * planTax.taxAmount) / planTax.total) : 0;
+  const { taxBreakdown } = toTaxFields(planTax);
+
+  const base = sub.nextBillingDate && new Date(sub.nextBillingDate) > new Date() ? sub.nextBillingDate : new Date();
+  const nextBillingDate = periodEnd ? new Date(periodEnd) : shiftMonth(base, 1);
+
+  const payment = {
+    subscriptionId: sub.id,
+    clinicId: sub.clinicId,
+    planId: plan.id,
+    provider,
+    status: 'PAID',
+    amount: total,
+    taxableAmount: round2(total - taxAmount),
+    taxAmount,
+    taxBreakdown,
+    gstin: sub.clinic?.gstin || null,
+    gatewayPaymentId,
+    gatewayInvoiceId,
+    periodEnd: nextBillingDate,
+  };
+
+  const updated = await prisma.$transaction(async (tx) => {
+    if (gatewayPaymentId) {
+      // A retry that succeeds after an earlier failure reuses the payment id
+      await tx.subscriptionPayment.upsert({
+        where: { gatewayPaymentId },
+        update: { ...payment, failureReason: null },
+        create: payment,
+      });
+    } else {
+      await tx.subscriptionPayment.create({ data: payment });
+    }
+
+    return tx.subscription.update({
+      where: { id: sub.id },
+      data: {
+        status: 'ACTIVE',
+        autoRenew: true,
+        pastDueSince: null,
+        nextBillingDate,
+        endDate: null,
+        isTrial: false,
+        durationDays: null,
+        priceAtPurchase: plan.priceMonthly,
+        maxDoctors: plan.maxDoctors,
+        maxBookingsPerPeriod: plan.maxBookingsPerMonth,
+        razorpayOrderId: null,
+        dunningLinkId: null,
+        dunningLinkUrl: null,
+        ...(switching
+          ? {
+              planId: plan.id,
+              startDate: new Date(),
+              gatewaySubscriptionId,
+              gatewayProvider: provider,
+              pendingGatewaySubscriptionId: null,
+              pendingGatewayProvider: null,
+              pendingPlanId: null,
+              prorationCredit: null,
+            }
+          : {}),
+      },
+    });
+  });
+
+  // Paid for the new plan – the auto-renewal it replaces must not bill again
+  if (switching && sub.autoRenew && sub.gatewaySubscriptionId && sub.gatewaySubscriptionId !== gatewaySubscriptionId) {
+    await stopGatewaySubscription(sub.gatewayProvider, sub.gatewaySubscriptionId).catch((e) =>
+      console.error(`❌ Stopping replaced subscription ${sub.gatewaySubscriptionId} failed:`, e.message || e)
+    );
+  }
+
+  return updated;
+};
+
+// ----------------------------------------------------------------
+// RENEWAL FAILED: keep access in PAST_DUE while the gateway retries
+// ----------------------------------------------------------------
+export const markSubscriptionPastDue = async ({ provider, gatewaySubscriptionId, gatewayPaymentId = null, amount = 0, reason = null }) => {
+  const sub = await prisma.subscription.findUnique({ where: { gatewaySubscriptionId } });
+  if (!sub) return null;
+
+  if (gatewayPaymentId) {
+    await prisma.subscriptionPayment.upsert({
+      where: { gatewayPaymentId },
+      update: {},
+      create: {
+        subscriptionId: sub.id,
+        clinicId: sub.clinicId,
+        planId: sub.planId,
+        provider,
+        status: 'FAILED',
+        amount: round2(Number(amount || 0)),
+        gatewayPaymentId,
+        failureReason: reason,
+      },
+    });
+  }
+
+  if (['EXPIRED', 'CANCELLED'].includes(sub.status)) return sub;
+  return prisma.subscription.update({
+    where: { id: sub.id },
+    data: { status: 'PAST_DUE', pastDueSince: sub.pastDueSince || new Date() },
+  });
+};
+
+// Gateway stopped renewing (cancelled / completed): runs until the paid period ends
+export const markAutoRenewStopped = async ({ gatewaySubscriptionId }) => {
+  const sub = await findByGatewaySubscription(gatewaySubscriptionId);
+  if (!sub) return null;
+
+  // Checkout for a new plan given up before its first charge – current plan untouched
+  if (sub.pendingGatewaySubscriptionId === gatewaySubscriptionId) {
+    return prisma.subscription.update({
+      where: { id: sub.id },
+      data: { pendingGatewaySubscriptionId: null, pendingGatewayProvider: null, pendingPlanId: null },
+    });
+  }
+  return prisma.subscription.update({ where: { id: sub.id }, data: { autoRenew: false } });
+};
+
+// ----------------------------------------------------------------
+// CANCEL auto-renew from our side (effective at the end of the cycle)
+// ----------------------------------------------------------------
+export const cancelAutoRenew = async (clinicId) => {
+  const sub = await prisma.subscription.findUnique({ where: { clinicId } });
+  if (!sub?.gatewaySubscriptionId || !sub.autoRenew) {
+    throw { statusCode: 400, message: 'This subscription does not auto-renew' };
+  }
+
+  await stopGatewaySubscription(sub.gatewayProvider, sub.gatewaySubscriptionId);
+  return prisma.subscription.update({ where: { id: sub.id }, data: { autoRenew: false } });
+};
+
+// ----------------------------------------------------------------
+// SWITCH the gateway subscription to another plan.
+// when = 'now' lets the gateway prorate and charge the difference;
+// 'cycle_end' bills the new price from the next renewal.
+// ----------------------------------------------------------------
+export const changeGatewayPlan = async ({ sub, plan, when = 'cycle_end' }) => {
+  const { client } = await getPlatformClient(sub.gatewayProvider);
+
+  if (sub.gatewayProvider === 'STRIPE') {
+    if (!plan.stripePriceId) throw { statusCode: 400, message: 'This plan has no Stripe price configured' };
+    const current = await client.subscriptions.retrieve(sub.gatewaySubscriptionId);
+    return client.subscriptions.update(sub.gatewaySubscriptionId, {
+      items: [{ id: current.items.data[0].id, price: plan.stripePriceId }],
+      proration_behavior: when === 'now' ? 'always_invoice' : 'none',
+    });
+  }
+
+  if (!plan.razorpayPlanId) throw { statusCode: 400, message: 'This plan has no Razorpay plan configured' };
+  return client.subscriptions.update(sub.gatewaySubscriptionId, {
+    plan_id: plan.razorpayPlanId,
+    schedule_change_at: when,
+  });
+};
+
+// Undo a 'cycle_end' change – sub.plan must be the plan being kept
+export const cancelGatewayPlanChange = async (sub) => {
+  const { client } = await getPlatformClient(sub.gatewayProvider);
+  if (sub.gatewayProvider === 'STRIPE') {
+    return changeGatewayPlan({ sub, plan: sub.plan, when: 'cycle_end' });
+  }
+  return client.subscriptions.cancelScheduledChanges(sub.gatewaySubscriptionId);
+};
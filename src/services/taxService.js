@@ -0,0 +1,186 @@
+import prisma from '../prisma.js';
+import { round2 } from '../utils/money.js';
+
+// Clinic rates are keyed by Slot.kind; DEFAULT covers every other kind
+export const DEFAULT_SERVICE = 'DEFAULT';
+export const PLAN_SERVICE = 'PLAN_SUBSCRIPTION';
+
+const GSTIN_RE = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// GST state codes, used when a clinic has no GSTIN to read the code from
+const STATE_CODES = {
+  'jammu and kashmir': '01', 'himachal pradesh': '02', punjab: '03', chandigarh: '04',
+  uttarakhand: '05', haryana: '06', delhi: '07', rajasthan: '08', 'uttar pradesh': '09',
+  bihar: '10', sikkim: '11', 'arunachal pradesh': '12', nagaland: '13', manipur: '14',
+  mizoram: '15', tripura: '16', meghalaya: '17', assam: '18', 'west bengal': '19',
+  jharkhand: '20', odisha: '21', chhattisgarh: '22', 'madhya pradesh': '23', gujarat: '24',
+  'dadra and nagar haveli and daman and diu': '26', maharashtra: '27', karnataka: '29',
+  goa: '30', lakshadweep: '31', kerala: '32', 'tamil nadu': '33', puducherry: '34',
+  'andaman and nicobar islands': '35', telangana: '36', 'andhra pradesh': '37', ladakh: '38',
+};
+
+const ZERO_RATE = { id: null, name: 'GST', rate: 0, sacCode: null, priceIncludesTax: false };
+
+// Returns the upper-cased GSTIN, null for blank input, or throws 400
+export const normaliseGstin = (gstin) => {
+  if (gstin === undefined || gstin === null || String(gstin).trim() === '') return null;
+  const value = String(gstin).trim().toUpperCase();
+  if (!GSTIN_RE.test(value)) throw { statusCode: 400, message: 'Invalid GSTIN' };
+  return value;
+};
+
+export const getStateCode = ({ gstin, state } = {}) => {
+  if (gstin) return gstin.slice(0, 2);
+  return STATE_CODES[(state || '').trim().toLowerCase()] || null;
+};
+
+// ----------------------------------------------------------------
+// COMPUTE: split an amount into taxable value + CGST/SGST (intra-state)
+// or IGST (inter-state). priceIncludesTax treats `amount` as the total.
+// ----------------------------------------------------------------
+export const computeTax = ({ amount, rate = 0, priceIncludesTax = false, interState = false, name = 'GST', sacCode = null }) => {
+  const base = round2(Number(amount || 0));
+  const pct = Number(rate || 0);
+
+  const taxableAmount = priceIncludesTax ? round2(base / (1 + pct / 100)) : base;
+  const taxAmount = priceIncludesTax ? round2(base - taxableAmount) : round2((base * pct) / 100);
+
+  let lines = [];
+  if (taxAmount > 0) {
+    if (interState) {
+      lines = [{ label: 'IGST', rate: pct, amount: taxAmount }];
+    } else {
+      const half = round2(taxAmount / 2);
+      lines = [
+        { label: 'CGST', rate: pct / 2, amount: half },
+        { label: 'SGST', rate: pct / 2, amount: round2(taxAmount - half) },
+      ];
+    }
+  }
+
+  return {
+    name,
+    rate: pct,
+    sacCode,
+    priceIncludesTax: Boolean(priceIncludesTax),
+    interState: Boolean(interState),
+    taxableAmount,
+    taxAmount,
+    total: round2(taxableAmount + taxAmount),
+    lines,
+  };
+};
+
+// Columns stored on Appointment / Subscription / RegistrationPayment
+export const toTaxFields = (tax) => ({
+  taxableAmount: tax.taxableAmount,
+  taxAmount: tax.taxAmount,
+  taxBreakdown: {
+    name: tax.name,
+    rate: tax.rate,
+    sacCode: tax.sacCode,
+    priceIncludesTax: tax.priceIncludesTax,
+    interState: tax.interState,
+    lines: tax.lines,
+  },
+});
+
+// ----------------------------------------------------------------
+// RESOLVE: clinic rate for the exact service > clinic DEFAULT > 0%.
+// clinicId = null resolves a platform rate.
+// ----------------------------------------------------------------
+export const resolveTaxRate = async ({ clinicId = null, service }, client = prisma) => {
+  const rates = await client.taxRate.findMany({
+    where: {
+      clinicId,
+      service: { in: clinicId ? [service, DEFAULT_SERVICE] : [service] },
+      isActive: true,
+      deletedAt: null,
+    },
+    orderBy: { updatedAt: 'desc' },
+  });
+
+  const rate = rates.find((r) => r.service === service) || rates[0];
+  if (!rate) return ZERO_RATE;
+  return { ...rate, rate: Number(rate.rate) };
+};
+
+// One live row per (clinic, service): update in place or create
+export const upsertTaxRate = async ({ clinicId = null, service, ...data }, client = prisma) => {
+  const existing = await client.taxRate.findFirst({
+    where: { clinicId, service, deletedAt: null },
+  });
+  if (existing) return client.taxRate.update({ where: { id: existing.id }, data });
+  return client.taxRate.create({ data: { ...data, clinicId, service } });
+};
+
+// Consultation charge for a slot – clinic fees are intra-state supplies
+export const getConsultationTax = async (slot, client = prisma) => {
+  if (slot.paymentMode === 'FREE') return computeTax({ amount: 0 });
+
+  const rate = await resolveTaxRate({ clinicId: slot.clinicId, service: slot.kind || 'APPOINTMENT' }, client);
+  return computeTax({
+    amount: slot.price,
+    rate: rate.rate,
+    priceIncludesTax: rate.priceIncludesTax,
+    name: rate.name,
+    sacCode: rate.sacCode,
+  });
+};
+
+// Platform plan charge – IGST when the clinic is in another state
+export const getPlanTax = async ({ plan, clinic }, client = prisma) => {
+  const rate = await resolveTaxRate({ service: PLAN_SERVICE }, client);
+  const platformState = process.env.PLATFORM_GST_STATE_CODE || null;
+  const clinicState = clinic?.gstStateCode || getStateCode({ gstin: clinic?.gstin });
+
+  return computeTax({
+    amount: plan.priceMonthly,
+    rate: rate.rate,
+    priceIncludesTax: rate.priceIncludesTax,
+    name: rate.name,
+    sacCode: rate.sacCode,
+    interState: Boolean(platformState && clinicState && platformState !== clinicState),
+  });
+};
+
+// ----------------------------------------------------------------
+// REPORTING helpers for the monthly GST summaries
+// ----------------------------------------------------------------
+const MONTH_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// 'YYYY-MM' (IST) → { month, from, to }; defaults to the current IST month
+export const getGstMonthRange = (month) => {
+  const value = month || new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' }).slice(0, 7);
+  if (!MONTH_RE.test(value)) throw { statusCode: 400, message: 'month must be YYYY-MM' };
+
+  const [y, m] = value.split('-').map(Number);
+  const next = m === 12 ? `${y + 1}-01` : `${y}-${String(m + 1).padStart(2, '0')}`;
+  return {
+    month: value,
+    from: new Date(`${value}-01T00:00:00+05:30`),
+    to: new Date(`${next}-01T00:00:00+05:30`),
+  };
+};
+
+// Split a tax-inclusive amount using a stored breakdown (sign < 0 for refunds)
+export const apportionTax = ({ amount, total, taxAmount, taxBreakdown, sign = 1 }) => {
+  const gross = round2(Number(amount || 0));
+  const ratio = Number(total) > 0 ? Number(taxAmount || 0) / Number(total) : 0;
+  const tax = round2(gross * ratio);
+  const lines = Array.isArray(taxBreakdown?.lines) ? taxBreakdown.lines : [];
+  const lineTotal = lines.reduce((sum, l) => sum + Number(l.amount || 0), 0);
+
+  const split = { CGST: 0, SGST: 0, IGST: 0 };
+  lines.forEach((l) => {
+    split[l.label] = round2((split[l.label] || 0) + (lineTotal > 0 ? (tax * Number(l.amount)) / lineTotal : 0));
+  });
+
+  return {
+    taxableValue: round2(sign * (gross - tax)),
+    cgst: round2(sign * split.CGST),
+    sgst: round2(sign * split.SGST),
+    igst: round2(sign * split.IGST),
+    total: round2(sign * gross),
+  };
+};
@@ -0,0 +1,186 @@
+import prisma from '../prisma.js';
+import { sendUsageAlertEmail } from '../utils/email.js';
+import { getClinicEntitlements, resolvePlanEntitlements } from './entitlementService.js';
+import { shiftMonth } from '../utils/dates.js';
+
+export const ALERT_THRESHOLDS = [80, 100];
+
+// BLOCK rejects bookings once the period cap is hit; WARN lets them through
+// (admins still get the 100% email)
+const BOOKING_QUOTA_MODE = (process.env.BOOKING_QUOTA_MODE || 'BLOCK').toUpperCase();
+
+// Every booking that was actually made counts, cancelled ones don't
+const COUNTED_STATUSES = ['PENDING', 'PENDING_PAYMENT', 'CONFIRMED', 'COMPLETED', 'NO_SHOW', 'CANCEL_REQUESTED'];
+
+// ----------------------------------------------------------------
+// BILLING PERIOD: the month ending at nextBillingDate for recurring plans,
+// otherwise the current calendar month (IST).
+// ----------------------------------------------------------------
+export const getBillingPeriod = (sub, now = new Date()) => {
+  if (sub?.nextBillingDate) {
+    let to = new Date(sub.nextBillingDate);
+    // Renewal overdue (PAST_DUE) – keep metering in the following month
+    while (to <= now) to = shiftMonth(to, 1);
+    return { from: shiftMonth(to, -1), to };
+  }
+
+  const month = now.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' }).slice(0, 7);
+  const from = new Date(`${month}-01T00:00:00+05:30`);
+  return { from, to: shiftMonth(from, 1) };
+};
+
+const meter = (used, limit) => {
+  if (limit === null || limit === undefined) {
+    return { used, limit: null, remaining: null, percent: 0, warning: false, exceeded: false };
+  }
+  const percent = limit > 0 ? Math.round((used / limit) * 100) : 100;
+  return {
+    used,
+    limit,
+    remaining: Math.max(limit - used, 0),
+    percent,
+    warning: percent >= ALERT_THRESHOLDS[0],
+    exceeded: used >= limit,
+  };
+};
+
+// ----------------------------------------------------------------
+// CURRENT USAGE vs LIMITS for a clinic
+// ----------------------------------------------------------------
+export const getClinicUsage = async (clinicId, client = prisma) => {
+  // Limits are the `doctors` / `bookingsPerMonth` entitlements (null = unlimited)
+  const { subscription: sub, features } = await getClinicEntitlements(clinicId, client);
+  const period = getBillingPeriod(sub);
+
+  const [doctors, bookings] = await Promise.all([
+    client.doctor.count({ where: { clinicId, isActive: true, deletedAt: null } }),
+    client.appointment.count({
+      where: {
+        clinicId,
+        deletedAt: null,
+        status: { in: COUNTED_STATUSES },
+        createdAt: { gte: period.from, lt: period.to },
+      },
+    }),
+  ]);
+
+  return {
+    plan: sub?.plan ? { id: sub.plan.id, name: sub.plan.name } : null,
+    status: sub?.status || 'NO_SUBSCRIPTION',
+    period,
+    bookingQuotaMode: BOOKING_QUOTA_MODE,
+    doctors: meter(doctors, features.doctors.value),
+    bookings: meter(bookings, features.bookingsPerMonth.value),
+  };
+};
+
+// Throws 403 when the clinic already has as many active doctors as its plan
+// allows – or as a scheduled downgrade will allow, counting the doctors
+// picked for deactivation at the switch as gone already
+export const assertDoctorQuota = async (clinicId, client = prisma) => {
+  const usage = await getClinicUsage(clinicId, client);
+  if (usage.doctors.exceeded) {
+    throw {
+      statusCode: 403,
+      message: `Doctor limit reached for your current plan (max ${usage.doctors.limit}).`,
+    };
+  }
+
+  const sub = await client.subscription.findUnique({
+    where: { clinicId },
+    select: { scheduledPlanId: true, scheduledChangeAt: true, deactivateDoctorIds: true },
+  });
+  if (sub?.scheduledPlanId) {
+    const target = await client.plan.findUnique({
+      where: { id: sub.scheduledPlanId },
+      include: { entitlements: true },
+    });
+    const limit = target ? resolvePlanEntitlements(target).doctors.value : null;
+    if (limit !== null) {
+      const staying = await client.doctor.count({
+        where: { clinicId, isActive: true, deletedAt: null, id: { notIn: sub.deactivateDoctorIds } },
+      });
+      if (staying >= limit) {
+        const on = new Date(sub.scheduledChangeAt).toISOString().slice(0, 10);
+        throw {
+          statusCode: 403,
+          message: `Your plan changes to ${target.name} on ${on}, which allows ${limit} active doctor(s). Cancel the downgrade to add more.`,
+        };
+      }
+    }
+  }
+  return usage;
+};
+
+// Throws 403 when the period's booking cap is used up (BLOCK mode only)
+export const assertBookingQuota = async (clinicId, client = prisma) => {
+  const usage = await getClinicUsage(clinicId, client);
+  if (usage.bookings.exceeded) {
+    if (BOOKING_QUOTA_MODE !== 'WARN') {
+      throw {
+        statusCode: 403,
+        message: 'This clinic is not accepting new online bookings right now. Please contact the clinic directly.',
+      };
+    }
+    console.log(`⚠️ Clinic ${clinicId} is over its booking limit (${usage.bookings.used}/${usage.bookings.limit})`);
+  }
+  return usage;
+};
+
+// ----------------------------------------------------------------
+// THRESHOLD EMAILS: once per metric/threshold/period.
+// Doctors never reset with a period, so their alerts are re-armed once
+// usage falls back below a threshold (doctor removed, bigger plan).
+// Fire-and-forget after anything that changes usage – never throws.
+// ----------------------------------------------------------------
+export const checkUsageThresholds = async (clinicId) => {
+  try {
+    const usage = await getClinicUsage(clinicId);
+    const metrics = [
+      { metric: 'DOCTORS', m: usage.doctors, periodStart: new Date(0) }, // doctors don't reset
+      { metric: 'BOOKINGS', m: usage.bookings, periodStart: usage.period.from },
+    ];
+
+    let clinic = null;
+    let admins = null;
+
+    for (const { metric, m, periodStart } of metrics) {
+      if (metric === 'DOCTORS') {
+        await prisma.usageAlert.deleteMany({
+          where: { clinicId, metric, threshold: { gt: m.limit ? m.percent : 0 } },
+        });
+      }
+      if (!m.limit) continue;
+      // Only the highest threshold crossed is emailed
+      const threshold = [...ALERT_THRESHOLDS].reverse().find((t) => m.percent >= t);
+      if (!threshold) continue;
+
+      try {
+        await prisma.usageAlert.create({
+          data: { clinicId, metric, threshold, periodStart, used: m.used, limit: m.limit },
+        });
+      } catch (err) {
+        if (err.code === 'P2002') continue; // already sent this period
+        throw err;
+      }
+
+      clinic ||= await prisma.clinic.findUnique({ where: { id: clinicId }, select: { id: true, name: true } });
+      admins ||= await prisma.user.findMany({
+        where: { clinicId, role: 'ADMIN', deletedAt: null },
+        select: { email: true },
+      });
+
+      await sendUsageAlertEmail({
+        clinic,
+        admins,
+        metric,
+        threshold,
+        used: m.used,
+        limit: m.limit,
+        periodEnd: usage.period.to,
+      });
+    }
+  } catch (err) {
+    console.error('Usage threshold check failed:', err);
+  }
+};
@@ -0,0 +1,180 @@
+import prisma from '../prisma.js';
+import { sendWaitlistOfferEmail } from '../utils/email.js';
+import { findHolidayForSlot } from '../utils/holidays.js';
+
+// Slot.blockedReason used while a freed slot is reserved for a waitlisted patient
+export const WAITLIST_HOLD_REASON = 'WAITLIST_OFFER';
+
+const OFFER_MINUTES = Number(process.env.WAITLIST_OFFER_MINUTES || 30);
+
+// Appointment states that keep a slot occupied
+const ACTIVE_STATUSES = ['PENDING', 'CONFIRMED', 'COMPLETED', 'CANCEL_REQUESTED'];
+
+// ----------------------------------------------------------------
+// OFFER A FREED SLOT TO THE NEXT PERSON IN LINE
+// Safe to call from any "slot is free again" path; it quietly does
+// nothing when the slot is not actually bookable or nobody is waiting.
+// ----------------------------------------------------------------
+export const offerFreedSlot = async (slotId) => {
+  try {
+    const slot = await prisma.slot.findUnique({
+      where: { id: slotId },
+      include: {
+        clinic: { select: { id: true, name: true } },
+        doctor: { select: { id: true, name: true } },
+        appointments: { select: { status: true, paymentExpiry: true } },
+      },
+    });
+
+    if (!slot || slot.deletedAt || slot.isBlocked || slot.kind !== 'APPOINTMENT') return null;
+
+    // Slot start in IST – no point offering something that already started
+    const istDate = slot.date.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+    if (new Date(`${istDate}T${slot.time}:00+05:30`) <= new Date()) return null;
+
+    const appt = slot.appointments;
+    if (appt) {
+      if (ACTIVE_STATUSES.includes(appt.status)) return null;
+      if (appt.status === 'PENDING_PAYMENT' && appt.paymentExpiry && appt.paymentExpiry > new Date()) return null;
+    }
+
+    if (await findHolidayForSlot(slot)) return null;
+
+    const entry = await prisma.waitlistEntry.findFirst({
+      where: {
+        clinicId: slot.clinicId,
+        doctorId: slot.doctorId,
+        status: 'WAITING',
+        fromDate: { lte: slot.date },
+        toDate: { gte: slot.date },
+      },
+      orderBy: { createdAt: 'asc' },
+      include: { user: { select: { id: true, name: true, email: true, phone: true, notificationChannels: true } } },
+    });
+
+    if (!entry) return null;
+
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + OFFER_MINUTES * 60 * 1000);
+
+    const claimed = await prisma.$transaction(async (tx) => {
+      // Only reserve if nobody blocked/held it in the meantime
+      const { count } = await tx.slot.updateMany({
+        where: { id: slot.id, isBlocked: false, deletedAt: null },
+        data: {
+          isBlocked: true,
+          blockedReason: WAITLIST_HOLD_REASON,
+          blockedBy: entry.userId,
+          blockedAt: now,
+        },
+      });
+      if (count === 0) return false;
+
+      const { count: entryCount } = await tx.waitlistEntry.updateMany({
+        where: { id: entry.id, status: 'WAITING' },
+        data: {
+          status: 'OFFERED',
+          offeredSlotId: slot.id,
+          offeredAt: now,
+          offerExpiresAt: expiresAt,
+        },
+      });
+      if (entryCount === 0) throw new Error('WAITLIST_ENTRY_CHANGED');
+
+      return true;
+    });
+
+    if (!claimed) return null;
+
+    console.log(`⏳ Waitlist offer: slot ${slot.id} → user ${entry.userId} until ${expiresAt.toISOString()}`);
+
+    sendWaitlistOfferEmail({ user: entry.user, slot, expiresAt }).catch((err) =>
+      console.error('Waitlist offer email failed:', err.message)
+    );
+
+    return { entryId: entry.id, slotId: slot.id, expiresAt };
+  } catch (error) {
+    if (error.message === 'WAITLIST_ENTRY_CHANGED') return null;
+    console.error('❌ Waitlist offer failed:', error.message);
+    return null;
+  }
+};
+
+// ----------------------------------------------------------------
+// RELEASE A RESERVED SLOT (offer expired / declined) AND ROLL ON
+// ----------------------------------------------------------------
+export const releaseOffer = async (entry, nextStatus = 'EXPIRED') => {
+  const ops = [
+    prisma.waitlistEntry.update({
+      where: { id: entry.id },
+      data: { status: nextStatus },
+    }),
+  ];
+
+  if (entry.offeredSlotId) {
+    ops.push(
+      prisma.slot.updateMany({
+        where: {
+          id: entry.offeredSlotId,
+          isBlocked: true,
+          blockedReason: WAITLIST_HOLD_REASON,
+          blockedBy: entry.userId,
+        },
+        data: { isBlocked: false, blockedReason: null, blockedBy: null, blockedAt: null },
+      })
+    );
+  }
+
+  await prisma.$transaction(ops);
+
+  if (entry.offeredSlotId) await offerFreedSlot(entry.offeredSlotId);
+};
+
+export const expireWaitlistOffers = async () => {
+  const expired = await prisma.waitlistEntry.findMany({
+    where: { status: 'OFFERED', offerExpiresAt: { lt: new Date() } },
+    orderBy: { offerExpiresAt: 'asc' },
+  });
+
+  for (const entry of expired) {
+    try {
+      await releaseOffer(entry, 'EXPIRED');
+    } catch (error) {
+      console.error(`❌ Waitlist expiry failed for ${entry.id}:`, error.message);
+    }
+  }
+
+  return expired.length;
+};
+
+// ----------------------------------------------------------------
+// BOOKING: is this slot reserved, and for whom?
+// Call inside the booking transaction with the fresh slot row.
+// ----------------------------------------------------------------
+export const isWaitlistHold = (slot) => slot?.isBlocked && slot.blockedReason === WAITLIST_HOLD_REASON;
+
+export const claimWaitlistOffer = async (tx, { slotId, userId }) => {
+  const entry = await tx.waitlistEntry.findFirst({
+    where: {
+      offeredSlotId: slotId,
+      userId,
+      status: 'OFFERED',
+      offerExpiresAt: { gt: new Date() },
+    },
+  });
+  if (!entry) return null;
+
+  await tx.slot.update({
+    where: { id: slotId },
+    data: { isBlocked: false, blockedReason: null, blockedBy: null, blockedAt: null },
+  });
+
+  return entry;
+};
+
+export const markWaitlistBooked = async (tx, { entryId, appointmentId }) => {
+  await tx.waitlistEntry.update({
+    where: { id: entryId },
+    data: { status: 'BOOKED', bookedAppointmentId: appointmentId },
+  });
+};
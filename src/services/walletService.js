@@ -0,0 +1,317 @@
+import prisma from '../prisma.js';
+import { recordTransaction } from './ledgerService.js';
+import { round2 } from '../utils/money.js';
+
+// Ledger rows for wallet money carry this provider; gatewayRef keeps them idempotent
+const WALLET_PROVIDER = 'WALLET';
+const ledgerRef = (walletTxn) => `wallet_${walletTxn.id}`;
+
+const getOrCreateWallet = (userId, clinicId, client = prisma) =>
+  client.wallet.upsert({
+    where: { userId_clinicId: { userId, clinicId } },
+    update: {},
+    create: { userId, clinicId },
+  });
+
+// ----------------------------------------------------------------
+// LOCK a wallet row until the caller's transaction ends, so two
+// bookings (or a booking and a late payment) cannot both spend the
+// same balance. Returns the wallet as it is once locked.
+// ----------------------------------------------------------------
+export const lockWallet = async ({ walletId = null, userId = null, clinicId = null }, client = prisma) => {
+  const id = walletId || (await client.wallet.findUnique({ where: { userId_clinicId: { userId, clinicId } } }))?.id;
+  if (!id) return null;
+  await client.$queryRaw`SELECT id FROM "public"."wallets" WHERE id = ${id} FOR UPDATE`;
+  return client.wallet.findUnique({ where: { id } });
+};
+
+// Posted balance less the debits held by unpaid bookings (other than `exceptId`)
+const spendableOf = async (wallet, client, exceptId = null) => {
+  const held = await client.walletTransaction.aggregate({
+    where: {
+      walletId: wallet.id,
+      direction: 'DEBIT',
+      status: 'PENDING',
+      ...(exceptId ? { NOT: { id: exceptId } } : {}),
+    },
+    _sum: { amount: true },
+  });
+  return Math.max(round2(Number(wallet.balance) - Number(held._sum.amount || 0)), 0);
+};
+
+// ----------------------------------------------------------------
+// Spendable balance: posted balance less debits held by unpaid bookings
+// ----------------------------------------------------------------
+export const getAvailableBalance = async (userId, clinicId, client = prisma) => {
+  const wallet = await client.wallet.findUnique({ where: { userId_clinicId: { userId, clinicId } } });
+  if (!wallet) return 0;
+  return spendableOf(wallet, client);
+};
+
+// ----------------------------------------------------------------
+// CREDIT the patient's wallet at a clinic (posted straight away)
+// ----------------------------------------------------------------
+export const creditWallet = async (
+  { userId, clinicId, amount, reason, appointmentId = null, refundId = null, note = null, createdById = null },
+  client = prisma
+) => {
+  const value = round2(Number(amount));
+  if (!Number.isFinite(value) || value <= 0) throw { statusCode: 400, message: 'Wallet credit must be greater than 0' };
+
+  if (refundId) {
+    const existing = await client.walletTransaction.findUnique({ where: { refundId } });
+    if (existing) return existing;
+  }
+
+  const wallet = await getOrCreateWallet(userId, clinicId, client);
+  const updated = await client.wallet.update({
+    where: { id: wallet.id },
+    data: { balance: { increment: value } },
+  });
+
+  return client.walletTransaction.create({
+    data: {
+      walletId: wallet.id,
+      clinicId,
+      appointmentId,
+      refundId,
+      direction: 'CREDIT',
+      amount: value,
+      balanceAfter: updated.balance,
+      reason,
+      status: 'POSTED',
+      note,
+      createdById,
+      postedAt: new Date(),
+    },
+  });
+};
+
+// ----------------------------------------------------------------
+// HOLD wallet money for an online booking; confirmWalletDebit posts it
+// once the gateway part is paid, voidWalletDebits gives it back.
+// Call inside the booking's transaction – the wallet stays locked until
+// it commits. Throws 409 when the balance no longer covers the amount.
+// ----------------------------------------------------------------
+export const holdWalletDebit = async ({ userId, clinicId, appointmentId, amount }, client = prisma) => {
+  const value = round2(Number(amount));
+  await getOrCreateWallet(userId, clinicId, client);
+  const wallet = await lockWallet({ userId, clinicId }, client);
+  if (value > (await spendableOf(wallet, client))) {
+    throw { statusCode: 409, message: 'Wallet balance changed – please try again' };
+  }
+
+  return client.walletTransaction.create({
+    data: {
+      walletId: wallet.id,
+      clinicId,
+      appointmentId,
+      direction: 'DEBIT',
+      amount: value,
+      reason: 'BOOKING',
+      status: 'PENDING',
+    },
+  });
+};
+
+// Posts the held debit for a booking that has just been paid and adds it to
+// the appointment's ledger. A hold voided by the expiry job is still posted –
+// the booking went through, so the wallet pays its share – but only as far
+// as the balance reaches: whatever it was spent on meanwhile is kept as a
+// SHORTFALL row for the clinic to settle with the patient.
+export const confirmWalletDebit = async (appointmentId, client = prisma) => {
+  const held = await client.walletTransaction.findFirst({
+    where: { appointmentId, direction: 'DEBIT', reason: 'BOOKING', status: { in: ['PENDING', 'VOID'] } },
+  });
+  if (!held) return null;
+
+  const locked = await lockWallet({ walletId: held.walletId }, client);
+  const covered = round2(Math.min(Number(held.amount), await spendableOf(locked, client, held.id)));
+  const shortfall = round2(Number(held.amount) - covered);
+
+  if (shortfall > 0) {
+    await client.walletTransaction.create({
+      data: {
+        walletId: held.walletId,
+        clinicId: held.clinicId,
+        appointmentId,
+        direction: 'DEBIT',
+        amount: shortfall,
+        reason: 'BOOKING',
+        status: 'SHORTFALL',
+        note: 'Wallet no longer covered this booking when its payment arrived',
+      },
+    });
+    console.warn(`⚠️ Wallet shortfall of ${shortfall} on appointment ${appointmentId}`);
+  }
+  if (covered <= 0) {
+    await client.walletTransaction.update({ where: { id: held.id }, data: { status: 'VOID' } });
+    return null;
+  }
+
+  const wallet = await client.wallet.update({
+    where: { id: held.walletId },
+    data: { balance: { decrement: covered } },
+  });
+  const posted = await client.walletTransaction.update({
+    where: { id: held.id },
+    data: { status: 'POSTED', amount: covered, balanceAfter: wallet.balance, postedAt: new Date() },
+  });
+
+  await recordTransaction({
+    appointmentId,
+    type: 'CHARGE',
+    amount: posted.amount,
+    provider: WALLET_PROVIDER,
+    gatewayRef: ledgerRef(posted),
+    note: 'Paid from wallet',
+  }, client);
+
+  return posted;
+};
+
+// Booking paid in full from the wallet – hold and post in one go
+export const spendWallet = async ({ userId, clinicId, appointmentId, amount }, client = prisma) => {
+  await holdWalletDebit({ userId, clinicId, appointmentId, amount }, client);
+  return confirmWalletDebit(appointmentId, client);
+};
+
+// Hold expired / booking thrown away → the held amount is spendable again
+export const voidWalletDebits = async ({ appointmentIds = [] }, client = prisma) => {
+  if (!appointmentIds.length) return { count: 0 };
+  return client.walletTransaction.updateMany({
+    where: { appointmentId: { in: appointmentIds }, direction: 'DEBIT', status: 'PENDING' },
+    data: { status: 'VOID' },
+  });
+};
+
+// Wallet money spent on a booking and not yet given back
+export const getWalletSpend = async (appointmentId, client = prisma) => {
+  const rows = await client.walletTransaction.groupBy({
+    by: ['direction'],
+    where: {
+      appointmentId,
+      status: 'POSTED',
+      OR: [{ direction: 'DEBIT', reason: 'BOOKING' }, { direction: 'CREDIT', reason: 'BOOKING_RETURNED' }],
+    },
+    _sum: { amount: true },
+  });
+  const sum = (direction) => Number(rows.find((r) => r.direction === direction)?._sum.amount || 0);
+  return round2(sum('DEBIT') - sum('CREDIT'));
+};
+
+// ----------------------------------------------------------------
+// GIVE BACK wallet money spent on a cancelled booking (up to what was
+// spent). The appointment's ledger shows it leaving as a WALLET refund.
+// ----------------------------------------------------------------
+export const returnWalletSpend = async ({ appointmentId, amount, note = null, createdById = null }, client = prisma) => {
+  const spent = await getWalletSpend(appointmentId, client);
+  const value = round2(Math.min(Number(amount), spent));
+  if (value <= 0) return null;
+
+  const appointment = await client.appointment.findUnique({
+    where: { id: appointmentId },
+    select: { userId: true, clinicId: true },
+  });
+  return creditToWalletFromAppointment({
+    appointment: { id: appointmentId, ...appointment },
+    amount: value,
+    reason: 'BOOKING_RETURNED',
+    note,
+    createdById,
+  }, client);
+};
+
+// ----------------------------------------------------------------
+// Money the clinic took for an appointment (cash, or a wallet spend)
+// moved to the wallet: wallet credit + WALLET refund on the ledger
+// ----------------------------------------------------------------
+export const creditToWalletFromAppointment = async (
+  { appointment, amount, reason, note = null, createdById = null },
+  client = prisma
+) => {
+  const credit = await creditWallet({
+    userId: appointment.userId,
+    clinicId: appointment.clinicId,
+    appointmentId: appointment.id,
+    amount,
+    reason,
+    note,
+    createdById,
+  }, client);
+
+  await recordTransaction({
+    appointmentId: appointment.id,
+    type: 'REFUND',
+    amount: credit.amount,
+    provider: WALLET_PROVIDER,
+    gatewayRef: ledgerRef(credit),
+    note: note || 'Credited to wallet',
+    createdById,
+  }, client);
+
+  return credit;
+};
+
+// ----------------------------------------------------------------
+// STATEMENT: wallet balance + credits and debits, newest first
+// ----------------------------------------------------------------
+export const getWalletStatement = async ({ userId, clinicId, page = 1, limit = 20 }, client = prisma) => {
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const take = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const wallet = await client.wallet.findUnique({ where: { userId_clinicId: { userId, clinicId } } });
+  if (!wallet) {
+    return { balance: 0, available: 0, data: [], pagination: { total: 0, page: pageNum, limit: take, totalPages: 0 } };
+  }
+
+  const where = { walletId: wallet.id, status: { not: 'VOID' } }; // SHORTFALL rows stay visible
+  const [total, data, available] = await Promise.all([
+    client.walletTransaction.count({ where }),
+    client.walletTransaction.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip: (pageNum - 1) * take,
+      take,
+      include: {
+        appointment: {
+          select: { id: true, slot: { select: { date: true, time: true } }, doctor: { select: { name: true } } },
+        },
+      },
+    }),
+    getAvailableBalance(userId, clinicId, client),
+  ]);
+
+  return {
+    balance: Number(wallet.balance),
+    available,
+    data,
+    pagination: { total, page: pageNum, limit: take, totalPages: Math.ceil(total / take) },
+  };
+};
+
+// ----------------------------------------------------------------
+// SHORTFALLS: bookings whose wallet share could not be taken when the
+// late payment arrived (see confirmWalletDebit), newest first
+// ----------------------------------------------------------------
+export const getWalletShortfalls = async ({ clinicId, page = 1, limit = 20 }, client = prisma) => {
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const take = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const where = { clinicId, status: 'SHORTFALL' };
+  const [total, data] = await Promise.all([
+    client.walletTransaction.count({ where }),
+    client.walletTransaction.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip: (pageNum - 1) * take,
+      take,
+      include: {
+        wallet: { select: { user: { select: { id: true, name: true, email: true, phone: true } } } },
+        appointment: { select: { id: true, status: true, amount: true, walletAmount: true } },
+      },
+    }),
+  ]);
+
+  return { data, pagination: { total, page: pageNum, limit: take, totalPages: Math.ceil(total / take) } };
+};
@@ -0,0 +1,729 @@
+import crypto from 'crypto';
+import prisma from '../prisma.js';
+import { addToOutbox, dispatchOutbox } from './outboxService.js';
+import { createBookingNotification } from '../utils/clinicNotifications.js';
+import { finaliseGatewayRefund } from './refundService.js';
+import { recordGatewayCharge } from './ledgerService.js';
+import { confirmWalletDebit } from './walletService.js';
+import {
+  attachGatewaySubscription,
+  recordSubscriptionCharge,
+  markSubscriptionPastDue,
+  markAutoRenewStopped,
+} from './subscriptionBillingService.js';
+import { recordDunningPayment } from './dunningService.js';
+import { confirmCouponRedemption } from './couponService.js';
+import { isMockGatewayId } from './paymentProviders/mockProvider.js';
+
+const MS_PER_MINUTE = 60 * 1000;
+
+// Attempts (first delivery included) before a FAILED event is left for a manual
+// replay; the wait between them doubles each time (2, 4, 8... min)
+export const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6);
+
+// A PROCESSING row older than this was left behind by a crash
+const STALE_PROCESSING_MS = 10 * MS_PER_MINUTE;
+
+const IGNORED = { ignored: true };
+
+// ----------------------------------------------------------------
+// RAZORPAY: act on one verified event payload.
+// Returns { type } when handled or { ignored: true } when there was
+// nothing to do; throws to mark the event FAILED for a retry.
+// The offline MOCK gateway sends the same payloads.
+// ----------------------------------------------------------------
+const handleRazorpayEvent = async (payload, provider = 'RAZORPAY') => {
+  // 💸 Refund lifecycle (our refunds + ones issued from the dashboard)
+  if (['refund.processed', 'refund.failed'].includes(payload.event)) {
+    const refundEntity = payload.payload.refund.entity;
+    await finaliseGatewayRefund({
+      provider,
+      gatewayRefundId: refundEntity.id,
+      gatewayPaymentRef: refundEntity.payment_id,
+      amount: refundEntity.amount,
+      status: payload.event === 'refund.processed' ? 'processed' : 'failed',
+      failureReason: refundEntity.error_description,
+      refundId: refundEntity.notes?.refundId,
+    });
+    return { type: 'REFUND_UPDATED' };
+  }
+
+  // 🔁 Clinic plan subscriptions (auto-renew)
+  if (payload.event?.startsWith('subscription.')) {
+    const subEntity = payload.payload.subscription.entity;
+    const paymentEntity = payload.payload.payment?.entity;
+
+    if (payload.event === 'subscription.charged') {
+      await recordSubscriptionCharge({
+        provider,
+        gatewaySubscriptionId: subEntity.id,
+        gatewayPaymentId: paymentEntity?.id,
+        gatewayInvoiceId: paymentEntity?.invoice_id || null,
+        amount: (paymentEntity?.amount || 0) / 100,
+        periodEnd: subEntity.current_end ? subEntity.current_end * 1000 : null,
+      });
+    } else if (['subscription.pending', 'subscription.halted'].includes(payload.event)) {
+      await markSubscriptionPastDue({
+        provider,
+        gatewaySubscriptionId: subEntity.id,
+        gatewayPaymentId: paymentEntity?.id || null,
+        amount: (paymentEntity?.amount || 0) / 100,
+        reason: paymentEntity?.error_description || `Razorpay ${payload.event}`,
+      });
+    } else if (['subscription.cancelled', 'subscription.completed'].includes(payload.event)) {
+      await markAutoRenewStopped({ gatewaySubscriptionId: subEntity.id });
+    }
+
+    return { type: 'SUBSCRIPTION_UPDATED' };
+  }
+
+  // 💸 Dunning: renewal paid through the emailed payment link
+  if (payload.event === 'payment_link.paid') {
+    const linkEntity = payload.payload.payment_link.entity;
+    const paymentEntity = payload.payload.payment?.entity;
+    if (linkEntity.notes?.type === 'PLAN_RENEWAL') {
+      await recordDunningPayment({
+        subscriptionId: linkEntity.notes.subscriptionId,
+        paymentLinkId: linkEntity.id,
+        gatewayPaymentId: paymentEntity?.id || null,
+        amount: (paymentEntity?.amount || linkEntity.amount_paid || 0) / 100,
+      });
+      return { type: 'SUBSCRIPTION_RENEWED' };
+    }
+    return IGNORED;
+  }
+
+  // Only process payment.captured
+  if (payload.event === 'payment.captured') {
+    const paymentEntity = payload.payload.payment.entity;
+    const notes = paymentEntity.notes || {};
+
+    // Renewal links are settled by payment_link.paid above
+    if (notes.type === 'PLAN_RENEWAL') {
+      return IGNORED;
+    }
+    const orderId = paymentEntity.order_id;
+    const paymentId = paymentEntity.id;
+    const amountPaid = paymentEntity.amount / 100;
+
+    console.log(`🪝 Razorpay Webhook: Order ${orderId}, Payment ${paymentId}`);
+
+    // 🏷️ Any coupon applied to this order is now used
+    await confirmCouponRedemption(orderId);
+
+    // ---------------------------------------------------------
+    // SCENARIO A: RESCHEDULE PAYMENT
+    // ---------------------------------------------------------
+    if (notes.type === 'RESCHEDULE') {
+      const appointmentId = notes.appointmentId;
+      const newSlotId = notes.rescheduleToSlot || notes.slotId;
+
+      console.log(`🔄 Processing Reschedule Webhook: Appt ${appointmentId} -> Slot ${newSlotId}`);
+
+      await prisma.$transaction(async (tx) => {
+        // 1. Fetch Current Appointment
+        const currentAppt = await tx.appointment.findUnique({ 
+          where: { id: appointmentId },
+          include: { clinic: { include: { gateways: true } }, slot: { select: { date: true, time: true } } } // Pre-fetch gateways + old slot
+        });
+        
+        if (!currentAppt) throw new Error("Appointment not found");
+
+        // 2. Free up OLD Slot
+        if (currentAppt.slotId) {
+          await tx.slot.update({
+            where: { id: currentAppt.slotId },
+            data: { isBooked: false, status: 'AVAILABLE', isBlocked: false } 
+          });
+        }
+
+        // 3. Occupy NEW Slot
+        await tx.slot.update({
+          where: { id: newSlotId },
+          data: { isBooked: true, status: 'CONFIRMED', isBlocked: false }
+        });
+
+        // 4. Update Appointment
+        const updatedAppt = await tx.appointment.update({
+          where: { id: appointmentId },
+          data: {
+            slotId: newSlotId,
+            activeSlotId: newSlotId,
+            status: 'CONFIRMED',
+            paymentStatus: 'PAID',
+            financialStatus: 'PAID',
+            paymentId: paymentId,
+            amount: Number(notes.newAmount) || amountPaid, // New slot price (ledger keeps the top-up)
+            adminNote: `Rescheduled via Online Payment (${paymentId})`,
+            updatedAt: new Date()
+          },
+          include: { clinic: true, doctor: true, user: true, slot: true }
+        });
+
+        // 5. Payment record only if this is the first online charge;
+        // otherwise the top-up lives in the ledger next to the original
+        let paymentRow = await tx.payment.findUnique({ where: { appointmentId } });
+        
+        if (!paymentRow) {
+          const gateway = currentAppt.clinic.gateways.find(g => g.name === provider);
+          paymentRow = await tx.payment.create({
+            data: {
+              appointmentId: updatedAppt.id,
+              clinicId: updatedAppt.clinicId,
+              doctorId: updatedAppt.doctorId,
+              gatewayId: gateway?.id,
+              amount: amountPaid,
+              status: 'PAID',
+              gatewayRefId: paymentId,
+            }
+          });
+        }
+
+        await recordGatewayCharge({
+          appointmentId,
+          amount: amountPaid,
+          provider,
+          gatewayRef: paymentId,
+          paymentId: paymentRow.gatewayRefId === paymentId ? paymentRow.id : null,
+          note: 'Reschedule payment',
+        }, tx);
+
+        // 6. Send Email (outbox, after commit)
+        await addToOutbox('BOOKING_EMAILS', {
+          clinicId: updatedAppt.clinicId,
+          appointmentId: updatedAppt.id,
+          type: "RESCHEDULE",
+          oldSlot: { id: currentAppt.slotId, date: currentAppt.slot?.date, time: currentAppt.slot?.time },
+        }, tx);
+      });
+
+      dispatchOutbox();
+      return { type: 'RESCHEDULE_PROCESSED' };
+    }
+
+    // ---------------------------------------------------------
+    // SCENARIO B: NEW BOOKING (Standard Flow)
+    // ---------------------------------------------------------
+    
+    const appointmentTempId = notes.appointmentTempId;
+    
+    const appointment = await prisma.appointment.findFirst({
+      where: {
+        OR: [{ orderId }, { id: appointmentTempId }],
+        // Allow PENDING or PENDING_PAYMENT
+        status: { in: ['PENDING', 'PENDING_PAYMENT'] }
+      },
+      include: {
+        slot: true,
+        clinic: { include: { gateways: true } },
+        doctor: true,
+        user: true
+      }
+    });
+
+    if (!appointment) {
+      // Idempotency: Check if already confirmed
+      const alreadyConfirmed = await prisma.appointment.findFirst({
+        where: { orderId, status: 'CONFIRMED' }
+      });
+      if (alreadyConfirmed) {
+        console.log(`ℹ️ Booking already confirmed for Order ${orderId}`);
+        return { type: 'BOOKING_CONFIRMED', message: 'Already processed' };
+      }
+      
+      console.log(`❌ Booking not found/expired for order: ${orderId}`);
+      // Nothing to retry if it is truly gone
+      return { ignored: true, message: `Appointment not found for order ${orderId}` };
+    }
+
+    // Confirm Booking
+    await prisma.$transaction(async (tx) => {
+      const updatedAppt = await tx.appointment.update({
+        where: { id: appointment.id },
+        data: {
+          status: 'CONFIRMED',
+          paymentStatus: 'PAID',
+          financialStatus: 'PAID',
+          paymentId: paymentId,
+          updatedAt: new Date()
+        }
+      });
+
+      if (appointment.slotId) {
+        await tx.slot.update({
+          where: { id: appointment.slotId },
+          data: { isBooked: true, status: 'CONFIRMED', isBlocked: false }
+        });
+      }
+
+      const gateway = appointment.clinic.gateways.find(g => g.name === provider);
+      
+      // Prevent duplicate payment records
+      let paymentRow = await tx.payment.findUnique({ where: { appointmentId: appointment.id } });
+      
+      if (!paymentRow) {
+        paymentRow = await tx.payment.create({
+          data: {
+            appointmentId: appointment.id,
+            clinicId: appointment.clinicId,
+            doctorId: appointment.doctorId,
+            gatewayId: gateway?.id,
+            amount: amountPaid,
+            status: 'PAID',
+            gatewayRefId: paymentId,
+          }
+        });
+      }
+
+      await recordGatewayCharge({
+        appointmentId: appointment.id,
+        amount: amountPaid,
+        provider,
+        gatewayRef: paymentId,
+        paymentId: paymentRow.gatewayRefId === paymentId ? paymentRow.id : null,
+      }, tx);
+      await confirmWalletDebit(appointment.id, tx);
+
+      // Confirmation Email (outbox, after commit)
+      await addToOutbox('BOOKING_EMAILS', { clinicId: appointment.clinicId, appointmentId: appointment.id }, tx);
+      await createBookingNotification(appointment.id, tx);
+      
+      return updatedAppt;
+    });
+
+    dispatchOutbox();
+
+    console.log(`✅ Webhook Confirmed Booking: ${appointment.id}`);
+    return { type: 'BOOKING_CONFIRMED', appointmentId: appointment.id };
+  }
+
+  // Other events are stored but not acted on
+  return IGNORED;
+};
+
+// ----------------------------------------------------------------
+// STRIPE: act on one verified event (same contract as Razorpay)
+// ----------------------------------------------------------------
+const handleStripeEvent = async (event) => {
+
+  // 💸 Refund lifecycle
+  if (event.type === 'charge.refunded') {
+    const charge = event.data.object;
+    for (const r of charge.refunds?.data || []) {
+      await finaliseGatewayRefund({
+        provider: 'STRIPE',
+        gatewayRefundId: r.id,
+        gatewayPaymentRef: charge.payment_intent,
+        amount: r.amount,
+        status: r.status,
+        failureReason: r.failure_reason,
+        refundId: r.metadata?.refundId,
+      });
+    }
+    return { type: 'REFUND_UPDATED' };
+  }
+
+  if (['charge.refund.updated', 'refund.updated'].includes(event.type)) {
+    const r = event.data.object;
+    await finaliseGatewayRefund({
+      provider: 'STRIPE',
+      gatewayRefundId: r.id,
+      gatewayPaymentRef: r.payment_intent,
+      amount: r.amount,
+      status: r.status,
+      failureReason: r.failure_reason,
+      refundId: r.metadata?.refundId,
+    });
+    return { type: 'REFUND_UPDATED' };
+  }
+
+  // 🔁 Clinic plan subscriptions (auto-renew)
+  if (event.type === 'checkout.session.completed' && event.data.object.mode === 'subscription') {
+    const session = event.data.object;
+    await attachGatewaySubscription({
+      clinicId: session.metadata?.clinicId,
+      provider: 'STRIPE',
+      gatewaySubscriptionId: session.subscription,
+    });
+    return { type: 'SUBSCRIPTION_LINKED' };
+  }
+
+  if (['invoice.paid', 'invoice.payment_failed'].includes(event.type) && event.data.object.subscription) {
+    const invoice = event.data.object;
+    // invoice.paid can beat checkout.session.completed – link it here too
+    await attachGatewaySubscription({
+      clinicId: invoice.subscription_details?.metadata?.clinicId,
+      provider: 'STRIPE',
+      gatewaySubscriptionId: invoice.subscription,
+    });
+
+    if (event.type === 'invoice.paid') {
+      const periodEnd = invoice.lines?.data?.[0]?.period?.end;
+      await recordSubscriptionCharge({
+        provider: 'STRIPE',
+        gatewaySubscriptionId: invoice.subscription,
+        gatewayPaymentId: invoice.payment_intent || invoice.charge || invoice.id,
+        gatewayInvoiceId: invoice.id,
+        amount: (invoice.amount_paid || 0) / 100,
+        periodEnd: periodEnd ? periodEnd * 1000 : null,
+      });
+    } else {
+      await markSubscriptionPastDue({
+        provider: 'STRIPE',
+        gatewaySubscriptionId: invoice.subscription,
+        gatewayPaymentId: invoice.payment_intent || null,
+        amount: (invoice.amount_due || 0) / 100,
+        reason: invoice.last_finalization_error?.message || 'Card payment failed',
+      });
+    }
+    return { type: 'SUBSCRIPTION_UPDATED' };
+  }
+
+  if (event.type === 'customer.subscription.deleted') {
+    await markAutoRenewStopped({ gatewaySubscriptionId: event.data.object.id });
+    return { type: 'SUBSCRIPTION_UPDATED' };
+  }
+
+  if (event.type === 'checkout.session.completed') {
+    const session = event.data.object;
+    const metadata = session.metadata || {};
+    const amountPaid = session.amount_total / 100;
+
+    console.log(`🪝 Stripe Webhook: Session ${session.id}`);
+
+    // ---------------------------------------------------------
+    // SCENARIO A: RESCHEDULE PAYMENT
+    // ---------------------------------------------------------
+    if (metadata.type === 'RESCHEDULE') {
+       const appointmentId = metadata.appointmentId;
+       const newSlotId = metadata.slotId; 
+
+       console.log(`🔄 Processing Stripe Reschedule: Appt ${appointmentId} -> Slot ${newSlotId}`);
+
+       await prisma.$transaction(async (tx) => {
+          const currentAppt = await tx.appointment.findUnique({ 
+              where: { id: appointmentId },
+              include: { clinic: { include: { gateways: true } }, slot: { select: { date: true, time: true } } }
+          });
+          
+          // Free Old Slot
+          if (currentAppt?.slotId) {
+              await tx.slot.update({
+                  where: { id: currentAppt.slotId },
+                  data: { isBooked: false, status: 'AVAILABLE', isBlocked: false }
+              });
+          }
+
+          // Book New Slot
+          await tx.slot.update({
+              where: { id: newSlotId },
+              data: { isBooked: true, status: 'CONFIRMED', isBlocked: false }
+          });
+
+          // Update Appointment
+          const updatedAppt = await tx.appointment.update({
+              where: { id: appointmentId },
+              data: {
+                  slotId: newSlotId,
+                  activeSlotId: newSlotId,
+                  status: 'CONFIRMED',
+                  paymentStatus: 'PAID',
+                  financialStatus: 'PAID',
+                  paymentId: session.payment_intent,
+                  amount: amountPaid,
+                  adminNote: 'Rescheduled via Stripe',
+              },
+              include: { clinic: true, doctor: true, user: true, slot: true }
+          });
+
+          let paymentRow = await tx.payment.findUnique({ where: { appointmentId } });
+          
+          if (!paymentRow) {
+              const gateway = currentAppt.clinic.gateways.find(g => g.name === 'STRIPE');
+              paymentRow = await tx.payment.create({
+                  data: {
+                      appointmentId: updatedAppt.id,
+                      clinicId: updatedAppt.clinicId,
+                      doctorId: updatedAppt.doctorId,
+                      gatewayId: gateway?.id,
+                      amount: amountPaid,
+                      status: 'PAID',
+                      gatewayRefId: session.payment_intent,
+                  }
+              });
+          }
+
+          await recordGatewayCharge({
+              appointmentId,
+              amount: amountPaid,
+              provider: 'STRIPE',
+              gatewayRef: session.payment_intent,
+              paymentId: paymentRow.gatewayRefId === session.payment_intent ? paymentRow.id : null,
+              note: 'Reschedule payment',
+          }, tx);
+
+          await addToOutbox('BOOKING_EMAILS', {
+              clinicId: updatedAppt.clinicId,
+              appointmentId: updatedAppt.id,
+              type: "RESCHEDULE",
+              oldSlot: { id: currentAppt.slotId, date: currentAppt.slot?.date, time: currentAppt.slot?.time },
+          }, tx);
+       });
+       dispatchOutbox();
+       return { type: 'RESCHEDULE_PROCESSED' };
+    }
+
+    // ---------------------------------------------------------
+    // SCENARIO B: NEW BOOKING
+    // ---------------------------------------------------------
+    if (session.payment_status === 'paid') {
+      const orderId = session.id; // Checkout Session ID
+      await confirmCouponRedemption(orderId);
+      const appointmentTempId = metadata.appointmentTempId;
+
+      const appointment = await prisma.appointment.findFirst({
+        where: {
+          OR: [{ orderId }, { id: appointmentTempId }],
+          status: { in: ['PENDING', 'PENDING_PAYMENT'] }
+        },
+        include: {
+          slot: true,
+          clinic: { include: { gateways: true } },
+          doctor: true,
+          user: true
+        }
+      });
+
+      if (appointment) {
+        await prisma.$transaction(async (tx) => {
+          const updatedAppt = await tx.appointment.update({
+            where: { id: appointment.id },
+            data: {
+              status: 'CONFIRMED',
+              paymentStatus: 'PAID',
+              financialStatus: 'PAID',
+              paymentId: session.payment_intent,
+              updatedAt: new Date()
+            }
+          });
+
+          if (appointment.slotId) {
+            await tx.slot.update({
+              where: { id: appointment.slotId },
+              data: { isBooked: true, status: 'CONFIRMED', isBlocked: false }
+            });
+          }
+
+          let paymentRow = await tx.payment.findUnique({ where: { appointmentId: appointment.id } });
+
+          if (!paymentRow) {
+              const gateway = appointment.clinic.gateways.find(g => g.name === 'STRIPE');
+              paymentRow = await tx.payment.create({
+                data: {
+                  appointmentId: appointment.id,
+                  clinicId: appointment.clinicId,
+                  doctorId: appointment.doctorId,
+                  gatewayId: gateway?.id,
+                  amount: amountPaid,
+                  status: 'PAID',
+                  gatewayRefId: session.payment_intent,
+                }
+              });
+          }
+
+          await recordGatewayCharge({
+              appointmentId: appointment.id,
+              amount: amountPaid,
+              provider: 'STRIPE',
+              gatewayRef: session.payment_intent,
+              paymentId: paymentRow.gatewayRefId === session.payment_intent ? paymentRow.id : null,
+          }, tx);
+          await confirmWalletDebit(appointment.id, tx);
+          await addToOutbox('BOOKING_EMAILS', { clinicId: appointment.clinicId, appointmentId: appointment.id }, tx);
+          await createBookingNotification(appointment.id, tx);
+        });
+
+        dispatchOutbox();
+        
+        console.log(`✅ Stripe Webhook Confirmed: ${appointment.id}`);
+        return { type: 'BOOKING_CONFIRMED', appointmentId: appointment.id };
+      } else {
+          console.log(`⚠️ Stripe Webhook: Appt not found for Session ${session.id}`);
+          return { ignored: true, message: `Appointment not found for session ${session.id}` };
+      }
+    }
+  }
+
+  return IGNORED;
+};
+
+// ----------------------------------------------------------------
+// MOCK: only orders and refunds the MOCK gateway issued itself. A MOCK
+// delivery naming a Razorpay / Stripe order (or a subscription or
+// payment link, which MOCK never creates) must not mark it paid.
+// ----------------------------------------------------------------
+const isMockOwnedEvent = (payload) => {
+  const entities = payload?.payload || {};
+  if (entities.subscription || entities.payment_link) return false;
+
+  const ids = [entities.payment?.entity?.order_id, entities.refund?.entity?.payment_id].filter(Boolean);
+  return ids.length > 0 && ids.every(isMockGatewayId);
+};
+
+const handleMockEvent = async (payload) => {
+  if (!isMockOwnedEvent(payload)) {
+    console.warn(`⚠️ MOCK webhook rejected: ${getEventReference('MOCK', payload) || 'event'} was not issued by the MOCK gateway`);
+    return { ...IGNORED, rejected: 'Not a MOCK gateway order' };
+  }
+  return handleRazorpayEvent(payload, 'MOCK');
+};
+
+const HANDLERS = {
+  RAZORPAY: (payload) => handleRazorpayEvent(payload, 'RAZORPAY'),
+  STRIPE: handleStripeEvent,
+  MOCK: handleMockEvent,
+};
+
+// Order / payment / session id to search by when chasing a missed payment
+const getEventReference = (provider, payload) => {
+  if (provider === 'STRIPE') return payload?.data?.object?.id || null;
+  const entities = payload?.payload || {};
+  const payment = entities.payment?.entity;
+  return payment?.order_id || payment?.id
+    || entities.refund?.entity?.id
+    || entities.payment_link?.entity?.id
+    || entities.subscription?.entity?.id
+    || null;
+};
+
+// ----------------------------------------------------------------
+// STORE an incoming webhook before anything acts on it.
+// The provider's event id is the idempotency key: a redelivery returns
+// the row already stored. Events that fail signature checks are kept for
+// debugging but never processed.
+// ----------------------------------------------------------------
+export const storeWebhookEvent = async ({ provider, eventId, eventType, payload, signature, signatureValid }) => {
+  // Razorpay omits the event id header on some test sends – fall back to a body hash
+  const id = eventId || `sha256:${crypto.createHash('sha256').update(JSON.stringify(payload ?? null)).digest('hex')}`;
+
+  const existing = await prisma.webhookEvent.findUnique({
+    where: { provider_eventId: { provider, eventId: id } },
+  });
+  if (existing) {
+    // A valid redelivery can rescue an event whose earlier copy failed the check
+    if (signatureValid && existing.status === 'INVALID_SIGNATURE') {
+      return prisma.webhookEvent.update({
+        where: { id: existing.id },
+        data: { payload, signature, signatureValid: true, status: 'RECEIVED' },
+      });
+    }
+    return existing;
+  }
+
+  try {
+    return await prisma.webhookEvent.create({
+      data: {
+        provider,
+        eventId: id,
+        eventType: eventType || null,
+        reference: getEventReference(provider, payload),
+        payload: payload ?? {},
+        signature: signature || null,
+        signatureValid,
+        status: signatureValid ? 'RECEIVED' : 'INVALID_SIGNATURE',
+      },
+    });
+  } catch (error) {
+    // Two deliveries of the same event racing each other
+    if (error.code === 'P2002') {
+      return prisma.webhookEvent.findUnique({ where: { provider_eventId: { provider, eventId: id } } });
+    }
+    throw error;
+  }
+};
+
+// ----------------------------------------------------------------
+// PROCESS a stored event exactly once at a time.
+// The row is claimed by flipping it to PROCESSING, so a redelivery, the
+// retry job and a manual replay never run the same event side by side.
+// force (super admin replay) also re-runs PROCESSED / IGNORED events;
+// the handlers are idempotent on gateway refs.
+// Returns the updated row; `claimed: false` when someone else had it.
+// ----------------------------------------------------------------
+export const processWebhookEvent = async (eventId, { force = false } = {}) => {
+  const now = new Date();
+  const claimable = force ? ['RECEIVED', 'FAILED', 'PROCESSED', 'IGNORED'] : ['RECEIVED', 'FAILED'];
+
+  const { count } = await prisma.webhookEvent.updateMany({
+    where: {
+      id: eventId,
+      signatureValid: true,
+      OR: [
+        { status: { in: claimable } },
+        { status: 'PROCESSING', updatedAt: { lt: new Date(now.getTime() - STALE_PROCESSING_MS) } },
+      ],
+    },
+    data: { status: 'PROCESSING', attempts: { increment: 1 }, lastAttemptAt: now },
+  });
+
+  const event = await prisma.webhookEvent.findUnique({ where: { id: eventId } });
+  if (!event) throw { statusCode: 404, message: 'Webhook event not found' };
+  if (!count) return { event, claimed: false };
+
+  try {
+    const result = await HANDLERS[event.provider](event.payload);
+    const updated = await prisma.webhookEvent.update({
+      where: { id: event.id },
+      data: {
+        status: result?.ignored ? 'IGNORED' : 'PROCESSED',
+        result: result || {},
+        lastError: null,
+        nextRetryAt: null,
+        processedAt: new Date(),
+      },
+    });
+    return { event: updated, claimed: true };
+  } catch (error) {
+    console.error(`❌ Webhook ${event.provider} ${event.eventType} (${event.eventId}) failed:`, error);
+    const retry = event.attempts < WEBHOOK_MAX_ATTEMPTS;
+    const updated = await prisma.webhookEvent.update({
+      where: { id: event.id },
+      data: {
+        status: 'FAILED',
+        lastError: String(error?.message || error).slice(0, 2000),
+        nextRetryAt: retry ? new Date(Date.now() + 2 ** event.attempts * MS_PER_MINUTE) : null,
+      },
+    });
+    return { event: updated, claimed: true, error };
+  }
+};
+
+// ----------------------------------------------------------------
+// CRON: retry FAILED events whose backoff has run out, and pick up
+// rows stuck in RECEIVED / PROCESSING after a crash
+// ----------------------------------------------------------------
+export const retryWebhookEvents = async (now = new Date()) => {
+  const due = await prisma.webhookEvent.findMany({
+    where: {
+      signatureValid: true,
+      OR: [
+        { status: 'FAILED', nextRetryAt: { lte: now } },
+        { status: { in: ['RECEIVED', 'PROCESSING'] }, updatedAt: { lt: new Date(now.getTime() - STALE_PROCESSING_MS) } },
+      ],
+    },
+    orderBy: { createdAt: 'asc' },
+    select: { id: true },
+    take: 50,
+  });
+
+  let processed = 0;
+  let failed = 0;
+  for (const { id } of due) {
+    const { event, claimed } = await processWebhookEvent(id);
+    if (!claimed) continue;
+    if (event.status === 'FAILED') failed += 1;
+    else processed += 1;
+  }
+
+  return { due: due.length, processed, failed };
+};
@@ -5,8 +5,31 @@ export const createClinicNotification = async ({
   type,
   entityId,
   message,
-}) => {
-  return prisma.notification.create({
+}, client = prisma) => {
+  return client.notification.create({
     data: { clinicId, type, entityId, message },
   });
 };
+
+// New booking → front desk feed. Call with the booking's transaction
+// client so the notice exists only if the booking does.
+export const createBookingNotification = async (appointmentId, client = prisma) => {
+  const appt = await client.appointment.findUnique({
+    where: { id: appointmentId },
+    select: {
+      clinicId: true,
+      user: { select: { name: true } },
+      doctor: { select: { name: true } },
+      slot: { select: { date: true, time: true } },
+    },
+  });
+  if (!appt?.clinicId) return null;
+
+  const dateStr = appt.slot?.date ? new Date(appt.slot.date).toLocaleDateString('en-IN') : '';
+  return createClinicNotification({
+    clinicId: appt.clinicId,
+    type: 'BOOKING',
+    entityId: appointmentId,
+    message: `New booking: ${appt.user?.name || 'Patient'} with ${appt.doctor?.name || 'doctor'} on ${dateStr} ${appt.slot?.time || ''}`.trim(),
+  }, client);
+};
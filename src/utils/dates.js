@@ -0,0 +1,11 @@
+// src/utils/dates.js
+
+// Calendar-month shift that clamps to the month end: 31 Jan + 1 → 28/29 Feb,
+// 31 Mar - 1 → 28/29 Feb
+export const shiftMonth = (date, months) => {
+  const d = new Date(date);
+  const day = d.getDate();
+  d.setMonth(d.getMonth() + months);
+  if (d.getDate() < day) d.setDate(0);
+  return d;
+};
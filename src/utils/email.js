@@ -1,20 +1,20 @@
-import nodemailer from 'nodemailer';
 import prisma from '../prisma.js';
+import { getInvoiceAttachment } from '../services/invoiceService.js';
+import { notifyPatient } from '../services/notificationService.js';
+import { transporter } from '../services/notificationChannels/emailChannel.js';
 
 // ✅ Robust enum import
 import prismaPkg from '@prisma/client';
 const { Role } = prismaPkg;
 
-// 🔥 EMAIL TRANSPORTER SETUP (EXPORTED)
-export const transporter = nodemailer.createTransport({
-  host: process.env.SMTP_HOST || 'smtp.gmail.com',
-  port: Number(process.env.SMTP_PORT || 587),
-  secure: false,
-  auth: {
-    user: process.env.SMTP_USER,
-    pass: process.env.SMTP_PASS,
-  },
-});
+// 🔥 EMAIL TRANSPORTER (owned by the EMAIL channel; staff emails use it directly)
+export { transporter };
+
+// Patient messages below go through notifyPatient, which picks EMAIL / SMS /
+// WHATSAPP from clinic settings and patient preference. `text` is the short
+// version used by SMS and WhatsApp.
+// Appointment messages are sent by the outbox (services/outboxService.js),
+// which uses the returned deliveries to decide whether to retry.
 
 // 🔥 1. CANCELLATION EMAIL (Your existing function - PERFECT!)
 export const sendCancellationEmail = async (appointment, reason, patientRequested, adminUser) => {
@@ -40,7 +40,7 @@ export const sendCancellationEmail = async (appointment, reason, patientRequeste
         <p><strong>Date & Time:</strong> ${slotTime}</p>
         <p><strong>Reason:</strong> ${reason}</p>
         <p><strong>Action:</strong> ${actionBy}</p>
-        ${!patientRequested && `<p><strong>By:</strong> ${adminName}</p>`}
+        ${!patientRequested ? `<p><strong>By:</strong> ${adminName}</p>` : ''}
       </div>
       
       <p>Book a new appointment from <a href="https://yourapp.com">your dashboard</a>.</p>
@@ -48,17 +48,18 @@ export const sendCancellationEmail = async (appointment, reason, patientRequeste
     </div>
   `;
 
-  await transporter.sendMail({
-    from: `"${clinicName}" <no-reply@yourapp.com>`,
-    to: user.email,
-    subject,
-    html
-  });
+  const text = `${clinicName}: your appointment with ${doctorName} on ${slotTime} has been cancelled. Reason: ${reason}.`;
 
-  console.log(`✅ Cancellation Email sent to ${user.email} for appt ${appointment.id}`);
+  return notifyPatient({
+    event: 'APPOINTMENT_CANCELLED',
+    clinicId: appointment.clinicId || slot.clinic.id,
+    user,
+    appointmentId: appointment.id,
+    message: { fromName: clinicName, subject, html, text },
+  });
 };
 
-// 🔥 2. STATUS UPDATE EMAIL (CONFIRMED/REJECTED/CANCELLED)
+// 🔥 2. STATUS UPDATE EMAIL (CONFIRMED/REJECTED/RESCHEDULED/CANCELLED)
 const fmtDate = (dateValue) => {
   if (!dateValue) return 'Date not available';
   const d = dateValue instanceof Date ? dateValue : new Date(dateValue);
@@ -73,9 +74,10 @@ const slotTime = fmtDate(slot.date) + (slot.time ? ` (${slot.time})` : '');
   const adminName = adminUser?.name || 'Clinic Admin';
   const appUrl = process.env.APP_URL || 'https://yourapp.com';
 
-  let subject, html;
+  let subject, html, text;
 
   if (status === 'CONFIRMED') {
+    text = `${clinicName}: your appointment with ${doctorName} on ${slotTime} is confirmed.`;
     subject = `✅ Appointment CONFIRMED - ${doctorName}`;
     html = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
@@ -96,6 +98,7 @@ const slotTime = fmtDate(slot.date) + (slot.time ? ` (${slot.time})` : '');
     `;
   } 
   else if (status === 'REJECTED') {
+    text = `${clinicName}: your appointment request with ${doctorName} on ${slotTime} was not accepted${reason ? ` (${reason})` : ''}. Please choose another slot.`;
     subject = `❌ Appointment REJECTED - ${doctorName}`;
     html = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
@@ -116,7 +119,34 @@ const slotTime = fmtDate(slot.date) + (slot.time ? ` (${slot.time})` : '');
       </div>
     `;
   }
+  else if (status === 'RESCHEDULED') {
+    const prev = appointment.previousSlot;
+    const oldTime = prev ? fmtDate(prev.date) + (prev.time ? ` (${prev.time})` : '') : null;
+    text = `${clinicName}: your appointment with ${doctorName} has been moved to ${slotTime}.${reason ? ` ${reason}` : ''}`;
+    subject = `🔁 Appointment RESCHEDULED - ${doctorName}`;
+    html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="color: #3b82f6;">🔁 Appointment Rescheduled</h2>
+        <p>Hi <strong>${user.name}</strong>,</p>
+        <p>Your appointment with <strong>${doctorName}</strong> has been <strong>moved</strong> by ${clinicName}.</p>
+        
+        <div style="background: #dbeafe; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3>📅 New Appointment Details:</h3>
+          <p><strong>Doctor:</strong> ${doctorName}</p>
+          <p><strong>Clinic:</strong> ${clinicName}</p>
+          ${oldTime ? `<p><strong>Previous:</strong> <s>${oldTime}</s></p>` : ''}
+          <p><strong>New Date & Time:</strong> ${slotTime}</p>
+          ${reason ? `<p><strong>Note:</strong> ${reason}</p>` : ''}
+        </div>
+        
+        <p><strong>Action by:</strong> ${adminName}</p>
+        <p>Manage your booking from <a href="${appUrl}">your dashboard</a>.</p>
+        <p>Best regards,<br><strong>${clinicName} Team</strong></p>
+      </div>
+    `;
+  }
   else if (status === 'CANCELLED') {
+    text = `${clinicName}: your appointment with ${doctorName} on ${slotTime} has been cancelled. Reason: ${reason || 'Cancelled by clinic'}.`;
     subject = `⚠️ Appointment CANCELLED - ${doctorName}`;
     html = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
@@ -138,14 +168,13 @@ const slotTime = fmtDate(slot.date) + (slot.time ? ` (${slot.time})` : '');
     `;
   }
 
-  await transporter.sendMail({
-    from: `"${clinicName}" <no-reply@yourapp.com>`,
-    to: user.email,
-    subject,
-    html
+  return notifyPatient({
+    event: `APPOINTMENT_${status}`,
+    clinicId: appointment.clinicId || slot.clinic.id,
+    user,
+    appointmentId: appointment.id,
+    message: { fromName: clinicName, subject, html, text },
   });
-
-  console.log(`✅ ${status} Email sent to ${user.email} for appt ${appointment.id}`);
 };
 
 // 🔥 3. YOUR BOOKING EMAILS FUNCTION (Your existing - PERFECT!)
@@ -317,29 +346,134 @@ export const sendBookingEmails = async (appointmentData) => {
       );
     }
 
-    // 3. To Patient
-    if (user?.email) {
+    // 3. To Patient (with the invoice once money has been received)
+    if (user) {
+      const invoice = await getInvoiceAttachment(appointmentData.id);
+      const when = `${fmtDate(slot?.date)}${slot?.time ? ` at ${slot.time}` : ''}`;
+      const textPatient = isReschedule
+        ? `${clinic.name}: your appointment with Dr. ${doctor?.name} is now on ${when}.${customMessage ? ` ${customMessage}` : ''}`
+        : `${clinic.name}: appointment with Dr. ${doctor?.name} on ${when} received (ref ${apptIdShort}).`;
       emails.push(
-        transporter.sendMail({
-          from: `"${clinic.name}" <no-reply@yourapp.com>`,
-          to: user.email,
-          subject: subjectPatient,
-          html: htmlContent,
+        notifyPatient({
+          event: isReschedule ? 'APPOINTMENT_RESCHEDULED' : type === 'CONFIRMED' ? 'APPOINTMENT_CONFIRMED' : 'APPOINTMENT_BOOKED',
+          clinicId: clinic.id,
+          user,
+          appointmentId: appointmentData.id,
+          message: {
+            fromName: clinic.name,
+            subject: subjectPatient,
+            html: htmlContent,
+            text: textPatient,
+            attachments: invoice ? [invoice] : [],
+          },
         })
       );
     }
 
-    await Promise.all(emails);
-    console.log('✅ Booking emails sent successfully');
+    // A patient notice counts as failed when none of its channels got through
+    const results = await Promise.allSettled(emails);
+    const failed = results.filter((r) =>
+      r.status === 'rejected' || (Array.isArray(r.value) && r.value.length && r.value.every((d) => d.status === 'FAILED'))
+    );
+    if (failed.length) {
+      console.error(`❌ ${failed.length} of ${results.length} booking emails failed:`, failed.map((r) => r.reason?.message).filter(Boolean));
+    } else {
+      console.log('✅ Booking emails sent successfully');
+    }
+    return {
+      sent: results.length - failed.length,
+      failed: failed.length,
+      error: failed.map((r) => r.reason?.message).filter(Boolean).join('; ') || null,
+    };
   } catch (err) {
     console.error('❌ Email send failed:', err);
+    return { sent: 0, failed: 1, error: err.message };
   }
 };
 
+// 🔥 4. WAITLIST OFFER EMAIL (slot freed up, held for a limited time)
+export const sendWaitlistOfferEmail = async ({ user, slot, expiresAt }) => {
+  const clinicName = slot.clinic.name;
+  const doctorName = slot.doctor.name;
+  const slotTime = fmtDate(slot.date) + (slot.time ? ` (${slot.time})` : '');
+  const appUrl = process.env.APP_URL || 'https://yourapp.com';
+  const bookLink = `${appUrl}/book?slotId=${slot.id}`;
+  const expiresStr = new Date(expiresAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <h2 style="color: #10b981;">🎉 A slot just opened up!</h2>
+      <p>Hi <strong>${user.name}</strong>,</p>
+      <p>You are on the waitlist for <strong>${doctorName}</strong> and a slot is now <strong>reserved for you</strong>.</p>
+      
+      <div style="background: #d1fae5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <p><strong>Doctor:</strong> ${doctorName}</p>
+        <p><strong>Clinic:</strong> ${clinicName}</p>
+        <p><strong>Date & Time:</strong> ${slotTime}</p>
+        <p><strong>Hold expires:</strong> ${expiresStr}</p>
+      </div>
+      
+      <p style="text-align: center;">
+        <a href="${bookLink}" style="background-color: #10b981; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold;">Book this slot</a>
+      </p>
+      <p>If you don't book before the hold expires, the slot is offered to the next patient on the waitlist.</p>
+      <p>Best regards,<br><strong>${clinicName} Team</strong></p>
+    </div>
+  `;
+
+  await notifyPatient({
+    event: 'WAITLIST_OFFER',
+    clinicId: slot.clinicId || slot.clinic.id,
+    user,
+    message: {
+      fromName: clinicName,
+      subject: `⏳ Slot available with ${doctorName} - reserved for you`,
+      html,
+      text: `${clinicName}: a slot with ${doctorName} on ${slotTime} is reserved for you until ${expiresStr}. Book: ${bookLink}`,
+    },
+  });
+};
+
+// 🔥 5. PLAN USAGE ALERT (80% / 100% of a quota) → clinic admins
+export const sendUsageAlertEmail = async ({ clinic, admins, metric, threshold, used, limit, periodEnd }) => {
+  if (!admins?.length) return;
+
+  const label = metric === 'DOCTORS' ? 'doctors' : 'bookings this billing period';
+  const reached = threshold >= 100;
+  const appUrl = process.env.APP_URL || 'https://yourapp.com';
+  const resetStr = periodEnd && metric === 'BOOKINGS'
+    ? new Date(periodEnd).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })
+    : null;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <h2 style="color: ${reached ? '#ef4444' : '#f59e0b'};">${reached ? '🚫 Plan limit reached' : '⚠️ Approaching your plan limit'}</h2>
+      <p>Hi,</p>
+      <p><strong>${clinic.name}</strong> has used <strong>${used} of ${limit}</strong> ${label} (${threshold}%).</p>
+      ${reached ? `<p>New ${metric === 'DOCTORS' ? 'doctors' : 'bookings'} may be blocked until you upgrade${resetStr ? ` or the period resets on ${resetStr}` : ''}.</p>` : ''}
+      <p style="text-align: center;">
+        <a href="${appUrl}/admin/subscription" style="background-color: #0b3b5e; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold;">View plans</a>
+      </p>
+      <p>Best regards,<br><strong>Platform Team</strong></p>
+    </div>
+  `;
+
+  await transporter.sendMail({
+    from: `"Clinic Billing" <no-reply@yourapp.com>`,
+    to: admins.map((a) => a.email).join(','),
+    subject: `${reached ? '🚫' : '⚠️'} ${clinic.name}: ${threshold}% of your ${metric === 'DOCTORS' ? 'doctor' : 'booking'} limit used`,
+    html
+  });
+
+  console.log(`✅ Usage alert (${metric} ${threshold}%) sent for clinic ${clinic.id}`);
+};
+
 // 🔥 DEFAULT EXPORT
 export default {
   transporter,
   sendBookingEmails,
   sendAppointmentStatusEmail,
-  sendCancellationEmail
+  sendCancellationEmail,
+  sendWaitlistOfferEmail,
+  sendUsageAlertEmail
 };
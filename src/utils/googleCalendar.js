@@ -1,5 +1,6 @@
 import { google } from "googleapis";
 import prisma from "../prisma.js"; 
+import { clinicHasEntitlement } from "../services/entitlementService.js";
 
 export const createGoogleCalendarEvent = async ({ calendarId = "primary", refreshToken, appointment }) => {
   const oauth2Client = new google.auth.OAuth2(
@@ -96,9 +97,11 @@ export const deleteAppointmentFromGCal = async (appointmentId) => {
         where: { id: appointmentId },
         data: { googleCalendarEventId: null }
       });
-      console.log(`ℹ️ GCal event ${appt?.googleCalendarEventId} already gone, DB cleared`);
+      console.log(`ℹ️ GCal event for appointment ${appointmentId} already gone, DB cleared`);
+      return;
     }
     console.error('❌ GCal Delete Error:', error.message);
+    throw error; // retried by the outbox
   }
 };
 // export const updateAppointmentOnGCal = async (appointmentId) => {
@@ -178,19 +181,6 @@ const endDateTime = new Date(startDateTime.getTime() + 30 * 60 * 1000);
   }
 };
 
-
-async function getClinicPlan(clinicId) {
-  const clinic = await prisma.clinic.findUnique({
-    where: { id: clinicId },
-    include: {
-      subscription: {
-        include: { plan: true },
-      },
-    },
-  });
-  return clinic?.subscription?.plan || null;
-  
-}
 export const autoSyncAppointmentToGCal = async (appointmentId) => {
   try {
     const appt = await prisma.appointment.findUnique({
@@ -205,8 +195,7 @@ export const autoSyncAppointmentToGCal = async (appointmentId) => {
     if (!appt || appt.status !== "CONFIRMED") return;
 
     // 1) Clinic subscribed? → BOTH calendars (priority: doctor first)
-    const plan = await getClinicPlan(appt.clinicId);
-    const doBoth = plan?.enableGoogleCalendarSync;
+    const doBoth = await clinicHasEntitlement(appt.clinicId, 'googleCalendarSync');
 
     const doctor = appt.slot.doctor;
     const clinic = appt.clinic;
@@ -233,6 +222,7 @@ export const autoSyncAppointmentToGCal = async (appointmentId) => {
 
   } catch (error) {
     console.error("🚨 GCal Sync Error:", error.response?.data || error.message);
+    throw error; // retried by the outbox
   }
 };
 const syncToCalendar = async ({ refreshToken, calendarId, appt, source }) => {
@@ -0,0 +1,52 @@
+// src/utils/holidays.js
+import prisma from '../prisma.js';
+
+// "YYYY-MM-DD" -> whole IST day bounds (same convention as the slot queries)
+export const istDayStart = (dateStr) => new Date(`${dateStr}T00:00:00+05:30`);
+export const istDayEnd = (dateStr) => new Date(`${dateStr}T23:59:59.999+05:30`);
+
+/**
+ * Active holidays/leave touching [from, to] for a clinic.
+ * With a doctorId, returns clinic-wide closures plus that doctor's leave.
+ */
+export const getHolidaysInRange = async ({ clinicId, doctorId, from, to }) => {
+  return prisma.clinicHoliday.findMany({
+    where: {
+      clinicId,
+      deletedAt: null,
+      startDate: { lte: to },
+      endDate: { gte: from },
+      ...(doctorId ? { OR: [{ doctorId: null }, { doctorId }] } : {}),
+    },
+    orderBy: { startDate: 'asc' },
+  });
+};
+
+// Pure check against a list already loaded with getHolidaysInRange
+export const isOnHoliday = (holidays, date, doctorId) => {
+  const t = new Date(date).getTime();
+  return holidays.some(
+    (h) =>
+      (!h.doctorId || h.doctorId === doctorId) &&
+      h.startDate.getTime() <= t &&
+      h.endDate.getTime() >= t
+  );
+};
+
+export const findHolidayForSlot = async (slot) => {
+  const holidays = await getHolidaysInRange({
+    clinicId: slot.clinicId,
+    doctorId: slot.doctorId,
+    from: slot.date,
+    to: slot.date,
+  });
+  return holidays[0] || null;
+};
+
+// Slot filter for everything a holiday covers (clinic-wide => all doctors)
+export const holidaySlotWhere = (holiday) => ({
+  clinicId: holiday.clinicId,
+  deletedAt: null,
+  date: { gte: holiday.startDate, lte: holiday.endDate },
+  ...(holiday.doctorId ? { doctorId: holiday.doctorId } : {}),
+});
@@ -0,0 +1,4 @@
+// src/utils/money.js
+
+// Rupee/dollar amounts are stored with two decimals
+export const round2 = (n) => Math.round(n * 100) / 100;